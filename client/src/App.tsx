@@ -1,21 +1,34 @@
 import React, { useEffect, useState } from 'react';
 import { useMindMapStore } from './store/useMindMapStore';
 import { useWebSocket } from './hooks/useWebSocket';
+import { useYjsSync } from './hooks/useYjsSync';
+import { claimTabIdentity } from './utils/tabIdentity';
 import Toolbar from './components/Toolbar';
 import MindMapCanvas from './components/MindMapCanvas';
 import StatusBar from './components/StatusBar';
+import Notifications from './components/Notifications';
+import ConflictInbox from './components/ConflictInbox';
+
+const SERVER_URL = 'http://localhost:3000';
 
 const App: React.FC = () => {
-  const [userId] = useState(() => `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
-  const [mapId] = useState('default_map');
+  // Kept per tab, so a reload is the same client; a duplicated tab is a new one
+  const [userId] = useState(claimTabIdentity);
+  // Each map is its own collaboration room; pick it with ?map=<id>
+  const [mapId] = useState(() => new URLSearchParams(window.location.search).get('map') || 'default_map');
+  // Shown to collaborators; without one the server calls us "Guest <id>"
+  const [displayName] = useState(() => localStorage.getItem('displayName') ?? undefined);
   
   const {
     isConnected,
     reconnectAttempts,
+    queuedCount,
+    syncMode,
   } = useWebSocket({
-    url: 'http://localhost:3000',
+    url: SERVER_URL,
     userId,
     mapId,
+    displayName,
     onConnect: () => {
       console.log('✅ Connected to server');
     },
@@ -27,6 +40,14 @@ const App: React.FC = () => {
     }
   });
 
+  // Maps that opted into CRDT sync edit a shared Y.Doc instead
+  useYjsSync({
+    url: SERVER_URL.replace(/^http/, 'ws'),
+    mapId,
+    userId,
+    enabled: syncMode === 'yjs',
+  });
+
   const nodes = useMindMapStore(state => state.nodes);
   const edges = useMindMapStore(state => state.edges);
 
@@ -57,6 +78,11 @@ const App: React.FC = () => {
                 'Connecting to server...'
               )}
             </span>
+            {queuedCount > 0 && (
+              <span className="text-amber-700 text-xs">
+                • {queuedCount} offline edit{queuedCount === 1 ? '' : 's'} will sync on reconnect
+              </span>
+            )}
           </div>
         </div>
       )}
@@ -78,7 +104,7 @@ const App: React.FC = () => {
             </span>
             <span className="text-emerald-600">•</span>
             <span className="text-emerald-700 font-mono text-xs">
-              Map: {mapId}
+              Map: {mapId}{syncMode === 'yjs' && ' (CRDT)'}
             </span>
           </div>
         </div>
@@ -87,6 +113,8 @@ const App: React.FC = () => {
       <Toolbar />
       <MindMapCanvas />
       <StatusBar />
+      <Notifications />
+      <ConflictInbox />
       
       <div className="absolute top-16 right-4 bg-white rounded-lg shadow-lg p-5 max-w-xs">
         <h2 className="text-lg font-semibold mb-2">Shortcuts</h2>
@@ -0,0 +1,111 @@
+// client/src/components/ConflictInbox.tsx
+import React, { useState } from 'react';
+import { useMindMapStore } from '../store/useMindMapStore';
+import type { Conflict, ConflictSide } from '../types';
+import { FiGitMerge as ConflictIcon, FiChevronDown as ExpandIcon, FiChevronUp as CollapseIcon } from 'react-icons/fi';
+
+const KIND_LABELS: Record<Conflict['kind'], string> = {
+  concurrent_edit: 'Edited at the same time',
+  edit_on_deleted: 'Edited after deletion',
+  edge_rejected: 'Connection refused',
+};
+
+const formatValue = (conflict: Conflict, side: ConflictSide): string => {
+  const value = side.value;
+  if (value === null || value === undefined) {
+    return conflict.kind === 'edit_on_deleted' ? 'deleted the node' : '—';
+  }
+  if (conflict.kind === 'edge_rejected') {
+    const { source, target } = value as { source: string; target: string };
+    return `${source} → ${target}`;
+  }
+  if (conflict.field === 'position') {
+    const { x, y } = value as { x: number; y: number };
+    return `(${Math.round(x)}, ${Math.round(y)})`;
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const SideRow: React.FC<{ title: string; conflict: Conflict; side: ConflictSide; isMine: boolean }> = ({
+  title, conflict, side, isMine
+}) => (
+  <div className="flex gap-2">
+    <span className="w-14 shrink-0 text-gray-500">{title}</span>
+    <span className="flex-1 truncate font-mono" title={formatValue(conflict, side)}>
+      {formatValue(conflict, side)}
+    </span>
+    <span className="shrink-0 text-gray-400">
+      {isMine ? 'you' : (side.userId ?? 'someone').substring(0, 10)}
+    </span>
+  </div>
+);
+
+const ConflictItem: React.FC<{ conflict: Conflict }> = ({ conflict }) => {
+  const clientId = useMindMapStore(state => state.clientId);
+  const acceptConflict = useMindMapStore(state => state.acceptConflict);
+  const reapplyConflict = useMindMapStore(state => state.reapplyConflict);
+
+  const lostMine = conflict.loser.clientId === clientId;
+
+  return (
+    <li className="border-t border-gray-100 py-2 text-xs">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-medium text-gray-700">
+          {KIND_LABELS[conflict.kind]}{conflict.field && ` · ${conflict.field}`}
+        </span>
+        <span className="text-gray-400">{new Date(conflict.detectedAt).toLocaleTimeString()}</span>
+      </div>
+      <p className="text-gray-500 mb-1 truncate" title={conflict.reason}>{conflict.reason}</p>
+      <SideRow title="Kept" conflict={conflict} side={conflict.winner} isMine={conflict.winner.clientId === clientId} />
+      <SideRow title="Lost" conflict={conflict} side={conflict.loser} isMine={lostMine} />
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={() => acceptConflict(conflict.conflictId)}
+          className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700"
+        >
+          Keep {lostMine ? 'theirs' : 'mine'}
+        </button>
+        {lostMine && (
+          <button
+            onClick={() => reapplyConflict(conflict.conflictId)}
+            className="px-2 py-1 rounded bg-blue-500 hover:bg-blue-600 text-white"
+          >
+            Use mine
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const ConflictInbox: React.FC = () => {
+  const conflicts = useMindMapStore(state => state.conflicts);
+  const [expanded, setExpanded] = useState(false);
+
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div className="absolute top-28 left-4 bg-white rounded-lg shadow-lg px-3 py-2 w-80 z-40">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center gap-2 w-full text-sm font-medium text-amber-700"
+        aria-expanded={expanded}
+      >
+        <ConflictIcon size={16} />
+        <span className="flex-1 text-left">
+          {conflicts.length} unresolved conflict{conflicts.length === 1 ? '' : 's'}
+        </span>
+        {expanded ? <CollapseIcon size={16} /> : <ExpandIcon size={16} />}
+      </button>
+      {expanded && (
+        <ul className="mt-2 max-h-80 overflow-y-auto">
+          {conflicts.map(conflict => (
+            <ConflictItem key={conflict.conflictId} conflict={conflict} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConflictInbox;
@@ -0,0 +1,49 @@
+// client/src/components/Cursors.tsx
+import React from 'react';
+import { useMindMapStore } from '../store/useMindMapStore';
+import { useInterpolatedPosition } from '../hooks/useInterpolatedPosition';
+import type { Cursor } from '../types';
+
+// One collaborator's pointer. Drawn in canvas coordinates but scaled back
+// by the zoom, so it keeps the same on-screen size like a real pointer.
+const RemoteCursor: React.FC<{ cursor: Cursor; zoom: number }> = ({ cursor, zoom }) => {
+  // Positions arrive throttled; ease between them
+  const position = useInterpolatedPosition(cursor.position, true);
+
+  return (
+    <g transform={`translate(${position.x}, ${position.y}) scale(${1 / zoom})`} pointerEvents="none">
+      <path
+        d="M0 0 L0 16 L4.5 12 L7.5 19 L10 18 L7 11 L12.5 11 Z"
+        fill={cursor.color}
+        stroke="white"
+        strokeWidth="1"
+      />
+      {cursor.username && (
+        <foreignObject x="12" y="16" width="160" height="24">
+          <div
+            className="inline-block px-1.5 py-0.5 rounded text-[11px] leading-tight text-white whitespace-nowrap shadow"
+            style={{ backgroundColor: cursor.color }}
+          >
+            {cursor.username}
+          </div>
+        </foreignObject>
+      )}
+    </g>
+  );
+};
+
+// Must be rendered inside the canvas' transformed group
+const Cursors: React.FC = () => {
+  const cursors = useMindMapStore(state => state.cursors);
+  const zoom = useMindMapStore(state => state.viewState.zoom);
+
+  return (
+    <g aria-hidden="true">
+      {[...cursors.values()].map(cursor => (
+        <RemoteCursor key={cursor.userId} cursor={cursor} zoom={zoom} />
+      ))}
+    </g>
+  );
+};
+
+export default Cursors;
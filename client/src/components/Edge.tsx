@@ -1,6 +1,8 @@
 // client/src/components/Edge.tsx
 import React from 'react';
 import type { Edge as EdgeType, Node } from '../types';
+import { useMindMapStore } from '../store/useMindMapStore';
+import { useInterpolatedPosition } from '../hooks/useInterpolatedPosition';
 
 interface EdgeProps {
   edge: EdgeType;
@@ -8,24 +10,33 @@ interface EdgeProps {
   onRemove: (id: string) => void;
 }
 
+const ORIGIN = { x: 0, y: 0 };
+
 export const Edge: React.FC<EdgeProps> = ({ edge, nodes, onRemove }) => {
   const sourceNode = nodes.find(n => n.id === edge.source);
   const targetNode = nodes.find(n => n.id === edge.target);
+  const isPending = useMindMapStore(state => Boolean(state.pendingByEntity[edge.id]));
+  // Eased the same way as the nodes, so a remotely dragged end stays attached
+  const sourceDragged = useMindMapStore(state => state.remoteDrags[edge.source] !== undefined);
+  const targetDragged = useMindMapStore(state => state.remoteDrags[edge.target] !== undefined);
+  const source = useInterpolatedPosition(sourceNode?.position ?? ORIGIN, sourceDragged);
+  const target = useInterpolatedPosition(targetNode?.position ?? ORIGIN, targetDragged);
 
   if (!sourceNode || !targetNode) return null;
 
-  const midX = (sourceNode.position.x + targetNode.position.x) / 2;
-  const midY = (sourceNode.position.y + targetNode.position.y) / 2;
+  const midX = (source.x + target.x) / 2;
+  const midY = (source.y + target.y) / 2;
 
   return (
     <g role="img" aria-label={`Edge from ${sourceNode.label} to ${targetNode.label}`}>
       <line
-        x1={sourceNode.position.x}
-        y1={sourceNode.position.y}
-        x2={targetNode.position.x}
-        y2={targetNode.position.y}
+        x1={source.x}
+        y1={source.y}
+        x2={target.x}
+        y2={target.y}
         stroke="#94A3B8"
         strokeWidth="2"
+        strokeDasharray={isPending ? '6 4' : undefined}
         markerEnd="url(#arrowhead)"
         className="transition-all"
       />
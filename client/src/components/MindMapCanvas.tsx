@@ -4,6 +4,7 @@ import { useMindMapStore } from '../store/useMindMapStore';
 import type { Position, Node as MindNode, Edge as MindEdge } from '../types';
 import Node from './Node';
 import { Edge } from './Edge';
+import Cursors from './Cursors';
 
 const MindMapCanvas: React.FC = () => {
   const svgRef = useRef<SVGSVGElement>(null);
@@ -27,6 +28,14 @@ const MindMapCanvas: React.FC = () => {
   };
 
   const handleMouseMove = (e: React.MouseEvent<SVGSVGElement>) => {
+    // Share our pointer in canvas coordinates, so it lands on the same spot
+    // whatever the others' pan and zoom
+    const rect = svgRef.current!.getBoundingClientRect();
+    useMindMapStore.getState().moveCursor({
+      x: (e.clientX - rect.left - viewState.offset.x) / viewState.zoom,
+      y: (e.clientY - rect.top - viewState.offset.y) / viewState.zoom,
+    });
+
     if (isPanning) {
       setViewState({
         offset: {
@@ -165,6 +174,7 @@ const MindMapCanvas: React.FC = () => {
         {nodes.map(node => (
           <Node key={node.id} node={node} />
         ))}
+        <Cursors />
       </g>
     </svg>
   );
@@ -1,7 +1,10 @@
 // client/src/components/Node.tsx
 import React, { useRef, useState, useMemo, useEffect } from 'react';
 import { useMindMapStore } from '../store/useMindMapStore';
-import type { Node as MindNode } from '../types';
+import { useInterpolatedPosition } from '../hooks/useInterpolatedPosition';
+import { useCollaborativeText } from '../hooks/useCollaborativeText';
+import type { Text as YText } from 'yjs';
+import type { Node as MindNode, LeaseAck } from '../types';
 import { getRandomColor } from '../utils/graphHelpers';
 
 // --- Global Constants for the Menu ---
@@ -19,6 +22,43 @@ const COLOR_PALETTE = [
 const SHAPES = ['circle', 'rectangle'] as const;
 // -------------------------------------
 
+// Renew our edit lease at most this often while typing (the server's TTL is 10s)
+const LEASE_RENEW_MS = 3000;
+
+// Outline in a collaborator's color around a node they have selected
+// (dashed) or are editing (solid, with their name)
+const CollaboratorRing: React.FC<{
+  session: { displayName: string; color: string };
+  editing: boolean;
+  shape: MindNode['shape'];
+}> = ({ session, editing, shape }) => {
+  const ringProps = {
+    fill: 'none',
+    stroke: session.color,
+    strokeWidth: 3,
+    strokeDasharray: editing ? undefined : '8 5',
+    pointerEvents: 'none' as const,
+  };
+
+  return (
+    <g aria-hidden="true">
+      {shape === 'rectangle'
+        ? <rect x="-57" y="-32" width="114" height="64" rx="12" {...ringProps} />
+        : <circle r="57" {...ringProps} />}
+      <text
+        y={shape === 'rectangle' ? -40 : -64}
+        textAnchor="middle"
+        fontSize="11"
+        fill={session.color}
+        pointerEvents="none"
+        className="select-none"
+      >
+        {editing ? `${session.displayName} is editing` : session.displayName}
+      </text>
+    </g>
+  );
+};
+
 const Node: React.FC<{ node: MindNode }> = ({ node }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [label, setLabel] = useState(node.label);
@@ -27,6 +67,10 @@ const Node: React.FC<{ node: MindNode }> = ({ node }) => {
   const [isColorMenuOpen, setIsColorMenuOpen] = useState(false); // Submenu state
   const [isShapeMenuOpen, setIsShapeMenuOpen] = useState(false); // Submenu state
   const inputRef = useRef<HTMLInputElement>(null);
+  const lastRenewRef = useRef(0);
+  // Shared text of the label while we edit it (null: editing on our own)
+  const [labelText, setLabelText] = useState<YText | null>(null);
+  const applyLabelChange = useCollaborativeText(labelText, inputRef, setLabel);
   
   const {
     selectedNodeId,
@@ -34,7 +78,15 @@ const Node: React.FC<{ node: MindNode }> = ({ node }) => {
     connectSourceId,
     updateNode,
     moveNode,
+    dragNode,
     selectNode,
+    setEditingNode,
+    acquireLease,
+    renewLease,
+    releaseLease,
+    openLabel,
+    closeLabel,
+    pushNotice,
     removeNode,
     addEdge,
     setConnectSource
@@ -42,6 +94,24 @@ const Node: React.FC<{ node: MindNode }> = ({ node }) => {
 
   const isSelected = selectedNodeId === node.id;
   const isConnectSource = connectSourceId === node.id;
+  // Optimistic edits on this node the server hasn't acknowledged yet
+  const isPending = useMindMapStore(state => Boolean(state.pendingByEntity[node.id]));
+  // Someone else's drag arrives in throttled frames; ease between them
+  const isRemoteDragged = useMindMapStore(state => state.remoteDrags[node.id] !== undefined);
+  const position = useInterpolatedPosition(node.position, isRemoteDragged);
+
+  // Collaborators who have this node selected or are editing it; an editor
+  // takes precedence for the highlight
+  const presence = useMindMapStore(state => state.presence);
+  const ownSessionId = useMindMapStore(state => state.sessionId);
+  const collaborators = Object.values(presence).filter(s =>
+    s.sessionId !== ownSessionId && (s.selectedNodeId === node.id || s.editingNodeId === node.id)
+  );
+  // The lease holder is who's really editing; presence may lag behind it
+  const lease = useMindMapStore(state => state.leases[node.id]);
+  const lockedBy = lease && lease.sessionId !== ownSessionId ? lease : undefined;
+  const remoteEditor = lockedBy ?? collaborators.find(s => s.editingNodeId === node.id);
+  const highlight = remoteEditor ?? collaborators[0];
 
   // --- Context Menu Handlers ---
   const handleContextMenu = (e: React.MouseEvent) => {
@@ -81,13 +151,77 @@ useEffect(() => {
   }
 }, [isEditing]);
 
+  // Let collaborators see which node we're editing, and give the lease back
+  // when we stop (blur, or the node disappearing under us)
+  useEffect(() => {
+    if (!isEditing) return;
+    setEditingNode(node.id);
+    return () => {
+      if (useMindMapStore.getState().editingNodeId === node.id) setEditingNode(null);
+      releaseLease(node.id);
+    };
+  }, [isEditing, node.id, setEditingNode, releaseLease]);
+
+  // Leave the shared label if we stop editing without a blur (the node was
+  // deleted); after a blur it is already closed and this does nothing
+  useEffect(() => {
+    if (!labelText) return;
+    return () => { closeLabel(node.id); };
+  }, [labelText, node.id, closeLabel]);
+
+  const noticeFor = (result: LeaseAck) => {
+    if (result.ok) return;
+    pushNotice({
+      kind: 'warning',
+      code: result.error.code,
+      message: result.lease ? `${result.lease.displayName} is editing this node` : result.error.message,
+    });
+  };
+
+  // Editing types into the label's shared text, so several people can edit
+  // it at once and no one takes a lease: presence shows who is typing. Only
+  // without a shared text (offline, or the server had none for us) does
+  // editing take the lease, and then whoever holds it edits alone; a held
+  // lease keeps everyone else out of the shared text too.
+  const startEditing = async () => {
+    if (lockedBy) {
+      pushNotice({ kind: 'warning', code: 'NODE_LOCKED', message: `${lockedBy.displayName} is editing this node` });
+      return;
+    }
+    const text = await openLabel(node.id);
+    if (!text) {
+      const result = await acquireLease(node.id);
+      if (!result.ok) {
+        noticeFor(result);
+        return;
+      }
+    }
+    lastRenewRef.current = Date.now();
+    setLabelText(text);
+    setLabel(text ? text.toString() : node.label);
+    setIsEditing(true);
+  };
+
+  // Keeps the lease alive while typing alone. Losing it (it ran out and
+  // someone else took the node) ends editing without saving over their
+  // rename. A shared label holds no lease to keep.
+  const keepLease = async () => {
+    if (labelText || Date.now() - lastRenewRef.current < LEASE_RENEW_MS) return;
+    lastRenewRef.current = Date.now();
+    const result = await renewLease(node.id);
+    if (result.ok) return;
+    noticeFor(result);
+    setLabel(node.label);
+    setIsEditing(false);
+  };
+
   const handleDelete = () => {
     removeNode(node.id);
     setIsMenuOpen(false);
   };
 
   const handleRename = () => {
-    setIsEditing(true);
+    startEditing();
     setIsMenuOpen(false);
   };
 
@@ -138,17 +272,23 @@ useEffect(() => {
     const startX = e.clientX;
     const startY = e.clientY;
     const startPos = { x: node.position.x, y: node.position.y };
+    let lastPos: MindNode['position'] | null = null;
 
+    // Intermediate positions are only streamed; the drop is the one real move
     const handleMouseMove = (e: MouseEvent) => {
-      moveNode(node.id, {
+      lastPos = {
         x: startPos.x + (e.clientX - startX),
         y: startPos.y + (e.clientY - startY),
-      });
+      };
+      dragNode(node.id, lastPos);
     };
 
     const handleMouseUp = () => {
       window.removeEventListener('mousemove', handleMouseMove);
       window.removeEventListener('mouseup', handleMouseUp);
+      if (lastPos) {
+        moveNode(node.id, lastPos, startPos);
+      }
       useMindMapStore.getState().saveToHistory();
     };
 
@@ -160,14 +300,19 @@ const handleDoubleClick = (e: React.MouseEvent) => {
   console.log("Double click detected on node");
   e.preventDefault(); 
   e.stopPropagation(); 
-  setIsEditing(true);
+  startEditing();
 };
 
 
   const handleBlur = () => {
-    if (label.trim() !== node.label) {
+    if (!isEditing) return;
+    // A shared label is saved as it's typed. If we lost the connection to
+    // it, the store shows our text but nothing saved it: rename as usual.
+    const saved = labelText ? closeLabel(node.id) : false;
+    if (!saved && (labelText || label.trim() !== node.label)) {
       updateNode(node.id, { label: label.trim() || 'Node' });
     }
+    setLabelText(null);
     setIsEditing(false);
     useMindMapStore.getState().saveToHistory();
   };
@@ -195,6 +340,7 @@ const handleDoubleClick = (e: React.MouseEvent) => {
       fill: node.color,
       stroke: isSelected ? '#1E293B' : isConnectSource ? '#10B981' : 'white',
       strokeWidth: isSelected || isConnectSource ? '4' : '2',
+      strokeDasharray: isPending ? '6 4' : undefined,
       className: 'transition-all',
     };
 
@@ -235,22 +381,26 @@ const handleDoubleClick = (e: React.MouseEvent) => {
 
   return (
       <g
-        transform={`translate(${node.position.x}, ${node.position.y})`}
+        transform={`translate(${position.x}, ${position.y})`}
         onMouseDown={handleMouseDown}
         onDoubleClick={handleDoubleClick}
         onContextMenu={handleContextMenu}
         onKeyDown={handleNodeKeyDown}
         className="cursor-move"
+        opacity={isPending ? 0.6 : 1}
         role="button"
-        aria-label={`Node: ${node.label}`}
+        aria-label={`Node: ${node.label}${isPending ? ' (unconfirmed)' : ''}`}
         tabIndex={0}
       >
       
+      {highlight && (
+        <CollaboratorRing session={highlight} editing={highlight === remoteEditor} shape={node.shape} />
+      )}
       <NodeVisual />
 
       {/* --- CONTEXT MENU UI (Foreign Object) --- */}
       {isMenuOpen && (
-        <foreignObject x={-node.position.x} y={-node.position.y} width="100vw" height="100vh">
+        <foreignObject x={-position.x} y={-position.y} width="100vw" height="100vh">
           <div
             style={{
               position: 'absolute',
@@ -375,7 +525,7 @@ const handleDoubleClick = (e: React.MouseEvent) => {
             ref={inputRef}
             type="text"
             value={label}
-            onChange={(e) => setLabel(e.target.value)}
+            onChange={(e) => { setLabel(e.target.value); applyLabelChange(e.target.value); keepLease(); }}
             onBlur={handleBlur}
             onKeyDown={handleKeyDown}
             className="w-full h-full text-center text-sm bg-white rounded px-1 outline-none"
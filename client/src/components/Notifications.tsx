@@ -0,0 +1,59 @@
+// client/src/components/Notifications.tsx
+import React, { useEffect } from 'react';
+import { useMindMapStore } from '../store/useMindMapStore';
+import type { Notice } from '../types';
+import { FiAlertCircle as AlertIcon, FiInfo as InfoIcon, FiX as CloseIcon } from 'react-icons/fi';
+
+const AUTO_DISMISS_MS = 6000;
+
+const KIND_STYLES: Record<Notice['kind'], string> = {
+  error: 'border-red-200 bg-red-50 text-red-800',
+  warning: 'border-amber-200 bg-amber-50 text-amber-800',
+  info: 'border-blue-200 bg-blue-50 text-blue-800',
+};
+
+const NoticeItem: React.FC<{ notice: Notice; onDismiss: (id: string) => void }> = ({ notice, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(notice.id), AUTO_DISMISS_MS);
+    return () => clearTimeout(timer);
+  }, [notice.id, onDismiss]);
+
+  const Icon = notice.kind === 'info' ? InfoIcon : AlertIcon;
+
+  return (
+    <div
+      role={notice.kind === 'error' ? 'alert' : 'status'}
+      className={`flex items-start gap-2 rounded-lg border shadow-lg px-3 py-2 text-sm ${KIND_STYLES[notice.kind]}`}
+    >
+      <Icon size={16} className="mt-0.5 shrink-0" />
+      <div className="flex-1">
+        <p>{notice.message}</p>
+        {notice.code && <p className="font-mono text-xs opacity-70">{notice.code}</p>}
+      </div>
+      <button
+        onClick={() => onDismiss(notice.id)}
+        className="opacity-60 hover:opacity-100"
+        aria-label="Dismiss notification"
+      >
+        <CloseIcon size={14} />
+      </button>
+    </div>
+  );
+};
+
+const Notifications: React.FC = () => {
+  const notices = useMindMapStore(state => state.notices);
+  const dismissNotice = useMindMapStore(state => state.dismissNotice);
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-4 right-4 z-50 flex flex-col gap-2 w-80" aria-live="polite">
+      {notices.map(notice => (
+        <NoticeItem key={notice.id} notice={notice} onDismiss={dismissNotice} />
+      ))}
+    </div>
+  );
+};
+
+export default Notifications;
@@ -1,22 +1,140 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useMindMapStore } from '../store/useMindMapStore';
-import { FiUsers as Users } from 'react-icons/fi';
+import { FiUsers as Users, FiCrosshair as Crosshair, FiX as X, FiClock as Clock } from 'react-icons/fi';
+import type { PresenceSession } from '../types';
+import { describeHlcAge, latestHlc } from '../utils/hybridClock';
+
+// Avatars beyond this are summarized as "+N"
+const MAX_AVATARS = 5;
+
+const initials = (name: string) =>
+  name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+
+// How often "edited N minutes ago" is brought up to date
+const AGE_REFRESH_MS = 30000;
+
+const minutesAgo = (iso: string) => Math.max(0, Math.floor((Date.now() - new Date(iso).getTime()) / 60000));
+
+// Clicking someone else's avatar follows their view (or stops following)
+const Avatar: React.FC<{ session: PresenceSession; isSelf: boolean; isFollowed: boolean; onClick: () => void }> = ({
+  session, isSelf, isFollowed, onClick
+}) => {
+  const idle = minutesAgo(session.lastActiveAt);
+  const action = isSelf ? '' : isFollowed ? ' • click to stop following' : ' • click to follow';
+  const title = `${session.displayName}${isSelf ? ' (you)' : ''} • ${idle === 0 ? 'active now' : `active ${idle}m ago`}${action}`;
+
+  return (
+    <button
+      type="button"
+      disabled={isSelf}
+      onClick={onClick}
+      className={`w-6 h-6 -ml-1.5 first:ml-0 rounded-full ring-2 flex items-center justify-center text-[10px] font-semibold text-white ${
+        isFollowed ? 'ring-blue-500 z-10' : 'ring-white'
+      } ${isSelf ? 'cursor-default' : 'hover:z-10'}`}
+      style={{ backgroundColor: session.color }}
+      title={title}
+      aria-label={title}
+      aria-pressed={isSelf ? undefined : isFollowed}
+    >
+      {initials(session.displayName)}
+    </button>
+  );
+};
 
 const StatusBar: React.FC = () => {
   const { nodes, edges, viewState, connectMode } = useMindMapStore();
-  const [onlineUsers] = useState(1);
+  const presence = useMindMapStore(state => state.presence);
+  const sessionId = useMindMapStore(state => state.sessionId);
+  const followingSessionId = useMindMapStore(state => state.followingSessionId);
+  const { followSession, summonAll } = useMindMapStore();
+  const selectedNodeId = useMindMapStore(state => state.selectedNodeId);
+  const selectedClocks = useMindMapStore(state => (state.selectedNodeId ? state.fieldClocks[state.selectedNodeId] : undefined));
+  const clientId = useMindMapStore(state => state.clientId);
+  const clockNow = useMindMapStore(state => state.clockNow);
+  const [now, setNow] = useState(clockNow);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(clockNow()), AGE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [clockNow]);
+
+  // Ourselves first, then by arrival
+  const sessions = Object.values(presence).sort((a, b) =>
+    Number(b.sessionId === sessionId) - Number(a.sessionId === sessionId) ||
+    a.joinedAt.localeCompare(b.joinedAt)
+  );
+  const hidden = sessions.length - MAX_AVATARS;
+  const followed = followingSessionId ? presence[followingSessionId] : undefined;
+  const followers = sessions.filter(s => s.sessionId !== sessionId && s.followingSessionId === sessionId).length;
+
+  // When the selected node last changed, and by whom if they're here
+  const lastEdit = selectedNodeId && selectedClocks ? latestHlc(Object.values(selectedClocks)) : undefined;
+  const editor = lastEdit?.clientId === clientId
+    ? 'you'
+    : sessions.find(s => s.userId === lastEdit?.clientId)?.displayName;
 
   return (
     <div className="absolute bottom-4 left-4 bg-white rounded-lg shadow-lg px-4 py-2 flex items-center gap-4 text-sm text-gray-600">
       <div className="flex items-center gap-2">
         <Users size={16} />
-        <span>{onlineUsers} online</span>
+        <span>{sessions.length} online</span>
+        {sessions.length > 0 && (
+          <div className="flex items-center">
+            {sessions.slice(0, MAX_AVATARS).map(session => (
+              <Avatar
+                key={session.sessionId}
+                session={session}
+                isSelf={session.sessionId === sessionId}
+                isFollowed={session.sessionId === followingSessionId}
+                onClick={() => followSession(session.sessionId === followingSessionId ? null : session.sessionId)}
+              />
+            ))}
+            {hidden > 0 && <span className="ml-1 text-xs text-gray-500">+{hidden}</span>}
+          </div>
+        )}
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={summonAll}
+            className="p-1 rounded hover:bg-gray-100 text-gray-500"
+            title="Bring everyone to your view"
+            aria-label="Bring everyone to your view"
+          >
+            <Crosshair size={14} />
+          </button>
+        )}
       </div>
+      {followed && (
+        <span className="flex items-center gap-1 text-blue-600 font-medium">
+          Following {followed.displayName}
+          <button
+            type="button"
+            onClick={() => followSession(null)}
+            className="p-0.5 rounded hover:bg-blue-50"
+            title="Stop following"
+            aria-label="Stop following"
+          >
+            <X size={12} />
+          </button>
+        </span>
+      )}
+      {followers > 0 && (
+        <span className="text-xs text-gray-500">{followers} following you</span>
+      )}
       <div className="w-px h-4 bg-gray-300" />
       <span>{nodes.length} nodes</span>
       <span>{edges.length} edges</span>
       <div className="w-px h-4 bg-gray-300" />
       <span>Zoom: {Math.round(viewState.zoom * 100)}%</span>
+      {lastEdit && (
+        <>
+          <div className="w-px h-4 bg-gray-300" />
+          <span className="flex items-center gap-1 text-xs text-gray-500" title={new Date(lastEdit.time).toLocaleString()}>
+            <Clock size={12} />
+            Edited {describeHlcAge(lastEdit, now)}{editor && ` by ${editor}`}
+          </span>
+        </>
+      )}
       {connectMode && (
         <>
           <div className="w-px h-4 bg-gray-300" />
@@ -26,4 +144,4 @@ const StatusBar: React.FC = () => {
     </div>
   );
 };
-export default StatusBar;
\ No newline at end of file
+export default StatusBar;
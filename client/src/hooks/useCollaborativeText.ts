@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useLayoutEffect, useRef } from 'react';
+import type { RefObject } from 'react';
+import type { Text as YText, YTextEvent, Transaction } from 'yjs';
+import { applyTextChange, transformIndex } from '../utils/collaborativeText';
+
+/**
+ * Binds a controlled text input to a shared Y.Text. Remote changes are
+ * pushed into the input through `setValue` with the caret (or selection)
+ * shifted to stay on the same characters; the returned function applies a
+ * local value to the shared text. Without a text it does nothing.
+ */
+export const useCollaborativeText = (
+  text: YText | null,
+  inputRef: RefObject<HTMLInputElement | null>,
+  setValue: (value: string) => void
+) => {
+  // Selection to restore once the remote change has been rendered
+  const selectionRef = useRef<[number, number] | null>(null);
+
+  useEffect(() => {
+    if (!text) return;
+
+    const onChange = (event: YTextEvent, transaction: Transaction) => {
+      // Our own typing is already in the input
+      if (transaction.local) return;
+
+      const input = inputRef.current;
+      if (input && document.activeElement === input) {
+        selectionRef.current = [
+          transformIndex(input.selectionStart ?? 0, event.delta),
+          transformIndex(input.selectionEnd ?? 0, event.delta),
+        ];
+      }
+      setValue(text.toString());
+    };
+
+    text.observe(onChange);
+    return () => text.unobserve(onChange);
+  }, [text, inputRef, setValue]);
+
+  // Setting the value of a controlled input moves the caret to the end
+  useLayoutEffect(() => {
+    const selection = selectionRef.current;
+    if (!selection || !inputRef.current) return;
+    selectionRef.current = null;
+    inputRef.current.setSelectionRange(selection[0], selection[1]);
+  });
+
+  return useCallback((value: string) => {
+    if (text) applyTextChange(text, value);
+  }, [text]);
+};
@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from 'react';
+import type { Position } from '../types';
+
+// Fraction of the remaining distance covered per animation frame
+const SMOOTHING = 0.35;
+// Closer than this (in canvas units) snaps to the target
+const SNAP_DISTANCE = 0.5;
+
+/**
+ * Eases towards `target` over a few frames instead of jumping to it.
+ * Remote drags arrive as throttled frames, so rendering them as-is looks
+ * jerky; with `smooth` off the target is returned unchanged.
+ */
+export const useInterpolatedPosition = (target: Position, smooth: boolean): Position => {
+  const [shown, setShown] = useState(target);
+  const shownRef = useRef(target);
+  const { x, y } = target;
+
+  useEffect(() => {
+    const target = { x, y };
+    if (!smooth) {
+      shownRef.current = target;
+      setShown(target);
+      return;
+    }
+
+    let frame = requestAnimationFrame(function step() {
+      const current = shownRef.current;
+      const dx = target.x - current.x;
+      const dy = target.y - current.y;
+      const next = Math.hypot(dx, dy) < SNAP_DISTANCE
+        ? target
+        : { x: current.x + dx * SMOOTHING, y: current.y + dy * SMOOTHING };
+
+      shownRef.current = next;
+      setShown(next);
+      if (next !== target) frame = requestAnimationFrame(step);
+    });
+
+    return () => cancelAnimationFrame(frame);
+  }, [x, y, smooth]);
+
+  return smooth ? shown : target;
+};
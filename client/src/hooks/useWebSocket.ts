@@ -1,22 +1,169 @@
 import { useEffect, useRef, useState } from 'react';
 import { io, Socket } from 'socket.io-client';
+import * as Y from 'yjs';
 import { useMindMapStore } from '../store/useMindMapStore';
-import type { Node, Edge } from '../types';
+import type {
+  Node, Edge, Position, OperationAck, OperationError, RemoteOperationData, SyncDeltaPayload, VectorClock,
+  HybridTimestamp, FieldClocks, SyncMode, PresenceSession, EditLease, LeaseAck, Viewport, RateLimited, IdRemap,
+  Conflict, ConflictResolution
+} from '../types';
+import {
+  enqueueOperation, getQueuedOperations, removeQueuedOperation, remapQueuedOperations
+} from '../utils/offlineQueue';
+import { toViewport } from '../utils/graphHelpers';
+import { isCausallyReady } from '../utils/vectorClock';
+import { estimateClockOffset } from '../utils/hybridClock';
+
+// How long to wait for the server to ack a mutation before giving up on it
+const ACK_TIMEOUT_MS = 10000;
+// Sends of one mutation before it is left to the offline queue
+const MAX_SEND_ATTEMPTS = 3;
+
+// How long a remote op may wait for the ops it depends on before we ask the
+// server for the ones we missed
+const CAUSAL_GAP_TIMEOUT_MS = 3000;
+
+// A remote op that arrived before something it depends on
+interface HeldOperation {
+  event: string;
+  data: RemoteOperationData;
+  since: number;
+}
+
+// Must stay below the server's presence.staleAfterMs, or we'd be swept while connected
+const PRESENCE_HEARTBEAT_MS = 15000;
+
+// Drag frames are sent at most this often (~30 per second), latest position wins
+const DRAG_SEND_INTERVAL_MS = 33;
+// Same for our pointer position, which matters less
+const CURSOR_SEND_INTERVAL_MS = 50;
+// And for our viewport, which is only sent while someone follows us
+const VIEWPORT_SEND_INTERVAL_MS = 50;
+
+// Transaction origin of label doc updates that came from the server
+const REMOTE_ORIGIN = 'remote';
+
+// The server's id for our stay in a map, kept per tab so a reload or a
+// reconnect resumes that session instead of starting a new one
+const sessionKey = (mapId: string) => `session:${mapId}`;
+
+// Our copy of the map, saved when the tab unloads so a reload that resumes
+// its session only needs what changed since
+const copyKey = (mapId: string) => `copy:${mapId}`;
+
+interface MapCopy {
+  nodes: Node[];
+  edges: Edge[];
+  fieldClocks: Record<string, FieldClocks>;
+  vectorClock: VectorClock;
+  deliveredClock: VectorClock;
+}
+
+const saveMapCopy = (mapId: string) => {
+  const { nodes, edges, fieldClocks, vectorClock, deliveredClock, lastSequence } = useMindMapStore.getState();
+  // Nothing synced yet: there is nothing worth resuming from
+  if (lastSequence === null) return;
+  const copy: MapCopy = { nodes, edges, fieldClocks, vectorClock, deliveredClock };
+  try {
+    sessionStorage.setItem(copyKey(mapId), JSON.stringify(copy));
+  } catch {
+    console.warn('⚠️ Map too large to keep across a reload, the next load syncs it in full');
+  }
+};
+
+const takeMapCopy = (mapId: string): MapCopy | null => {
+  const saved = sessionStorage.getItem(copyKey(mapId));
+  sessionStorage.removeItem(copyKey(mapId));
+  try {
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+};
 
 interface UseWebSocketOptions {
   url: string;
   userId: string;
   mapId?: string;
+  displayName?: string;
   onConnect?: () => void;
   onDisconnect?: () => void;
   onError?: (error: Error) => void;
 }
 
-export const useWebSocket = ({ url, userId, mapId, onConnect, onDisconnect, onError }: UseWebSocketOptions) => {
+export const useWebSocket = ({ url, userId, mapId, displayName, onConnect, onDisconnect, onError }: UseWebSocketOptions) => {
   const [isConnected, setIsConnected] = useState(false);
   const [reconnectAttempts, setReconnectAttempts] = useState(0);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [syncMode, setSyncMode] = useState<SyncMode>('socket');
   const socketRef = useRef<Socket | null>(null);
+  // True while the offline queue drains; new edits queue behind it to keep order
+  const replayingRef = useRef(false);
+  // Latest unsent drag frame per node, flushed by a single throttle timer
+  const dragFramesRef = useRef(new Map<string, { position: Position; hlc: HybridTimestamp }>());
+  const dragTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const cursorRef = useRef<Position | null>(null);
+  const cursorTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const viewportDirtyRef = useRef(false);
+  const viewportTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Shared docs of the labels we're typing in, by node id
+  const labelDocsRef = useRef(new Map<string, Y.Doc>());
+  // Remote ops waiting for their dependencies, in arrival order
+  const heldOpsRef = useRef<HeldOperation[]>([]);
+  const gapTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
   const store = useMindMapStore();
+  const queueKey = mapId ?? '';
+
+  const refreshQueuedCount = async () => {
+    setQueuedCount((await getQueuedOperations(queueKey)).length);
+  };
+
+  const handleAck = (ack: OperationAck) => {
+    if (ack.ok) {
+      store.confirmOperation(ack.operationId, ack.serverSequence ?? 0, ack.hlc);
+      if (ack.serverSequence !== undefined) store.noteSequence(ack.serverSequence);
+      store.mergeClock(ack.vectorClock);
+    } else {
+      store.rejectOperation(ack.operationId, ack.error);
+    }
+  };
+
+  // Replay edits made while offline, oldest first, waiting for each ack so
+  // the server applies them in the order they were made. Whatever changed on
+  // the server meanwhile is resolved per op: a rejection (e.g. the node was
+  // deleted by someone else) reverts just that edit locally. A timeout stops
+  // the replay and leaves the rest queued for the next connection.
+  const replayOfflineQueue = async (socket: Socket) => {
+    replayingRef.current = true;
+    try {
+      for (;;) {
+        const queued = await getQueuedOperations(queueKey);
+        if (queued.length === 0) break;
+
+        console.log('📤 REPLAY: Sending', queued.length, 'queued operation(s)');
+        for (const op of queued) {
+          let ack: OperationAck;
+          for (;;) {
+            try {
+              ack = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(op.event, op.data);
+            } catch {
+              console.warn('⏱️ Replay stalled on', op.event, op.operationId, '- keeping the rest queued');
+              return;
+            }
+            // A long queue can outrun the server's rate limit: wait, then resend
+            if (ack.ok || ack.error.code !== 'RATE_LIMITED') break;
+            const retryAfterMs = ack.error.retryAfterMs ?? 1000;
+            await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+          }
+          await removeQueuedOperation(op.queueId!);
+          handleAck(ack);
+        }
+      }
+    } finally {
+      replayingRef.current = false;
+      await refreshQueuedCount();
+    }
+  };
 
   useEffect(() => {
     // Initialize socket connection
@@ -29,26 +176,95 @@ export const useWebSocket = ({ url, userId, mapId, onConnect, onDisconnect, onEr
     });
 
     socketRef.current = socket;
+    const dragFrames = dragFramesRef.current;
+    const labelDocs = labelDocsRef.current;
+    const heldOps = heldOpsRef.current;
+
+    // Edits queued before a reload are still waiting in IndexedDB
+    refreshQueuedCount();
+
+    // Show the copy from before a reload straight away. It carries our clock,
+    // so new edits count on from the ones we already made. How far it got is
+    // only trusted from the session the server resumes.
+    const restored = mapId ? takeMapCopy(mapId) : null;
+    if (restored) {
+      store.syncState(restored.nodes, restored.edges, restored.fieldClocks);
+      store.mergeClock(restored.vectorClock);
+      store.markDelivered(restored.deliveredClock);
+    }
+    const onPageHide = () => {
+      if (mapId) saveMapCopy(mapId);
+    };
+    window.addEventListener('pagehide', onPageHide);
 
     // Connection handlers
-    socket.on('connect', () => {
+    socket.on('connect', async () => {
       console.log('✅ WebSocket connected');
       setIsConnected(true);
       setReconnectAttempts(0);
       onConnect?.();
       
-      // Join map if mapId provided
+      // Join map if mapId provided; the server answers with the map's sync mode
+      let mode: SyncMode = 'socket';
       if (mapId) {
-        socket.emit('join-map', { mapId });
+        try {
+          const resumeId = sessionStorage.getItem(sessionKey(mapId)) ?? undefined;
+          const sentAt = Date.now();
+          const joined: {
+            syncMode?: SyncMode;
+            session?: { sessionId: string; resumed: boolean; lastSequence?: number | null };
+            serverTime?: number;
+          } =
+            await socket.timeout(ACK_TIMEOUT_MS).emitWithAck('join-map', { mapId, displayName, sessionId: resumeId });
+          mode = joined?.syncMode ?? 'socket';
+          // Stamp edits on the server's clock, however far off ours is
+          if (joined?.serverTime !== undefined) {
+            store.setClockOffset(estimateClockOffset(joined.serverTime, sentAt, Date.now()));
+          }
+          if (joined?.session) {
+            sessionStorage.setItem(sessionKey(mapId), joined.session.sessionId);
+            console.log(joined.session.resumed ? '🔁 Resumed session' : '🆕 Started session', joined.session.sessionId);
+          }
+          // The resumed session knows the sequence our copy had reached at its
+          // last heartbeat; ops after it that the copy already has are harmless
+          // to replay. Without a resumed session the copy is synced in full.
+          const session = joined?.session;
+          if (restored && session?.resumed && typeof session.lastSequence === 'number'
+            && useMindMapStore.getState().lastSequence === null) {
+            store.setLastSequence(session.lastSequence);
+          }
+        } catch {
+          console.warn('⏱️ No answer to join-map, assuming socket sync');
+        }
+      }
+      setSyncMode(mode);
+      
+      // The server starts every session with nothing selected
+      const { selectedNodeId, editingNodeId } = useMindMapStore.getState();
+      if (selectedNodeId || editingNodeId) {
+        socket.emit('presence:update', { selectedNodeId, editingNodeId });
       }
       
-      // Request initial sync
-      socket.emit('sync:request', { mapId });
+      // A Yjs map syncs its graph through the Y.Doc provider instead
+      if (mode === 'yjs') return;
+      
+      // Flush offline edits before syncing so the snapshot already contains them
+      await replayOfflineQueue(socket);
+      
+      // Only ask for what we missed if we already hold a synced copy
+      const sinceSequence = useMindMapStore.getState().lastSequence;
+      socket.emit('sync:request', { mapId, sinceSequence: sinceSequence ?? undefined });
     });
 
     socket.on('disconnect', () => {
       console.log('❌ WebSocket disconnected');
       setIsConnected(false);
+      // Who's there (and who holds what) is unknown until we rejoin
+      store.setPresence(null, []);
+      store.setLeases([]);
+      // The server closed our label docs; whatever we type now is saved
+      // as a plain rename when the editor closes
+      labelDocs.clear();
       onDisconnect?.();
     });
 
@@ -59,76 +275,331 @@ export const useWebSocket = ({ url, userId, mapId, onConnect, onDisconnect, onEr
     });
 
     // Sync handler - Load initial data from server
-    socket.on('sync:response', (data: { nodes: Node[], edges: Edge[] }) => {
+    socket.on('sync:response', (data: {
+      nodes: Node[], edges: Edge[], serverSequence?: number, vectorClock?: VectorClock,
+      fieldClocks?: Record<string, FieldClocks>
+    }) => {
       console.log('📥 SYNC: Received', data.nodes?.length || 0, 'nodes and', data.edges?.length || 0, 'edges');
-      store.syncState(data.nodes || [], data.edges || []);
-    });
-
-    // ========== REMOTE NODE OPERATIONS ==========
-    
-    socket.on('node:add', (data: { node: Node, userId: string }) => {
-      if (data.userId !== userId) {
-        console.log('📥 REMOTE: node:add', data.node.id, data.node.label);
-        store.addNodeRemote(data.node);
+      store.syncState(data.nodes || [], data.edges || [], data.fieldClocks);
+      store.setLastSequence(data.serverSequence ?? null);
+      store.mergeClock(data.vectorClock);
+      store.markDelivered(data.vectorClock);
+      // Held ops the snapshot already contains are done with
+      if (data.serverSequence !== undefined) {
+        const snapshotSequence = data.serverSequence;
+        heldOps.splice(0, heldOps.length, ...heldOps.filter(held =>
+          held.data.serverSequence === undefined || held.data.serverSequence > snapshotSequence
+        ));
       }
+      releaseHeldOperations();
     });
 
-    socket.on('node:remove', (data: { nodeId: string, userId: string }) => {
-      if (data.userId !== userId) {
+    // ========== REMOTE OPERATIONS ==========
+    // Shared by live broadcasts and sync:delta replays
+
+    const remoteHandlers: Record<string, (data: RemoteOperationData) => void> = {
+      'node:add': (data) => {
+        console.log('📥 REMOTE: node:add', data.node!.id, data.node!.label);
+        store.addNodeRemote(data.node!, data.hlc);
+      },
+
+      'node:remove': (data) => {
         console.log('📥 REMOTE: node:remove', data.nodeId);
-        store.removeNodeRemote(data.nodeId);
-      }
-    });
+        store.removeNodeRemote(data.nodeId!);
+      },
 
-    socket.on('node:update', (data: { nodeId: string, updates: Partial<Node>, userId: string }) => {
-      if (data.userId !== userId) {
+      'node:update': (data) => {
         console.log('📥 REMOTE: node:update', data.nodeId);
-        store.updateNodeRemote(data.nodeId, data.updates);
-      }
-    });
+        store.updateNodeRemote(data.nodeId!, data.updates!, data.hlc);
+      },
 
-    socket.on('node:move', (data: { nodeId: string, position: { x: number, y: number }, userId: string }) => {
-      if (data.userId !== userId) {
-        store.moveNodeRemote(data.nodeId, data.position);
-      }
-    });
+      'node:move': (data) => {
+        store.moveNodeRemote(data.nodeId!, data.position!, data.hlc);
+      },
 
-    // ========== REMOTE EDGE OPERATIONS ==========
-    
-    socket.on('edge:add', (data: { edge?: Edge, source: string, target: string, userId: string }) => {
-      if (data.userId !== userId) {
+      'edge:add': (data) => {
         console.log('📥 REMOTE: edge:add', `${data.source} -> ${data.target}`);
         
         // Create edge with remote data
         const edge: Edge = data.edge || {
           id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-          source: data.source,
-          target: data.target
+          source: data.source!,
+          target: data.target!
         };
         
         store.addEdgeRemote(edge);
+      },
+
+      'edge:remove': (data) => {
+        console.log('📥 REMOTE: edge:remove', data.edgeId);
+        store.removeEdgeRemote(data.edgeId!);
+      },
+
+      // Graph fixes (orphan flags, depths) the canvas doesn't show; the op
+      // still takes up a sequence number, which is what we need it for
+      'node:annotate': () => {},
+    };
+
+    const applyRemoteOperation = (event: string, data: RemoteOperationData) => {
+      if (data.userId !== userId) {
+        remoteHandlers[event]?.(data);
+      } else if (data.operationId) {
+        // Our own op, seen again after missing its ack
+        store.confirmOperation(data.operationId, data.serverSequence ?? 0, data.hlc);
       }
+      if (data.serverSequence !== undefined) {
+        store.noteSequence(data.serverSequence);
+      }
+      store.mergeClock(data.vectorClock);
+      store.markDelivered(data.vectorClock);
+      store.observeHlc(data.hlc);
+    };
+
+    // ========== CAUSAL DELIVERY ==========
+    // Ops can arrive out of order (across reconnects, or relayed between
+    // server instances): one that depends on an op we haven't applied yet,
+    // like an edge to a node we haven't received, is held until it has
+
+    const isDuplicate = (serverSequence?: number) => {
+      if (serverSequence === undefined) return false;
+      const { lastSequence, sequencesAhead } = useMindMapStore.getState();
+      return (lastSequence !== null && serverSequence <= lastSequence)
+        || sequencesAhead.includes(serverSequence)
+        || heldOps.some(held => held.data.serverSequence === serverSequence);
+    };
+
+    const isReady = (data: RemoteOperationData) =>
+      isCausallyReady(data.dependencies ?? {}, useMindMapStore.getState().deliveredClock);
+
+    const receiveRemoteOperation = (event: string, data: RemoteOperationData) => {
+      // Sync replays resend ops that already arrived live
+      if (isDuplicate(data.serverSequence)) return;
+
+      if (!isReady(data)) {
+        console.log('⏸️ HOLD:', event, data.serverSequence, 'until the ops it depends on arrive');
+        heldOps.push({ event, data, since: Date.now() });
+        scheduleGapRequest();
+        return;
+      }
+      applyRemoteOperation(event, data);
+      releaseHeldOperations();
+    };
+
+    // Apply every held op that has become ready; each one applied may unblock others
+    const releaseHeldOperations = () => {
+      for (let i = 0; i < heldOps.length; ) {
+        if (isReady(heldOps[i].data)) {
+          const [held] = heldOps.splice(i, 1);
+          console.log('▶️ RELEASE:', held.event, held.data.serverSequence);
+          applyRemoteOperation(held.event, held.data);
+          i = 0;
+        } else {
+          i++;
+        }
+      }
+      scheduleGapRequest();
+    };
+
+    // Time the gap request from the oldest op still waiting
+    const scheduleGapRequest = () => {
+      if (gapTimerRef.current) clearTimeout(gapTimerRef.current);
+      gapTimerRef.current = null;
+      const [oldest] = heldOps;
+      if (!oldest) return;
+      const delay = Math.max(0, oldest.since + CAUSAL_GAP_TIMEOUT_MS - Date.now());
+      gapTimerRef.current = setTimeout(requestGap, delay);
+    };
+
+    // Something we depend on never came: ask for everything after the last
+    // sequence we have without gaps. The answer goes through receiveRemoteOperation.
+    const requestGap = () => {
+      gapTimerRef.current = null;
+      if (heldOps.length === 0) return;
+      if (socket.connected && mapId) {
+        const sinceSequence = useMindMapStore.getState().lastSequence;
+        console.warn('🕳️ GAP:', heldOps.length, 'operation(s) still waiting, requesting everything since', sinceSequence);
+        socket.emit('sync:request', { mapId, sinceSequence: sinceSequence ?? undefined });
+      }
+      // Ask again later if that doesn't unblock them either
+      const now = Date.now();
+      for (const held of heldOps) held.since = now;
+      scheduleGapRequest();
+    };
+
+    for (const event of Object.keys(remoteHandlers)) {
+      socket.on(event, (data: RemoteOperationData) => receiveRemoteOperation(event, data));
+    }
+
+    // Someone else's drag in progress. Not an operation: no sequence, no ack.
+    socket.on('node:drag', (data: RemoteOperationData) => {
+      if (data.userId === userId) return;
+      store.dragNodeRemote(data.nodeId!, data.position!, data.userId, data.hlc);
+      store.observeHlc(data.hlc);
     });
 
-    socket.on('edge:remove', (data: { edgeId: string, userId: string }) => {
-      if (data.userId !== userId) {
-        console.log('📥 REMOTE: edge:remove', data.edgeId);
-        store.removeEdgeRemote(data.edgeId);
+    // Incremental resync: just the operations missed while disconnected
+    socket.on('sync:delta', (data: SyncDeltaPayload) => {
+      console.log('📥 SYNC: Replaying', data.operations.length, 'missed operation(s)');
+      for (const op of data.operations) {
+        receiveRemoteOperation(op.event, op.data);
+      }
+      // The server has sent everything up to its clock, so nothing held waits on more
+      store.markDelivered(data.vectorClock);
+      releaseHeldOperations();
+      store.setLastSequence(data.serverSequence);
+      store.mergeClock(data.vectorClock);
+    });
+
+    // The server refused one of our edits (the ack already rolled it back)
+    socket.on('operation:error', (data: OperationError & { operationId?: string }) => {
+      console.warn('⛔ OPERATION ERROR:', data.code, data.message);
+      store.pushNotice({ kind: 'error', code: data.code, message: data.message });
+    });
+
+    // The server kept a node or edge we created under another id. Arrives
+    // before the ack, so the rename is in place when the op is confirmed.
+    socket.on('id:remap', (data: IdRemap) => {
+      store.remapId(data);
+      remapQueuedOperations(queueKey, data.from, data.to);
+    });
+
+    // Someone's edit depends on one of ours the server hasn't got: send what
+    // is still queued rather than leave it waiting. Ops in flight resend by
+    // themselves when their ack doesn't come.
+    socket.on('operation:resend', (data: { mapId: string; appliedThrough: number }) => {
+      console.warn('🕳️ RESEND: the server has our edits only through', data.appliedThrough);
+      if (!replayingRef.current) replayOfflineQueue(socket);
+    });
+
+    // Too many events, or one too large. Replay waits these out by itself.
+    socket.on('rate:limited', (data: RateLimited) => {
+      console.warn('🚦 RATE LIMITED:', data.event, data.code, data.message);
+      if (data.disconnect) {
+        store.pushNotice({ kind: 'error', code: data.code, message: 'Disconnected by the server for sending too many changes' });
+      } else if (!(replayingRef.current && data.code === 'RATE_LIMITED')) {
+        store.pushNotice({ kind: 'warning', code: data.code, message: data.message });
       }
     });
 
+    // ========== CONFLICTS ==========
+
+    // Open conflicts we are part of, sent on join
+    socket.on('conflict:list', (data: { mapId: string; conflicts: Conflict[] }) => {
+      store.setConflicts(data.conflicts);
+    });
+
+    socket.on('conflict:detected', (data: { conflict: Conflict }) => {
+      console.log('⚔️ CONFLICT:', data.conflict.kind, data.conflict.entityId);
+      store.addConflict(data.conflict);
+      store.pushNotice({ kind: 'warning', code: 'CONFLICT', message: data.conflict.reason });
+    });
+
+    // Settled by us in another tab, or by the other side
+    socket.on('conflict:resolved', (data: { conflictId: string }) => {
+      store.removeConflict(data.conflictId);
+    });
+
     // ========== CURSOR UPDATES ==========
     
-    socket.on('cursor:update', (data: { userId: string, position: { x: number, y: number }, color: string }) => {
+    socket.on('cursor:update', (data: { userId: string, position: Position, color?: string, displayName?: string }) => {
       if (data.userId !== userId) {
         store.updateCursor(data.userId, {
           userId: data.userId,
           position: data.position,
-          color: data.color
+          color: data.color ?? '#64748B',
+          username: data.displayName
         });
       }
     });
 
+    // ========== PRESENCE ==========
+
+    socket.on('presence:list', (data: { sessionId: string; sessions: PresenceSession[] }) => {
+      store.setPresence(data.sessionId, data.sessions);
+    });
+
+    socket.on('presence:join', (data: { session: PresenceSession }) => {
+      console.log('👋 User joined:', data.session.displayName);
+      store.upsertPresence(data.session);
+    });
+
+    socket.on('presence:update', (data: { session: PresenceSession }) => {
+      store.upsertPresence(data.session);
+    });
+
+    socket.on('presence:leave', (data: { sessionId: string; userId: string }) => {
+      store.removePresence(data.sessionId);
+      store.removeCursor(data.userId);
+    });
+
+    // ========== FOLLOW MODE ==========
+
+    // The session we follow moved its view
+    socket.on('viewport:update', (data: { sessionId: string; viewport: Viewport }) => {
+      if (data.sessionId === useMindMapStore.getState().followingSessionId) {
+        store.applyViewport(data.viewport);
+      }
+    });
+
+    // A presenter brought everyone to their view; keep following them
+    socket.on('viewport:summon', (data: { sessionId: string; displayName: string; viewport: Viewport }) => {
+      store.applyViewport(data.viewport);
+      store.followSession(data.sessionId);
+      store.pushNotice({ kind: 'info', message: `Following ${data.displayName}; pan or zoom to stop` });
+    });
+
+    // Stream our view while anyone follows us, and once more when someone
+    // starts to, so they don't wait for us to move
+    const countFollowers = (state: ReturnType<typeof useMindMapStore.getState>) =>
+      Object.values(state.presence).filter(s => s.sessionId !== state.sessionId && s.followingSessionId === state.sessionId).length;
+    const unsubscribeViewport = useMindMapStore.subscribe((state, prev) => {
+      const followers = countFollowers(state);
+      if (followers === 0) return;
+      if (state.viewState !== prev.viewState || followers > countFollowers(prev)) {
+        emitViewport();
+      }
+    });
+
+    // ========== LABEL EDITING ==========
+
+    socket.on('label:update', (data: { nodeId: string; update: ArrayBuffer }) => {
+      const doc = labelDocs.get(data.nodeId);
+      if (doc) Y.applyUpdate(doc, new Uint8Array(data.update), REMOTE_ORIGIN);
+    });
+
+    socket.on('lease:list', (data: { leases: EditLease[] }) => {
+      store.setLeases(data.leases);
+    });
+
+    socket.on('lease:granted', (data: { lease: EditLease }) => {
+      store.grantLease(data.lease);
+    });
+
+    socket.on('lease:released', (data: { nodeId: string; sessionId: string }) => {
+      store.revokeLease(data.nodeId, data.sessionId);
+    });
+
+    // The server ended our session (e.g. an admin terminated it) and dropped
+    // the connection; socket.io won't reconnect on its own after that
+    socket.on('session:terminated', (data: { reason?: string }) => {
+      if (mapId) {
+        sessionStorage.removeItem(sessionKey(mapId));
+        sessionStorage.removeItem(copyKey(mapId));
+      }
+      store.pushNotice({
+        kind: 'error',
+        code: 'SESSION_TERMINATED',
+        message: `Your session was ended${data.reason ? `: ${data.reason}` : ''}. Reload to rejoin.`,
+      });
+    });
+
+    // Also tells the server how far we've synced, for our stored session
+    const heartbeat = setInterval(() => {
+      if (!socket.connected) return;
+      const { lastSequence, vectorClock } = useMindMapStore.getState();
+      socket.emit('presence:heartbeat', { lastSequence, vectorClock });
+    }, PRESENCE_HEARTBEAT_MS);
+
     socket.on('user:left', (data: { userId: string }) => {
       console.log('👋 User left:', data.userId);
       store.removeCursor(data.userId);
@@ -136,13 +607,27 @@ export const useWebSocket = ({ url, userId, mapId, onConnect, onDisconnect, onEr
 
     // Cleanup
     return () => {
+      clearInterval(heartbeat);
+      window.removeEventListener('pagehide', onPageHide);
+      unsubscribeViewport();
+      if (viewportTimerRef.current) clearTimeout(viewportTimerRef.current);
+      viewportTimerRef.current = null;
+      if (dragTimerRef.current) clearTimeout(dragTimerRef.current);
+      dragTimerRef.current = null;
+      if (cursorTimerRef.current) clearTimeout(cursorTimerRef.current);
+      cursorTimerRef.current = null;
+      if (gapTimerRef.current) clearTimeout(gapTimerRef.current);
+      gapTimerRef.current = null;
+      dragFrames.clear();
+      labelDocs.clear();
+      heldOps.length = 0;
       socket.disconnect();
       socketRef.current = null;
     };
   }, [url, userId, mapId]);
 
   // Emit functions
-  const emit = (event: string, data: any) => {
+  const emit = (event: string, data: Record<string, unknown>) => {
     if (socketRef.current?.connected) {
       socketRef.current.emit(event, { ...data, userId });
     } else {
@@ -150,63 +635,266 @@ export const useWebSocket = ({ url, userId, mapId, onConnect, onDisconnect, onEr
     }
   };
 
-  const emitNodeAdd = (node: Node) => {
+  // Emit a mutation and route the server's ack back to the store. While
+  // offline (or while the queue is replaying) the op goes to the durable
+  // queue instead.
+  // Ops are stamped with the vector clock when made, not when sent, so queued
+  // edits keep their place in causal order. userId is unique per tab, so it
+  // doubles as this replica's clock entry.
+  // The idempotency key stays the same however often the op is sent: the
+  // server applies it once and answers every resend with the original ack.
+  // Every op carries a hybrid timestamp; those that set node fields bring
+  // the one their fields were stamped with.
+  const emitOperation = (event: string, operationId: string, data: Record<string, unknown>) => {
+    const vectorClock = store.tickClock(userId);
+    const hlc = data.hlc ?? store.stampOperation();
+    const payload = { ...data, operationId, userId, vectorClock, hlc, idempotencyKey: `${userId}:${operationId}` };
+    sendOperation(event, operationId, payload, 1);
+  };
+
+  const queueOperation = (event: string, operationId: string, payload: Record<string, unknown>) => {
+    enqueueOperation({ mapId: queueKey, event, operationId, data: payload, queuedAt: Date.now() })
+      .then(refreshQueuedCount)
+      .catch(error => console.error('Failed to queue offline edit:', error));
+  };
+
+  // No ack may mean the op was lost or only its answer was, so it is resent
+  // as is. After the last attempt it waits in the queue for the next connection.
+  const sendOperation = (event: string, operationId: string, payload: Record<string, unknown>, attempt: number) => {
+    const socket = socketRef.current;
+    if (!socket?.connected || replayingRef.current) {
+      console.log('📦 QUEUE: Offline, queueing', event, operationId);
+      queueOperation(event, operationId, payload);
+      return;
+    }
+
+    socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err: Error | null, ack: OperationAck) => {
+      if (!err) {
+        handleAck(ack);
+      } else if (attempt < MAX_SEND_ATTEMPTS) {
+        console.warn('⏱️ No ack for', event, operationId, '- resending');
+        sendOperation(event, operationId, payload, attempt + 1);
+      } else {
+        console.warn('⏱️ No ack for', event, operationId, '- queueing it for the next connection');
+        queueOperation(event, operationId, payload);
+      }
+    });
+  };
+
+  const emitNodeAdd = (node: Node, operationId: string, hlc: HybridTimestamp, restore = false) => {
     console.log('📤 EMIT: node:add', node.id);
-    emit('node:add', { node });
+    emitOperation('node:add', operationId, { node, hlc, restore });
   };
 
-  const emitNodeRemove = (nodeId: string) => {
+  const emitNodeRemove = (nodeId: string, operationId: string) => {
     console.log('📤 EMIT: node:remove', nodeId);
-    emit('node:remove', { nodeId });
+    emitOperation('node:remove', operationId, { nodeId });
   };
 
-  const emitNodeUpdate = (nodeId: string, updates: Partial<Node>) => {
+  const emitNodeUpdate = (nodeId: string, updates: Partial<Node>, operationId: string, hlc: HybridTimestamp) => {
     console.log('📤 EMIT: node:update', nodeId);
-    emit('node:update', { nodeId, updates });
+    emitOperation('node:update', operationId, { nodeId, updates, hlc });
+  };
+
+  const emitNodeMove = (nodeId: string, position: { x: number, y: number }, operationId: string, hlc: HybridTimestamp) => {
+    // The move is the drag's final position; a frame still waiting would be older
+    dragFramesRef.current.delete(nodeId);
+    emitOperation('node:move', operationId, { nodeId, position, hlc });
   };
 
-  const emitNodeMove = (nodeId: string, position: { x: number, y: number }) => {
-    emit('node:move', { nodeId, position });
+  const sendDragFrames = () => {
+    const frames = dragFramesRef.current;
+    if (frames.size === 0) {
+      dragTimerRef.current = null;
+      return;
+    }
+    for (const [nodeId, frame] of frames) {
+      // Volatile: drag frames are never queued while offline
+      socketRef.current?.volatile.emit('node:drag', { nodeId, ...frame, userId });
+    }
+    frames.clear();
+    dragTimerRef.current = setTimeout(sendDragFrames, DRAG_SEND_INTERVAL_MS);
   };
 
-  const emitEdgeAdd = (source: string, target: string) => {
-    console.log('📤 EMIT: edge:add', `${source} -> ${target}`);
-    emit('edge:add', { source, target });
+  // Throttled: the first frame goes out at once, then at most one per
+  // interval, carrying only the latest position of each dragged node
+  const emitNodeDrag = (nodeId: string, position: Position, hlc: HybridTimestamp) => {
+    dragFramesRef.current.set(nodeId, { position, hlc });
+    if (!dragTimerRef.current) sendDragFrames();
   };
 
-  const emitEdgeRemove = (edgeId: string) => {
+  // Join the shared doc of a label: the server acks its current state, and
+  // from then on our changes to it are relayed to the other editors. The
+  // node's label in the store follows the doc, whoever typed.
+  const emitLabelOpen = async (nodeId: string) => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return null;
+
+    let ack: { ok: true; state: ArrayBuffer } | { ok: false; error: OperationError };
+    try {
+      ack = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck('label:open', { nodeId, userId });
+    } catch {
+      console.warn('⏱️ No answer to label:open', nodeId);
+      return null;
+    }
+    if (!ack.ok) {
+      console.warn('⛔ Cannot open label of', nodeId, ack.error.message);
+      return null;
+    }
+
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, new Uint8Array(ack.state), REMOTE_ORIGIN);
+    doc.on('update', (update: Uint8Array, origin: unknown) => {
+      if (origin === REMOTE_ORIGIN || labelDocsRef.current.get(nodeId) !== doc) return;
+      socketRef.current?.emit('label:update', { nodeId, update, userId });
+    });
+    const text = doc.getText('label');
+    text.observe(() => useMindMapStore.getState().updateNodeRemote(nodeId, { label: text.toString() }));
+
+    labelDocsRef.current.set(nodeId, doc);
+    return text;
+  };
+
+  // True if the server got everything typed into the label
+  const emitLabelClose = (nodeId: string) => {
+    if (!labelDocsRef.current.delete(nodeId)) return false;
+    emit('label:close', { nodeId });
+    return Boolean(socketRef.current?.connected);
+  };
+
+  const emitEdgeAdd = (edge: Edge, operationId: string, restore = false) => {
+    console.log('📤 EMIT: edge:add', `${edge.source} -> ${edge.target}`);
+    emitOperation('edge:add', operationId, { edge, source: edge.source, target: edge.target, restore });
+  };
+
+  const emitEdgeRemove = (edgeId: string, operationId: string) => {
     console.log('📤 EMIT: edge:remove', edgeId);
-    emit('edge:remove', { edgeId });
+    emitOperation('edge:remove', operationId, { edgeId });
   };
 
-  const emitCursorUpdate = (position: { x: number, y: number }, color: string) => {
-    emit('cursor:update', { position, color });
+  const sendCursor = () => {
+    const position = cursorRef.current;
+    if (!position) {
+      cursorTimerRef.current = null;
+      return;
+    }
+    socketRef.current?.volatile.emit('cursor:update', { position, userId });
+    cursorRef.current = null;
+    cursorTimerRef.current = setTimeout(sendCursor, CURSOR_SEND_INTERVAL_MS);
   };
 
-  // Connect emit functions to store on mount
-  useEffect(() => {
-    if (isConnected) {
-      console.log('🔗 Connecting emit functions to store');
-      store.setEmitFunctions({
-        emitNodeAdd,
-        emitNodeRemove,
-        emitNodeUpdate,
-        emitNodeMove,
-        emitEdgeAdd,
-        emitEdgeRemove,
-      });
+  // Throttled like drag frames; the server adds our presence name and color
+  const emitCursorUpdate = (position: Position) => {
+    cursorRef.current = position;
+    if (!cursorTimerRef.current) sendCursor();
+  };
+
+  const sendViewport = () => {
+    if (!viewportDirtyRef.current) {
+      viewportTimerRef.current = null;
+      return;
     }
-  }, [isConnected]);
+    const { viewState } = useMindMapStore.getState();
+    const viewport = toViewport(viewState, { width: window.innerWidth, height: window.innerHeight });
+    socketRef.current?.volatile.emit('viewport:update', { viewport, userId });
+    viewportDirtyRef.current = false;
+    viewportTimerRef.current = setTimeout(sendViewport, VIEWPORT_SEND_INTERVAL_MS);
+  };
+
+  // Throttled too; the view is read when sent, so the latest one goes out
+  const emitViewport = () => {
+    viewportDirtyRef.current = true;
+    if (!viewportTimerRef.current) sendViewport();
+  };
+
+  const emitFollow = (sessionId: string | null) => {
+    emit('presence:update', { followingSessionId: sessionId });
+  };
+
+  const emitSummon = (viewport: Viewport) => {
+    console.log('📣 EMIT: viewport:summon');
+    emit('viewport:summon', { viewport });
+  };
+
+  const emitConflictResolve = (conflictId: string, resolution: ConflictResolution) => {
+    console.log('📤 EMIT: conflict:resolve', conflictId, resolution);
+    emit('conflict:resolve', { conflictId, resolution });
+  };
+
+  const emitSelection = (selectedNodeId: string | null, editingNodeId: string | null) => {
+    emit('presence:update', { selectedNodeId, editingNodeId });
+  };
+
+  // Lease requests resolve to ok while offline or when the server doesn't
+  // answer: the lock is a courtesy, not something to block editing on
+  const requestLease = async (event: 'lease:acquire' | 'lease:renew', nodeId: string): Promise<LeaseAck> => {
+    const socket = socketRef.current;
+    if (!socket?.connected) return { ok: true };
+    try {
+      return await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, { nodeId, userId });
+    } catch {
+      console.warn('⏱️ No answer to', event, nodeId);
+      return { ok: true };
+    }
+  };
+
+  const emitLeaseAcquire = (nodeId: string) => requestLease('lease:acquire', nodeId);
+  const emitLeaseRenew = (nodeId: string) => requestLease('lease:renew', nodeId);
+
+  const emitLeaseRelease = (nodeId: string) => {
+    emit('lease:release', { nodeId });
+  };
+
+  const emitPresenceUpdate = (displayName: string) => {
+    emit('presence:update', { displayName });
+  };
+
+  // Connect emit functions to store on mount. They are wired even while
+  // offline so edits made before the first connection still get queued.
+  // Yjs maps get theirs from useYjsSync.
+  useEffect(() => {
+    // Presence goes over this socket whatever the sync mode
+    store.setPresenceEmitFunctions({
+      emitCursorUpdate,
+      emitSelection,
+      emitLeaseAcquire,
+      emitLeaseRenew,
+      emitLeaseRelease,
+      emitFollow,
+      emitSummon,
+      emitConflictResolve,
+    });
+    if (syncMode === 'yjs') return;
+    console.log('🔗 Connecting emit functions to store');
+    // Local edits are timestamped with this id, so set it before any can be emitted
+    store.setClientId(userId);
+    store.setEmitFunctions({
+      emitNodeAdd,
+      emitNodeRemove,
+      emitNodeUpdate,
+      emitNodeMove,
+      emitNodeDrag,
+      emitLabelOpen,
+      emitLabelClose,
+      emitEdgeAdd,
+      emitEdgeRemove,
+    });
+  }, [isConnected, syncMode]);
 
   return {
     isConnected,
     reconnectAttempts,
+    queuedCount,
+    syncMode,
     emitNodeAdd,
     emitNodeRemove,
     emitNodeUpdate,
     emitNodeMove,
+    emitNodeDrag,
     emitEdgeAdd,
     emitEdgeRemove,
-    emitCursorUpdate
+    emitCursorUpdate,
+    emitSelection,
+    emitPresenceUpdate
   };
 };
\ No newline at end of file
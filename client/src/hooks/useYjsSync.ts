@@ -0,0 +1,180 @@
+import { useEffect, useState } from 'react';
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+import { useMindMapStore } from '../store/useMindMapStore';
+import type { Node, Edge } from '../types';
+import { applyTextChange } from '../utils/collaborativeText';
+
+interface UseYjsSyncOptions {
+  url: string;       // websocket origin of the server, e.g. ws://localhost:3000
+  mapId: string;
+  userId: string;
+  enabled: boolean;  // only maps whose syncMode is 'yjs'
+}
+
+// Doc layout (shared with server/src/services/yjsSync.js): 'nodes' maps each
+// node id to its own Y.Map so concurrent edits to different fields merge,
+// with the label as a Y.Text so concurrent typing merges too; 'edges' maps
+// each edge id to a plain edge object
+const toYNode = (node: Node): Y.Map<unknown> => {
+  const yNode = new Y.Map<unknown>();
+  for (const [key, value] of Object.entries(node)) {
+    if (value !== undefined) yNode.set(key, key === 'label' ? new Y.Text(value as string) : value);
+  }
+  return yNode;
+};
+
+// Docs created before labels were Y.Text hold plain strings; the first edit
+// converts them. (Two clients converting at once keep only one conversion.)
+const labelText = (yNode: Y.Map<unknown>): Y.Text => {
+  const label = yNode.get('label');
+  if (label instanceof Y.Text) return label;
+  const text = new Y.Text(typeof label === 'string' ? label : '');
+  yNode.set('label', text);
+  return text;
+};
+
+const fromYNode = (yNode: Y.Map<unknown>): Node => yNode.toJSON() as Node;
+
+/**
+ * Binds useMindMapStore to the map's Y.Doc. Local edits are written into the
+ * doc instead of being sent as socket operations (the server refuses those
+ * for a Yjs map and writes the doc back to the graph itself), and remote doc
+ * changes are applied through the store's remote actions.
+ */
+export const useYjsSync = ({ url, mapId, userId, enabled }: UseYjsSyncOptions) => {
+  const [isSynced, setIsSynced] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const store = useMindMapStore.getState();
+    const doc = new Y.Doc();
+    const yNodes = doc.getMap<Y.Map<unknown>>('nodes');
+    const yEdges = doc.getMap<Edge>('edges');
+    // The server serves every doc on /yjs and picks it by the room param
+    const provider = new WebsocketProvider(url, 'yjs', doc, { params: { room: mapId, clientId: userId } });
+
+    // The doc always converges, so there is no server verdict to wait for
+    const confirm = (operationId: string) => useMindMapStore.getState().confirmOperation(operationId, 0);
+
+    store.setEmitFunctions({
+      emitNodeAdd: (node, operationId) => {
+        yNodes.set(node.id, toYNode(node));
+        confirm(operationId);
+      },
+      emitNodeRemove: (nodeId, operationId) => {
+        doc.transact(() => {
+          yNodes.delete(nodeId);
+          const attached = [...yEdges.values()].filter(e => e.source === nodeId || e.target === nodeId);
+          for (const edge of attached) yEdges.delete(edge.id);
+        });
+        confirm(operationId);
+      },
+      emitNodeUpdate: (nodeId, updates, operationId) => {
+        const yNode = yNodes.get(nodeId);
+        if (yNode) {
+          doc.transact(() => {
+            for (const [key, value] of Object.entries(updates)) {
+              if (key === 'label') applyTextChange(labelText(yNode), value as string);
+              else yNode.set(key, value);
+            }
+          });
+        }
+        confirm(operationId);
+      },
+      emitNodeMove: (nodeId, position, operationId) => {
+        yNodes.get(nodeId)?.set('position', position);
+        confirm(operationId);
+      },
+      // Labels already live in the doc; the editor types straight into them
+      emitLabelOpen: async (nodeId) => {
+        const yNode = yNodes.get(nodeId);
+        return yNode ? labelText(yNode) : null;
+      },
+      emitLabelClose: () => true,
+      emitEdgeAdd: (edge, operationId) => {
+        yEdges.set(edge.id, edge);
+        confirm(operationId);
+      },
+      emitEdgeRemove: (edgeId, operationId) => {
+        yEdges.delete(edgeId);
+        confirm(operationId);
+      },
+    });
+
+    const upsertNode = (node: Node) => {
+      const state = useMindMapStore.getState();
+      if (state.nodes.some(n => n.id === node.id)) state.updateNodeRemote(node.id, node);
+      else state.addNodeRemote(node);
+    };
+
+    const onNodesChanged = (events: Y.YEvent<Y.AbstractType<unknown>>[], transaction: Y.Transaction) => {
+      const state = useMindMapStore.getState();
+
+      for (const event of events) {
+        // A label's text; our own typing too, which doesn't go through updateNode
+        if (event.target instanceof Y.Text) {
+          state.updateNodeRemote(event.path[0] as string, { label: event.target.toString() });
+          continue;
+        }
+        if (transaction.local) continue;
+
+        if (event.target === yNodes) {
+          // Nodes added, removed or replaced
+          event.changes.keys.forEach((change, nodeId) => {
+            if (change.action === 'delete') state.removeNodeRemote(nodeId);
+            else upsertNode(fromYNode(yNodes.get(nodeId)!));
+          });
+        } else {
+          // Fields of one node; the path is relative to yNodes
+          const nodeId = event.path[0] as string;
+          const yNode = event.target as Y.Map<unknown>;
+          const updates: Partial<Node> = {};
+          event.changes.keys.forEach((change, key) => {
+            if (change.action === 'delete') return;
+            const value = yNode.get(key);
+            Object.assign(updates, { [key]: value instanceof Y.Text ? value.toString() : value });
+          });
+          state.updateNodeRemote(nodeId, updates);
+        }
+      }
+    };
+
+    const onEdgesChanged = (event: Y.YMapEvent<Edge>, transaction: Y.Transaction) => {
+      if (transaction.local) return;
+      const state = useMindMapStore.getState();
+
+      event.changes.keys.forEach((change, edgeId) => {
+        if (change.action === 'delete') state.removeEdgeRemote(edgeId);
+        else state.addEdgeRemote(yEdges.get(edgeId)!);
+      });
+    };
+
+    // Once the doc has caught up with the server it is the whole truth
+    const onSync = (synced: boolean) => {
+      setIsSynced(synced);
+      if (!synced) return;
+      console.log('🔀 YJS: Synced', yNodes.size, 'nodes and', yEdges.size, 'edges');
+      useMindMapStore.getState().syncState(
+        [...yNodes.values()].map(fromYNode),
+        [...yEdges.values()]
+      );
+    };
+
+    yNodes.observeDeep(onNodesChanged);
+    yEdges.observe(onEdgesChanged);
+    provider.on('sync', onSync);
+
+    return () => {
+      provider.off('sync', onSync);
+      yNodes.unobserveDeep(onNodesChanged);
+      yEdges.unobserve(onEdgesChanged);
+      provider.destroy();
+      doc.destroy();
+      setIsSynced(false);
+    };
+  }, [url, mapId, userId, enabled]);
+
+  return { isSynced };
+};
@@ -0,0 +1,479 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { useMindMapStore } from './useMindMapStore';
+import type { Conflict, Node } from '../types';
+
+const initial = useMindMapStore.getState();
+const store = () => useMindMapStore.getState();
+
+const node = (id: string, extra: Partial<Node> = {}): Node => ({
+  id, label: id, position: { x: 0, y: 0 }, color: '#3b82f6', shape: 'circle', ...extra
+});
+
+// Emit functions as useWebSocket installs them; each records what it sent
+const connect = () => {
+  const emits = {
+    emitNodeAdd: vi.fn(),
+    emitNodeRemove: vi.fn(),
+    emitNodeUpdate: vi.fn(),
+    emitNodeMove: vi.fn(),
+    emitEdgeAdd: vi.fn(),
+    emitEdgeRemove: vi.fn()
+  };
+  store().setEmitFunctions(emits);
+  return emits;
+};
+
+// The operation id the last call of an emit function carried
+const sentOperation = (emit: ReturnType<typeof vi.fn>) =>
+  emit.mock.lastCall!.find(arg => typeof arg === 'string' && arg.startsWith('op_')) as string;
+
+const rejection = { code: 'NODE_NOT_FOUND', message: 'gone' };
+
+beforeEach(() => {
+  useMindMapStore.setState(initial, true);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.stubGlobal('window', { innerWidth: 800, innerHeight: 600 });
+});
+
+describe('pending operations', () => {
+  test('every local edit is sent with an operation id and stays pending until acked', () => {
+    const emits = connect();
+
+    store().addNode({ x: 10, y: 20 });
+    const operationId = sentOperation(emits.emitNodeAdd);
+
+    expect(store().pendingOps[operationId]).toMatchObject({ event: 'node:add', entityId: store().nodes[0].id });
+
+    store().confirmOperation(operationId, 1);
+    expect(store().pendingOps).toEqual({});
+  });
+
+  test('pending ops are counted per entity until each is acked or rejected', () => {
+    const emits = connect();
+    store().addNode({ x: 10, y: 20 });
+    const id = store().nodes[0].id;
+    const added = sentOperation(emits.emitNodeAdd);
+    store().updateNode(id, { label: 'Renamed' });
+    const renamed = sentOperation(emits.emitNodeUpdate);
+
+    expect(store().pendingByEntity).toEqual({ [id]: 2 });
+
+    store().confirmOperation(added, 1);
+    expect(store().pendingByEntity).toEqual({ [id]: 1 });
+
+    store().rejectOperation(renamed, rejection);
+    expect(store().pendingByEntity).toEqual({});
+  });
+
+  test('nothing is tracked while no socket is attached', () => {
+    store().addNode({ x: 10, y: 20 });
+    expect(store().pendingOps).toEqual({});
+  });
+});
+
+describe('rejectOperation', () => {
+  test('a rejected add removes the node and its edges', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a')] });
+    store().addNode({ x: 0, y: 0 });
+    const added = store().nodes[1].id;
+    const operationId = sentOperation(emits.emitNodeAdd);
+    useMindMapStore.setState({ edges: [{ id: 'e1', source: 'a', target: added }], selectedNodeId: added });
+
+    store().rejectOperation(operationId, rejection);
+
+    expect(store().nodes.map(n => n.id)).toEqual(['a']);
+    expect(store().edges).toEqual([]);
+    expect(store().selectedNodeId).toBeNull();
+    expect(store().pendingOps).toEqual({});
+  });
+
+  test('a rejected remove brings the node and its edges back', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a'), node('b')], edges: [{ id: 'e1', source: 'a', target: 'b' }] });
+    store().removeNode('b');
+
+    store().rejectOperation(sentOperation(emits.emitNodeRemove), rejection);
+
+    expect(store().nodes.map(n => n.id).sort()).toEqual(['a', 'b']);
+    expect(store().edges).toEqual([{ id: 'e1', source: 'a', target: 'b' }]);
+  });
+
+  test('a rejected update reverts only the fields no later edit changed', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a', { label: 'old', color: '#000000' })] });
+    store().updateNode('a', { label: 'new', color: '#ffffff' });
+    const operationId = sentOperation(emits.emitNodeUpdate);
+    store().updateNode('a', { color: '#ff0000' });
+
+    store().rejectOperation(operationId, rejection);
+
+    expect(store().nodes[0]).toMatchObject({ label: 'old', color: '#ff0000' });
+  });
+
+  test('a rejected move goes back unless the node was moved again', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a'), node('b')] });
+    store().moveNode('a', { x: 5, y: 5 });
+    store().rejectOperation(sentOperation(emits.emitNodeMove), rejection);
+    expect(store().nodes[0].position).toEqual({ x: 0, y: 0 });
+
+    store().moveNode('b', { x: 5, y: 5 });
+    const operationId = sentOperation(emits.emitNodeMove);
+    store().moveNode('b', { x: 9, y: 9 });
+    store().rejectOperation(operationId, rejection);
+    expect(store().nodes[1].position).toEqual({ x: 9, y: 9 });
+  });
+
+  test('a rejected edge removal restores the edge only if both ends still exist', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a'), node('b')], edges: [{ id: 'e1', source: 'a', target: 'b' }] });
+    store().removeEdge('e1');
+    const operationId = sentOperation(emits.emitEdgeRemove);
+    useMindMapStore.setState({ nodes: [node('a')] });
+
+    store().rejectOperation(operationId, rejection);
+
+    expect(store().edges).toEqual([]);
+  });
+
+  test('an unknown or already settled operation changes nothing', () => {
+    useMindMapStore.setState({ nodes: [node('a')] });
+    store().rejectOperation('op_unknown', rejection);
+    expect(store().nodes.map(n => n.id)).toEqual(['a']);
+  });
+});
+
+describe('remapId', () => {
+  test('renames a reassigned node in the graph, its edges and the edits still pending on it', () => {
+    const emits = connect();
+    useMindMapStore.setState({
+      nodes: [node('a'), node('b')],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }],
+      selectedNodeId: 'a',
+      fieldClocks: { a: { label: { time: 1, counter: 0, clientId: 'c1' } } }
+    });
+    store().moveNode('a', { x: 5, y: 5 });
+    const operationId = sentOperation(emits.emitNodeMove);
+
+    store().remapId({ kind: 'node', from: 'a', to: 'c1_a' });
+
+    expect(store().nodes.map(n => n.id)).toEqual(['c1_a', 'b']);
+    expect(store().edges).toEqual([{ id: 'e1', source: 'c1_a', target: 'b' }]);
+    expect(store().selectedNodeId).toBe('c1_a');
+    expect(Object.keys(store().fieldClocks)).toEqual(['c1_a']);
+    expect(store().pendingOps[operationId].entityId).toBe('c1_a');
+    expect(store().pendingByEntity).toEqual({ c1_a: 1 });
+  });
+});
+
+describe('undo and redo', () => {
+  // A map of a -> b, recorded as the first history step
+  const start = () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a'), node('b')], edges: [{ id: 'e1', source: 'a', target: 'b' }] });
+    store().saveToHistory();
+    return emits;
+  };
+
+  test('undoing a rename sends the old label as a tracked update', () => {
+    const emits = start();
+    store().updateNode('a', { label: 'Renamed' });
+
+    store().undo();
+
+    expect(store().nodes[0].label).toBe('a');
+    expect(emits.emitNodeUpdate.mock.lastCall!.slice(0, 2)).toEqual(['a', { label: 'a' }]);
+    expect(store().pendingOps[sentOperation(emits.emitNodeUpdate)]).toBeDefined();
+    expect(store().historyIndex).toBe(0);
+  });
+
+  test('undoing a removal restores the node and then its edges, redoing removes it again', () => {
+    const emits = start();
+    store().removeNode('b');
+
+    store().undo();
+
+    expect(store().nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(store().edges.map(e => e.id)).toEqual(['e1']);
+    expect(emits.emitNodeAdd).toHaveBeenLastCalledWith(node('b'), expect.any(String), expect.any(Object), true);
+    expect(emits.emitEdgeAdd).toHaveBeenLastCalledWith({ id: 'e1', source: 'a', target: 'b' }, expect.any(String), true);
+
+    emits.emitNodeRemove.mockClear();
+    store().redo();
+
+    expect(store().nodes.map(n => n.id)).toEqual(['a']);
+    expect(emits.emitNodeRemove).toHaveBeenCalledTimes(1);
+    expect(emits.emitEdgeRemove).toHaveBeenCalledTimes(0);
+  });
+
+  test('undoing an edge removal restores the edge, redoing removes it again', () => {
+    const emits = start();
+    store().removeEdge('e1');
+    emits.emitEdgeRemove.mockClear();
+
+    store().undo();
+    store().redo();
+
+    expect(emits.emitEdgeAdd).toHaveBeenCalledTimes(1);
+    expect(emits.emitEdgeRemove).toHaveBeenCalledWith('e1', expect.any(String));
+    expect(store().edges).toEqual([]);
+  });
+});
+
+describe('server sequences', () => {
+  test('nothing is noted before the first sync', () => {
+    store().noteSequence(3);
+    expect(store().lastSequence).toBeNull();
+  });
+
+  test('advances over a contiguous run', () => {
+    store().setLastSequence(4);
+    store().noteSequence(5);
+    store().noteSequence(6);
+    expect(store().lastSequence).toBe(6);
+  });
+
+  test('holds at a gap until the missing sequence arrives', () => {
+    store().setLastSequence(4);
+    store().noteSequence(6);
+    store().noteSequence(7);
+    expect(store().lastSequence).toBe(4);
+    expect(store().sequencesAhead.sort()).toEqual([6, 7]);
+
+    store().noteSequence(5);
+    expect(store().lastSequence).toBe(7);
+    expect(store().sequencesAhead).toEqual([]);
+  });
+
+  test('ignores sequences already covered', () => {
+    store().setLastSequence(4);
+    store().noteSequence(2);
+    store().noteSequence(4);
+    expect(store().lastSequence).toBe(4);
+    expect(store().sequencesAhead).toEqual([]);
+  });
+
+  test('a new baseline forgets what was ahead of the old one', () => {
+    store().setLastSequence(4);
+    store().noteSequence(9);
+    store().setLastSequence(10);
+    expect(store().sequencesAhead).toEqual([]);
+  });
+});
+
+describe('causality', () => {
+  test('our own ops count as delivered as soon as they are stamped', () => {
+    expect(store().tickClock('alice')).toEqual({ alice: 1 });
+    expect(store().deliveredClock).toEqual({ alice: 1 });
+  });
+
+  test('only ops actually applied here advance the delivered clock', () => {
+    store().mergeClock({ bob: 4 });
+    store().markDelivered({ bob: 2 });
+    store().markDelivered(undefined);
+
+    expect(store().vectorClock).toEqual({ bob: 4 });
+    expect(store().deliveredClock).toEqual({ bob: 2 });
+  });
+});
+
+describe('last writer wins', () => {
+  const at = (time: number, clientId = 'bob') => ({ time, counter: 0, clientId });
+
+  test('a remote update only takes the fields whose register it wins', () => {
+    useMindMapStore.setState({
+      nodes: [node('a', { label: 'mine', color: '#000000' })],
+      fieldClocks: { a: { label: at(200, 'alice'), color: at(100, 'alice') } }
+    });
+
+    store().updateNodeRemote('a', { label: 'theirs', color: '#ffffff' }, at(150));
+
+    expect(store().nodes[0]).toMatchObject({ label: 'mine', color: '#ffffff' });
+    expect(store().fieldClocks.a).toEqual({ label: at(200, 'alice'), color: at(150) });
+  });
+
+  test('concurrent edits converge whatever order they arrive in', () => {
+    const edits: [Partial<Node>, ReturnType<typeof at>][] = [
+      [{ color: '#ff0000', position: { x: 1, y: 1 } }, at(100, 'alice')],
+      [{ color: '#00ff00' }, at(100, 'bob')],
+      [{ position: { x: 9, y: 9 } }, at(90, 'carol')]
+    ];
+    const replay = (order: number[]) => {
+      useMindMapStore.setState({ nodes: [node('a')], fieldClocks: {} });
+      for (const i of order) store().updateNodeRemote('a', edits[i][0], edits[i][1]);
+      return store().nodes[0];
+    };
+
+    const first = replay([0, 1, 2]);
+    expect(replay([2, 1, 0])).toEqual(first);
+    expect(first).toMatchObject({ color: '#00ff00', position: { x: 1, y: 1 } });
+  });
+
+  test('a local edit stamps its fields after anything already seen', () => {
+    const emits = connect();
+    store().setClientId('alice');
+    useMindMapStore.setState({ nodes: [node('a')] });
+    const seen = at(Date.now() + 60000);
+    store().observeHlc(seen);
+
+    store().updateNode('a', { label: 'mine' });
+
+    const stamp = emits.emitNodeUpdate.mock.lastCall![3];
+    expect(stamp).toEqual({ time: seen.time, counter: 2, clientId: 'alice' });
+    expect(store().fieldClocks.a.label).toEqual(stamp);
+  });
+
+  test('local stamps follow the server\'s clock', () => {
+    const emits = connect();
+    store().setClientId('alice');
+    store().setClockOffset(60000);
+    useMindMapStore.setState({ nodes: [node('a')] });
+    const before = Date.now();
+
+    store().updateNode('a', { label: 'mine' });
+
+    expect(emits.emitNodeUpdate.mock.lastCall![3].time).toBeGreaterThanOrEqual(before + 60000);
+  });
+
+  test('an ack with another timestamp restamps the fields the op wrote', () => {
+    const emits = connect();
+    store().setClientId('alice');
+    useMindMapStore.setState({ nodes: [node('a')] });
+    store().updateNode('a', { label: 'mine' });
+    const restamp = at(5, 'server');
+
+    store().confirmOperation(sentOperation(emits.emitNodeUpdate), 1, restamp);
+
+    expect(store().fieldClocks.a.label).toEqual(restamp);
+    expect(store().pendingOps).toEqual({});
+  });
+
+  test('an update without a timestamp is applied as-is', () => {
+    useMindMapStore.setState({ nodes: [node('a')], fieldClocks: { a: { label: at(200) } } });
+
+    store().updateNodeRemote('a', { label: 'legacy' });
+
+    expect(store().nodes[0].label).toBe('legacy');
+  });
+});
+
+describe('notices', () => {
+  test('an edge that would close a cycle is refused with a notice', () => {
+    const emits = connect();
+    useMindMapStore.setState({
+      nodes: [node('a'), node('b'), node('c')],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }, { id: 'e2', source: 'b', target: 'c' }]
+    });
+
+    store().addEdge('c', 'a');
+
+    expect(store().edges).toHaveLength(2);
+    expect(emits.emitEdgeAdd).not.toHaveBeenCalled();
+    expect(store().notices).toEqual([expect.objectContaining({ kind: 'warning', code: 'WOULD_CREATE_CYCLE' })]);
+  });
+
+  test('only the last five are kept', () => {
+    for (let i = 0; i < 7; i++) {
+      store().pushNotice({ kind: 'error', code: `E${i}`, message: 'refused' });
+    }
+
+    expect(store().notices.map(n => n.code)).toEqual(['E2', 'E3', 'E4', 'E5', 'E6']);
+  });
+
+  test('a dismissed notice goes away', () => {
+    store().pushNotice({ kind: 'error', code: 'E1', message: 'refused' });
+    store().pushNotice({ kind: 'error', code: 'E2', message: 'refused' });
+
+    store().dismissNotice(store().notices[0].id);
+
+    expect(store().notices.map(n => n.code)).toEqual(['E2']);
+  });
+});
+
+describe('edit leases', () => {
+  const lease = (nodeId: string, sessionId: string) => ({
+    nodeId, sessionId, userId: `user_${sessionId}`, displayName: sessionId, color: '#3B82F6', expiresAt: ''
+  });
+
+  test('editing is allowed while offline', async () => {
+    expect(await store().acquireLease('a')).toEqual({ ok: true });
+  });
+
+  test('a granted lease is recorded, a refused one is not', async () => {
+    useMindMapStore.setState({
+      emitLeaseAcquire: async (nodeId: string) => (nodeId === 'a'
+        ? { ok: true, lease: lease('a', 's1') }
+        : { ok: false, lease: lease(nodeId, 's2'), error: { code: 'NODE_LOCKED', message: 's2 is editing this node' } })
+    });
+
+    await store().acquireLease('a');
+    const refused = await store().acquireLease('b');
+
+    expect(refused.ok).toBe(false);
+    expect(Object.keys(store().leases)).toEqual(['a']);
+  });
+
+  test('a release only drops the lease if that session still holds it', () => {
+    store().setLeases([lease('a', 's1')]);
+
+    store().revokeLease('a', 's2');
+    expect(store().leases.a).toBeDefined();
+
+    store().revokeLease('a', 's1');
+    expect(store().leases).toEqual({});
+  });
+});
+
+describe('conflicts', () => {
+  const conflict = (extra: Partial<Conflict>): Conflict => ({
+    conflictId: 'cf1',
+    mapId: 'm1',
+    kind: 'concurrent_edit',
+    entityType: 'node',
+    entityId: 'a',
+    field: 'label',
+    reason: 'Concurrent edits',
+    winner: { value: 'Theirs', clientId: 'bob', userId: 'bob' },
+    loser: { value: 'Mine', clientId: 'alice', userId: 'alice' },
+    snapshot: null,
+    status: 'open',
+    detectedAt: '',
+    ...extra
+  });
+
+  test('accepting closes the conflict on the server and here', () => {
+    const emitConflictResolve = vi.fn();
+    useMindMapStore.setState({ conflicts: [conflict({})], emitConflictResolve });
+
+    store().acceptConflict('cf1');
+
+    expect(emitConflictResolve).toHaveBeenCalledWith('cf1', 'accept');
+    expect(store().conflicts).toEqual([]);
+  });
+
+  test('re-applying a lost field sends it again as a new edit', () => {
+    const emits = connect();
+    useMindMapStore.setState({ nodes: [node('a', { label: 'Theirs' })], conflicts: [conflict({})] });
+
+    store().reapplyConflict('cf1');
+
+    expect(store().nodes[0].label).toBe('Mine');
+    expect(emits.emitNodeUpdate).toHaveBeenCalledWith('a', { label: 'Mine' }, expect.any(String), expect.anything());
+    expect(store().conflicts).toEqual([]);
+  });
+
+  test('re-applying an edit to a deleted node brings it back under a new id', () => {
+    const emits = connect();
+    useMindMapStore.setState({
+      conflicts: [conflict({ kind: 'edit_on_deleted', field: null, loser: { value: { label: 'Mine' }, clientId: 'alice', userId: 'alice' }, snapshot: node('a') })]
+    });
+
+    store().reapplyConflict('cf1');
+
+    expect(store().nodes).toEqual([expect.objectContaining({ label: 'Mine' })]);
+    expect(store().nodes[0].id).not.toBe('a');
+    expect(emits.emitNodeAdd).toHaveBeenCalled();
+  });
+});
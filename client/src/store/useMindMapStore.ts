@@ -1,47 +1,156 @@
 import { create } from 'zustand';
-import type { Node, Edge, Position, ViewState, HistoryState, Cursor } from '../types';
-import { generateId, getRandomColor, hasCycle, autoLayout } from '../utils/graphHelpers';
+import type { Text as YText } from 'yjs';
+import type {
+  Node, Edge, Position, ViewState, HistoryState, Cursor,
+  OperationError, PendingOperation, PendingOperationInput, Notice, VectorClock,
+  HybridTimestamp, NodeField, FieldClocks, PresenceSession, EditLease, LeaseAck, Viewport, IdRemap,
+  Conflict, ConflictResolution
+} from '../types';
+import { generateId, generateEntityId, getRandomColor, hasCycle, autoLayout, toViewport, fromViewport } from '../utils/graphHelpers';
+import { incrementClock, mergeClocks } from '../utils/vectorClock';
+import { tickHlc, receiveHlc, compareHlc } from '../utils/hybridClock';
+
+const LWW_FIELDS: NodeField[] = ['label', 'color', 'shape', 'position', 'textStyle'];
+
+const isLwwField = (key: string): key is NodeField => (LWW_FIELDS as string[]).includes(key);
+
+/**
+ * Splits a remote update into the fields it wins (its timestamp is newer than
+ * the field's register) and returns the registers after applying it. Updates
+ * without a timestamp come from older servers and are applied as-is.
+ */
+const resolveRemoteUpdate = (
+  clocks: FieldClocks = {},
+  updates: Partial<Node>,
+  hlc?: HybridTimestamp
+): { accepted: Partial<Node>; clocks: FieldClocks } => {
+  const accepted: Partial<Node> = {};
+  const next = { ...clocks };
+  for (const [key, value] of Object.entries(updates)) {
+    if (!isLwwField(key) || !hlc) {
+      Object.assign(accepted, { [key]: value });
+    } else if (compareHlc(hlc, clocks[key]) > 0) {
+      Object.assign(accepted, { [key]: value });
+      next[key] = hlc;
+    }
+  }
+  return { accepted, clocks: next };
+};
+
+interface PendingIndex {
+  pendingOps: Record<string, PendingOperation>;
+  pendingByEntity: Record<string, number>;
+}
+
+// Take one op out of pendingOps and out of its entity's count
+const withoutPending = ({ pendingOps, pendingByEntity }: PendingIndex, operationId: string): PendingIndex => {
+  const op = pendingOps[operationId];
+  if (!op) return { pendingOps, pendingByEntity };
+  const nextOps = { ...pendingOps };
+  delete nextOps[operationId];
+  const nextCounts = { ...pendingByEntity, [op.entityId]: (pendingByEntity[op.entityId] ?? 1) - 1 };
+  if (nextCounts[op.entityId] <= 0) delete nextCounts[op.entityId];
+  return { pendingOps: nextOps, pendingByEntity: nextCounts };
+};
 
 interface MindMapStore {
   // State
   nodes: Node[];
   edges: Edge[];
   selectedNodeId: string | null;
+  // Node whose label this user is editing
+  editingNodeId: string | null;
   connectMode: boolean;
   connectSourceId: string | null;
   history: HistoryState[];
   historyIndex: number;
   viewState: ViewState;
   cursors: Map<string, Cursor>;
+  // Everyone in the current map by session id, and which session is us
+  presence: Record<string, PresenceSession>;
+  sessionId: string | null;
+  // Edit leases in the current map by node id (ours included)
+  leases: Record<string, EditLease>;
+  // Session whose viewport we mirror, until we pan or zoom ourselves
+  followingSessionId: string | null;
   mapName: string;
   canvasRef: React.RefObject<SVGSVGElement> | null;
+  pendingOps: Record<string, PendingOperation>;
+  // How many of pendingOps touch each entity id, so a node or edge can tell
+  // it is unconfirmed without scanning them all
+  pendingByEntity: Record<string, number>;
+  // Highest server sequence up to which we've seen every operation (null = never synced)
+  lastSequence: number | null;
+  sequencesAhead: number[];
+  // Everything this replica has seen or produced; stamped on each emitted op
+  vectorClock: VectorClock;
+  // Only the ops actually applied here (ours, received ones and those in the
+  // last snapshot), which remote ops are held against until they're ready
+  deliveredClock: VectorClock;
+  // This replica's id (the per-tab userId) and last hybrid timestamp it issued or saw
+  clientId: string;
+  hlc: HybridTimestamp | null;
+  // Estimated server clock minus ours, so our stamps follow the server's time
+  clockOffset: number;
+  // Per node, the timestamp of the write each field currently holds
+  fieldClocks: Record<string, FieldClocks>;
+  // Nodes someone else is dragging right now -> that user's id
+  remoteDrags: Record<string, string>;
+  notices: Notice[];
+  // Unresolved conflicts we are on either side of, newest first
+  conflicts: Conflict[];
   
-  // WebSocket emit functions
-  emitNodeAdd: ((node: Node) => void) | null;
-  emitNodeRemove: ((nodeId: string) => void) | null;
-  emitNodeUpdate: ((nodeId: string, updates: Partial<Node>) => void) | null;
-  emitNodeMove: ((nodeId: string, position: Position) => void) | null;
-  emitEdgeAdd: ((source: string, target: string) => void) | null;
-  emitEdgeRemove: ((edgeId: string) => void) | null;
+  // WebSocket emit functions (the operationId ties the server's ack back to pendingOps)
+  // `restore` brings back the deleted node or edge of that id (undo, redo)
+  emitNodeAdd: ((node: Node, operationId: string, hlc: HybridTimestamp, restore?: boolean) => void) | null;
+  emitNodeRemove: ((nodeId: string, operationId: string) => void) | null;
+  emitNodeUpdate: ((nodeId: string, updates: Partial<Node>, operationId: string, hlc: HybridTimestamp) => void) | null;
+  emitNodeMove: ((nodeId: string, position: Position, operationId: string, hlc: HybridTimestamp) => void) | null;
+  // Unacknowledged, throttled position stream while a drag is in progress
+  emitNodeDrag: ((nodeId: string, position: Position, hlc: HybridTimestamp) => void) | null;
+  // Shared text of a label being edited (null when it can't be shared);
+  // closing says whether the server has everything typed into it
+  emitLabelOpen: ((nodeId: string) => Promise<YText | null>) | null;
+  emitLabelClose: ((nodeId: string) => boolean) | null;
+  emitEdgeAdd: ((edge: Edge, operationId: string, restore?: boolean) => void) | null;
+  emitEdgeRemove: ((edgeId: string, operationId: string) => void) | null;
+  // Presence: throttled pointer position and the node we have selected/are editing
+  emitCursorUpdate: ((position: Position) => void) | null;
+  emitSelection: ((selectedNodeId: string | null, editingNodeId: string | null) => void) | null;
+  emitLeaseAcquire: ((nodeId: string) => Promise<LeaseAck>) | null;
+  emitLeaseRenew: ((nodeId: string) => Promise<LeaseAck>) | null;
+  emitLeaseRelease: ((nodeId: string) => void) | null;
+  emitFollow: ((sessionId: string | null) => void) | null;
+  emitSummon: ((viewport: Viewport) => void) | null;
+  emitConflictResolve: ((conflictId: string, resolution: ConflictResolution) => void) | null;
 
   // Node actions (local + emit)
   addNode: (position?: Position, shape?: Node['shape']) => void;
-  removeNode: (id: string) => void;
-  updateNode: (id: string, updates: Partial<Node>) => void;
-  moveNode: (id: string, position: Position) => void;
+  insertNode: (node: Node) => void;
+  removeNode: (id: string, recordHistory?: boolean) => void;
+  // Bring back, under its id, a node an undo or redo re-adds
+  restoreNode: (node: Node) => void;
+  updateNode: (id: string, updates: Partial<Node>, recordHistory?: boolean) => void;
+  moveNode: (id: string, position: Position, previous?: Position) => void;
+  dragNode: (id: string, position: Position) => void;
+  openLabel: (id: string) => Promise<YText | null>;
+  closeLabel: (id: string) => boolean;
   selectNode: (id: string | null) => void;
+  setEditingNode: (id: string | null) => void;
   
   // Remote actions (no emit)
-  addNodeRemote: (node: Node) => void;
+  addNodeRemote: (node: Node, hlc?: HybridTimestamp) => void;
   removeNodeRemote: (id: string) => void;
-  updateNodeRemote: (id: string, updates: Partial<Node>) => void;
-  moveNodeRemote: (id: string, position: Position) => void;
+  updateNodeRemote: (id: string, updates: Partial<Node>, hlc?: HybridTimestamp) => void;
+  moveNodeRemote: (id: string, position: Position, hlc?: HybridTimestamp) => void;
+  dragNodeRemote: (id: string, position: Position, userId: string, hlc?: HybridTimestamp) => void;
   addEdgeRemote: (edge: Edge) => void;
   removeEdgeRemote: (id: string) => void;
   
   // Edge actions
   addEdge: (source: string, target: string) => void;
-  removeEdge: (id: string) => void;
+  removeEdge: (id: string, recordHistory?: boolean) => void;
+  restoreEdge: (edge: Edge) => void;
   
   // Connection mode
   setConnectMode: (enabled: boolean) => void;
@@ -51,6 +160,7 @@ interface MindMapStore {
   undo: () => void;
   redo: () => void;
   saveToHistory: () => void;
+  applyHistoryStep: (from: HistoryState, to: HistoryState) => void;
   
   // View
   setViewState: (viewState: Partial<ViewState>) => void;
@@ -59,6 +169,32 @@ interface MindMapStore {
   // Collaboration
   updateCursor: (userId: string, cursor: Cursor) => void;
   removeCursor: (userId: string) => void;
+  moveCursor: (position: Position) => void;
+  setPresence: (sessionId: string | null, sessions: PresenceSession[]) => void;
+  upsertPresence: (session: PresenceSession) => void;
+  removePresence: (sessionId: string) => void;
+  followSession: (sessionId: string | null) => void;
+  applyViewport: (viewport: Viewport) => void;
+  summonAll: () => void;
+  
+  // Edit leases
+  acquireLease: (nodeId: string) => Promise<LeaseAck>;
+  renewLease: (nodeId: string) => Promise<LeaseAck>;
+  releaseLease: (nodeId: string) => void;
+  setLeases: (leases: EditLease[]) => void;
+  grantLease: (lease: EditLease) => void;
+  revokeLease: (nodeId: string, sessionId: string) => void;
+
+  // Notices
+  pushNotice: (notice: Omit<Notice, 'id' | 'createdAt'>) => void;
+  dismissNotice: (id: string) => void;
+
+  // Conflicts
+  setConflicts: (conflicts: Conflict[]) => void;
+  addConflict: (conflict: Conflict) => void;
+  removeConflict: (conflictId: string) => void;
+  acceptConflict: (conflictId: string) => void;
+  reapplyConflict: (conflictId: string) => void;
 
   // Map actions
   setMapName: (name: string) => void; 
@@ -68,16 +204,51 @@ interface MindMapStore {
   autoLayoutNodes: () => void;
   
   // Sync
-  syncState: (nodes: Node[], edges: Edge[]) => void;
+  syncState: (nodes: Node[], edges: Edge[], fieldClocks?: Record<string, FieldClocks>) => void;
+  
+  // Server sequence tracking
+  setLastSequence: (sequence: number | null) => void;
+  noteSequence: (sequence: number) => void;
+  
+  // Causality
+  tickClock: (clientId: string) => VectorClock;
+  mergeClock: (clock?: VectorClock) => void;
+  markDelivered: (clock?: VectorClock) => void;
+  setClientId: (clientId: string) => void;
+  stampFields: (nodeId: string, fields: NodeField[]) => HybridTimestamp;
+  observeHlc: (hlc?: HybridTimestamp) => void;
+  stampOperation: () => HybridTimestamp;
+  setClockOffset: (offset: number) => void;
+  clockNow: () => number;
+  
+  // Acknowledged operations
+  trackOperation: (op: PendingOperationInput) => string;
+  confirmOperation: (operationId: string, serverSequence: number, hlc?: HybridTimestamp) => void;
+  rejectOperation: (operationId: string, error: OperationError) => void;
+  remapId: (remap: IdRemap) => void;
   
   // Set WebSocket emit functions
   setEmitFunctions: (emitFuncs: {
-    emitNodeAdd: (node: Node) => void;
-    emitNodeRemove: (nodeId: string) => void;
-    emitNodeUpdate: (nodeId: string, updates: Partial<Node>) => void;
-    emitNodeMove: (nodeId: string, position: Position) => void;
-    emitEdgeAdd: (source: string, target: string) => void;
-    emitEdgeRemove: (edgeId: string) => void;
+    emitNodeAdd: (node: Node, operationId: string, hlc: HybridTimestamp, restore?: boolean) => void;
+    emitNodeRemove: (nodeId: string, operationId: string) => void;
+    emitNodeUpdate: (nodeId: string, updates: Partial<Node>, operationId: string, hlc: HybridTimestamp) => void;
+    emitNodeMove: (nodeId: string, position: Position, operationId: string, hlc: HybridTimestamp) => void;
+    emitNodeDrag?: (nodeId: string, position: Position, hlc: HybridTimestamp) => void;
+    emitLabelOpen?: (nodeId: string) => Promise<YText | null>;
+    emitLabelClose?: (nodeId: string) => boolean;
+    emitEdgeAdd: (edge: Edge, operationId: string, restore?: boolean) => void;
+    emitEdgeRemove: (edgeId: string, operationId: string) => void;
+  }) => void;
+  // Presence always goes over the socket, whatever the map's sync mode
+  setPresenceEmitFunctions: (emitFuncs: {
+    emitCursorUpdate: (position: Position) => void;
+    emitSelection: (selectedNodeId: string | null, editingNodeId: string | null) => void;
+    emitLeaseAcquire: (nodeId: string) => Promise<LeaseAck>;
+    emitLeaseRenew: (nodeId: string) => Promise<LeaseAck>;
+    emitLeaseRelease: (nodeId: string) => void;
+    emitFollow: (sessionId: string | null) => void;
+    emitSummon: (viewport: Viewport) => void;
+    emitConflictResolve: (conflictId: string, resolution: ConflictResolution) => void;
   }) => void;
 }
 
@@ -86,37 +257,71 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
   nodes: [],
   edges: [],
   selectedNodeId: null,
+  editingNodeId: null,
   connectMode: false,
   connectSourceId: null,
   history: [],
   historyIndex: -1,
   viewState: { zoom: 1, offset: { x: 0, y: 0 } },
   cursors: new Map(),
+  presence: {},
+  sessionId: null,
+  leases: {},
+  followingSessionId: null,
   mapName: 'Untitled',
   canvasRef: null,
+  pendingOps: {},
+  pendingByEntity: {},
+  lastSequence: null,
+  sequencesAhead: [],
+  vectorClock: {},
+  deliveredClock: {},
+  clientId: '',
+  hlc: null,
+  clockOffset: 0,
+  fieldClocks: {},
+  remoteDrags: {},
+  notices: [],
+  conflicts: [],
   
   // WebSocket emit functions (initially null)
   emitNodeAdd: null,
   emitNodeRemove: null,
   emitNodeUpdate: null,
   emitNodeMove: null,
+  emitNodeDrag: null,
+  emitLabelOpen: null,
+  emitLabelClose: null,
   emitEdgeAdd: null,
   emitEdgeRemove: null,
+  emitCursorUpdate: null,
+  emitSelection: null,
+  emitLeaseAcquire: null,
+  emitLeaseRenew: null,
+  emitLeaseRelease: null,
+  emitFollow: null,
+  emitSummon: null,
+  emitConflictResolve: null,
 
   // ========== LOCAL ACTIONS (with emit) ==========
   
   addNode: (position, shape = 'circle') => { 
-    const { viewState, emitNodeAdd } = get();
+    const { viewState } = get();
     const centerX = (window.innerWidth / 2 - viewState.offset.x) / viewState.zoom;
     const centerY = (window.innerHeight / 2 - viewState.offset.y) / viewState.zoom;
     
-    const newNode: Node = {
-      id: generateId(),
+    get().insertNode({
+      id: generateEntityId(get().clientId),
       label: 'New Node',
       position: position || { x: centerX, y: centerY },
       color: getRandomColor(),
       shape: shape,
-    };
+    });
+  },
+
+  // Add a fully formed node (new id and all), selected
+  insertNode: (newNode) => {
+    const { emitNodeAdd } = get();
 
     console.log('🔵 LOCAL: Adding node', newNode.id);
 
@@ -124,15 +329,21 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
       nodes: [...state.nodes, newNode],
       selectedNodeId: newNode.id,
     }));
+    const hlc = get().stampFields(newNode.id, LWW_FIELDS);
+    get().emitSelection?.(newNode.id, get().editingNodeId);
     
     // Emit to other clients
-    emitNodeAdd?.(newNode);
+    if (emitNodeAdd) {
+      const operationId = get().trackOperation({ event: 'node:add', entityId: newNode.id, hlc });
+      emitNodeAdd(newNode, operationId, hlc);
+    }
     
     get().saveToHistory();
   },
   
-  removeNode: (id) => {
+  removeNode: (id, recordHistory = true) => {
     const state = get();
+    const removedNode = state.nodes.find(n => n.id === id);
     
     console.log('🔵 LOCAL: Removing node', id);
     
@@ -143,35 +354,105 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     });
     
     // Emit to other clients
-    state.emitNodeRemove?.(id);
+    if (state.emitNodeRemove && removedNode) {
+      const operationId = get().trackOperation({
+        event: 'node:remove',
+        entityId: id,
+        previous: {
+          node: removedNode,
+          edges: state.edges.filter(e => e.source === id || e.target === id)
+        }
+      });
+      state.emitNodeRemove(id, operationId);
+    }
     
-    get().saveToHistory();
+    if (recordHistory) {
+      get().saveToHistory();
+    }
+  },
+
+  restoreNode: (node) => {
+    const { emitNodeAdd } = get();
+
+    console.log('🔵 LOCAL: Restoring node', node.id);
+
+    set(state => ({ nodes: [...state.nodes, node] }));
+    const hlc = get().stampFields(node.id, LWW_FIELDS);
+
+    if (emitNodeAdd) {
+      const operationId = get().trackOperation({ event: 'node:add', entityId: node.id, hlc });
+      emitNodeAdd(node, operationId, hlc, true);
+    }
   },
 
-  updateNode: (id, updates) => {
-    const { emitNodeUpdate } = get();
+  updateNode: (id, updates, recordHistory = true) => {
+    const { emitNodeUpdate, nodes } = get();
+    const current = nodes.find(n => n.id === id);
     
     console.log('🔵 LOCAL: Updating node', id);
     
     set(state => ({
       nodes: state.nodes.map(n => n.id === id ? { ...n, ...updates } : n)
     }));
+    const hlc = get().stampFields(id, Object.keys(updates).filter(isLwwField));
     
     // Emit to other clients
-    emitNodeUpdate?.(id, updates);
+    if (emitNodeUpdate && current) {
+      const previous = Object.fromEntries(
+        Object.keys(updates).map(key => [key, current[key as keyof Node]])
+      ) as Partial<Node>;
+      const operationId = get().trackOperation({ event: 'node:update', entityId: id, updates, previous, hlc });
+      emitNodeUpdate(id, updates, operationId, hlc);
+    }
     
-    get().saveToHistory();
+    if (recordHistory) {
+      get().saveToHistory();
+    }
   },
 
-  moveNode: (id, position) => {
-    const { emitNodeMove } = get();
+  // `previous` is where the node was before the edit, when that isn't its
+  // current position (a finished drag has already moved it locally)
+  moveNode: (id, position, previous) => {
+    const { emitNodeMove, nodes } = get();
+    const current = nodes.find(n => n.id === id);
     
     set(state => ({
       nodes: state.nodes.map(n => n.id === id ? { ...n, position } : n)
     }));
+    const hlc = get().stampFields(id, ['position']);
     
     // Emit to other clients
-    emitNodeMove?.(id, position);
+    if (emitNodeMove && current) {
+      const operationId = get().trackOperation({
+        event: 'node:move',
+        entityId: id,
+        position,
+        previous: previous ?? current.position,
+        hlc
+      });
+      emitNodeMove(id, position, operationId, hlc);
+    }
+  },
+
+  // Intermediate drag position: shown locally and streamed to the others,
+  // but not acknowledged or recorded. The drag ends with a moveNode.
+  dragNode: (id, position) => {
+    set(state => ({
+      nodes: state.nodes.map(n => n.id === id ? { ...n, position } : n)
+    }));
+    const hlc = get().stampFields(id, ['position']);
+    get().emitNodeDrag?.(id, position, hlc);
+  },
+
+  // Label edits go through a shared Y.Text when there is one, so several
+  // people can type in the same label; the text reaches the store (and the
+  // other clients) as the doc changes, not through updateNode
+  openLabel: async (id) => {
+    return (await get().emitLabelOpen?.(id)) ?? null;
+  },
+
+  closeLabel: (id) => {
+    return get().emitLabelClose?.(id) ?? false;
   },
 
   addEdge: (source, target) => {
@@ -195,14 +476,14 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     }
     
     const newEdge: Edge = {
-      id: generateId(),
+      id: generateEntityId(state.clientId),
       source,
       target
     };
     
     // Check for cycles
     if (hasCycle(state.nodes, state.edges, newEdge)) {
-      alert('Cannot add edge: would create a cycle');
+      state.pushNotice({ kind: 'warning', code: 'WOULD_CREATE_CYCLE', message: 'Cannot add edge: would create a cycle' });
       return;
     }
     
@@ -211,13 +492,17 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     set({ edges: [...state.edges, newEdge] });
     
     // Emit to other clients
-    state.emitEdgeAdd?.(source, target);
+    if (state.emitEdgeAdd) {
+      const operationId = get().trackOperation({ event: 'edge:add', entityId: newEdge.id });
+      state.emitEdgeAdd(newEdge, operationId);
+    }
     
     get().saveToHistory();
   },
 
-  removeEdge: (id) => {
-    const { emitEdgeRemove } = get();
+  removeEdge: (id, recordHistory = true) => {
+    const { emitEdgeRemove, edges } = get();
+    const removedEdge = edges.find(e => e.id === id);
     
     console.log('🔵 LOCAL: Removing edge', id);
     
@@ -226,14 +511,32 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     }));
     
     // Emit to other clients
-    emitEdgeRemove?.(id);
+    if (emitEdgeRemove && removedEdge) {
+      const operationId = get().trackOperation({ event: 'edge:remove', entityId: id, previous: removedEdge });
+      emitEdgeRemove(id, operationId);
+    }
     
-    get().saveToHistory();
+    if (recordHistory) {
+      get().saveToHistory();
+    }
+  },
+
+  restoreEdge: (edge) => {
+    const { emitEdgeAdd } = get();
+
+    console.log('🔵 LOCAL: Restoring edge', edge.id);
+
+    set(state => ({ edges: [...state.edges, edge] }));
+
+    if (emitEdgeAdd) {
+      const operationId = get().trackOperation({ event: 'edge:add', entityId: edge.id });
+      emitEdgeAdd(edge, operationId, true);
+    }
   },
 
   // ========== REMOTE ACTIONS (no emit, no history) ==========
   
-  addNodeRemote: (node: Node) => {
+  addNodeRemote: (node: Node, hlc?: HybridTimestamp) => {
     console.log('🟢 REMOTE: Adding node', node.id);
     
     set(state => {
@@ -244,8 +547,10 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
         return state;
       }
       
+      const clocks = hlc ? Object.fromEntries(LWW_FIELDS.map(field => [field, hlc])) : {};
       return {
-        nodes: [...state.nodes, node]
+        nodes: [...state.nodes, node],
+        fieldClocks: { ...state.fieldClocks, [node.id]: clocks }
       };
     });
   },
@@ -253,24 +558,59 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
   removeNodeRemote: (id: string) => {
     console.log('🟢 REMOTE: Removing node', id);
     
-    set(state => ({
-      nodes: state.nodes.filter(n => n.id !== id),
-      edges: state.edges.filter(e => e.source !== id && e.target !== id),
-    }));
+    set(state => {
+      const fieldClocks = { ...state.fieldClocks };
+      delete fieldClocks[id];
+      const remoteDrags = { ...state.remoteDrags };
+      delete remoteDrags[id];
+      return {
+        nodes: state.nodes.filter(n => n.id !== id),
+        edges: state.edges.filter(e => e.source !== id && e.target !== id),
+        fieldClocks,
+        remoteDrags
+      };
+    });
   },
   
-  updateNodeRemote: (id: string, updates: Partial<Node>) => {
+  // Remote updates only overwrite the fields whose register they win, so a
+  // concurrent recolor and move both survive and replicas converge in any order
+  updateNodeRemote: (id: string, updates: Partial<Node>, hlc?: HybridTimestamp) => {
     console.log('🟢 REMOTE: Updating node', id);
     
-    set(state => ({
-      nodes: state.nodes.map(n => n.id === id ? { ...n, ...updates } : n)
-    }));
+    set(state => {
+      const { accepted, clocks } = resolveRemoteUpdate(state.fieldClocks[id], updates, hlc);
+      if (Object.keys(accepted).length === 0) return state;
+      return {
+        nodes: state.nodes.map(n => n.id === id ? { ...n, ...accepted } : n),
+        fieldClocks: { ...state.fieldClocks, [id]: clocks }
+      };
+    });
   },
   
-  moveNodeRemote: (id: string, position: Position) => {
-    set(state => ({
-      nodes: state.nodes.map(n => n.id === id ? { ...n, position } : n)
-    }));
+  // A move ends whatever drag of this node we were showing
+  moveNodeRemote: (id: string, position: Position, hlc?: HybridTimestamp) => {
+    if (get().remoteDrags[id]) {
+      set(state => {
+        const remoteDrags = { ...state.remoteDrags };
+        delete remoteDrags[id];
+        return { remoteDrags };
+      });
+    }
+    get().updateNodeRemote(id, { position }, hlc);
+  },
+
+  // Drag frames go through the position register like any write, so a late
+  // frame can't undo the final move (which is stamped after every frame)
+  dragNodeRemote: (id: string, position: Position, userId: string, hlc?: HybridTimestamp) => {
+    set(state => {
+      const { accepted, clocks } = resolveRemoteUpdate(state.fieldClocks[id], { position }, hlc);
+      if (!accepted.position || !state.nodes.some(n => n.id === id)) return state;
+      return {
+        nodes: state.nodes.map(n => n.id === id ? { ...n, position } : n),
+        fieldClocks: { ...state.fieldClocks, [id]: clocks },
+        remoteDrags: state.remoteDrags[id] === userId ? state.remoteDrags : { ...state.remoteDrags, [id]: userId }
+      };
+    });
   },
   
   addEdgeRemote: (edge: Edge) => {
@@ -298,8 +638,17 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     }));
   },
 
+  // Selection and editing are shown to collaborators
   selectNode: (id) => {
+    if (get().selectedNodeId === id) return;
     set({ selectedNodeId: id });
+    get().emitSelection?.(id, get().editingNodeId);
+  },
+
+  setEditingNode: (id) => {
+    if (get().editingNodeId === id) return;
+    set({ editingNodeId: id });
+    get().emitSelection?.(get().selectedNodeId, id);
   },
 
   // Connection mode
@@ -314,6 +663,78 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     set({ connectSourceId: id });
   },
 
+  // Notices
+  pushNotice: (notice) => {
+    set(state => ({
+      // Keep the stack short; older notices fall off the top
+      notices: [...state.notices, { ...notice, id: generateId(), createdAt: Date.now() }].slice(-5)
+    }));
+  },
+
+  dismissNotice: (id) => {
+    set(state => ({ notices: state.notices.filter(n => n.id !== id) }));
+  },
+
+  // Conflicts
+  setConflicts: (conflicts) => set({ conflicts }),
+
+  addConflict: (conflict) => {
+    set(state => ({
+      conflicts: [conflict, ...state.conflicts.filter(c => c.conflictId !== conflict.conflictId)]
+    }));
+  },
+
+  removeConflict: (conflictId) => {
+    set(state => ({ conflicts: state.conflicts.filter(c => c.conflictId !== conflictId) }));
+  },
+
+  // Let the winning value stand
+  acceptConflict: (conflictId) => {
+    get().removeConflict(conflictId);
+    get().emitConflictResolve?.(conflictId, 'accept');
+  },
+
+  // Apply our losing edit again, as a fresh operation that now follows the
+  // winning one (a deleted node comes back under a new id)
+  reapplyConflict: (conflictId) => {
+    const conflict = get().conflicts.find(c => c.conflictId === conflictId);
+    if (!conflict) return;
+
+    console.log('🔁 LOCAL: Re-applying conflict', conflictId, conflict.kind);
+
+    switch (conflict.kind) {
+      case 'concurrent_edit': {
+        const exists = get().nodes.some(n => n.id === conflict.entityId);
+        if (!exists || !conflict.field) break;
+        if (conflict.field === 'position') {
+          get().moveNode(conflict.entityId, conflict.loser.value as Position);
+        } else {
+          get().updateNode(conflict.entityId, { [conflict.field]: conflict.loser.value });
+        }
+        break;
+      }
+
+      case 'edit_on_deleted': {
+        if (!conflict.snapshot) break;
+        get().insertNode({
+          ...conflict.snapshot,
+          ...(conflict.loser.value as Partial<Node>),
+          id: generateEntityId(get().clientId),
+        });
+        break;
+      }
+
+      case 'edge_rejected': {
+        const { source, target } = conflict.loser.value as { source: string; target: string };
+        get().addEdge(source, target);
+        break;
+      }
+    }
+
+    get().removeConflict(conflictId);
+    get().emitConflictResolve?.(conflictId, 'reapply');
+  },
+
   // Map/Canvas actions
   setMapName: (mapName: string) => set({ mapName }),
   setCanvasRef: (ref) => set({ canvasRef: ref as React.RefObject<SVGSVGElement> | null }),
@@ -322,24 +743,67 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
   undo: () => {
     const { history, historyIndex } = get();
     if (historyIndex > 0) {
-      const prevState = history[historyIndex - 1];
-      set({
-        nodes: prevState.nodes,
-        edges: prevState.edges,
-        historyIndex: historyIndex - 1
-      });
+      get().applyHistoryStep(history[historyIndex], history[historyIndex - 1]);
+      set({ historyIndex: historyIndex - 1 });
     }
   },
 
   redo: () => {
     const { history, historyIndex } = get();
     if (historyIndex < history.length - 1) {
-      const nextState = history[historyIndex + 1];
-      set({
-        nodes: nextState.nodes,
-        edges: nextState.edges,
-        historyIndex: historyIndex + 1
-      });
+      get().applyHistoryStep(history[historyIndex], history[historyIndex + 1]);
+      set({ historyIndex: historyIndex + 1 });
+    }
+  },
+
+  // Apply only what changed between two snapshots, rather than restoring a
+  // whole snapshot that would clobber remote edits made since. Every change
+  // goes out as a regular tracked op: field changes as stamped updates,
+  // removals as removes and re-added nodes and edges as restores of the
+  // deleted ones. Edges come out before their nodes and back after them;
+  // the server removes a node's edges with it.
+  applyHistoryStep: (from, to) => {
+    const fromNodes = new Map(from.nodes.map(n => [n.id, n]));
+    const toNodes = new Map(to.nodes.map(n => [n.id, n]));
+    const fromEdgeIds = new Set(from.edges.map(e => e.id));
+    const toEdgeIds = new Set(to.edges.map(e => e.id));
+    const hasNode = (id: string) => get().nodes.some(n => n.id === id);
+    const hasEdge = (id: string) => get().edges.some(e => e.id === id);
+
+    for (const target of to.nodes) {
+      const source = fromNodes.get(target.id);
+      if (!source || !hasNode(target.id)) continue;
+
+      const updates: Partial<Node> = {};
+      for (const field of LWW_FIELDS) {
+        if (JSON.stringify(source[field]) !== JSON.stringify(target[field])) {
+          Object.assign(updates, { [field]: target[field] });
+        }
+      }
+      if (updates.position) {
+        get().moveNode(target.id, updates.position);
+        delete updates.position;
+      }
+      if (Object.keys(updates).length > 0) {
+        get().updateNode(target.id, updates, false);
+      }
+    }
+
+    for (const edge of from.edges) {
+      if (!toEdgeIds.has(edge.id) && toNodes.has(edge.source) && toNodes.has(edge.target) && hasEdge(edge.id)) {
+        get().removeEdge(edge.id, false);
+      }
+    }
+    for (const node of from.nodes) {
+      if (!toNodes.has(node.id) && hasNode(node.id)) get().removeNode(node.id, false);
+    }
+    for (const node of to.nodes) {
+      if (!fromNodes.has(node.id) && !hasNode(node.id)) get().restoreNode(node);
+    }
+    for (const edge of to.edges) {
+      if (!fromEdgeIds.has(edge.id) && !hasEdge(edge.id) && hasNode(edge.source) && hasNode(edge.target)) {
+        get().restoreEdge(edge);
+      }
     }
   },
 
@@ -362,14 +826,16 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     });
   },
 
-  // View management
+  // View management. Changing the view ourselves ends follow mode.
   setViewState: (newViewState) => {
+    if (get().followingSessionId) get().followSession(null);
     set(state => ({
       viewState: { ...state.viewState, ...newViewState }
     }));
   },
 
   resetView: () => {
+    if (get().followingSessionId) get().followSession(null);
     set({ viewState: { zoom: 1, offset: { x: 0, y: 0 } } });
   },
 
@@ -386,7 +852,100 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
     set(state => {
       const newCursors = new Map(state.cursors);
       newCursors.delete(userId);
-      return { cursors: newCursors };
+      // Their unfinished drags are settled by the server's final move
+      const remoteDrags = Object.fromEntries(
+        Object.entries(state.remoteDrags).filter(([, draggerId]) => draggerId !== userId)
+      );
+      return { cursors: newCursors, remoteDrags };
+    });
+  },
+
+  moveCursor: (position) => {
+    get().emitCursorUpdate?.(position);
+  },
+
+  setPresence: (sessionId, sessions) => {
+    // A fresh session (after a reconnect) follows no one yet
+    set({
+      sessionId,
+      presence: Object.fromEntries(sessions.map(s => [s.sessionId, s])),
+      followingSessionId: null,
+    });
+  },
+
+  upsertPresence: (session) => {
+    set(state => ({
+      presence: { ...state.presence, [session.sessionId]: session },
+      // The server unfollows us when the leader leaves
+      ...(session.sessionId === state.sessionId && { followingSessionId: session.followingSessionId }),
+    }));
+  },
+
+  removePresence: (sessionId) => {
+    set(state => {
+      const presence = { ...state.presence };
+      delete presence[sessionId];
+      return {
+        presence,
+        followingSessionId: state.followingSessionId === sessionId ? null : state.followingSessionId,
+      };
+    });
+  },
+
+  followSession: (sessionId) => {
+    if (sessionId === get().sessionId) return;
+    set({ followingSessionId: sessionId });
+    get().emitFollow?.(sessionId);
+  },
+
+  // A followed or summoning session's view; unlike setViewState this keeps
+  // follow mode on
+  applyViewport: (viewport) => {
+    set({ viewState: fromViewport(viewport, { width: window.innerWidth, height: window.innerHeight }) });
+  },
+
+  summonAll: () => {
+    const { viewState, emitSummon } = get();
+    emitSummon?.(toViewport(viewState, { width: window.innerWidth, height: window.innerHeight }));
+  },
+
+  // ========== EDIT LEASES ==========
+  // Without a server to ask (offline) editing is allowed; the rename then
+  // resolves like any concurrent edit once it syncs
+
+  acquireLease: async (nodeId) => {
+    const result = await (get().emitLeaseAcquire?.(nodeId) ?? Promise.resolve<LeaseAck>({ ok: true }));
+    if (result.ok && result.lease) get().grantLease(result.lease);
+    return result;
+  },
+
+  renewLease: async (nodeId) => {
+    const result = await (get().emitLeaseRenew?.(nodeId) ?? Promise.resolve<LeaseAck>({ ok: true }));
+    if (result.lease) get().grantLease(result.lease);
+    return result;
+  },
+
+  releaseLease: (nodeId) => {
+    const { sessionId, emitLeaseRelease } = get();
+    emitLeaseRelease?.(nodeId);
+    if (sessionId) get().revokeLease(nodeId, sessionId);
+  },
+
+  setLeases: (leases) => {
+    set({ leases: Object.fromEntries(leases.map(lease => [lease.nodeId, lease])) });
+  },
+
+  grantLease: (lease) => {
+    set(state => ({ leases: { ...state.leases, [lease.nodeId]: lease } }));
+  },
+
+  // Only drops the lease if that session still holds it
+  revokeLease: (nodeId, sessionId) => {
+    set(state => {
+      if (state.leases[nodeId]?.sessionId !== sessionId) return state;
+      const leases = { ...state.leases };
+      delete leases[nodeId];
+      return { leases };
     });
   },
 
@@ -403,11 +962,255 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
   },
 
   // Sync from server
-  syncState: (nodes, edges) => {
+  syncState: (nodes, edges, fieldClocks = {}) => {
     console.log('🔄 SYNC: Received', nodes.length, 'nodes and', edges.length, 'edges');
-    set({ nodes, edges });
+    // The snapshot is authoritative, so nothing is left waiting for an ack
+    set({ nodes, edges, fieldClocks, pendingOps: {}, pendingByEntity: {}, remoteDrags: {} });
     get().saveToHistory();
   },
+
+  // ========== SERVER SEQUENCES ==========
+
+  setLastSequence: (sequence) => {
+    set({ lastSequence: sequence, sequencesAhead: [] });
+  },
+
+  // Only advance over a contiguous run, so a reconnect asks for any sequence
+  // that arrived out of order instead of silently skipping it
+  noteSequence: (sequence) => {
+    set(state => {
+      if (state.lastSequence === null || sequence <= state.lastSequence) return state;
+
+      const ahead = new Set([...state.sequencesAhead, sequence]);
+      let lastSequence = state.lastSequence;
+      while (ahead.delete(lastSequence + 1)) {
+        lastSequence++;
+      }
+      return { lastSequence, sequencesAhead: [...ahead] };
+    });
+  },
+
+  // ========== CAUSALITY ==========
+
+  // Advance our own entry for a new operation and return the clock to stamp on it
+  tickClock: (clientId) => {
+    const vectorClock = incrementClock(get().vectorClock, clientId);
+    set(state => ({
+      vectorClock,
+      deliveredClock: { ...state.deliveredClock, [clientId]: vectorClock[clientId] },
+    }));
+    return vectorClock;
+  },
+
+  mergeClock: (clock) => {
+    if (!clock) return;
+    set(state => ({ vectorClock: mergeClocks(state.vectorClock, clock) }));
+  },
+
+  markDelivered: (clock) => {
+    if (!clock) return;
+    set(state => ({ deliveredClock: mergeClocks(state.deliveredClock, clock) }));
+  },
+
+  setClientId: (clientId) => set({ clientId }),
+
+  // Take a fresh timestamp for a local edit and record it as the write each
+  // given field now holds
+  stampFields: (nodeId, fields) => {
+    const { hlc: last, clientId } = get();
+    const hlc = tickHlc(last, clientId, get().clockNow());
+    set(state => ({
+      hlc,
+      fieldClocks: {
+        ...state.fieldClocks,
+        [nodeId]: { ...state.fieldClocks[nodeId], ...Object.fromEntries(fields.map(field => [field, hlc])) }
+      }
+    }));
+    return hlc;
+  },
+
+  observeHlc: (remote) => {
+    if (!remote) return;
+    set(state => ({ hlc: receiveHlc(state.hlc, remote, state.clientId, get().clockNow()) }));
+  },
+
+  // Timestamp an edit that changes no node field (removals, edges)
+  stampOperation: () => {
+    const hlc = tickHlc(get().hlc, get().clientId, get().clockNow());
+    set({ hlc });
+    return hlc;
+  },
+
+  setClockOffset: (clockOffset) => {
+    if (Math.abs(clockOffset) >= 1000) console.log('⏰ Our clock is', -clockOffset, 'ms off the server\'s; correcting');
+    set({ clockOffset });
+  },
+
+  // Now, on the server's clock
+  clockNow: () => Date.now() + get().clockOffset,
+
+  // ========== ACKNOWLEDGED OPERATIONS ==========
+
+  trackOperation: (op) => {
+    const operationId = `op_${generateId()}`;
+    set(state => ({
+      pendingOps: {
+        ...state.pendingOps,
+        [operationId]: { ...op, operationId, createdAt: Date.now() } as PendingOperation
+      },
+      pendingByEntity: { ...state.pendingByEntity, [op.entityId]: (state.pendingByEntity[op.entityId] ?? 0) + 1 }
+    }));
+    return operationId;
+  },
+
+  // The server may have ordered the op by another timestamp than ours (ours
+  // was too far ahead); the fields it wrote then carry that one here too
+  confirmOperation: (operationId, serverSequence, hlc) => {
+    set(state => {
+      const op = state.pendingOps[operationId];
+      if (!op) return state;
+      const pending = withoutPending(state, operationId);
+
+      if (!hlc || !('hlc' in op) || compareHlc(op.hlc, hlc) === 0) return pending;
+      console.log('⏰ Server restamped', operationId);
+      const clocks = { ...state.fieldClocks[op.entityId] };
+      for (const field of Object.keys(clocks) as NodeField[]) {
+        if (compareHlc(clocks[field], op.hlc) === 0) clocks[field] = hlc;
+      }
+      return {
+        ...pending,
+        fieldClocks: { ...state.fieldClocks, [op.entityId]: clocks },
+      };
+    });
+    console.log('✅ ACK:', operationId, 'seq', serverSequence);
+  },
+
+  // Undo exactly the rejected edit. Fields a later local edit has already
+  // changed again are left alone so we never clobber newer work.
+  rejectOperation: (operationId, error) => {
+    const op = get().pendingOps[operationId];
+    if (!op) return;
+
+    console.warn('⛔ REJECTED:', op.event, op.entityId, `${error.code}: ${error.message}`);
+
+    set(state => {
+      const pending = withoutPending(state, operationId);
+
+      switch (op.event) {
+        case 'node:add':
+          return {
+            ...pending,
+            nodes: state.nodes.filter(n => n.id !== op.entityId),
+            edges: state.edges.filter(e => e.source !== op.entityId && e.target !== op.entityId),
+            selectedNodeId: state.selectedNodeId === op.entityId ? null : state.selectedNodeId
+          };
+
+        case 'node:remove': {
+          if (state.nodes.some(n => n.id === op.entityId)) return pending;
+          const nodeIds = new Set([...state.nodes.map(n => n.id), op.entityId]);
+          const restoredEdges = op.previous.edges.filter(e =>
+            nodeIds.has(e.source) && nodeIds.has(e.target) && !state.edges.some(x => x.id === e.id)
+          );
+          return {
+            ...pending,
+            nodes: [...state.nodes, op.previous.node],
+            edges: [...state.edges, ...restoredEdges]
+          };
+        }
+
+        case 'node:update': {
+          // Registers still holding this op's timestamp are cleared, so the
+          // next remote write to those fields wins
+          const clocks = { ...state.fieldClocks[op.entityId] };
+          return {
+            ...pending,
+            nodes: state.nodes.map(n => {
+              if (n.id !== op.entityId) return n;
+              const reverted = { ...n };
+              for (const key of Object.keys(op.updates) as (keyof Node)[]) {
+                if (JSON.stringify(n[key]) === JSON.stringify(op.updates[key])) {
+                  Object.assign(reverted, { [key]: op.previous[key] });
+                  if (isLwwField(key) && compareHlc(clocks[key], op.hlc) === 0) delete clocks[key];
+                }
+              }
+              return reverted;
+            }),
+            fieldClocks: { ...state.fieldClocks, [op.entityId]: clocks }
+          };
+        }
+
+        case 'node:move': {
+          const clocks = { ...state.fieldClocks[op.entityId] };
+          if (compareHlc(clocks.position, op.hlc) === 0) delete clocks.position;
+          return {
+            ...pending,
+            nodes: state.nodes.map(n =>
+              n.id === op.entityId && n.position.x === op.position.x && n.position.y === op.position.y
+                ? { ...n, position: op.previous }
+                : n
+            ),
+            fieldClocks: { ...state.fieldClocks, [op.entityId]: clocks }
+          };
+        }
+
+        case 'edge:add':
+          return { ...pending, edges: state.edges.filter(e => e.id !== op.entityId) };
+
+        case 'edge:remove': {
+          const endpointsExist = state.nodes.some(n => n.id === op.previous.source) &&
+            state.nodes.some(n => n.id === op.previous.target);
+          if (!endpointsExist || state.edges.some(e => e.id === op.entityId)) return pending;
+          return { ...pending, edges: [...state.edges, op.previous] };
+        }
+      }
+    });
+  },
+  
+  // The server kept one of our new entities under another id: rename it
+  // everywhere we hold ids, so later edits, undo and rollback address the
+  // entity the server knows. Ids are unique across nodes and edges, so every
+  // id field can be renamed alike.
+  remapId: ({ kind, from, to }) => {
+    console.log('🔀 REMAP:', kind, from, '->', to);
+    const rename = (id: string) => (id === from ? to : id);
+    const remapNode = (n: Node): Node => (n.id === from ? { ...n, id: to } : n);
+    const remapEdge = (e: Edge): Edge => (
+      [e.id, e.source, e.target].includes(from)
+        ? { ...e, id: rename(e.id), source: rename(e.source), target: rename(e.target) }
+        : e
+    );
+    const remapOp = (op: PendingOperation): PendingOperation => {
+      const entityId = rename(op.entityId);
+      switch (op.event) {
+        case 'node:remove':
+          return { ...op, entityId, previous: { node: remapNode(op.previous.node), edges: op.previous.edges.map(remapEdge) } };
+        case 'edge:remove':
+          return { ...op, entityId, previous: remapEdge(op.previous) };
+        default:
+          return { ...op, entityId };
+      }
+    };
+    const rekey = <V,>(record: Record<string, V>): Record<string, V> => {
+      if (!(from in record)) return record;
+      const { [from]: value, ...rest } = record;
+      return { ...rest, [to]: value };
+    };
+
+    set(state => ({
+      nodes: state.nodes.map(remapNode),
+      edges: state.edges.map(remapEdge),
+      history: state.history.map(step => ({ nodes: step.nodes.map(remapNode), edges: step.edges.map(remapEdge) })),
+      pendingOps: Object.fromEntries(
+        Object.entries(state.pendingOps).map(([operationId, op]) => [operationId, remapOp(op)])
+      ),
+      pendingByEntity: rekey(state.pendingByEntity),
+      selectedNodeId: state.selectedNodeId && rename(state.selectedNodeId),
+      editingNodeId: state.editingNodeId && rename(state.editingNodeId),
+      connectSourceId: state.connectSourceId && rename(state.connectSourceId),
+      fieldClocks: rekey(state.fieldClocks),
+      remoteDrags: rekey(state.remoteDrags)
+    }));
+  },
   
   // Set WebSocket emit functions
   setEmitFunctions: (emitFuncs) => {
@@ -416,8 +1219,24 @@ export const useMindMapStore = create<MindMapStore>((set, get) => ({
       emitNodeRemove: emitFuncs.emitNodeRemove,
       emitNodeUpdate: emitFuncs.emitNodeUpdate,
       emitNodeMove: emitFuncs.emitNodeMove,
+      emitNodeDrag: emitFuncs.emitNodeDrag ?? null,
+      emitLabelOpen: emitFuncs.emitLabelOpen ?? null,
+      emitLabelClose: emitFuncs.emitLabelClose ?? null,
       emitEdgeAdd: emitFuncs.emitEdgeAdd,
       emitEdgeRemove: emitFuncs.emitEdgeRemove,
     });
+  },
+
+  setPresenceEmitFunctions: (emitFuncs) => {
+    set({
+      emitCursorUpdate: emitFuncs.emitCursorUpdate,
+      emitSelection: emitFuncs.emitSelection,
+      emitLeaseAcquire: emitFuncs.emitLeaseAcquire,
+      emitLeaseRenew: emitFuncs.emitLeaseRenew,
+      emitLeaseRelease: emitFuncs.emitLeaseRelease,
+      emitFollow: emitFuncs.emitFollow,
+      emitSummon: emitFuncs.emitSummon,
+      emitConflictResolve: emitFuncs.emitConflictResolve,
+    });
   }
 }));
\ No newline at end of file
@@ -28,6 +28,13 @@ export interface ViewState {
   offset: Position;
 }
 
+// A view that doesn't depend on window size: the canvas point at the
+// center of the screen, and the zoom. This is what followers receive.
+export interface Viewport {
+  center: Position;
+  zoom: number;
+}
+
 export interface HistoryState {
   nodes: Node[];
   edges: Edge[];
@@ -40,6 +47,35 @@ export interface Cursor {
   username?: string;
 }
 
+// Someone in the current map (this tab included), as tracked by the server.
+// Dates arrive as ISO strings.
+export interface PresenceSession {
+  sessionId: string;
+  userId: string;
+  displayName: string;
+  color: string;
+  joinedAt: string;
+  lastActiveAt: string;
+  selectedNodeId: string | null;
+  editingNodeId: string | null;
+  followingSessionId: string | null;
+}
+
+// Short-lived server lock on a node whose label someone is editing
+export interface EditLease {
+  nodeId: string;
+  sessionId: string;
+  userId: string;
+  displayName: string;
+  color: string;
+  expiresAt: string;
+}
+
+// Reply to lease:acquire / lease:renew; when refused, `lease` is the holder's
+export type LeaseAck =
+  | { ok: true; lease?: EditLease }
+  | { ok: false; lease?: EditLease; error: OperationError };
+
 export interface WebSocketMessage {
   type: 'node:add' | 'node:remove' | 'node:update' | 'node:move' | 
         'edge:add' | 'edge:remove' | 'cursor:update' | 'sync';
@@ -48,6 +84,136 @@ export interface WebSocketMessage {
   timestamp: number;
 }
 
+// Logical time per client replica: { clientId: number of ops it has emitted }
+export type VectorClock = Record<string, number>;
+
+// Hybrid logical clock timestamp; clientId breaks ties so every replica
+// orders any two timestamps the same way
+export interface HybridTimestamp {
+  time: number;
+  counter: number;
+  clientId: string;
+}
+
+// Node fields that are each their own last-writer-wins register
+export type NodeField = 'label' | 'color' | 'shape' | 'position' | 'textStyle';
+export type FieldClocks = Partial<Record<NodeField, HybridTimestamp>>;
+
+// How a map syncs: operation events over socket.io, or a shared Yjs doc
+export type SyncMode = 'socket' | 'yjs';
+
+export interface OperationError {
+  code: string;
+  message: string;
+  errors?: { type: string; message: string }[];  // validator's individual findings
+  retryAfterMs?: number;  // RATE_LIMITED: when the next one would be accepted
+}
+
+// The server refused an event for its rate or size. `disconnect` means the
+// socket is being dropped for refusing too many.
+export interface RateLimited extends OperationError {
+  event: string;
+  operationId?: string;
+  scope?: 'socket' | 'session' | 'user';
+  disconnect: boolean;
+}
+
+// The server kept one of our new entities under another id than the one
+// we proposed (it was taken, or malformed)
+export interface IdRemap {
+  kind: 'node' | 'edge';
+  from: string;
+  to: string;
+  operationId?: string;
+}
+
+// One side of a conflict: the value it wanted and whose it was
+export interface ConflictSide {
+  value: unknown;
+  clientId: string | null;
+  userId: string | null;
+  operationId?: string | null;
+  hlc?: HybridTimestamp | null;
+}
+
+// Two edits that collided and how the server settled it:
+// - concurrent_edit: the same node field written without either side
+//   seeing the other (`field` says which)
+// - edit_on_deleted: an edit to a node someone else deleted (`snapshot` is
+//   the node as it last was)
+// - edge_rejected: an edge refused because of someone else's change
+export interface Conflict {
+  conflictId: string;
+  mapId: string;
+  kind: 'concurrent_edit' | 'edit_on_deleted' | 'edge_rejected';
+  entityType: 'node' | 'edge';
+  entityId: string;
+  field: NodeField | null;
+  reason: string;
+  winner: ConflictSide;
+  loser: ConflictSide;
+  snapshot: Node | null;
+  status: 'open' | 'accepted' | 'reapplied';
+  detectedAt: string;
+}
+
+export type ConflictResolution = 'accept' | 'reapply';
+
+// Short-lived message shown to the user (rejected edits, blocked actions...)
+export interface Notice {
+  id: string;
+  kind: 'error' | 'warning' | 'info';
+  message: string;
+  code?: string;
+  createdAt: number;
+}
+
+// Reply the server sends through the socket.io ack of every mutation. An op
+// the server applied but failed to sequence comes back without serverSequence.
+export type OperationAck =
+  | { ok: true; operationId: string; serverSequence?: number; vectorClock?: VectorClock; hlc?: HybridTimestamp }
+  | { ok: false; operationId: string; error: OperationError };
+
+// A local edit applied optimistically and awaiting the server's ack.
+// Each variant keeps just enough state to undo that one edit if rejected,
+// and the HLC its fields were stamped with, if any.
+export type PendingOperation = { operationId: string; entityId: string; createdAt: number } & (
+  | { event: 'node:add'; hlc: HybridTimestamp }
+  | { event: 'node:remove'; previous: { node: Node; edges: Edge[] } }
+  | { event: 'node:update'; updates: Partial<Node>; previous: Partial<Node>; hlc: HybridTimestamp }
+  | { event: 'node:move'; position: Position; previous: Position; hlc: HybridTimestamp }
+  | { event: 'edge:add' }
+  | { event: 'edge:remove'; previous: Edge }
+);
+
+type DistributiveOmit<T, K extends PropertyKey> = T extends unknown ? Omit<T, K> : never;
+export type PendingOperationInput = DistributiveOmit<PendingOperation, 'operationId' | 'createdAt'>;
+
+// Payload of a broadcast (or replayed) mutation; which fields are set depends on the event
+export interface RemoteOperationData {
+  userId: string;
+  operationId?: string;
+  serverSequence?: number;
+  // The op's own clock, and the clock a replica must have applied before it
+  vectorClock?: VectorClock;
+  dependencies?: VectorClock;
+  hlc?: HybridTimestamp;
+  node?: Node;
+  nodeId?: string;
+  updates?: Partial<Node>;
+  position?: Position;
+  edge?: Edge;
+  edgeId?: string;
+  source?: string;
+  target?: string;
+}
+
+export interface SyncDeltaPayload {
+  serverSequence: number;
+  vectorClock?: VectorClock;
+  operations: { event: string; data: RemoteOperationData }[];
+}
+
 export interface SyncPayload {
   nodes: Node[];
   edges: Edge[];
@@ -0,0 +1,115 @@
+import { describe, expect, test } from 'vitest';
+import * as Y from 'yjs';
+import { applyTextChange, transformIndex } from './collaborativeText';
+
+const textOf = (value: string) => {
+  const doc = new Y.Doc();
+  const text = doc.getText('label');
+  text.insert(0, value);
+  return text;
+};
+
+// Two replicas of one text, in sync
+const replicas = (value: string) => {
+  const a = textOf(value);
+  const b = new Y.Doc().getText('label');
+  Y.applyUpdate(b.doc!, Y.encodeStateAsUpdate(a.doc!));
+  return [a, b] as const;
+};
+
+const sync = (a: Y.Text, b: Y.Text) => {
+  const fromA = Y.encodeStateAsUpdate(a.doc!, Y.encodeStateVector(b.doc!));
+  const fromB = Y.encodeStateAsUpdate(b.doc!, Y.encodeStateVector(a.doc!));
+  Y.applyUpdate(b.doc!, fromA);
+  Y.applyUpdate(a.doc!, fromB);
+};
+
+// The delta a change to `value` produces, as a remote replica observes it
+const deltaOf = (value: string, change: (text: Y.Text) => void) => {
+  const text = textOf(value);
+  let delta: Y.YTextEvent['delta'] = [];
+  text.observe(event => { delta = event.delta; });
+  change(text);
+  return delta;
+};
+
+describe('applyTextChange', () => {
+  test('edits only between the common prefix and suffix', () => {
+    const text = textOf('Project plan');
+    const deltas: Y.YTextEvent['delta'][] = [];
+    text.observe(event => deltas.push(event.delta));
+
+    applyTextChange(text, 'Project roadmap plan');
+
+    expect(text.toString()).toBe('Project roadmap plan');
+    expect(deltas).toEqual([[{ retain: 8 }, { insert: 'roadmap ' }]]);
+  });
+
+  test('replaces a changed middle in one transaction', () => {
+    const text = textOf('red car');
+    const deltas: Y.YTextEvent['delta'][] = [];
+    text.observe(event => deltas.push(event.delta));
+
+    applyTextChange(text, 'blue car');
+
+    expect(text.toString()).toBe('blue car');
+    expect(deltas).toHaveLength(1);
+  });
+
+  test('does nothing when the value is unchanged', () => {
+    const text = textOf('same');
+    let changes = 0;
+    text.observe(() => changes++);
+
+    applyTextChange(text, 'same');
+
+    expect(changes).toBe(0);
+  });
+
+  test('handles emptying and filling the text', () => {
+    const text = textOf('gone');
+    applyTextChange(text, '');
+    expect(text.toString()).toBe('');
+
+    applyTextChange(text, 'back');
+    expect(text.toString()).toBe('back');
+  });
+
+  test('keeps both sides of concurrent edits to different parts', () => {
+    const [a, b] = replicas('Quarterly goals');
+
+    applyTextChange(a, 'Q3 Quarterly goals');
+    applyTextChange(b, 'Quarterly goals and risks');
+    sync(a, b);
+
+    expect(a.toString()).toBe('Q3 Quarterly goals and risks');
+    expect(b.toString()).toBe(a.toString());
+  });
+});
+
+describe('transformIndex', () => {
+  test('moves an index after an insert before it', () => {
+    const delta = deltaOf('hello world', text => text.insert(0, '>> '));
+    expect(transformIndex(5, delta)).toBe(8);
+  });
+
+  test('leaves an index before the change alone', () => {
+    const delta = deltaOf('hello world', text => text.insert(8, 'XX'));
+    expect(transformIndex(3, delta)).toBe(3);
+  });
+
+  test('keeps an index in place when text is inserted right at it', () => {
+    const delta = deltaOf('hello world', text => text.insert(5, ','));
+    expect(transformIndex(5, delta)).toBe(5);
+  });
+
+  test('moves an index back by what was deleted before it', () => {
+    const delta = deltaOf('hello world', text => text.delete(0, 6));
+    expect(transformIndex(8, delta)).toBe(2);
+  });
+
+  test('puts an index inside deleted text at the start of the deletion', () => {
+    const delta = deltaOf('hello world', text => text.delete(2, 6));
+    expect(transformIndex(5, delta)).toBe(2);
+  });
+});
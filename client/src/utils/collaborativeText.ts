@@ -0,0 +1,51 @@
+//collaborativeText.ts
+import type { Text as YText, YTextEvent } from 'yjs';
+
+/**
+ * Turns a whole new value of a text field into the smallest edit of the
+ * shared text (one delete and/or insert between the common prefix and
+ * suffix), so it merges with what others typed concurrently
+ */
+export const applyTextChange = (text: YText, next: string): void => {
+  const current = text.toString();
+  if (current === next) return;
+
+  let start = 0;
+  while (start < current.length && start < next.length && current[start] === next[start]) start++;
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < next.length - start &&
+    current[current.length - 1 - end] === next[next.length - 1 - end]
+  ) end++;
+
+  const removed = current.length - start - end;
+  const inserted = next.slice(start, next.length - end);
+  const change = () => {
+    if (removed > 0) text.delete(start, removed);
+    if (inserted) text.insert(start, inserted);
+  };
+  if (text.doc) text.doc.transact(change);
+  else change();
+};
+
+/**
+ * Where an index into the text ends up after a change. Text inserted right
+ * at the index goes after it, so a remote insert at our caret doesn't move it.
+ */
+export const transformIndex = (index: number, delta: YTextEvent['delta']): number => {
+  let position = 0; // in the text before the change
+  let result = index;
+  for (const op of delta) {
+    if (position >= index) break;
+    if (op.retain !== undefined) {
+      position += op.retain;
+    } else if (op.insert !== undefined) {
+      result += typeof op.insert === 'string' ? op.insert.length : 1;
+    } else if (op.delete !== undefined) {
+      result -= Math.min(op.delete, index - position);
+      position += op.delete;
+    }
+  }
+  return result;
+};
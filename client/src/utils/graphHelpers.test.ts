@@ -0,0 +1,18 @@
+import { describe, expect, test } from 'vitest';
+import { fromViewport, toViewport } from './graphHelpers';
+
+describe('viewports', () => {
+  test('a view is described by what is at the center of the screen', () => {
+    const viewport = toViewport({ zoom: 2, offset: { x: 100, y: 50 } }, { width: 800, height: 600 });
+
+    expect(viewport).toEqual({ center: { x: 150, y: 125 }, zoom: 2 });
+  });
+
+  test('a viewport shown on another screen keeps the same point in the middle', () => {
+    const viewport = { center: { x: 150, y: 125 }, zoom: 2 };
+    const small = { width: 400, height: 300 };
+
+    expect(fromViewport(viewport, small)).toEqual({ zoom: 2, offset: { x: -100, y: -100 } });
+    expect(toViewport(fromViewport(viewport, small), small)).toEqual(viewport);
+  });
+});
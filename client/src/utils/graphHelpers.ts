@@ -1,5 +1,10 @@
 //graophHelpers.ts
-import type { Node, Edge, Position } from '../types';
+import type { Node, Edge, Position, ViewState, Viewport } from '../types';
+
+interface ScreenSize {
+  width: number;
+  height: number;
+}
 
 /**
  * Generates a unique ID for nodes and edges
@@ -8,6 +13,14 @@ export const generateId = (): string => {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Generates the id of a new node or edge. Prefixed with the client's id so
+ * no two clients propose the same one; the server keeps it unless taken.
+ */
+export const generateEntityId = (clientId: string): string => {
+  return clientId ? `${clientId}_${generateId()}` : generateId();
+};
+
 /**
  * Returns a random color from a predefined palette
  */
@@ -156,4 +169,27 @@ export const normalizeEdge = (edge: Edge): Edge => {
     };
   }
   return edge;
-};
\ No newline at end of file
+};
+
+/**
+ * Describes a view by what is at the center of the screen, so it can be
+ * shown on a screen of another size
+ */
+export const toViewport = (viewState: ViewState, screen: ScreenSize): Viewport => ({
+  center: {
+    x: (screen.width / 2 - viewState.offset.x) / viewState.zoom,
+    y: (screen.height / 2 - viewState.offset.y) / viewState.zoom,
+  },
+  zoom: viewState.zoom,
+});
+
+/**
+ * The view state that puts a viewport's center in the middle of this screen
+ */
+export const fromViewport = (viewport: Viewport, screen: ScreenSize): ViewState => ({
+  zoom: viewport.zoom,
+  offset: {
+    x: screen.width / 2 - viewport.center.x * viewport.zoom,
+    y: screen.height / 2 - viewport.center.y * viewport.zoom,
+  },
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'vitest';
+import { compareHlc, describeHlcAge, estimateClockOffset, latestHlc, receiveHlc, tickHlc } from './hybridClock';
+
+describe('hybridClock', () => {
+  test('tickHlc follows physical time and counts events within a millisecond', () => {
+    const first = tickHlc(null, 'alice', 1000);
+    expect(first).toEqual({ time: 1000, counter: 0, clientId: 'alice' });
+    expect(tickHlc(first, 'alice', 1000)).toEqual({ time: 1000, counter: 1, clientId: 'alice' });
+    expect(tickHlc(first, 'alice', 1005)).toEqual({ time: 1005, counter: 0, clientId: 'alice' });
+  });
+
+  test('tickHlc never goes backwards when the wall clock does', () => {
+    const last = { time: 1000, counter: 2, clientId: 'alice' };
+    expect(tickHlc(last, 'alice', 900)).toEqual({ time: 1000, counter: 3, clientId: 'alice' });
+  });
+
+  test('receiveHlc orders the next local stamp after the remote one', () => {
+    const remote = { time: 2000, counter: 3, clientId: 'bob' };
+    const received = receiveHlc({ time: 1000, counter: 0, clientId: 'alice' }, remote, 'alice', 1500);
+
+    expect(received).toEqual({ time: 2000, counter: 4, clientId: 'alice' });
+    expect(compareHlc(tickHlc(received, 'alice', 1500), remote)).toBeGreaterThan(0);
+  });
+
+  test('compareHlc orders by time, then counter, then client id; missing stamps first', () => {
+    const a = { time: 1, counter: 0, clientId: 'b' };
+    expect(compareHlc(a, { time: 2, counter: 0, clientId: 'a' })).toBeLessThan(0);
+    expect(compareHlc(a, { time: 1, counter: 1, clientId: 'a' })).toBeLessThan(0);
+    expect(compareHlc(a, { time: 1, counter: 0, clientId: 'a' })).toBeGreaterThan(0);
+    expect(compareHlc(a, { ...a })).toBe(0);
+    expect(compareHlc(undefined, a)).toBeLessThan(0);
+    expect(compareHlc(undefined, undefined)).toBe(0);
+  });
+
+  test('estimateClockOffset assumes the server answered halfway through the round trip', () => {
+    expect(estimateClockOffset(5100, 1000, 1200)).toBe(4000);
+    expect(estimateClockOffset(900, 1000, 1200)).toBe(-200);
+  });
+
+  test('describeHlcAge rounds to the largest unit', () => {
+    const at = (time: number) => ({ time, counter: 0, clientId: 'a' });
+    expect(describeHlcAge(at(100000), 110000)).toBe('just now');
+    expect(describeHlcAge(at(200000), 100000)).toBe('just now');
+    expect(describeHlcAge(at(0), 120000)).toBe('2 minutes ago');
+    expect(describeHlcAge(at(0), 3600000)).toBe('1 hour ago');
+  });
+
+  test('latestHlc skips missing stamps', () => {
+    const late = { time: 5, counter: 0, clientId: 'a' };
+    expect(latestHlc([undefined, { time: 1, counter: 0, clientId: 'b' }, late])).toEqual(late);
+    expect(latestHlc([])).toBeUndefined();
+  });
+});
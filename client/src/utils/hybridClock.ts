@@ -0,0 +1,81 @@
+//hybridClock.ts
+// Client-side counterpart of server/src/services/hybridClock.js. Timestamps
+// decide which write wins each node field, so every replica must order them
+// identically: by time, then counter, then clientId.
+import type { HybridTimestamp } from '../types';
+
+/**
+ * Timestamp a local event, never going backwards from the last one issued
+ */
+export const tickHlc = (
+  last: HybridTimestamp | null,
+  clientId: string,
+  now: number = Date.now()
+): HybridTimestamp => {
+  if (!last || now > last.time) return { time: now, counter: 0, clientId };
+  return { time: last.time, counter: last.counter + 1, clientId };
+};
+
+/**
+ * Advance past a timestamp seen on a remote operation
+ */
+export const receiveHlc = (
+  last: HybridTimestamp | null,
+  remote: HybridTimestamp,
+  clientId: string,
+  now: number = Date.now()
+): HybridTimestamp => {
+  const lastTime = last?.time ?? 0;
+  const lastCounter = last?.counter ?? 0;
+  const time = Math.max(now, lastTime, remote.time);
+
+  let counter = 0;
+  if (time === lastTime && time === remote.time) counter = Math.max(lastCounter, remote.counter) + 1;
+  else if (time === lastTime) counter = lastCounter + 1;
+  else if (time === remote.time) counter = remote.counter + 1;
+
+  return { time, counter, clientId };
+};
+
+/**
+ * Negative if a orders before b, positive if after. A missing timestamp
+ * orders before any real one.
+ */
+export const compareHlc = (a?: HybridTimestamp, b?: HybridTimestamp): number => {
+  if (!a && !b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  if (a.time !== b.time) return a.time - b.time;
+  if (a.counter !== b.counter) return a.counter - b.counter;
+  if (a.clientId === b.clientId) return 0;
+  return a.clientId < b.clientId ? -1 : 1;
+};
+
+/**
+ * How far the server's clock is ahead of ours (negative if behind), from its
+ * time as sent in a reply and when we sent the request and got the reply.
+ * Assumes the reply was stamped halfway through the round trip.
+ */
+export const estimateClockOffset = (serverTime: number, sentAt: number, receivedAt: number): number =>
+  Math.round(serverTime - (sentAt + receivedAt) / 2);
+
+/**
+ * "just now", "2 minutes ago"... for a timestamp. `now` should be on the
+ * server's clock (our time plus the estimated offset), like the timestamps.
+ */
+export const describeHlcAge = (hlc: HybridTimestamp, now: number): string => {
+  const seconds = Math.max(0, Math.floor((now - hlc.time) / 1000));
+  if (seconds < 45) return 'just now';
+  const units: [number, string][] = [[86400, 'day'], [3600, 'hour'], [60, 'minute']];
+  for (const [size, unit] of units) {
+    const count = Math.round(seconds / size);
+    if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+};
+
+/**
+ * The latest of a set of timestamps, e.g. when any field of a node last changed
+ */
+export const latestHlc = (stamps: (HybridTimestamp | undefined)[]): HybridTimestamp | undefined =>
+  stamps.reduce<HybridTimestamp | undefined>((latest, stamp) => (compareHlc(stamp, latest) > 0 ? stamp : latest), undefined);
@@ -0,0 +1,85 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+
+type OfflineQueue = typeof import('./offlineQueue');
+
+const op = (mapId: string, operationId: string) => ({
+  mapId,
+  event: 'node:add',
+  operationId,
+  data: { operationId },
+  queuedAt: 0
+});
+
+// The module keeps its database connection (or the lack of one) for good,
+// so each test loads it afresh
+const load = async (): Promise<OfflineQueue> => {
+  vi.resetModules();
+  return import('./offlineQueue');
+};
+
+describe('offlineQueue', () => {
+  beforeEach(() => {
+    vi.unstubAllGlobals();
+    vi.stubGlobal('indexedDB', new IDBFactory());
+  });
+
+  test('hands back a map\'s operations in the order they were queued', async () => {
+    const queue = await load();
+    await queue.enqueueOperation(op('m1', 'a'));
+    await queue.enqueueOperation(op('m2', 'b'));
+    await queue.enqueueOperation(op('m1', 'c'));
+
+    const queued = await queue.getQueuedOperations('m1');
+
+    expect(queued.map(q => q.operationId)).toEqual(['a', 'c']);
+    expect(queued[0].queueId).toBeLessThan(queued[1].queueId!);
+  });
+
+  test('survives a reload: a new page finds what the last one queued', async () => {
+    const before = await load();
+    await before.enqueueOperation(op('m1', 'a'));
+
+    const after = await load();
+
+    expect((await after.getQueuedOperations('m1')).map(q => q.operationId)).toEqual(['a']);
+  });
+
+  test('removes an operation once it has been answered', async () => {
+    const queue = await load();
+    await queue.enqueueOperation(op('m1', 'a'));
+    await queue.enqueueOperation(op('m1', 'b'));
+    const [first] = await queue.getQueuedOperations('m1');
+
+    await queue.removeQueuedOperation(first.queueId!);
+
+    expect((await queue.getQueuedOperations('m1')).map(q => q.operationId)).toEqual(['b']);
+  });
+
+  test('still queues in memory without IndexedDB', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+    const queue = await load();
+    await queue.enqueueOperation(op('m1', 'a'));
+    await queue.enqueueOperation(op('m1', 'b'));
+
+    const queued = await queue.getQueuedOperations('m1');
+    await queue.removeQueuedOperation(queued[0].queueId!);
+
+    expect((await queue.getQueuedOperations('m1')).map(q => q.operationId)).toEqual(['b']);
+  });
+
+  test('renames a reassigned id wherever a queued operation uses it', async () => {
+    const queue = await load();
+    await queue.enqueueOperation({ ...op('m1', 'a'), event: 'edge:add', data: { edge: { id: 'e1', source: 'n1', target: 'n2' } } });
+    await queue.enqueueOperation({ ...op('m1', 'b'), event: 'node:move', data: { nodeId: 'n1', position: { x: 0, y: 0 } } });
+    await queue.enqueueOperation({ ...op('m2', 'c'), event: 'node:move', data: { nodeId: 'n1' } });
+
+    await queue.remapQueuedOperations('m1', 'n1', 'c1_n1');
+
+    expect((await queue.getQueuedOperations('m1')).map(q => q.data)).toEqual([
+      { edge: { id: 'e1', source: 'c1_n1', target: 'n2' } },
+      { nodeId: 'c1_n1', position: { x: 0, y: 0 } }
+    ]);
+    expect((await queue.getQueuedOperations('m2'))[0].data).toEqual({ nodeId: 'n1' });
+  });
+});
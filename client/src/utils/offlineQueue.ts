@@ -0,0 +1,134 @@
+//offlineQueue.ts
+// Durable queue for edits made while the socket is down. Entries live in
+// IndexedDB so they survive a tab reload and are replayed in order on reconnect.
+
+export interface QueuedOperation {
+  queueId?: number;        // auto-increment key, preserves submission order
+  mapId: string;
+  event: string;
+  operationId: string;
+  data: Record<string, unknown>;
+  queuedAt: number;
+}
+
+const DB_NAME = 'synapse-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+// Used when IndexedDB is unavailable (e.g. some private browsing modes):
+// edits still queue, they just won't survive a reload
+const memoryQueue: QueuedOperation[] = [];
+let memoryQueueId = 0;
+
+const openDatabase = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'queueId', autoIncrement: true });
+        store.createIndex('mapId', 'mapId', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a single request in its own transaction and resolves once the
+ * transaction commits, so callers never observe uncommitted writes
+ */
+const runRequest = async <T>(
+  mode: IDBTransactionMode,
+  makeRequest: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const isDatabaseAvailable = async (): Promise<boolean> => {
+  try {
+    await openDatabase();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Appends an operation to the end of the queue
+ */
+export const enqueueOperation = async (op: Omit<QueuedOperation, 'queueId'>): Promise<void> => {
+  if (!(await isDatabaseAvailable())) {
+    memoryQueue.push({ ...op, queueId: ++memoryQueueId });
+    return;
+  }
+  await runRequest('readwrite', store => store.add(op));
+};
+
+/**
+ * Returns the queued operations for a map, oldest first
+ */
+export const getQueuedOperations = async (mapId: string): Promise<QueuedOperation[]> => {
+  if (!(await isDatabaseAvailable())) {
+    return memoryQueue.filter(op => op.mapId === mapId);
+  }
+  const ops = await runRequest('readonly', store => store.index('mapId').getAll(mapId));
+  return (ops as QueuedOperation[]).sort((a, b) => (a.queueId ?? 0) - (b.queueId ?? 0));
+};
+
+/**
+ * Removes an operation once the server has answered it
+ */
+export const removeQueuedOperation = async (queueId: number): Promise<void> => {
+  if (!(await isDatabaseAvailable())) {
+    const index = memoryQueue.findIndex(op => op.queueId === queueId);
+    if (index !== -1) memoryQueue.splice(index, 1);
+    return;
+  }
+  await runRequest('readwrite', store => store.delete(queueId));
+};
+
+// Replaces `from` wherever it appears as a value; ids are unique enough
+// that nothing else (a label, say) will ever equal one
+const renameValue = (value: unknown, from: string, to: string): unknown => {
+  if (value === from) return to;
+  if (Array.isArray(value)) return value.map(item => renameValue(item, from, to));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renameValue(item, from, to)]));
+  }
+  return value;
+};
+
+/**
+ * Renames an entity id in a map's queued operations, after the server
+ * reassigned it, so they replay against the entity the server knows
+ */
+export const remapQueuedOperations = async (mapId: string, from: string, to: string): Promise<void> => {
+  const queued = await getQueuedOperations(mapId);
+  for (const op of queued) {
+    const data = renameValue(op.data, from, to) as Record<string, unknown>;
+    if (JSON.stringify(data) === JSON.stringify(op.data)) continue;
+
+    if (!(await isDatabaseAvailable())) {
+      op.data = data;
+      continue;
+    }
+    await runRequest('readwrite', store => store.put({ ...op, data }));
+  }
+};
@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+
+type TabIdentity = typeof import('./tabIdentity');
+
+// A tab's sessionStorage, which a reload keeps and a duplicate copies
+const storage = (entries: Record<string, string> = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    items,
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => { items.set(key, value); },
+    removeItem: (key: string) => { items.delete(key); },
+    clear: () => { items.clear(); },
+  };
+};
+
+// Starts a page in a tab with the given storage
+const load = async (tab: ReturnType<typeof storage>) => {
+  vi.resetModules();
+  const page = new EventTarget();
+  vi.stubGlobal('sessionStorage', tab);
+  vi.stubGlobal('window', page);
+  const module: TabIdentity = await import('./tabIdentity');
+  return { page, userId: module.claimTabIdentity(), claimAgain: module.claimTabIdentity };
+};
+
+describe('claimTabIdentity', () => {
+  beforeEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('a new tab makes up an id, and keeps it however often it asks', async () => {
+    const { userId, claimAgain } = await load(storage());
+
+    expect(userId).toMatch(/^user_/);
+    expect(claimAgain()).toBe(userId);
+  });
+
+  test('a reloaded tab is the same client', async () => {
+    const tab = storage();
+    const first = await load(tab);
+    tab.setItem('session:m1', 'session_1');
+
+    first.page.dispatchEvent(new Event('pagehide'));
+    const reloaded = await load(tab);
+
+    expect(reloaded.userId).toBe(first.userId);
+    expect(tab.getItem('session:m1')).toBe('session_1');
+  });
+
+  test('a tab duplicated from an open one is a new client with nothing to resume', async () => {
+    const tab = storage();
+    const original = await load(tab);
+    tab.setItem('session:m1', 'session_1');
+    tab.setItem('copy:m1', '{}');
+
+    const copy = storage(Object.fromEntries(tab.items));
+    const duplicate = await load(copy);
+
+    expect(duplicate.userId).not.toBe(original.userId);
+    expect(copy.getItem('session:m1')).toBeNull();
+    expect(copy.getItem('copy:m1')).toBeNull();
+    expect(tab.getItem('session:m1')).toBe('session_1');
+  });
+});
@@ -0,0 +1,40 @@
+//tabIdentity.ts
+// Which client this tab is. The id is kept in sessionStorage so a reload is
+// the same client: it resumes its session and its vector clock entry carries
+// on where it stopped. A duplicated tab, though, starts with a copy of that
+// storage, and two tabs sharing an id would share a clock entry and fight
+// over one session.
+//
+// So a tab marks itself live while it is open and takes the mark down as it
+// unloads. A tab that starts up already marked was copied from one that is
+// still open: it drops everything it inherited and becomes a new client.
+
+const USER_KEY = 'userId';
+const LIVE_KEY = 'tabLive';
+
+let claimed: string | null = null;
+
+const createUserId = () => `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// Settles this tab's id once; later calls (a StrictMode re-render) get the
+// same one rather than finding our own mark and taking us for a copy
+export const claimTabIdentity = (): string => {
+  if (claimed) return claimed;
+
+  const inherited = sessionStorage.getItem(LIVE_KEY) !== null;
+  let userId = sessionStorage.getItem(USER_KEY);
+  if (!userId || inherited) {
+    // The session to resume and the saved map copy belong to the other tab
+    sessionStorage.clear();
+    userId = createUserId();
+    sessionStorage.setItem(USER_KEY, userId);
+  }
+
+  sessionStorage.setItem(LIVE_KEY, '1');
+  window.addEventListener('pagehide', () => sessionStorage.removeItem(LIVE_KEY));
+  // Back from the back/forward cache: open again
+  window.addEventListener('pageshow', () => sessionStorage.setItem(LIVE_KEY, '1'));
+
+  claimed = userId;
+  return userId;
+};
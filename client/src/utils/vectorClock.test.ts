@@ -0,0 +1,30 @@
+import { describe, expect, test } from 'vitest';
+import { compareClocks, incrementClock, isCausallyReady, mergeClocks } from './vectorClock';
+
+describe('vectorClock', () => {
+  test('incrementClock advances one entry and leaves the original alone', () => {
+    const clock = { a: 1 };
+
+    expect(incrementClock(clock, 'a')).toEqual({ a: 2 });
+    expect(incrementClock(clock, 'b')).toEqual({ a: 1, b: 1 });
+    expect(clock).toEqual({ a: 1 });
+  });
+
+  test('mergeClocks takes the maximum of every entry', () => {
+    expect(mergeClocks({ a: 3, b: 1 }, { b: 2, c: 1 })).toEqual({ a: 3, b: 2, c: 1 });
+  });
+
+  test('compareClocks orders clocks by happened-before', () => {
+    expect(compareClocks({ a: 1 }, { a: 2 })).toBe('before');
+    expect(compareClocks({ a: 2, b: 1 }, { a: 2 })).toBe('after');
+    expect(compareClocks({}, { a: 0 })).toBe('equal');
+    expect(compareClocks({ a: 2 }, { b: 1 })).toBe('concurrent');
+  });
+
+  test('isCausallyReady once every dependency is in', () => {
+    expect(isCausallyReady({}, {})).toBe(true);
+    expect(isCausallyReady({ a: 2 }, { a: 2, b: 5 })).toBe(true);
+    expect(isCausallyReady({ a: 2, b: 1 }, { a: 2 })).toBe(false);
+    expect(isCausallyReady({ a: 3 }, { a: 2 })).toBe(false);
+  });
+});
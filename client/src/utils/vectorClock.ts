@@ -0,0 +1,54 @@
+//vectorClock.ts
+// Client-side counterpart of server/src/services/VectorClock.js, over plain
+// objects so clocks can go straight into the store and over the socket
+import type { VectorClock } from '../types';
+
+export type ClockOrder = 'before' | 'after' | 'concurrent' | 'equal';
+
+/**
+ * Returns a copy of the clock with the given client's entry advanced by one
+ */
+export const incrementClock = (clock: VectorClock, clientId: string): VectorClock => ({
+  ...clock,
+  [clientId]: (clock[clientId] || 0) + 1,
+});
+
+/**
+ * Entry-wise maximum of two clocks
+ */
+export const mergeClocks = (a: VectorClock, b: VectorClock): VectorClock => {
+  const merged = { ...a };
+  for (const [clientId, value] of Object.entries(b)) {
+    merged[clientId] = Math.max(merged[clientId] || 0, value);
+  }
+  return merged;
+};
+
+/**
+ * Orders clock `a` relative to clock `b`
+ */
+export const compareClocks = (a: VectorClock, b: VectorClock): ClockOrder => {
+  let aGreater = false;
+  let bGreater = false;
+
+  for (const clientId of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const valA = a[clientId] || 0;
+    const valB = b[clientId] || 0;
+    if (valA > valB) aGreater = true;
+    else if (valB > valA) bGreater = true;
+  }
+
+  if (aGreater && bGreater) return 'concurrent';
+  if (aGreater) return 'after';
+  if (bGreater) return 'before';
+  return 'equal';
+};
+
+/**
+ * Whether an operation with these dependencies can be applied on top of
+ * `current`, i.e. every op it depends on is already in
+ */
+export const isCausallyReady = (dependencies: VectorClock, current: VectorClock): boolean => {
+  const order = compareClocks(dependencies, current);
+  return order === 'before' || order === 'equal';
+};
@@ -10,6 +10,109 @@ module.exports = {
     }
   },
   
+  // Relays room broadcasts and presence between server instances.
+  // 'memory' only reaches instances in this process; run several servers
+  // behind a load balancer with 'mongo' (needs a replica set for change streams).
+  bus: {
+    backend: process.env.BUS_BACKEND || 'memory',
+    instanceId: process.env.INSTANCE_ID,  // Defaults to hostname:pid
+    mongo: {
+      collection: 'bus_messages',
+      retentionSeconds: 60,  // Relayed messages are deleted after this
+      retryDelayMs: 2000,    // Wait before reopening a failed change stream
+      volatileFlushMs: 100   // Drag frames and cursors are relayed in one batch per this
+    }
+  },
+
+  // Token buckets per socket and event: `capacity` is the burst allowed,
+  // `refillPerSecond` the sustained rate. Set well above what the client
+  // sends on its own (drags ~30/s, cursors and viewports ~20/s).
+  rateLimits: {
+    events: {
+      'node:add': { capacity: 30, refillPerSecond: 10 },
+      'node:remove': { capacity: 30, refillPerSecond: 10 },
+      'node:update': { capacity: 60, refillPerSecond: 20 },
+      'node:move': { capacity: 60, refillPerSecond: 20 },
+      'edge:add': { capacity: 30, refillPerSecond: 10 },
+      'edge:remove': { capacity: 30, refillPerSecond: 10 },
+      'node:drag': { capacity: 60, refillPerSecond: 40 },
+      'cursor:update': { capacity: 40, refillPerSecond: 25 },
+      'viewport:update': { capacity: 40, refillPerSecond: 25 },
+      'label:update': { capacity: 100, refillPerSecond: 50 },
+      'sync:request': { capacity: 5, refillPerSecond: 1 },
+      'join-map': { capacity: 5, refillPerSecond: 1 }
+    },
+    default: { capacity: 30, refillPerSecond: 10 },  // Any other event
+    sessionMultiplier: 2,    // A session's bucket (kept across its reconnects) is this many times a socket's
+    userMultiplier: 4,       // A user id's bucket (shared by all its sockets) is this many times a socket's
+    offenses: {
+      // Refused events within the window before the socket is dropped. A
+      // client that honours retryAfterMs is refused a handful at most.
+      disconnectAfter: 50,
+      windowMs: 10000
+    },
+    noticeIntervalMs: 1000,  // rate:limited is sent at most this often per socket and event
+    sweepIntervalMs: 60000   // How often idle buckets are dropped
+  },
+
+  payloads: {
+    maxBytes: 32 * 1024,            // Largest event payload handled; larger ones are refused
+    maxPacketBytes: 256 * 1024,     // socket.io drops the connection on anything larger
+    maxLabelLength: 5000            // Same as Node.content's maxlength
+  },
+
+  sync: {
+    maxDeltaOperations: 500  // Larger gaps get a full snapshot instead
+  },
+
+  // Hybrid logical clock stamps on operations
+  clock: {
+    maxDriftMs: 60000  // A client stamp further ahead of our clock than this is replaced by ours
+  },
+
+  // Answers to recent operations, per map, so resent ones get the same answer
+  idempotency: {
+    ttlMs: 10 * 60 * 1000,   // Older ones are looked up in the operation log instead
+    maxKeysPerMap: 5000,
+    sweepIntervalMs: 60000
+  },
+
+  // Operations whose vector clock is ahead of the map's wait for the ops
+  // they depend on, at most this long; then they are applied in server order
+  causal: {
+    maxWaitMs: 5000,
+    sweepIntervalMs: 1000  // How often waiting ops are re-checked against the database
+  },
+
+  presence: {
+    heartbeatIntervalMs: 15000,  // Clients ping this often; stale sessions are swept as often
+    staleAfterMs: 45000          // A session missing this long is considered gone
+  },
+
+  sessions: {
+    resumeWindowMs: 5 * 60 * 1000,  // A session can be resumed this long after its last heartbeat
+    sweepIntervalMs: 60000          // How often sessions past that are marked expired
+  },
+
+  leases: {
+    ttlMs: 10000,           // An edit lease lapses this long after its last renewal
+    sweepIntervalMs: 2000   // How often lapsed leases are released
+  },
+
+  labels: {
+    flushIntervalMs: 1000,  // How often labels being edited are written to the database
+    fetchTimeoutMs: 500     // How long to wait for another instance's copy of an open label
+  },
+
+  drag: {
+    flushIntervalMs: 1000  // How often in-flight drag positions are written to the database
+  },
+
+  yjs: {
+    compactAfterUpdates: 200,         // Fold the update log into the snapshot after this many entries
+    compactAfterBytes: 1024 * 1024    // ...or once the log holds this many bytes
+  },
+
   healthCheck: {
     interval: 5000,        // Check every 5 seconds
     timeout: 2000,         // Response must come within 2s
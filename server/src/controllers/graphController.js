@@ -4,6 +4,9 @@ const Edge = require('../models/Edge');
 const GraphValidator = require('../services/graphValidator');
 const GraphHelpers = require('../utils/graphHelpers');
 const LayoutEngine = require('../utils/layoutEngine');
+const merge = require('../services/merge');
+const hybridClock = require('../services/hybridClock');
+const { broadcastToMap } = require('../websocket/socketHandler');
 const logger = require('../utils/logger');
 
 class GraphController {
@@ -63,7 +66,10 @@ class GraphController {
       const { mapId } = req.params;
       const { fixes } = req.body;
       
-      const result = await GraphValidator.applyFixes(mapId, fixes);
+      const { operations, ...result } = await GraphValidator.applyFixes(mapId, fixes);
+      for (const { event, data } of operations) {
+        broadcastToMap(mapId, event, data);
+      }
       
       // Re-validate after fixes
       const validation = await GraphValidator.validateGraph(mapId);
@@ -265,15 +271,25 @@ class GraphController {
           });
       }
       
-      // Update node positions in database
-      const updates = Object.entries(positions).map(([nodeId, position]) => ({
-        updateOne: {
-          filter: { nodeId, mapId },
-          update: { $set: { position } }
+      // Each new position is a regular move: sequenced, logged and broadcast
+      for (const [nodeId, position] of Object.entries(positions)) {
+        const payload = { nodeId, position, hlc: hybridClock.now(), userId: 'system' };
+        const result = await merge({
+          mapId,
+          type: 'NODE_MOVE',
+          entityId: nodeId,
+          payload,
+          clientId: 'rest',
+          userId: 'system'
+        });
+        if (result.valid) {
+          broadcastToMap(mapId, 'node:move', {
+            ...payload,
+            serverSequence: result.serverSequence,
+            ...result.causality
+          });
         }
-      }));
-      
-      await Node.bulkWrite(updates);
+      }
       
       res.json({
         success: true,
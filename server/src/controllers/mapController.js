@@ -3,19 +3,47 @@ const Map = require('../models/Map');
 const Node = require('../models/Node');
 const Edge = require('../models/Edge');
 const { v4: uuidv4 } = require('uuid');
+const merge = require('../services/merge');
+const { broadcastToMap } = require('../websocket/socketHandler');
 const logger = require('../utils/logger');
 
+// Delete one node or edge through the merge service and tell the map's
+// clients; one already gone (deleted concurrently) is fine. A map synced
+// through a Yjs doc is emptied too: the doc goes with the map.
+async function deleteEntity(mapId, type, event, entityId, payload) {
+  const result = await merge({
+    mapId,
+    type,
+    entityId,
+    payload: { ...payload, userId: 'system' },
+    clientId: 'rest',
+    userId: 'system',
+    ignoreSyncMode: true
+  });
+  if (result.valid) {
+    broadcastToMap(mapId, event, {
+      ...payload,
+      userId: 'system',
+      serverSequence: result.serverSequence,
+      ...result.causality
+    });
+  } else if (!result.code?.endsWith('_NOT_FOUND')) {
+    throw new Error(result.reason);
+  }
+}
+
 class MapController {
   
   // Create new map
   static async createMap(req, res) {
     try {
-      const { name, description } = req.body;
+      const { name, description, syncMode } = req.body;
       
       const newMap = new Map({
         mapId: `map_${uuidv4()}`,
         name: name || 'Untitled Map',
         description: description || '',
+        syncMode,
         createdAt: new Date(),
         updatedAt: new Date()
       });
@@ -99,18 +127,19 @@ class MapController {
   static async updateMap(req, res) {
     try {
       const { mapId } = req.params;
-      const { name, description, settings } = req.body;
+      const { name, description, settings, syncMode } = req.body;
       
       const updates = {};
       if (name !== undefined) updates.name = name;
       if (description !== undefined) updates.description = description;
       if (settings !== undefined) updates.settings = settings;
+      if (syncMode !== undefined) updates.syncMode = syncMode;
       updates.updatedAt = new Date();
       
       const map = await Map.findOneAndUpdate(
         { mapId, isDeleted: false },
         { $set: updates },
-        { new: true }
+        { new: true, runValidators: true }
       );
       
       if (!map) {
@@ -140,9 +169,16 @@ class MapController {
     try {
       const { mapId } = req.params;
       
+      // Edges first, so no node delete cascades to an edge behind the log's back
+      const edges = await Edge.find({ mapId, isDeleted: false }).select('edgeId').lean();
+      for (const { edgeId } of edges) {
+        await deleteEntity(mapId, 'EDGE_DELETE', 'edge:remove', edgeId, { edgeId });
+      }
+      const nodes = await Node.find({ mapId, isDeleted: false }).select('nodeId').lean();
+      for (const { nodeId } of nodes) {
+        await deleteEntity(mapId, 'NODE_DELETE', 'node:remove', nodeId, { nodeId });
+      }
       await Map.updateOne({ mapId }, { $set: { isDeleted: true, updatedAt: new Date() } });
-      await Node.updateMany({ mapId }, { $set: { isDeleted: true, updatedAt: new Date() } });
-      await Edge.updateMany({ mapId }, { $set: { isDeleted: true, updatedAt: new Date() } });
       
       logger.info(`✅ Map deleted: ${mapId}`);
       
@@ -1,17 +1,21 @@
 // server/src/controllers/operationController.js
 const Operation = require('../models/Operation');
+const Conflict = require('../models/Conflict');
+const rollback = require('../services/rollback');
+const { broadcastToMap } = require('../websocket/socketHandler');
 const logger = require('../utils/logger');
 
 class OperationController {
   
-  // Get all operations for a map
+  // Get all operations for a map, newest first by their hybrid timestamps
+  // (server wall clocks may disagree; ties and unstamped ops by sequence)
   static async getOperations(req, res) {
     try {
       const { mapId } = req.params;
       const { limit = 100 } = req.query;
       
       const operations = await Operation.find({ mapId })
-        .sort({ timestamp: -1 })
+        .sort({ 'hlc.time': -1, 'hlc.counter': -1, 'hlc.clientId': -1, serverSequence: -1 })
         .limit(parseInt(limit));
       
       res.json({
@@ -35,8 +39,8 @@ class OperationController {
       
       const operations = await Operation.find({
         mapId,
-        sequence: { $gt: parseInt(sequence) }
-      }).sort({ sequence: 1 });
+        serverSequence: { $gt: parseInt(sequence) }
+      }).sort({ serverSequence: 1 });
       
       res.json({
         success: true,
@@ -52,15 +56,21 @@ class OperationController {
     }
   }
   
-  // Get conflicting operations
+  // Get recorded conflicts, newest first: all of them unless ?status= names
+  // some (open, accepted, reapplied; comma-separated)
   static async getConflicts(req, res) {
     try {
       const { mapId } = req.params;
+      const { status, limit = 100 } = req.query;
       
-      const conflicts = await Operation.find({
-        mapId,
-        hasConflict: true
-      }).sort({ timestamp: -1 });
+      const filter = { mapId };
+      if (status && status !== 'all') {
+        filter.status = { $in: String(status).split(',') };
+      }
+      
+      const conflicts = await Conflict.find(filter)
+        .sort({ detectedAt: -1 })
+        .limit(parseInt(limit));
       
       res.json({
         success: true,
@@ -158,17 +168,21 @@ class OperationController {
         });
       }
       
-      // Mark as rolled back
-      operation.isRolledBack = true;
-      operation.rolledBackAt = new Date();
-      await operation.save();
+      // Undoes it with a new operation built from its previousState and marks it rolled back
+      const result = await rollback(operation);
       
-      logger.info(`Operation rolled back: ${operationId}`);
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: result.reason
+        });
+      }
+      broadcastToMap(operation.mapId, result.broadcast.event, result.broadcast.data);
       
       res.json({
         success: true,
         message: 'Operation rolled back',
-        operation
+        operation: result.operation
       });
     } catch (error) {
       logger.error('Rollback operation error:', error);
@@ -0,0 +1,73 @@
+// server/src/controllers/sessionController.js
+const Session = require('../models/Session');
+const { disconnectSession } = require('../websocket/socketHandler');
+const logger = require('../utils/logger');
+
+class SessionController {
+  
+  // List a map's sessions: live ones (active or resumable) unless
+  // ?status= names others (comma-separated) or is 'all'
+  static async getSessions(req, res) {
+    try {
+      const { mapId } = req.params;
+      const { status, limit = 100 } = req.query;
+      
+      const filter = { mapId };
+      if (status !== 'all') {
+        filter.status = { $in: status ? String(status).split(',') : Session.LIVE_STATUSES };
+      }
+      
+      const sessions = await Session.find(filter)
+        .sort({ lastSeenAt: -1 })
+        .limit(parseInt(limit));
+      
+      res.json({
+        success: true,
+        count: sessions.length,
+        sessions
+      });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+  
+  // End a session: it can no longer be resumed, and its socket (if
+  // connected) is told and dropped
+  static async terminateSession(req, res) {
+    try {
+      const { mapId, sessionId } = req.params;
+      const { reason = 'Terminated by an administrator' } = req.body || {};
+      
+      const session = await Session.terminate(mapId, sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'No live session with that id in this map'
+        });
+      }
+      
+      // Its socket may be on another instance; the bus gets it there
+      const disconnected = Boolean(session.socketId);
+      if (disconnected) disconnectSession(session.socketId, reason);
+      logger.info(`🛑 Session terminated: ${sessionId} in map ${mapId}${disconnected ? ' (socket dropped)' : ''}`);
+      
+      res.json({
+        success: true,
+        sessionId,
+        disconnected
+      });
+    } catch (error) {
+      logger.error('Terminate session error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = SessionController;
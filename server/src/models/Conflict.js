@@ -0,0 +1,86 @@
+// server/src/models/Conflict.js
+// Two edits that collided, with the value that won and the one that lost
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// One side of a conflict: the value it wanted and who wanted it
+const SideSchema = new mongoose.Schema({
+  value: { type: mongoose.Schema.Types.Mixed, default: null },
+  clientId: { type: String, default: null },
+  userId: { type: String, default: null },
+  operationId: { type: String, default: null },
+  hlc: { type: Object, default: null }
+}, { _id: false });
+
+const ConflictSchema = new mongoose.Schema({
+  conflictId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    default: () => `conflict_${uuidv4()}`
+  },
+  mapId: { type: String, required: true },
+
+  // concurrent_edit: the same node field written without either writer
+  //   seeing the other; `field` says which
+  // edit_on_deleted: an edit to a node someone else had deleted
+  // edge_rejected: an edge refused because of someone else's change
+  kind: {
+    type: String,
+    enum: ['concurrent_edit', 'edit_on_deleted', 'edge_rejected'],
+    required: true
+  },
+  entityType: { type: String, enum: ['node', 'edge'], required: true },
+  entityId: { type: String, required: true },
+  field: { type: String, default: null },
+  reason: { type: String, default: '' },
+
+  winner: { type: SideSchema, default: () => ({}) },
+  loser: { type: SideSchema, default: () => ({}) },
+  // The deleted node as it last was, for re-applying an edit to it
+  snapshot: { type: Object, default: null },
+
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'reapplied'],
+    default: 'open'
+  },
+  resolvedBy: { type: String, default: null },
+  resolvedAt: { type: Date, default: null },
+
+  detectedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'conflicts'
+});
+
+ConflictSchema.index({ mapId: 1, status: 1, detectedAt: -1 });
+ConflictSchema.index({ mapId: 1, 'winner.clientId': 1, status: 1 });
+ConflictSchema.index({ mapId: 1, 'loser.clientId': 1, status: 1 });
+
+// Close an open conflict on behalf of one of the clients involved in it;
+// returns it, or null if it was already resolved (or isn't theirs)
+ConflictSchema.statics.resolve = function(mapId, conflictId, status, { clientId, userId }) {
+  return this.findOneAndUpdate(
+    {
+      mapId,
+      conflictId,
+      status: 'open',
+      $or: [{ 'winner.clientId': clientId }, { 'loser.clientId': clientId }]
+    },
+    { $set: { status, resolvedBy: userId, resolvedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Open conflicts a client is part of, newest first
+ConflictSchema.statics.openFor = function(mapId, clientId, limit = 50) {
+  return this.find({
+    mapId,
+    status: 'open',
+    $or: [{ 'winner.clientId': clientId }, { 'loser.clientId': clientId }]
+  }).sort({ detectedAt: -1 }).limit(limit).lean();
+};
+
+module.exports = mongoose.model('Conflict', ConflictSchema);
@@ -13,15 +13,18 @@ const EdgeSchema = new mongoose.Schema({
         required: true,
         index: true 
     },
+    // Aliased so graph helpers and the validator can read edge.sourceId/targetId
     from: { 
         type: String, 
         required: true,
-        index: true 
+        index: true,
+        alias: 'sourceId'
     },
     to: { 
         type: String, 
         required: true,
-        index: true 
+        index: true,
+        alias: 'targetId'
     },
     metadata: Object,
     
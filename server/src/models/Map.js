@@ -58,18 +58,31 @@ const MapSchema = new mongoose.Schema({
     default: new Map()
   },
   
+  // How clients collaborate on this map: 'socket' = operation events over
+  // socket.io, 'yjs' = a shared Y.Doc synced over the /yjs websocket
+  syncMode: {
+    type: String,
+    enum: ['socket', 'yjs'],
+    default: 'socket'
+  },
+  
   // Current version number (increments on each change)
   version: {
     type: Number,
     default: 0
   },
   
-  // Active sessions (users currently editing)
+  // Active sessions (users currently editing). lastSeenAt is the last
+  // heartbeat, lastActiveAt the last thing the user actually did.
   activeSessions: [{
     sessionId: String,
     clientId: String,
+    userId: String,
+    displayName: String,
+    color: String,
     joinedAt: Date,
-    lastSeenAt: Date
+    lastSeenAt: Date,
+    lastActiveAt: Date
   }],
   
   // Map statistics
@@ -110,26 +123,49 @@ MapSchema.methods.updateVectorClock = function(clientId, sequenceNumber) {
   this.markModified('vectorClock');
 };
 
-MapSchema.methods.addSession = function(sessionId, clientId) {
-  this.activeSessions.push({
-    sessionId,
-    clientId,
-    joinedAt: new Date(),
-    lastSeenAt: new Date()
-  });
+// Session bookkeeping is done with atomic updates rather than load/modify/save,
+// so it can't race with advance() or with other sessions joining the same map
+
+MapSchema.statics.addSession = async function(mapId, session) {
+  // Replace any stale entry for the same session (e.g. a rejoin)
+  await this.updateOne({ mapId }, { $pull: { activeSessions: { sessionId: session.sessionId } } });
+  return this.updateOne({ mapId }, { $push: { activeSessions: session } });
 };
 
-MapSchema.methods.removeSession = function(sessionId) {
-  this.activeSessions = this.activeSessions.filter(
-    s => s.sessionId !== sessionId
+MapSchema.statics.removeSession = function(mapId, sessionId) {
+  return this.updateOne({ mapId }, { $pull: { activeSessions: { sessionId } } });
+};
+
+MapSchema.statics.updateSessionActivity = function(mapId, sessionId, lastActiveAt) {
+  const $set = { 'activeSessions.$.lastSeenAt': new Date() };
+  if (lastActiveAt) $set['activeSessions.$.lastActiveAt'] = lastActiveAt;
+  return this.updateOne({ mapId, 'activeSessions.sessionId': sessionId }, { $set });
+};
+
+// Drop sessions whose heartbeat stopped before `cutoff`, across all maps
+MapSchema.statics.pruneSessions = function(cutoff) {
+  return this.updateMany(
+    { 'activeSessions.lastSeenAt': { $lt: cutoff } },
+    { $pull: { activeSessions: { lastSeenAt: { $lt: cutoff } } } }
   );
 };
 
-MapSchema.methods.updateSessionActivity = function(sessionId) {
-  const session = this.activeSessions.find(s => s.sessionId === sessionId);
-  if (session) {
-    session.lastSeenAt = new Date();
+// Bump the version, merge an operation's vector clock into the map clock and
+// apply its stats deltas in one atomic update, so concurrent writers can
+// neither reuse a version nor lose each other's changes. Returns the updated map.
+MapSchema.statics.advance = function(mapId, vectorClock = {}, stats = {}) {
+  const update = { $inc: { version: 1, 'stats.totalOperations': 1 } };
+  for (const [field, delta] of Object.entries(stats)) {
+    if (delta) update.$inc[`stats.${field}`] = delta;
+  }
+  const entries = Object.entries(vectorClock);
+  if (entries.length > 0) {
+    update.$max = {};
+    for (const [clientId, value] of entries) {
+      update.$max[`vectorClock.${clientId}`] = value;
+    }
   }
+  return this.findOneAndUpdate({ mapId }, update, { new: true, upsert: true });
 };
 
 module.exports = mongoose.model('Map', MapSchema);
\ No newline at end of file
@@ -78,6 +78,19 @@ const nodeSchema = new mongoose.Schema({
     fontSize: { type: Number, default: 14, min: 10, max: 24 }
   },
   
+  textStyle: {
+    bold: { type: Boolean, default: false },
+    italic: { type: Boolean, default: false },
+    underline: { type: Boolean, default: false }
+  },
+  
+  // Last-writer-wins register per editable field:
+  // { label|color|shape|position|textStyle: { time, counter, clientId } }
+  fieldClocks: {
+    type: Object,
+    default: {}
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
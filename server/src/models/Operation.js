@@ -2,11 +2,64 @@
 const mongoose = require("mongoose");
 
 const OperationSchema = new mongoose.Schema({
+    operationId: { type: String, required: true, unique: true, index: true },  // client-generated
+    // Same for every delivery of one operation; resends are answered from the log
+    idempotencyKey: { type: String, default: null },
     mapId: { type: String, required: true },
-    type: { type: String, required: true },   // e.g. "addNode", "renameNode", etc.
+    type: { type: String, required: true },   // NODE_CREATE, NODE_UPDATE, EDGE_DELETE, ...
     payload: { type: Object, required: true },
     vectorClock: { type: Object, required: true },
+    // What a client must have applied before this op: the clock without the
+    // sender's own entry, plus the sender's previous logged op
+    dependencies: { type: Object, default: {} },
+
+    // Who sent it
+    clientId: { type: String, default: 'unknown' },
+    sessionId: { type: String, default: 'unknown' },
+    userId: { type: String, default: 'unknown' },
+
+    // What it touched
+    entityType: { type: String, enum: ['node', 'edge'], required: true },
+    entityId: { type: String, required: true },
+
+    // Ordering
+    clientSequence: { type: Number, default: 0 },
+    serverSequence: { type: Number, required: true },  // per-map, assigned when applied
+    // Hybrid timestamp { time, counter, clientId } the op is ordered by in the log
+    hlc: { type: Object, default: null },
+
+    // Entity fields as they were before this operation, for rollback
+    previousState: { type: Object, default: null },
+
+    status: {
+        type: String,
+        enum: ['applied', 'rolled_back'],
+        default: 'applied'
+    },
+    hasConflict: { type: Boolean, default: false },
+    rolledBackAt: { type: Date, default: null },
+
     timestamp: { type: Date, default: Date.now }
 });
 
+// One operation per sequence number; also serves "since sequence" queries
+OperationSchema.index({ mapId: 1, serverSequence: 1 }, { unique: true });
+OperationSchema.index({ mapId: 1, entityId: 1, serverSequence: -1 });
+OperationSchema.index({ mapId: 1, hasConflict: 1 });
+OperationSchema.index({ mapId: 1, clientId: 1, serverSequence: -1 });
+OperationSchema.index({ mapId: 1, idempotencyKey: 1 });
+OperationSchema.index({ mapId: 1, 'hlc.time': -1, 'hlc.counter': -1 });
+
+// Next per-map sequence number. Backed by an atomic $inc on Map.version so it
+// survives restarts and concurrent writers never hand out the same number.
+OperationSchema.statics.getNextServerSequence = async function(mapId) {
+    const map = await mongoose.model('Map').advance(mapId);
+    return map.version;
+};
+
+OperationSchema.methods.rollback = function() {
+    this.status = 'rolled_back';
+    this.rolledBackAt = new Date();
+};
+
 module.exports = mongoose.model("Operation", OperationSchema);
@@ -0,0 +1,148 @@
+// server/src/models/Session.js
+// A client's stay in a map, kept across reconnects
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const SessionSchema = new mongoose.Schema({
+  // Stable id the client presents to resume (unlike the socket id, which
+  // changes on every reconnect)
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    default: () => `session_${uuidv4()}`
+  },
+
+  userId: { type: String, required: true },
+  mapId: { type: String, required: true },
+  clientId: { type: String, default: 'unknown' },
+
+  // Socket currently carrying the session, null while disconnected
+  socketId: { type: String, default: null },
+
+  // Kept so a resumed session looks the same to the others
+  displayName: { type: String, default: null },
+  color: { type: String, default: null },
+
+  status: {
+    type: String,
+    enum: ['active', 'disconnected', 'terminated', 'expired'],
+    default: 'active'
+  },
+
+  startedAt: { type: Date, default: Date.now },
+  connectedAt: { type: Date, default: Date.now },
+  disconnectedAt: { type: Date, default: null },
+  lastSeenAt: { type: Date, default: Date.now },
+  resumeCount: { type: Number, default: 0 },
+
+  // What the client has seen, as of its last heartbeat
+  lastSequence: { type: Number, default: null },
+  vectorClock: { type: Object, default: {} },
+
+  // Past this the session can no longer be resumed; heartbeats push it out
+  expiresAt: { type: Date, required: true },
+  // Set when it is terminated or expires; ended sessions are purged later
+  endedAt: { type: Date, default: null }
+}, {
+  collection: 'sessions'
+});
+
+const LIVE_STATUSES = ['active', 'disconnected'];
+
+SessionSchema.index({ mapId: 1, status: 1, lastSeenAt: -1 });
+SessionSchema.index({ status: 1, expiresAt: 1 });
+// Ended sessions are kept a week for inspection, then removed by MongoDB
+SessionSchema.index({ endedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// As with Map's session bookkeeping, state changes are single atomic updates
+// so a late disconnect can't overwrite a resume that already happened
+
+SessionSchema.statics.start = function({ userId, mapId, clientId, socketId, ttlMs }) {
+  const now = new Date();
+  return this.create({
+    userId,
+    mapId,
+    clientId,
+    socketId,
+    connectedAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + ttlMs)
+  });
+};
+
+// Reattach a live session of the same user and map to a new socket.
+// Returns the session, or null if there is nothing to resume.
+SessionSchema.statics.resume = function(sessionId, { userId, mapId, clientId, socketId, ttlMs }) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { sessionId, userId, mapId, status: { $in: LIVE_STATUSES }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        clientId,
+        socketId,
+        status: 'active',
+        connectedAt: now,
+        disconnectedAt: null,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs)
+      },
+      $inc: { resumeCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Heartbeat, optionally with the sequence and vector clock the client is at
+SessionSchema.statics.touch = function(sessionId, socketId, { lastSequence, vectorClock, ttlMs }) {
+  const now = new Date();
+  const $set = { lastSeenAt: now, expiresAt: new Date(now.getTime() + ttlMs) };
+  if (lastSequence !== undefined) $set.lastSequence = lastSequence;
+  if (vectorClock !== undefined) $set.vectorClock = vectorClock;
+  return this.updateOne({ sessionId, socketId, status: 'active' }, { $set });
+};
+
+SessionSchema.statics.updateIdentity = function(sessionId, { displayName, color }) {
+  return this.updateOne({ sessionId }, { $set: { displayName, color } });
+};
+
+// Only the socket that currently carries the session can disconnect it
+SessionSchema.statics.markDisconnected = function(sessionId, socketId, ttlMs) {
+  const now = new Date();
+  return this.updateOne(
+    { sessionId, socketId, status: 'active' },
+    {
+      $set: {
+        socketId: null,
+        status: 'disconnected',
+        disconnectedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs)
+      }
+    }
+  );
+};
+
+// End a session for good. Returns it as it was (with the socket it was
+// on), or null if it wasn't live.
+SessionSchema.statics.terminate = function(mapId, sessionId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { mapId, sessionId, status: { $in: LIVE_STATUSES } },
+    { $set: { status: 'terminated', endedAt: now, disconnectedAt: now, socketId: null } },
+    { new: false }
+  );
+};
+
+// Sessions past their expiry stop being resumable
+SessionSchema.statics.expireStale = function(now = new Date()) {
+  return this.updateMany(
+    { status: { $in: LIVE_STATUSES }, expiresAt: { $lte: now } },
+    { $set: { status: 'expired', endedAt: now, socketId: null } }
+  );
+};
+
+SessionSchema.statics.LIVE_STATUSES = LIVE_STATUSES;
+
+module.exports = mongoose.model('Session', SessionSchema);
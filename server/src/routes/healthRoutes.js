@@ -4,6 +4,9 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const rateLimiter = require('../services/rateLimiter');
+const causalBuffer = require('../services/causalBuffer');
+const idempotency = require('../services/idempotency');
 
 // Import your HealthMonitor instance (we'll export it from server.js)
 let healthMonitor = null;
@@ -25,7 +28,9 @@ router.get('/', (req, res) => {
       heapTotal: `${(process.memoryUsage().heapTotal / 1024 / 1024).toFixed(2)} MB`,
       rss: `${(process.memoryUsage().rss / 1024 / 1024).toFixed(2)} MB`
     },
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    // Events refused for flooding or size, and sockets dropped for it
+    rateLimits: rateLimiter.stats()
   };
 
   // Add HealthMonitor status if available
@@ -69,6 +74,11 @@ router.get('/detailed', async (req, res) => {
       name: mongoose.connection.name || 'unknown'
     },
     memory: process.memoryUsage(),
+    rateLimits: rateLimiter.stats(),
+    // Operations held until the map had applied what they depend on
+    causal: causalBuffer.stats(),
+    // Resent operations answered without applying them again
+    idempotency: idempotency.stats(),
     monitor: null,
     timestamp: new Date()
   };
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const mapController = require('../controllers/mapController');
+const sessionController = require('../controllers/sessionController');
 
 router.post('/', mapController.createMap);
 router.get('/', mapController.getMaps);
@@ -9,6 +10,8 @@ router.get('/:mapId', mapController.getMap);
 router.put('/:mapId', mapController.updateMap);
 router.delete('/:mapId', mapController.deleteMap);
 router.get('/:mapId/stats', mapController.getMapStats);
+router.get('/:mapId/sessions', sessionController.getSessions);
+router.delete('/:mapId/sessions/:sessionId', sessionController.terminateSession);
 
 module.exports = router;
 
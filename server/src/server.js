@@ -90,7 +90,8 @@ const cors = require('cors');
 
 const { connectDatabase } = require('./config/database');
 const HealthMonitor = require('./services/healthMonitor');
-const { setupWebSocket } = require('./websocket/socketHandler');
+const { setupWebSocket, closeBus } = require('./websocket/socketHandler');
+const { YjsSyncService } = require('./services/yjsSync');
 
 // Import routes
 const graphRoutes = require('./routes/graphRoutes');
@@ -126,6 +127,9 @@ app.get('/api/health', (req, res) => {
 // Setup WebSocket
 const io = setupWebSocket(server);
 
+// CRDT sync for maps with syncMode 'yjs' (shares the HTTP server on /yjs)
+const yjsSync = new YjsSyncService(server);
+
 // Start health monitor
 const healthMonitor = new HealthMonitor();
 healthMonitor.startMonitoring();
@@ -149,6 +153,7 @@ async function startServer() {
       console.log('═══════════════════════════════════════════');
       console.log(`📍 Server:     http://localhost:${PORT}`);
       console.log(`📡 WebSocket:  ws://localhost:${PORT}`);
+      console.log(`🔀 Yjs:        ws://localhost:${PORT}/yjs`);
       console.log(`🏥 Health:     http://localhost:${PORT}/health`);
       console.log(`🌐 CORS:       ${process.env.CLIENT_URL || 'http://localhost:5173'}`);
       console.log(`🗄️  Database:   Connected`);
@@ -170,6 +175,8 @@ process.on('SIGINT', async () => {
   try {
     healthMonitor.stopMonitoring();
     io.close();
+    closeBus();
+    yjsSync.close();
     server.close();
     process.exit(0);
   } catch (error) {
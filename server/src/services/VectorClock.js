@@ -14,6 +14,22 @@ class VectorClockService {
     return new Map();
   }
 
+  /**
+   * Keep only entries that are safe to use as Mongo map keys and are valid
+   * counters; clocks come straight from the client. Returns a plain object.
+   */
+  normalize(vectorClock) {
+    const clock = {};
+    if (!vectorClock || typeof vectorClock !== 'object') return clock;
+
+    for (const [clientId, value] of Object.entries(vectorClock)) {
+      if (!clientId || clientId.includes('.') || clientId.startsWith('$')) continue;
+      if (!Number.isInteger(value) || value < 0) continue;
+      clock[clientId] = value;
+    }
+    return clock;
+  }
+
   /**
    * Increment the clock for a specific client
    */
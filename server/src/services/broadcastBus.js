@@ -0,0 +1,226 @@
+// server/src/services/broadcastBus.js
+// Carries realtime messages between server instances
+
+const { EventEmitter } = require('events');
+const os = require('os');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Every instance keeps its own sockets, so anything one instance sends to a
+ * room has to reach the sockets of that room on the others too. A bus
+ * delivers a published message as { channel, payload, origin } to the
+ * subscribers of that channel on every *other* instance; `origin` is the
+ * publishing instance's id. Delivery is at most once and, per origin, in
+ * publish order.
+ *
+ * A message published with `{ volatile: true, key }` may be dropped, and only
+ * the latest one per channel and key needs to arrive (drag frames, cursors).
+ * Backends where sending costs something coalesce those before relaying.
+ *
+ * Two backends share this interface:
+ * - InProcessBus: instances in one process (tests, a single server)
+ * - MongoBus: instances sharing a MongoDB replica set, through a change
+ *   stream on a collection of short-lived messages. Volatile messages are
+ *   gathered per `volatileFlushMs` and relayed as one document.
+ */
+
+// Channel of a MongoBus document that carries a batch of volatile messages
+const VOLATILE_BATCH = '__volatile';
+
+class InProcessBus {
+  /**
+   * Buses created with the same `hub` reach each other; by default all of
+   * them in the process do
+   */
+  constructor(instanceId, { hub = defaultHub } = {}) {
+    this.instanceId = instanceId;
+    this.hub = hub;
+    this.handlers = new EventEmitter();
+    this.onMessage = (message) => {
+      if (message.origin !== this.instanceId) this.dispatch(message);
+    };
+  }
+
+  async start() {
+    this.hub.on('message', this.onMessage);
+  }
+
+  publish(channel, payload) {
+    const message = { channel, payload, origin: this.instanceId };
+    // Asynchronous, like any other transport
+    setImmediate(() => this.hub.emit('message', message));
+  }
+
+  subscribe(channel, handler) {
+    this.handlers.on(channel, handler);
+  }
+
+  dispatch(message) {
+    dispatch(this.handlers, message);
+  }
+
+  async close() {
+    this.hub.off('message', this.onMessage);
+    this.handlers.removeAllListeners();
+  }
+}
+
+const defaultHub = new EventEmitter();
+defaultHub.setMaxListeners(0);
+
+class MongoBus {
+  constructor(instanceId, {
+    collection = 'bus_messages', retentionSeconds = 60, retryDelayMs = 2000, volatileFlushMs = 100
+  } = {}) {
+    this.instanceId = instanceId;
+    this.collectionName = collection;
+    this.retentionSeconds = retentionSeconds;
+    this.retryDelayMs = retryDelayMs;
+    this.volatileFlushMs = volatileFlushMs;
+    this.volatile = new Map();  // `${channel}:${key}` -> latest unsent { channel, payload }
+    this.volatileTimer = null;
+    this.volatileCount = 0;
+    this.handlers = new EventEmitter();
+    this.collection = null;
+    this.stream = null;
+    this.resumeToken = null;
+    this.closed = false;
+    this.ready = null;
+  }
+
+  start() {
+    if (!this.ready) this.ready = this.open();
+    return this.ready;
+  }
+
+  async open() {
+    await mongoose.connection.asPromise();
+    this.collection = mongoose.connection.db.collection(this.collectionName);
+    // Messages only matter while instances are watching; MongoDB drops them after
+    await this.collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: this.retentionSeconds });
+    this.watch();
+    logger.info(`📡 Broadcast bus watching ${this.collectionName} as ${this.instanceId}`);
+  }
+
+  watch() {
+    if (this.closed) return;
+
+    const pipeline = [{
+      $match: { operationType: 'insert', 'fullDocument.origin': { $ne: this.instanceId } }
+    }];
+    // After an error, pick up where the previous stream stopped
+    const options = this.resumeToken ? { resumeAfter: this.resumeToken } : {};
+
+    this.stream = this.collection.watch(pipeline, options);
+    this.stream.on('change', (change) => {
+      this.resumeToken = change._id;
+      const { channel, payload, origin } = change.fullDocument;
+      if (channel === VOLATILE_BATCH) {
+        for (const message of payload) this.dispatch({ ...message, payload: fromBson(message.payload), origin });
+      } else {
+        this.dispatch({ channel, payload: fromBson(payload), origin });
+      }
+    });
+    this.stream.on('error', (error) => {
+      logger.warn('⚠️ Broadcast bus change stream failed, retrying:', error.message);
+      this.stream.close().catch(() => {});
+      this.stream = null;
+      setTimeout(() => this.watch(), this.retryDelayMs).unref();
+    });
+  }
+
+  publish(channel, payload, { volatile = false, key } = {}) {
+    if (this.closed) return;
+    if (volatile) {
+      // Without a key nothing supersedes it, but it still rides in the batch
+      this.volatile.set(`${channel}:${key ?? `#${this.volatileCount++}`}`, { channel, payload });
+      if (!this.volatileTimer) {
+        this.volatileTimer = setTimeout(() => this.flushVolatile(), this.volatileFlushMs);
+        this.volatileTimer.unref();
+      }
+      return;
+    }
+    this.insert(channel, payload);
+  }
+
+  // Relay the latest volatile message per key as one document
+  flushVolatile() {
+    this.volatileTimer = null;
+    if (this.volatile.size === 0) return;
+    const batch = [...this.volatile.values()];
+    this.volatile.clear();
+    this.insert(VOLATILE_BATCH, batch);
+  }
+
+  insert(channel, payload) {
+    const message = { channel, payload, origin: this.instanceId, createdAt: new Date() };
+    this.start()
+      .then(() => this.collection.insertOne(message))
+      .catch(error => logger.warn(`⚠️ Broadcast bus: failed to publish on ${channel}:`, error.message));
+  }
+
+  subscribe(channel, handler) {
+    this.handlers.on(channel, handler);
+  }
+
+  dispatch(message) {
+    dispatch(this.handlers, message);
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.volatileTimer) clearTimeout(this.volatileTimer);
+    this.volatileTimer = null;
+    this.volatile.clear();
+    this.handlers.removeAllListeners();
+    if (this.stream) await this.stream.close();
+    this.stream = null;
+  }
+}
+
+// A throwing subscriber must not stop delivery to the others
+function dispatch(handlers, { channel, payload, origin }) {
+  for (const handler of handlers.listeners(channel)) {
+    try {
+      handler(payload, origin);
+    } catch (error) {
+      logger.error(`❌ Broadcast bus handler for ${channel} failed:`, error);
+    }
+  }
+}
+
+// Binary data (Yjs updates) comes back out of MongoDB wrapped as BSON Binary
+function fromBson(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value._bsontype === 'Binary') return Buffer.from(value.buffer);
+  if (Array.isArray(value)) return value.map(fromBson);
+  if (value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromBson(v)]));
+}
+
+const BACKENDS = {
+  memory: InProcessBus,
+  mongo: MongoBus
+};
+
+/**
+ * Build the bus named by `backend` ('memory' or 'mongo')
+ */
+function createBroadcastBus({ backend = 'memory', instanceId = defaultInstanceId(), ...options } = {}) {
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown broadcast bus backend: ${backend}`);
+  }
+  return new Backend(instanceId, options[backend]);
+}
+
+function defaultInstanceId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+module.exports = {
+  createBroadcastBus,
+  InProcessBus,
+  MongoBus
+};
@@ -0,0 +1,145 @@
+// server/src/services/causalBuffer.js
+// Holds incoming operations until the map has applied what they depend on
+
+const MindMap = require('../models/Map');
+const vectorClockService = require('./VectorClock');
+const serverConfig = require('../config/serverConfig');
+const logger = require('../utils/logger');
+
+/**
+ * An operation depends on every entry of its vector clock except the
+ * sender's own: the socket layer handles a sender's ops one at a time, in
+ * the order they arrive, and its counter also counts edits the server
+ * refused, which no map clock ever catches up with. It is ready once the
+ * map clock has all the others.
+ * The sender may own more than one entry: ops it queued offline and replays
+ * after a reload can be stamped under the id its tab had back then.
+ *
+ * Map clocks are cached from the ops applied here and re-read from the
+ * database when an op looks blocked (another instance may have moved it).
+ * A blocked op waits as { dependencies, since, resolve } under its map until
+ * a later clock covers it. The clients it is waiting on are asked to resend
+ * what they have not got through; only if none of them does within
+ * `maxWaitMs` (they left, say) does it go ahead in server order anyway.
+ */
+
+class CausalBuffer {
+  constructor(config = serverConfig.causal) {
+    this.config = config;
+    this.clocks = new Map();   // mapId -> last known map clock
+    this.waiting = new Map();  // mapId -> ops waiting on it
+    this.counters = { held: 0, released: 0, timedOut: 0 };
+  }
+
+  dependencies(vectorClock, senderIds) {
+    const clock = vectorClockService.normalize(vectorClock);
+    for (const id of senderIds) delete clock[id];
+    return clock;
+  }
+
+  isReady(mapId, dependencies) {
+    return vectorClockService.isCausallyReady(
+      vectorClockService.fromObject(dependencies),
+      vectorClockService.fromObject(this.clocks.get(mapId))
+    );
+  }
+
+  // The entries of `dependencies` the map clock is behind on, each with the
+  // count the map has applied so far
+  missing(mapId, dependencies) {
+    const clock = this.clocks.get(mapId) || {};
+    const behind = {};
+    for (const [clientId, value] of Object.entries(dependencies)) {
+      if ((clock[clientId] || 0) < value) behind[clientId] = clock[clientId] || 0;
+    }
+    return behind;
+  }
+
+  /**
+   * Resolves once the map has applied everything an op stamped with
+   * `vectorClock` depends on: to true, or to false if it gave up waiting.
+   * `senderIds` are the clock entries that belong to the sender. If the op
+   * has to wait, `requestGap` is handed what the map is missing.
+   */
+  async waitFor(mapId, senderIds, vectorClock, requestGap = () => {}) {
+    const dependencies = this.dependencies(vectorClock, senderIds);
+    if (this.isReady(mapId, dependencies)) return true;
+
+    await this.refresh(mapId);
+    if (this.isReady(mapId, dependencies)) return true;
+
+    this.counters.held += 1;
+    const missing = this.missing(mapId, dependencies);
+    logger.warn(`⏸️ Holding an operation for map ${mapId} until it has ${JSON.stringify(dependencies)}`);
+    requestGap(missing);
+    return new Promise(resolve => {
+      const waiting = this.waiting.get(mapId) || [];
+      waiting.push({ dependencies, since: Date.now(), resolve });
+      this.waiting.set(mapId, waiting);
+    });
+  }
+
+  // Re-read the map clock from the database; on failure the cached one stays
+  async refresh(mapId) {
+    try {
+      const map = await MindMap.findOne({ mapId }, { vectorClock: 1 }).lean();
+      this.advance(mapId, map?.vectorClock || {});
+    } catch (error) {
+      logger.warn(`⚠️ Could not read the clock of map ${mapId}:`, error.message);
+    }
+  }
+
+  /**
+   * The map clock is now at least `vectorClock` (an op was applied): release
+   * the ops that were waiting for it
+   */
+  advance(mapId, vectorClock) {
+    const clock = { ...this.clocks.get(mapId) };
+    for (const [clientId, value] of Object.entries(vectorClock || {})) {
+      clock[clientId] = Math.max(clock[clientId] || 0, value);
+    }
+    this.clocks.set(mapId, clock);
+    this.release(mapId);
+  }
+
+  release(mapId, now = Date.now()) {
+    const waiting = this.waiting.get(mapId);
+    if (!waiting) return;
+
+    const stillWaiting = [];
+    for (const entry of waiting) {
+      if (this.isReady(mapId, entry.dependencies)) {
+        this.counters.released += 1;
+        entry.resolve(true);
+      } else if (now - entry.since >= this.config.maxWaitMs) {
+        this.counters.timedOut += 1;
+        logger.warn(`⌛ Gave up waiting for ${JSON.stringify(entry.dependencies)} in map ${mapId}; applying in server order`);
+        entry.resolve(false);
+      } else {
+        stillWaiting.push(entry);
+      }
+    }
+
+    if (stillWaiting.length > 0) {
+      this.waiting.set(mapId, stillWaiting);
+    } else {
+      this.waiting.delete(mapId);
+    }
+  }
+
+  // Check blocked maps against the database and time out ops waiting too long
+  async sweep() {
+    for (const mapId of [...this.waiting.keys()]) {
+      await this.refresh(mapId);
+      this.release(mapId);
+    }
+  }
+
+  stats() {
+    let waiting = 0;
+    for (const entries of this.waiting.values()) waiting += entries.length;
+    return { ...this.counters, waiting };
+  }
+}
+
+module.exports = new CausalBuffer();
@@ -0,0 +1,172 @@
+// server/src/services/conflicts.js
+// Records edits that collided, so the people involved can see who won
+
+const Conflict = require('../models/Conflict');
+const Node = require('../models/Node');
+const Operation = require('../models/Operation');
+const logger = require('../utils/logger');
+
+/**
+ * A conflict is stored as a Conflict document (see the model) and handed to
+ * clients as plain { conflictId, mapId, kind, entityType, entityId, field,
+ * reason, winner, loser, snapshot, status, detectedAt }.
+ *
+ * Clients stamp their HLCs with their client id, which is also the user id
+ * they sent ops with, so the author of a field's current value is known
+ * from its field clock alone.
+ */
+
+// Edge refusals caused by someone else's change (rather than a bad request)
+const EDGE_CONFLICT_CODES = ['DUPLICATE_EDGE', 'WOULD_CREATE_CYCLE', 'SOURCE_NOT_FOUND', 'TARGET_NOT_FOUND'];
+
+class ConflictService {
+  /**
+   * Conflicts from a node write merge applied. `contested` are its fields
+   * whose value differed from the stored one ({ field, won, value,
+   * otherValue, otherHlc }). A field it lost is always a conflict (its value
+   * didn't stick); one it won only when the write was concurrent with the
+   * previous one, i.e. it overwrote a value its author hadn't seen.
+   */
+  async fromMerge(op, { hasConflict, contested = [], hlc }) {
+    const records = contested
+      .filter(c => (hasConflict || !c.won) && c.otherHlc?.clientId && c.otherHlc.clientId !== op.clientId)
+      .map(c => {
+        const ours = {
+          value: c.value,
+          clientId: op.clientId,
+          userId: op.userId,
+          operationId: op.operationId,
+          hlc
+        };
+        const theirs = {
+          value: c.otherValue,
+          clientId: c.otherHlc.clientId,
+          userId: c.otherHlc.clientId,
+          hlc: c.otherHlc
+        };
+        return {
+          mapId: op.mapId,
+          kind: 'concurrent_edit',
+          entityType: 'node',
+          entityId: op.entityId,
+          field: c.field,
+          reason: `Concurrent edits to the ${c.field} of ${op.entityId}`,
+          winner: c.won ? ours : theirs,
+          loser: c.won ? theirs : ours
+        };
+      });
+    return this.record(records);
+  }
+
+  /**
+   * A conflict behind a refused socket mutation, if it was refused because
+   * of someone else's change: an edit to a node they deleted, or an edge
+   * their change made impossible. Returns [] for ordinary refusals.
+   */
+  async fromRejection({ mapId, event, data, error, clientId, userId }) {
+    const ours = { clientId, userId, operationId: data.operationId || null, hlc: data.hlc || null };
+
+    if ((event === 'node:update' || event === 'node:move') && error.code === 'NODE_NOT_FOUND') {
+      const deleted = await this.deletion(mapId, data.nodeId, clientId);
+      if (!deleted) return [];
+      return this.record([{
+        mapId,
+        kind: 'edit_on_deleted',
+        entityType: 'node',
+        entityId: data.nodeId,
+        reason: `${data.nodeId} was deleted while it was being edited`,
+        winner: deleted.winner,
+        loser: { ...ours, value: event === 'node:move' ? { position: data.position } : data.updates },
+        snapshot: deleted.snapshot
+      }]);
+    }
+
+    if (event === 'edge:add' && EDGE_CONFLICT_CODES.includes(error.code)) {
+      const winner = await this.edgeWinner(mapId, data, error, clientId);
+      if (!winner) return [];
+      return this.record([{
+        mapId,
+        kind: 'edge_rejected',
+        entityType: 'edge',
+        entityId: data.edge?.id || `${data.source}->${data.target}`,
+        reason: error.message,
+        winner,
+        loser: { ...ours, value: { source: data.source, target: data.target } }
+      }]);
+    }
+
+    return [];
+  }
+
+  /**
+   * Who deleted a node, and the node as it was; null if it was never there
+   * or this client deleted it itself
+   */
+  async deletion(mapId, nodeId, clientId) {
+    const node = await Node.findOne({ mapId, nodeId, isDeleted: true }).lean();
+    if (!node) return null;
+
+    const op = await Operation.findOne({ mapId, entityId: nodeId, type: 'NODE_DELETE', status: 'applied' })
+      .sort({ serverSequence: -1 })
+      .lean();
+    if (op?.clientId === clientId) return null;
+
+    return {
+      winner: { value: null, clientId: op?.clientId, userId: op?.userId, operationId: op?.operationId },
+      snapshot: {
+        id: node.nodeId,
+        label: node.content || 'Node',
+        position: node.position,
+        color: node.style?.color,
+        shape: node.style?.shape,
+        textStyle: node.textStyle
+      }
+    };
+  }
+
+  /**
+   * The side that made an edge impossible; null if it was this client
+   */
+  async edgeWinner(mapId, data, error, clientId) {
+    switch (error.code) {
+      case 'DUPLICATE_EDGE': {
+        const edgeId = error.errors?.find(e => e.type === 'DUPLICATE_EDGE')?.edgeId;
+        const op = edgeId && await Operation.findOne({ mapId, entityId: edgeId, type: 'EDGE_CREATE' }).lean();
+        if (op?.clientId === clientId) return null;
+        return {
+          value: { id: edgeId, source: data.source, target: data.target },
+          clientId: op?.clientId,
+          userId: op?.userId,
+          operationId: op?.operationId
+        };
+      }
+
+      case 'SOURCE_NOT_FOUND':
+      case 'TARGET_NOT_FOUND': {
+        const nodeId = error.code === 'SOURCE_NOT_FOUND' ? data.source : data.target;
+        const deleted = await this.deletion(mapId, nodeId, clientId);
+        return deleted && deleted.winner;
+      }
+
+      // The edges that close the cycle may come from anyone
+      default:
+        return { value: null };
+    }
+  }
+
+  async record(records) {
+    if (records.length === 0) return [];
+    const docs = await Conflict.insertMany(records);
+    for (const doc of docs) {
+      logger.info(`⚔️ Conflict ${doc.kind} on ${doc.entityId}${doc.field ? `.${doc.field}` : ''} in map ${doc.mapId}`);
+    }
+    return docs.map(doc => this.toClient(doc.toObject()));
+  }
+
+  toClient(conflict) {
+    const { _id, __v, ...rest } = conflict;
+    return rest;
+  }
+}
+
+module.exports = new ConflictService();
@@ -0,0 +1,81 @@
+// server/src/services/dragBuffer.js
+// In-memory positions of nodes that are being dragged right now
+
+/**
+ * Drag streams are broadcast as they arrive but never written one by one:
+ * only the latest position per node is kept here, and the socket layer
+ * persists it periodically and when the drag ends.
+ * An entry is { mapId, nodeId, position, hlc, userId, clientId, socketId,
+ * updatedAt, dirty } where `dirty` means it changed since it was last persisted.
+ */
+
+class DragBufferService {
+  constructor() {
+    this.drags = new Map(); // `${mapId}:${nodeId}` -> entry
+  }
+
+  key(mapId, nodeId) {
+    return `${mapId}:${nodeId}`;
+  }
+
+  /**
+   * Record the latest position of an in-flight drag
+   */
+  record(mapId, nodeId, drag) {
+    this.drags.set(this.key(mapId, nodeId), {
+      ...drag,
+      mapId,
+      nodeId,
+      updatedAt: Date.now(),
+      dirty: true
+    });
+  }
+
+  /**
+   * Stop tracking a drag (its final position is being written anyway)
+   */
+  take(mapId, nodeId) {
+    const key = this.key(mapId, nodeId);
+    const drag = this.drags.get(key) || null;
+    this.drags.delete(key);
+    return drag;
+  }
+
+  /**
+   * Drags that moved since the last call, marked clean. Drags that have been
+   * idle for longer than `idleMs` are forgotten.
+   */
+  takeDirty(idleMs) {
+    const dirty = [];
+    const now = Date.now();
+
+    for (const [key, drag] of this.drags) {
+      if (drag.dirty) {
+        drag.dirty = false;
+        dirty.push({ ...drag });
+      } else if (now - drag.updatedAt > idleMs) {
+        this.drags.delete(key);
+      }
+    }
+    return dirty;
+  }
+
+  /**
+   * Remove every drag a socket was streaming; returns the ones not yet persisted
+   */
+  takeBySocket(socketId) {
+    const dirty = [];
+    for (const [key, drag] of this.drags) {
+      if (drag.socketId !== socketId) continue;
+      this.drags.delete(key);
+      if (drag.dirty) dirty.push(drag);
+    }
+    return dirty;
+  }
+
+  size() {
+    return this.drags.size;
+  }
+}
+
+module.exports = new DragBufferService();
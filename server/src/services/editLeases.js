@@ -0,0 +1,160 @@
+// server/src/services/editLeases.js
+// Short-lived locks on nodes whose label someone is editing
+
+const logger = require('../utils/logger');
+
+/**
+ * A lease is { mapId, nodeId, sessionId, userId, displayName, color,
+ * expiresAt }. It is advisory: clients won't open an editor on a node leased
+ * to someone else, and label updates from other sessions are refused while
+ * it lasts. The holder renews it while typing; otherwise it runs out after
+ * the configured TTL, so a vanished editor can't lock a node for good.
+ *
+ * With several server instances, each one announces the leases its sessions
+ * take and give back on the broadcast bus and mirrors everyone else's, so a
+ * node leased through one instance is locked on all of them. Two instances
+ * granting the same node in the same instant each keep their own holder
+ * until one of them lets go or runs out.
+ */
+
+class EditLeaseService {
+  constructor() {
+    this.leases = new Map(); // `${mapId}:${nodeId}` -> lease
+    this.remote = new Set(); // keys of leases mirrored from other instances
+    this.bus = null;
+  }
+
+  /**
+   * Share leases with the other instances on `bus`, and ask them for theirs
+   */
+  attach(bus) {
+    this.bus = bus;
+    bus.subscribe('leases', (message) => this.applyRemote(message));
+    this.announce({ action: 'sync' });
+  }
+
+  key(mapId, nodeId) {
+    return `${mapId}:${nodeId}`;
+  }
+
+  /**
+   * Grant or renew a lease. Returns { granted, renewed, lease }: when not
+   * granted, `lease` is the one currently held by someone else.
+   */
+  acquire(mapId, nodeId, holder, ttlMs) {
+    const current = this.holder(mapId, nodeId);
+    if (current && current.sessionId !== holder.sessionId) {
+      return { granted: false, renewed: false, lease: { ...current } };
+    }
+
+    const lease = {
+      mapId,
+      nodeId,
+      sessionId: holder.sessionId,
+      userId: holder.userId,
+      displayName: holder.displayName,
+      color: holder.color,
+      expiresAt: new Date(Date.now() + ttlMs)
+    };
+    this.leases.set(this.key(mapId, nodeId), lease);
+    this.remote.delete(this.key(mapId, nodeId));
+    this.announce({ action: 'grant', lease });
+    return { granted: true, renewed: Boolean(current), lease: { ...lease } };
+  }
+
+  /**
+   * Release a lease held by `sessionId`; returns it, or null if not held
+   */
+  release(mapId, nodeId, sessionId) {
+    const current = this.holder(mapId, nodeId);
+    if (!current || current.sessionId !== sessionId) return null;
+    this.leases.delete(this.key(mapId, nodeId));
+    this.announce({ action: 'release', mapId, nodeId, sessionId });
+    return current;
+  }
+
+  /**
+   * Release everything a session holds (it disconnected or left the map)
+   */
+  releaseBySession(sessionId) {
+    const released = [];
+    for (const [key, lease] of this.leases) {
+      if (lease.sessionId !== sessionId) continue;
+      this.leases.delete(key);
+      this.announce({ action: 'release', mapId: lease.mapId, nodeId: lease.nodeId, sessionId });
+      released.push(lease);
+    }
+    return released;
+  }
+
+  /**
+   * The live lease on a node, or null
+   */
+  holder(mapId, nodeId) {
+    const lease = this.leases.get(this.key(mapId, nodeId));
+    if (!lease || lease.expiresAt <= new Date()) return null;
+    return lease;
+  }
+
+  list(mapId) {
+    const now = new Date();
+    return [...this.leases.values()]
+      .filter(lease => lease.mapId === mapId && lease.expiresAt > now)
+      .map(lease => ({ ...lease }));
+  }
+
+  /**
+   * Drop expired leases and return them. Mirrored ones are returned too:
+   * the instance that granted one may be gone and unable to say it lapsed.
+   */
+  sweep() {
+    const expired = [];
+    const now = new Date();
+    for (const [key, lease] of this.leases) {
+      if (lease.expiresAt > now) continue;
+      this.leases.delete(key);
+      this.remote.delete(key);
+      expired.push(lease);
+    }
+    return expired;
+  }
+
+  /**
+   * A change another instance announced on the bus
+   */
+  applyRemote({ action, lease, mapId, nodeId, sessionId }) {
+    switch (action) {
+      case 'grant': {
+        const key = this.key(lease.mapId, lease.nodeId);
+        // Never let a mirror replace a live lease granted here
+        if (this.leases.has(key) && !this.remote.has(key) && this.holder(lease.mapId, lease.nodeId)) return;
+        this.leases.set(key, { ...lease, expiresAt: new Date(lease.expiresAt) });
+        this.remote.add(key);
+        break;
+      }
+      case 'release': {
+        const key = this.key(mapId, nodeId);
+        if (this.remote.has(key) && this.leases.get(key)?.sessionId === sessionId) {
+          this.leases.delete(key);
+          this.remote.delete(key);
+        }
+        break;
+      }
+      case 'sync':
+        // A new instance wants to know what is leased
+        for (const [key, current] of this.leases) {
+          if (!this.remote.has(key)) this.announce({ action: 'grant', lease: current });
+        }
+        break;
+      default:
+        logger.debug(`Ignoring lease message: ${action}`);
+    }
+  }
+
+  announce(message) {
+    if (!this.bus) return;
+    this.bus.publish('leases', message.lease ? { ...message, lease: { ...message.lease } } : message);
+  }
+}
+
+module.exports = new EditLeaseService();
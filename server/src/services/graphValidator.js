@@ -2,6 +2,7 @@
 const Node = require('../models/Node');
 const Edge = require('../models/Edge');
 const GraphHelpers = require('../utils/graphHelpers');
+const merge = require('./merge');
 const logger = require('../utils/logger');
 
 class GraphValidator {
@@ -248,6 +249,14 @@ class GraphValidator {
   static async _validateAddNode(operation, mapId, errors, warnings) {
     const { nodeId, parentId } = operation.data;
     
+    if (!nodeId) {
+      errors.push({
+        type: 'INVALID_NODE',
+        message: 'Node id is required'
+      });
+      return;
+    }
+    
     // Check if node already exists
     const existing = await Node.findOne({ nodeId, mapId });
     if (existing && !existing.isDeleted) {
@@ -300,13 +309,27 @@ class GraphValidator {
   static async _validateAddEdge(operation, mapId, errors, warnings) {
     const { edgeId, sourceId, targetId } = operation.data;
     
-    // Check if edge already exists
-    const existing = await Edge.findOne({ edgeId, mapId });
-    if (existing && !existing.isDeleted) {
+    // Check if edge already exists (server-minted ids arrive without one)
+    if (edgeId) {
+      const existing = await Edge.findOne({ edgeId, mapId });
+      if (existing && !existing.isDeleted) {
+        errors.push({
+          type: 'EDGE_EXISTS',
+          edgeId,
+          message: 'Edge already exists'
+        });
+      }
+    }
+    
+    // Check for an existing edge between the same nodes
+    const duplicate = await Edge.findOne({ mapId, from: sourceId, to: targetId, isDeleted: false });
+    if (duplicate) {
       errors.push({
-        type: 'EDGE_EXISTS',
-        edgeId,
-        message: 'Edge already exists'
+        type: 'DUPLICATE_EDGE',
+        edgeId: duplicate.edgeId,
+        sourceId,
+        targetId,
+        message: 'An edge between these nodes already exists'
       });
     }
     
@@ -430,48 +453,83 @@ class GraphValidator {
   static async applyFixes(mapId, fixes) {
     const applied = [];
     const failed = [];
+    // Every fix goes through the merge service like any other edit, so it
+    // is sequenced, logged and can be broadcast to connected clients
+    const operations = [];
+    
+    const deleteEdges = async (edgeIds) => {
+      for (const edgeId of edgeIds) {
+        const payload = { edgeId, userId: 'system' };
+        const result = await merge({
+          mapId,
+          type: 'EDGE_DELETE',
+          entityId: edgeId,
+          payload,
+          clientId: 'rest',
+          userId: 'system'
+        });
+        if (!result.valid && result.code !== 'EDGE_NOT_FOUND') {
+          throw new Error(result.reason);
+        }
+        if (result.valid) {
+          operations.push({
+            event: 'edge:remove',
+            data: { ...payload, serverSequence: result.serverSequence, ...result.causality }
+          });
+        }
+      }
+    };
+    
+    const annotateNodes = async (nodeIds, annotations) => {
+      for (const nodeId of nodeIds) {
+        const payload = { nodeId, annotations, userId: 'system' };
+        const result = await merge({
+          mapId,
+          type: 'NODE_ANNOTATE',
+          entityId: nodeId,
+          payload,
+          clientId: 'rest',
+          userId: 'system'
+        });
+        if (!result.valid && result.code !== 'NODE_NOT_FOUND') {
+          throw new Error(result.reason);
+        }
+        if (result.valid) {
+          operations.push({
+            event: 'node:annotate',
+            data: { ...payload, serverSequence: result.serverSequence, ...result.causality }
+          });
+        }
+      }
+    };
     
     for (const fix of fixes) {
       try {
         switch (fix.action) {
           case 'MARK_AS_ORPHAN':
-            await Node.updateMany(
-              { nodeId: { $in: fix.nodeIds }, mapId },
-              { $set: { isOrphan: true } }
-            );
+            await annotateNodes(fix.nodeIds, { isOrphan: true });
             applied.push(fix);
             break;
             
           case 'DELETE_EDGE':
-            await Edge.updateOne(
-              { edgeId: fix.edgeId, mapId },
-              { $set: { isDeleted: true } }
-            );
+            await deleteEdges([fix.edgeId]);
             applied.push(fix);
             break;
             
           case 'DELETE_EDGES':
-            await Edge.updateMany(
-              { edgeId: { $in: fix.edgeIds }, mapId },
-              { $set: { isDeleted: true } }
-            );
+            await deleteEdges(fix.edgeIds);
             applied.push(fix);
             break;
             
           case 'UPDATE_DEPTH':
-            await Node.updateOne(
-              { nodeId: fix.nodeId, mapId },
-              { $set: { depth: fix.newDepth } }
-            );
+            await annotateNodes([fix.nodeId], { depth: fix.newDepth });
             applied.push(fix);
             break;
             
           case 'BREAK_CYCLE':
             const { sourceId, targetId } = fix.suggestedEdgeToRemove;
-            await Edge.updateOne(
-              { sourceId, targetId, mapId },
-              { $set: { isDeleted: true } }
-            );
+            const cycleEdges = await Edge.find({ from: sourceId, to: targetId, mapId, isDeleted: false }).lean();
+            await deleteEdges(cycleEdges.map(e => e.edgeId));
             applied.push(fix);
             break;
             
@@ -487,7 +545,8 @@ class GraphValidator {
     return {
       applied: applied.length,
       failed: failed.length,
-      details: { applied, failed }
+      details: { applied, failed },
+      operations
     };
   }
 }
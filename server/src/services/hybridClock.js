@@ -0,0 +1,103 @@
+// server/src/services/hybridClock.js
+// Hybrid logical clock (HLC) for last-writer-wins decisions and operation order
+
+const serverConfig = require('../config/serverConfig');
+const logger = require('../utils/logger');
+
+/**
+ * A timestamp is { time, counter, clientId }: `time` follows physical time
+ * (ms), `counter` orders events within the same millisecond, and `clientId`
+ * breaks exact ties so every replica picks the same winner.
+ *
+ * Every operation is ordered by one. Clients stamp their own (correcting
+ * their clock by the server time they got on join); a stamp that runs more
+ * than `maxDriftMs` ahead of ours is replaced, so one fast clock can't
+ * win every write, or drag everyone's clock forward, for as long as it is off.
+ */
+
+class HybridClockService {
+  constructor(clientId, maxDriftMs = serverConfig.clock.maxDriftMs) {
+    this.clientId = clientId;
+    this.maxDriftMs = maxDriftMs;
+    this.last = { time: 0, counter: 0, clientId };
+  }
+
+  /**
+   * Timestamp a local event (e.g. a REST mutation)
+   */
+  now() {
+    const physical = Date.now();
+    if (physical > this.last.time) {
+      this.last = { time: physical, counter: 0, clientId: this.clientId };
+    } else {
+      this.last = { time: this.last.time, counter: this.last.counter + 1, clientId: this.clientId };
+    }
+    return { ...this.last };
+  }
+
+  /**
+   * Advance past a timestamp received from another replica, so anything we
+   * stamp afterwards orders after it
+   */
+  receive(remote) {
+    const physical = Date.now();
+    const time = Math.max(physical, this.last.time, remote.time);
+    let counter;
+    if (time === this.last.time && time === remote.time) {
+      counter = Math.max(this.last.counter, remote.counter) + 1;
+    } else if (time === this.last.time) {
+      counter = this.last.counter + 1;
+    } else if (time === remote.time) {
+      counter = remote.counter + 1;
+    } else {
+      counter = 0;
+    }
+    this.last = { time, counter, clientId: this.clientId };
+    return { ...this.last };
+  }
+
+  /**
+   * The timestamp to order an event by, given the one it came with: that
+   * one, merged into our clock, if it is well formed and not too far ahead;
+   * otherwise a fresh one of ours
+   */
+  accept(value) {
+    const remote = this.parse(value);
+    if (!remote) return this.now();
+
+    const ahead = remote.time - Date.now();
+    if (ahead > this.maxDriftMs) {
+      logger.warn(`⏰ Clock of ${remote.clientId} is ${Math.round(ahead / 1000)}s ahead; restamping its operation`);
+      return this.now();
+    }
+    this.receive(remote);
+    return remote;
+  }
+
+  /**
+   * Total order over timestamps: negative if a < b, positive if a > b.
+   * A missing timestamp orders before any real one.
+   */
+  compare(a, b) {
+    if (!a && !b) return 0;
+    if (!a) return -1;
+    if (!b) return 1;
+    if (a.time !== b.time) return a.time - b.time;
+    if (a.counter !== b.counter) return a.counter - b.counter;
+    if (a.clientId === b.clientId) return 0;
+    return a.clientId < b.clientId ? -1 : 1;
+  }
+
+  /**
+   * A well-formed timestamp from untrusted input, or null
+   */
+  parse(value) {
+    if (!value || typeof value !== 'object') return null;
+    const { time, counter, clientId } = value;
+    if (!Number.isFinite(time) || !Number.isInteger(counter) || counter < 0) return null;
+    if (typeof clientId !== 'string' || !clientId) return null;
+    return { time, counter, clientId };
+  }
+}
+
+module.exports = new HybridClockService('server');
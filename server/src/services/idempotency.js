@@ -0,0 +1,151 @@
+// server/src/services/idempotency.js
+// Remembers what each operation was answered, so a resent one gets the same answer
+
+const Operation = require('../models/Operation');
+const serverConfig = require('../config/serverConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Every operation carries an idempotency key (clients send `idempotencyKey`;
+ * older ones only an `operationId`, which serves as one). Keys are kept per
+ * map as { promise, resolve, reply, startedAt, settledAt }: `reply` is the
+ * ack the operation got, and `promise` resolves to it, so a duplicate
+ * arriving while the original is still being handled waits for its answer.
+ *
+ * Applied operations are also found in the operation log by key, which
+ * covers duplicates arriving after a restart, after the key was forgotten or
+ * at another instance. Rejections are only remembered here, and only those
+ * that would come out the same again: after a transient one (a server error,
+ * a lost write race, a lease someone else holds) the key is released, so a
+ * resend is handled as new.
+ */
+
+// Rejections a resend may get past
+const TRANSIENT_CODES = new Set(['INTERNAL_ERROR', 'WRITE_CONFLICT', 'RATE_LIMITED', 'NODE_LOCKED', 'NOT_JOINED']);
+
+class IdempotencyStore {
+  constructor(config = serverConfig.idempotency) {
+    this.config = config;
+    this.maps = new Map();  // mapId -> (key -> entry), oldest first
+    this.counters = { duplicates: 0, fromLog: 0 };
+  }
+
+  keyOf(data) {
+    const key = data?.idempotencyKey || data?.operationId;
+    return typeof key === 'string' && key ? key : null;
+  }
+
+  entries(mapId) {
+    let entries = this.maps.get(mapId);
+    if (!entries) {
+      entries = new Map();
+      this.maps.set(mapId, entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Start handling the operation under `key`. Resolves to null if it is new:
+   * the caller handles it and passes its ack to `settle`. Otherwise resolves
+   * to the ack the original got (once it has one).
+   */
+  async begin(mapId, key) {
+    const entries = this.entries(mapId);
+    const existing = entries.get(key);
+    if (existing) {
+      this.counters.duplicates += 1;
+      const reply = await existing.promise;
+      // The original never got an answer and was forgotten: handle this one instead
+      return reply || this.begin(mapId, key);
+    }
+
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    entries.set(key, { promise, resolve, reply: null, startedAt: Date.now(), settledAt: null });
+    this.trim(entries);
+
+    const logged = await this.fromLog(mapId, key);
+    if (logged) {
+      this.counters.duplicates += 1;
+      this.counters.fromLog += 1;
+      this.settle(mapId, key, logged);
+      return logged;
+    }
+    return null;
+  }
+
+  // The ack an applied operation got, rebuilt from the log; null if it isn't there
+  async fromLog(mapId, key) {
+    try {
+      const op = await Operation.findOne({ mapId, idempotencyKey: key }).lean();
+      if (!op) return null;
+      return {
+        ok: true,
+        operationId: op.operationId,
+        serverSequence: op.serverSequence,
+        vectorClock: op.vectorClock,
+        hlc: op.hlc
+      };
+    } catch (error) {
+      logger.warn(`⚠️ Could not look up operation ${key} in map ${mapId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Record the ack the operation under `key` got, and hand it to any duplicates waiting
+  settle(mapId, key, reply) {
+    if (!reply?.ok && TRANSIENT_CODES.has(reply?.error?.code)) {
+      this.release(mapId, key);
+      return;
+    }
+    const entry = this.maps.get(mapId)?.get(key);
+    if (!entry || entry.settledAt) return;
+    entry.reply = reply;
+    entry.settledAt = Date.now();
+    entry.resolve(reply);
+  }
+
+  /**
+   * Forget `key` if it never got an answer worth keeping; duplicates waiting
+   * on it are handled as new. Settled keys are left alone, so handlers can
+   * call this once they are done, whatever happened.
+   */
+  release(mapId, key) {
+    const entries = this.maps.get(mapId);
+    const entry = entries?.get(key);
+    if (!entry || entry.settledAt) return;
+    entries.delete(key);
+    entry.resolve(null);
+  }
+
+  // Keep at most `maxKeysPerMap`, dropping the oldest answered ones first
+  trim(entries) {
+    for (const [key, entry] of entries) {
+      if (entries.size <= this.config.maxKeysPerMap) break;
+      if (entry.settledAt) entries.delete(key);
+    }
+  }
+
+  /**
+   * Forget answers older than `ttlMs`, and operations that never got one
+   * within it (a duplicate waiting on those is handled as new)
+   */
+  sweep(now = Date.now()) {
+    for (const [mapId, entries] of this.maps) {
+      for (const [key, entry] of entries) {
+        if (now - (entry.settledAt || entry.startedAt) < this.config.ttlMs) continue;
+        if (!entry.settledAt) entry.resolve(null);
+        entries.delete(key);
+      }
+      if (entries.size === 0) this.maps.delete(mapId);
+    }
+  }
+
+  stats() {
+    let keys = 0;
+    for (const entries of this.maps.values()) keys += entries.size;
+    return { ...this.counters, keys };
+  }
+}
+
+module.exports = new IdempotencyStore();
@@ -0,0 +1,299 @@
+// server/src/services/labelDocs.js
+// Shared Y.Text documents for node labels while they are being edited
+
+const Y = require('yjs');
+const Node = require('../models/Node');
+const serverConfig = require('../config/serverConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Each node label that someone has open in the editor gets a Y.Doc whose
+ * 'label' Y.Text merges concurrent keystrokes. Editors exchange Yjs updates
+ * through the socket layer; the text is written back to the node as a plain
+ * label write periodically and when the last editor closes it.
+ * An entry is { mapId, nodeId, doc, editors, dirty, lastEditor } where
+ * `editors` are session ids and `lastEditor` is { userId, clientId, sessionId }
+ * of whoever changed it last.
+ *
+ * With several server instances, each one keeps a replica of a label its
+ * own editors have open, and relays every update to it on the broadcast bus.
+ * `editors` and `dirty` stay per instance: an instance writes back the
+ * typing of its own editors. Instances announce which labels they have open,
+ * so one opening a label that is open elsewhere asks for that replica's
+ * state instead of seeding its own from the database.
+ */
+
+class LabelDocService {
+  constructor(config = serverConfig.labels) {
+    this.config = config;
+    this.docs = new Map();    // `${mapId}:${nodeId}` -> entry
+    this.loading = new Map(); // `${mapId}:${nodeId}` -> Promise<entry>
+    this.elsewhere = new Map(); // `${mapId}:${nodeId}` -> ids of other instances with it open
+    this.fetching = new Map();  // `${mapId}:${nodeId}` -> resolves with a replica's state
+    this.bus = null;
+  }
+
+  /**
+   * Share open labels with the other instances on `bus`, and ask them which
+   * ones they have open
+   */
+  attach(bus) {
+    this.bus = bus;
+    bus.subscribe('labels', (message, origin) => this.applyRemote(message, origin));
+    this.announce({ action: 'sync' });
+  }
+
+  key(mapId, nodeId) {
+    return `${mapId}:${nodeId}`;
+  }
+
+  /**
+   * Add an editor to a label doc, creating it from the stored label if it
+   * isn't open yet. Returns the entry, or null if the node doesn't exist.
+   */
+  async open(mapId, nodeId, sessionId) {
+    const key = this.key(mapId, nodeId);
+    let entry = this.docs.get(key);
+
+    if (!entry) {
+      // Two editors opening at once must share one doc: seeding it twice
+      // would insert the label twice once their updates meet
+      if (!this.loading.has(key)) {
+        this.loading.set(key, this.load(mapId, nodeId).finally(() => this.loading.delete(key)));
+      }
+      entry = await this.loading.get(key);
+      if (!entry) return null;
+    }
+
+    entry.editors.add(sessionId);
+    return entry;
+  }
+
+  async load(mapId, nodeId) {
+    const node = await Node.findOne({ mapId, nodeId, isDeleted: false }).lean();
+    if (!node) return null;
+
+    const state = this.isOpenElsewhere(mapId, nodeId) ? await this.fetch(mapId, nodeId) : null;
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, state || seed(node.content || ''));
+    const entry = { mapId, nodeId, doc, editors: new Set(), dirty: false, lastEditor: null };
+    this.docs.set(this.key(mapId, nodeId), entry);
+    this.announce({ action: 'opened', mapId, nodeId });
+    return entry;
+  }
+
+  // The state of another instance's replica, or null if none answers in time
+  fetch(mapId, nodeId) {
+    const key = this.key(mapId, nodeId);
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.fetching.delete(key);
+        logger.warn(`⚠️ No instance sent the label of ${nodeId}, seeding it from the database`);
+        resolve(null);
+      }, this.config.fetchTimeoutMs);
+      this.fetching.set(key, (state) => {
+        clearTimeout(timer);
+        this.fetching.delete(key);
+        resolve(state);
+      });
+      this.announce({ action: 'fetch', mapId, nodeId });
+    });
+  }
+
+  isOpenElsewhere(mapId, nodeId) {
+    return (this.elsewhere.get(this.key(mapId, nodeId))?.size || 0) > 0;
+  }
+
+  get(mapId, nodeId) {
+    return this.docs.get(this.key(mapId, nodeId)) || null;
+  }
+
+  /**
+   * Apply an editor's Yjs update. Returns false if the doc isn't open (by
+   * that editor) or the update is malformed.
+   */
+  apply(mapId, nodeId, update, editor) {
+    const entry = this.get(mapId, nodeId);
+    if (!entry || !entry.editors.has(editor.sessionId)) return false;
+
+    try {
+      Y.applyUpdate(entry.doc, toUint8Array(update));
+    } catch {
+      return false;
+    }
+    entry.dirty = true;
+    entry.lastEditor = editor;
+    this.announce({ action: 'update', mapId, nodeId, update });
+    return true;
+  }
+
+  /**
+   * Replace the whole text (a plain label write landed while the doc is
+   * open) and return the Yjs update to send to the editors, or null
+   */
+  replace(mapId, nodeId, label) {
+    const entry = this.get(mapId, nodeId);
+    if (!entry) return null;
+
+    const text = entry.doc.getText('label');
+    if (text.toString() === label) return null;
+
+    let update = null;
+    const onUpdate = (u) => { update = u; };
+    entry.doc.once('update', onUpdate);
+    entry.doc.transact(() => {
+      text.delete(0, text.length);
+      text.insert(0, label);
+    });
+    // The label itself was just written; nothing to flush
+    if (update) this.announce({ action: 'update', mapId, nodeId, update });
+    return update;
+  }
+
+  /**
+   * Remove an editor. Returns the entry once its last editor here has gone
+   * (it is then dropped, and the caller writes it if it is still dirty).
+   */
+  close(mapId, nodeId, sessionId) {
+    const entry = this.get(mapId, nodeId);
+    if (!entry) return null;
+
+    entry.editors.delete(sessionId);
+    if (entry.editors.size > 0) return null;
+    this.drop(entry);
+    return entry;
+  }
+
+  /**
+   * Remove a session from every doc it has open; returns the entries it was
+   * the last editor of
+   */
+  closeBySession(sessionId) {
+    const closed = [];
+    for (const entry of [...this.docs.values()]) {
+      if (!entry.editors.has(sessionId)) continue;
+      const last = this.close(entry.mapId, entry.nodeId, sessionId);
+      if (last) closed.push(last);
+    }
+    return closed;
+  }
+
+  /**
+   * The node was deleted: forget its doc without writing it
+   */
+  discard(mapId, nodeId) {
+    const entry = this.get(mapId, nodeId);
+    if (entry) this.drop(entry);
+    return entry;
+  }
+
+  // The doc itself stays readable: a closed entry may still be written out
+  drop(entry) {
+    this.docs.delete(this.key(entry.mapId, entry.nodeId));
+    this.announce({ action: 'closed', mapId: entry.mapId, nodeId: entry.nodeId });
+  }
+
+  /**
+   * A message another instance published on the bus
+   */
+  applyRemote({ action, mapId, nodeId, update, state }, origin) {
+    const key = this.key(mapId, nodeId);
+    const entry = this.docs.get(key);
+    switch (action) {
+      case 'opened':
+        if (!this.elsewhere.has(key)) this.elsewhere.set(key, new Set());
+        this.elsewhere.get(key).add(origin);
+        break;
+      case 'closed':
+        this.elsewhere.get(key)?.delete(origin);
+        if (this.elsewhere.get(key)?.size === 0) this.elsewhere.delete(key);
+        break;
+      case 'update':
+        // Typed on another instance: it writes that back, not us
+        if (entry) applyUpdate(entry.doc, update);
+        break;
+      case 'fetch':
+        if (entry) this.announce({ action: 'state', mapId, nodeId, state: this.state(entry) });
+        break;
+      case 'state':
+        if (this.fetching.has(key)) this.fetching.get(key)(toUint8Array(state));
+        else if (entry) applyUpdate(entry.doc, state);
+        break;
+      case 'sync':
+        // A new instance wants to know what is open
+        for (const open of this.docs.values()) {
+          this.announce({ action: 'opened', mapId: open.mapId, nodeId: open.nodeId });
+        }
+        break;
+      default:
+        logger.debug(`Ignoring label message: ${action}`);
+    }
+  }
+
+  announce(message) {
+    if (this.bus) this.bus.publish('labels', message);
+  }
+
+  /**
+   * Docs edited since the last call, marked clean
+   */
+  takeDirty() {
+    const dirty = [];
+    for (const entry of this.docs.values()) {
+      if (!entry.dirty) continue;
+      entry.dirty = false;
+      dirty.push(entry);
+    }
+    return dirty;
+  }
+
+  // Everything an editor joining the doc needs
+  state(entry) {
+    return Y.encodeStateAsUpdate(entry.doc);
+  }
+
+  text(entry) {
+    return entry.doc.getText('label').toString();
+  }
+
+  size() {
+    return this.docs.size;
+  }
+}
+
+// Two instances seeding the same label at once must insert the very same
+// text, or it doubles once their replicas meet: the seed is written under a
+// client id derived from the text, so equal seeds are one and the same
+function seed(label) {
+  const doc = new Y.Doc();
+  doc.clientID = hashText(label);
+  doc.getText('label').insert(0, label);
+  return Y.encodeStateAsUpdate(doc);
+}
+
+// FNV-1a, as an unsigned 32-bit Yjs client id
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function applyUpdate(doc, update) {
+  try {
+    Y.applyUpdate(doc, toUint8Array(update));
+  } catch (error) {
+    logger.warn('⚠️ Dropped a malformed label update from another instance:', error.message);
+  }
+}
+
+// socket.io hands binary payloads over as Buffers
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new TypeError('Expected a binary Yjs update');
+}
+
+module.exports = new LabelDocService();
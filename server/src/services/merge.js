@@ -1,312 +1,434 @@
 // server/src/services/merge.js
-// MIGRATED + ENHANCED VERSION of your merge logic
+// Single write path for graph mutations: every node/edge change, whether it
+// arrives over the socket or through REST, is applied, sequenced and logged here
 
-const Map = require('../models/Map');
+const MindMap = require('../models/Map'); // not `Map`: that would shadow the built-in
 const Node = require('../models/Node');
 const Edge = require('../models/Edge');
 const Operation = require('../models/Operation');
-const vectorClockService = require('./vectorClock');
+const vectorClockService = require('./VectorClock');
+const hybridClock = require('./hybridClock');
+const conflicts = require('./conflicts');
 const logger = require('../utils/logger');
 
+// Client-facing node field -> document path. Each field is its own
+// last-writer-wins register, so concurrent edits to different fields all survive.
+const NODE_FIELDS = {
+  label: 'content',
+  color: 'style.color',
+  shape: 'style.shape',
+  position: 'position',
+  textStyle: 'textStyle'
+};
+
+// Optimistic retries when another writer updates the same node between our read and write
+const MAX_LWW_ATTEMPTS = 5;
+
 /**
- * Compares two vector clocks.
- * Returns:
- *  -1 → incoming operation is older
- *   0 → concurrent
- *   1 → incoming operation is newer
+ * The fields of a node/edge document that rollback.js restores
  */
-function compareVectorClocks(currentVC, incomingVC) {
-  let isGreater = false;
-  let isLess = false;
-
-  const users = new Set([
-    ...Object.keys(currentVC || {}),
-    ...Object.keys(incomingVC || {})
-  ]);
+function snapshotNode(node) {
+  return { content: node.content, position: node.position, style: node.style, textStyle: node.textStyle };
+}
 
-  for (const user of users) {
-    const a = currentVC[user] || 0;
-    const b = incomingVC[user] || 0;
+function snapshotEdge(edge) {
+  return { from: edge.from, to: edge.to };
+}
 
-    if (a < b) isGreater = true;
-    if (a > b) isLess = true;
-  }
+// Node fields the graph validator maintains (NODE_ANNOTATE); users don't edit them
+const ANNOTATIONS = ['isOrphan', 'depth'];
 
-  if (isGreater && !isLess) return 1;   // incoming is newer
-  if (isLess && !isGreater) return -1;  // incoming is older
-  return 0;                              // concurrent
+function valueAt(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc);
 }
 
 /**
  * Apply operation to node
  */
-async function applyNodeOperation(mapId, op) {
+async function applyNodeOperation(op) {
+  const { mapId, entityId: nodeId, payload } = op;
+
+  // Set by merge: the client's stamp, or ours if it had none (or a bad one)
+  const { hlc } = payload;
+
   switch (op.type) {
-    case 'addNode':
-    case 'NODE_CREATE':
+    case 'NODE_CREATE': {
+      const { node } = payload;
       const newNode = new Node({
-        nodeId: op.node.id || op.nodeId,
+        nodeId,
         mapId,
-        content: {
-          text: op.node.label || op.node.text || 'New Node',
-          type: 'text'
+        content: node.label,
+        position: node.position,
+        style: {
+          color: node.color,
+          shape: node.shape || 'circle'
         },
-        position: op.node.position || { x: 0, y: 0 },
-        createdBy: op.userId || op.clientId,
-        lastModifiedBy: op.userId || op.clientId,
-        vectorClock: vectorClockService.fromObject(op.vc || {})
-      });
-      await newNode.save();
-      return { success: true, entity: newNode };
-
-    case 'updateNode':
-    case 'NODE_UPDATE':
-      const nodeToUpdate = await Node.findOne({
-        mapId,
-        nodeId: op.node.id || op.nodeId,
+        textStyle: node.textStyle,
+        fieldClocks: Object.fromEntries(Object.keys(NODE_FIELDS).map(field => [field, hlc])),
         isDeleted: false
       });
+      await newNode.save();
+      return { success: true, entity: newNode, stats: { nodeCount: 1 } };
+    }
 
-      if (!nodeToUpdate) {
-        return { success: false, reason: 'Node not found' };
-      }
-
-      // Check vector clock for concurrency
-      const comparison = compareVectorClocks(
-        vectorClockService.toObject(nodeToUpdate.vectorClock),
-        op.vc || {}
-      );
+    // Undo of a delete: the node comes back as `payload.node` describes it
+    case 'NODE_RESTORE': {
+      const { node } = payload;
+      const restored = await Node.findOneAndUpdate(
+        { nodeId, mapId, isDeleted: true },
+        {
+          $set: {
+            isDeleted: false,
+            content: node.label,
+            position: node.position,
+            'style.color': node.color,
+            'style.shape': node.shape || 'circle',
+            textStyle: node.textStyle,
+            fieldClocks: Object.fromEntries(Object.keys(NODE_FIELDS).map(field => [field, hlc])),
+            updatedAt: new Date()
+          },
+          $inc: { version: 1 }
+        },
+        { new: true }
+      ).lean();
 
-      if (comparison === -1) {
-        return { success: false, reason: 'Outdated edit (older vector clock)' };
+      if (!restored) {
+        return { success: false, code: 'NODE_NOT_FOUND', reason: `Node ${nodeId} is not deleted` };
       }
+      return { success: true, entity: restored, stats: { nodeCount: 1 } };
+    }
 
-      // Apply update (Last-Write-Wins for concurrent edits)
-      if (op.node.label) {
-        nodeToUpdate.content.text = op.node.label;
+    case 'NODE_ANNOTATE': {
+      const $set = {};
+      for (const field of ANNOTATIONS) {
+        if (payload.annotations?.[field] !== undefined) $set[field] = payload.annotations[field];
       }
-      if (op.node.text) {
-        nodeToUpdate.content.text = op.node.text;
+      const previous = await Node.findOneAndUpdate(
+        { nodeId, mapId, isDeleted: false },
+        { $set: { ...$set, updatedAt: new Date() } },
+        { new: false }
+      ).lean();
+
+      if (!previous) {
+        return { success: false, code: 'NODE_NOT_FOUND', reason: `Node ${nodeId} does not exist` };
       }
-      if (op.node.position) {
-        nodeToUpdate.position = op.node.position;
+      return {
+        success: true,
+        entity: previous,
+        previousState: Object.fromEntries(Object.keys($set).map(field => [field, previous[field]]))
+      };
+    }
+
+    case 'NODE_DELETE': {
+      const previous = await Node.findOneAndUpdate(
+        { nodeId, mapId, isDeleted: false },
+        { $set: { isDeleted: true, updatedAt: new Date() } },
+        { new: false }
+      ).lean();
+
+      if (!previous) {
+        return { success: false, code: 'NODE_NOT_FOUND', reason: `Node ${nodeId} does not exist` };
       }
 
-      // Merge vector clocks
-      nodeToUpdate.vectorClock = vectorClockService.merge(
-        nodeToUpdate.vectorClock,
-        vectorClockService.fromObject(op.vc || {})
+      // Edges can't outlive either endpoint
+      const cascade = await Edge.updateMany(
+        { mapId, isDeleted: false, $or: [{ from: nodeId }, { to: nodeId }] },
+        { $set: { isDeleted: true, updatedAt: new Date() } }
       );
 
-      nodeToUpdate.lastModifiedBy = op.userId || op.clientId;
-      nodeToUpdate.version += 1;
-
-      await nodeToUpdate.save();
-      return { success: true, entity: nodeToUpdate };
+      return {
+        success: true,
+        entity: previous,
+        previousState: snapshotNode(previous),
+        stats: { nodeCount: -1, edgeCount: -cascade.modifiedCount }
+      };
+    }
 
-    case 'deleteNode':
-    case 'NODE_DELETE':
-      const nodeToDelete = await Node.findOne({
-        mapId,
-        nodeId: op.nodeId || op.node?.id,
-        isDeleted: false
-      });
+    case 'NODE_UPDATE':
+    case 'NODE_MOVE': {
+      const changes = op.type === 'NODE_MOVE' ? { position: payload.position } : (payload.updates || {});
 
-      if (!nodeToDelete) {
-        return { success: false, reason: 'Node not found' };
-      }
+      for (let attempt = 0; attempt < MAX_LWW_ATTEMPTS; attempt++) {
+        const current = await Node.findOne({ nodeId, mapId, isDeleted: false }).lean();
+        if (!current) {
+          return { success: false, code: 'NODE_NOT_FOUND', reason: `Node ${nodeId} does not exist` };
+        }
 
-      // Soft delete
-      nodeToDelete.softDelete(op.userId || op.clientId);
-      await nodeToDelete.save();
+        // Only fields whose register this op wins are written; a field with a
+        // newer timestamp keeps its value. Ties can't happen: clientId breaks them.
+        // Fields whose stored value differs are contested, won or lost.
+        const $set = {};
+        const contested = [];
+        for (const [field, value] of Object.entries(changes)) {
+          const path = NODE_FIELDS[field];
+          if (!path || value === undefined) continue;
+          const won = hybridClock.compare(hlc, current.fieldClocks?.[field]) > 0;
+          if (won) {
+            $set[path] = value;
+            $set[`fieldClocks.${field}`] = hlc;
+          }
+          const otherValue = valueAt(current, path);
+          if (JSON.stringify(otherValue) !== JSON.stringify(value)) {
+            contested.push({ field, won, value, otherValue, otherHlc: current.fieldClocks?.[field] || null });
+          }
+        }
 
-      // Also delete connected edges
-      await Edge.updateMany(
-        {
-          mapId,
-          $or: [
-            { sourceNodeId: nodeToDelete.nodeId },
-            { targetNodeId: nodeToDelete.nodeId }
-          ],
-          isDeleted: false
-        },
-        {
-          isDeleted: true,
-          lastModifiedBy: op.userId || op.clientId
+        const result = { success: true, entity: current, previousState: snapshotNode(current), contested };
+        if (Object.keys($set).length === 0) {
+          return result; // every field already holds a newer write
         }
-      );
+        $set.updatedAt = new Date();
+
+        // Conditional on the version we read, so a concurrent write can't slip in between
+        const write = await Node.updateOne(
+          { nodeId, mapId, isDeleted: false, version: current.version },
+          { $set, $inc: { version: 1 } },
+          { runValidators: true }
+        );
+        if (write.modifiedCount === 1) {
+          return result;
+        }
+      }
 
-      return { success: true, entity: nodeToDelete };
+      return { success: false, code: 'WRITE_CONFLICT', reason: `Node ${nodeId} is being edited too fast, try again` };
+    }
 
     default:
-      return { success: false, reason: `Unknown operation type: ${op.type}` };
+      return { success: false, code: 'UNKNOWN_OPERATION', reason: `Unknown operation type: ${op.type}` };
   }
 }
 
 /**
  * Apply operation to edge
  */
-async function applyEdgeOperation(mapId, op) {
-  switch (op.type) {
-    case 'addEdge':
-    case 'EDGE_CREATE':
-      // Validate nodes exist
-      const sourceExists = await Node.exists({
-        mapId,
-        nodeId: op.edge.from,
-        isDeleted: false
-      });
-      const targetExists = await Node.exists({
-        mapId,
-        nodeId: op.edge.to,
-        isDeleted: false
-      });
-
-      if (!sourceExists || !targetExists) {
-        return { success: false, reason: 'Source or target node not found' };
-      }
+async function applyEdgeOperation(op) {
+  const { mapId, entityId: edgeId, payload } = op;
 
+  switch (op.type) {
+    case 'EDGE_CREATE': {
+      // Endpoints, duplicates and cycles were already checked by the validator
       const newEdge = new Edge({
-        edgeId: op.edge.id || `edge_${Date.now()}`,
+        edgeId,
         mapId,
-        sourceNodeId: op.edge.from,
-        targetNodeId: op.edge.to,
-        createdBy: op.userId || op.clientId,
-        lastModifiedBy: op.userId || op.clientId,
-        vectorClock: vectorClockService.fromObject(op.vc || {})
+        from: payload.source,
+        to: payload.target,
+        isDeleted: false
       });
-
       await newEdge.save();
-      return { success: true, entity: newEdge };
+      return { success: true, entity: newEdge, stats: { edgeCount: 1 } };
+    }
 
-    case 'deleteEdge':
-    case 'EDGE_DELETE':
-      const edgeToDelete = await Edge.findOne({
-        mapId,
-        sourceNodeId: op.edge.from,
-        targetNodeId: op.edge.to,
-        isDeleted: false
-      });
+    // Undo of a delete; like EDGE_CREATE, checked by the validator first
+    case 'EDGE_RESTORE': {
+      const restored = await Edge.findOneAndUpdate(
+        { edgeId, mapId, isDeleted: true },
+        { $set: { isDeleted: false, updatedAt: new Date() } },
+        { new: true }
+      ).lean();
 
-      if (!edgeToDelete) {
-        return { success: false, reason: 'Edge not found' };
+      if (!restored) {
+        return { success: false, code: 'EDGE_NOT_FOUND', reason: `Edge ${edgeId} is not deleted` };
       }
+      return { success: true, entity: restored, stats: { edgeCount: 1 } };
+    }
 
-      edgeToDelete.softDelete(op.userId || op.clientId);
-      await edgeToDelete.save();
+    case 'EDGE_DELETE': {
+      const previous = await Edge.findOneAndUpdate(
+        { edgeId, mapId, isDeleted: false },
+        { $set: { isDeleted: true, updatedAt: new Date() } },
+        { new: false }
+      ).lean();
 
-      return { success: true, entity: edgeToDelete };
+      if (!previous) {
+        return { success: false, code: 'EDGE_NOT_FOUND', reason: `Edge ${edgeId} does not exist` };
+      }
+      return {
+        success: true,
+        entity: previous,
+        previousState: snapshotEdge(previous),
+        stats: { edgeCount: -1 }
+      };
+    }
 
     default:
-      return { success: false, reason: `Unknown operation type: ${op.type}` };
+      return { success: false, code: 'UNKNOWN_OPERATION', reason: `Unknown operation type: ${op.type}` };
+  }
+}
+
+/**
+ * The clock a client must have applied before `op`: its own clock, except
+ * that the sender's entry is that of the sender's previous logged op (its
+ * counter also advanced for ops the server refused, which nobody receives)
+ */
+async function dependenciesOf(op, incomingVC) {
+  const previous = await Operation.findOne({ mapId: op.mapId, clientId: op.clientId })
+    .sort({ serverSequence: -1 })
+    .select('vectorClock')
+    .lean();
+
+  const dependencies = { ...incomingVC };
+  const previousCount = previous?.vectorClock?.[op.clientId] || 0;
+  if (previousCount > 0) {
+    dependencies[op.clientId] = previousCount;
+  } else {
+    delete dependencies[op.clientId];
+  }
+  // An op queued before a reload is stamped under the tab's old id; its
+  // earlier ops were replayed ahead of it, so nothing waits on that entry
+  if (op.userId && op.userId !== op.clientId) {
+    delete dependencies[op.userId];
   }
+  return dependencies;
 }
 
 /**
  * Main merge function with vector clock awareness.
- * This is your original merge logic enhanced with new architecture.
+ *
+ * `op` is { mapId, type, entityId, payload, operationId, idempotencyKey,
+ * clientId, sessionId, userId, vectorClock }, where `type` is an Operation log type (NODE_CREATE...)
+ * and `payload` is what gets logged and broadcast.
+ *
+ * The op's clock is compared with the last applied op on the same entity:
+ *  - concurrent: neither writer saw the other's change. Applied, with node
+ *    fields resolved by their LWW registers, and flagged as a conflict in the log.
+ *  - before/equal: the entity already reflects a write that saw this op, so
+ *    this is a redelivery and applying it again would clobber newer state.
+ * Ops without a clock (REST, older clients) are simply applied in server order.
+ *
+ * Every op is ordered by a hybrid timestamp: the one its payload carries
+ * (see hybridClock.accept), or one stamped here. It decides node field
+ * registers and is logged, with the payload, as the op's `hlc`.
+ *
+ * Returns { valid: true, serverSequence, vectorClock, causality, hasConflict,
+ * conflicts, entity } with the map's merged clock, the conflicts recorded for
+ * the op (see services/conflicts.js) and `causality`, the { vectorClock,
+ * dependencies, hlc } of the op itself that go out with its broadcast so
+ * clients can hold it until they have what it depends on and order it.
+ * `serverSequence` is undefined if the op was applied but could not be sequenced.
+ * Or { valid: false, code, reason }.
+ *
+ * A map in syncMode 'yjs' is written from its shared doc (services/yjsSync.js),
+ * which passes `ignoreSyncMode`; anything else would be lost to the doc, so
+ * it is refused with YJS_MAP.
  */
 async function merge(op) {
   try {
-    logger.info(`Merging operation: ${op.type} for map ${op.mapId}`);
-
-    // Load current map state
-    const map = await Map.findOne({ mapId: op.mapId, isDeleted: false });
-    if (!map) {
-      return { valid: false, reason: 'Map not found' };
+    const { mapId, entityId } = op;
+    if (!op.ignoreSyncMode) {
+      const map = await MindMap.findOne({ mapId }, { syncMode: 1 }).lean();
+      if (map?.syncMode === 'yjs') {
+        return { valid: false, code: 'YJS_MAP', reason: `Map ${mapId} syncs through its shared document` };
+      }
     }
 
-    const incomingVC = op.vc || {};
-    const currentVC = vectorClockService.toObject(map.vectorClock);
-
-    // Compare vector clocks at map level
-    const comparison = compareVectorClocks(currentVC, incomingVC);
+    const incomingVC = vectorClockService.normalize(op.vectorClock);
+    const hasClock = Object.keys(incomingVC).length > 0;
+
+    let hasConflict = false;
+    if (hasClock) {
+      const latest = await Operation.findOne({ mapId, entityId, status: 'applied' })
+        .sort({ serverSequence: -1 })
+        .lean();
+
+      if (latest) {
+        const comparison = vectorClockService.compare(
+          vectorClockService.fromObject(incomingVC),
+          vectorClockService.fromObject(latest.vectorClock)
+        );
+
+        if (comparison === 'before' || comparison === 'equal') {
+          logger.warn(`Operation rejected: ${op.type} on ${entityId} is older than sequence ${latest.serverSequence}`);
+          return {
+            valid: false,
+            code: 'STALE_OPERATION',
+            reason: `${entityId} already has a newer change`
+          };
+        }
 
-    if (comparison === -1) {
-      // Incoming op is older → reject it
-      logger.warn('Operation rejected: older vector clock');
-      return {
-        valid: false,
-        reason: 'Outdated edit (older vector clock)'
-      };
+        hasConflict = comparison === 'concurrent';
+        if (hasConflict) {
+          logger.warn(`Concurrent ${op.type} on ${entityId} in map ${mapId} (clock ${JSON.stringify(incomingVC)})`);
+        }
+      }
     }
 
-    // Determine operation category
-    let result;
-    if (op.type.includes('Node') || op.type.includes('node')) {
-      result = await applyNodeOperation(op.mapId, op);
-    } else if (op.type.includes('Edge') || op.type.includes('edge')) {
-      result = await applyEdgeOperation(op.mapId, op);
-    } else {
-      return { valid: false, reason: 'Unknown operation category' };
-    }
+    const dependencies = hasClock ? await dependenciesOf(op, incomingVC) : {};
+    const hlc = hybridClock.accept(op.payload?.hlc);
+    const stamped = { ...op, payload: { ...op.payload, hlc } };
 
-    if (!result.success) {
-      return { valid: false, reason: result.reason };
-    }
+    const result = op.type.startsWith('EDGE_')
+      ? await applyEdgeOperation(stamped)
+      : await applyNodeOperation(stamped);
 
-    // Merge vector clocks at map level
-    const mergedVC = { ...currentVC };
-    for (const user in incomingVC) {
-      mergedVC[user] = Math.max(mergedVC[user] || 0, incomingVC[user]);
-    }
-    map.vectorClock = vectorClockService.fromObject(mergedVC);
-    map.version += 1;
-
-    // Update map stats
-    if (op.type.includes('Node') && op.type.includes('CREATE')) {
-      map.stats.nodeCount += 1;
-    } else if (op.type.includes('Node') && op.type.includes('DELETE')) {
-      map.stats.nodeCount -= 1;
-    } else if (op.type.includes('Edge') && op.type.includes('CREATE')) {
-      map.stats.edgeCount += 1;
-    } else if (op.type.includes('Edge') && op.type.includes('DELETE')) {
-      map.stats.edgeCount -= 1;
+    if (!result.success) {
+      return { valid: false, code: result.code, reason: result.reason };
     }
 
-    await map.save();
-
-    // Log operation
-    const serverSequence = await Operation.getNextServerSequence(op.mapId);
-    const operation = new Operation({
-      operationId: op.operationId || `op_${Date.now()}`,
-      mapId: op.mapId,
-      type: op.type,
-      entityId: result.entity.nodeId || result.entity.edgeId,
-      entityType: op.type.includes('Node') ? 'node' : 'edge',
-      payload: op,
-      vectorClock: vectorClockService.fromObject(incomingVC),
-      clientId: op.clientId || 'unknown',
-      sessionId: op.sessionId || 'unknown',
-      userId: op.userId || op.clientId || 'unknown',
-      clientSequence: incomingVC[op.clientId] || 0,
-      serverSequence,
-      status: 'applied'
+    // The entity is written, so from here on the op is applied: it is acked
+    // and broadcast as such whatever happens to its bookkeeping. Without
+    // multi-document transactions nothing ties the two together, so a failure
+    // to sequence or log it is only logged; the gap it leaves in the log
+    // makes resync fall back to a snapshot, which has the op's effect.
+    // Sequencing merges the clock and updates stats in one atomic map update.
+    const map = await MindMap.advance(mapId, incomingVC, result.stats).catch(error => {
+      logger.error(`Failed to sequence ${op.type} ${entityId}, applied without a sequence number:`, error.message);
+      return null;
     });
+    const serverSequence = map?.version;
 
-    await operation.save();
+    if (map) {
+      await Operation.create({
+        operationId: op.operationId || `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        idempotencyKey: op.idempotencyKey || null,
+        mapId,
+        type: op.type,
+        payload: stamped.payload,
+        vectorClock: incomingVC,
+        dependencies,
+        hlc,
+        clientId: op.clientId || 'unknown',
+        sessionId: op.sessionId || 'unknown',
+        userId: op.userId || op.clientId || 'unknown',
+        entityType: op.type.startsWith('EDGE_') ? 'edge' : 'node',
+        entityId,
+        clientSequence: incomingVC[op.clientId] || 0,
+        serverSequence,
+        previousState: result.previousState || null,
+        status: 'applied',
+        hasConflict
+      }).catch(error => {
+        logger.error(`Failed to log ${op.type} ${entityId} at sequence ${serverSequence}:`, error.message);
+      });
+    }
+
+    logger.info(`Operation merged: ${op.type} ${entityId} at sequence ${serverSequence}`);
 
-    logger.success(`Operation merged successfully: ${op.type}`);
+    // The op is in; failing to record its conflicts shouldn't undo that
+    const detected = await conflicts.fromMerge(op, { hasConflict, contested: result.contested, hlc })
+      .catch(error => {
+        logger.warn(`Failed to record conflicts of ${op.type} ${entityId}:`, error.message);
+        return [];
+      });
 
     return {
       valid: true,
-      op,
-      mergedState: map,
-      entity: result.entity,
-      operation: {
-        operationId: operation.operationId,
-        serverSequence: operation.serverSequence
-      }
+      serverSequence,
+      vectorClock: map ? Object.fromEntries(map.vectorClock) : incomingVC,
+      causality: { vectorClock: incomingVC, dependencies, hlc },
+      hasConflict,
+      conflicts: detected,
+      entity: result.entity
     };
 
   } catch (err) {
     logger.error('[Merge error]:', err);
     return {
       valid: false,
+      code: 'INTERNAL_ERROR',
       reason: 'Merge failed',
       error: err.message
     };
   }
 }
 
-module.exports = merge;
\ No newline at end of file
+module.exports = merge;
@@ -0,0 +1,299 @@
+// server/src/services/presence.js
+// Who is in each map room right now
+
+const MindMap = require('../models/Map'); // not `Map`: that would shadow the built-in
+const logger = require('../utils/logger');
+
+/**
+ * Sessions are kept in memory and mirrored to Map.activeSessions.
+ * A session is { sessionId, clientId, userId, displayName, color, joinedAt,
+ * lastSeenAt, lastActiveAt, selectedNodeId, editingNodeId,
+ * followingSessionId } where sessionId is the socket id. lastSeenAt moves on
+ * every heartbeat; lastActiveAt only when the user does something.
+ * Selections and follows change too often to be worth mirroring and only
+ * live in memory, as do viewports ({ center, zoom }), which are kept apart
+ * from the sessions so they aren't sent around with them.
+ *
+ * With several server instances, each one announces changes to the sessions
+ * it carries on the broadcast bus and mirrors everyone else's, so every
+ * instance lists the whole map. Only the carrying instance writes a session
+ * to the database; viewports stay with it too.
+ */
+
+// Handed out in order, skipping colors already taken in the map
+const PRESENCE_COLORS = [
+  '#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6',
+  '#EC4899', '#14B8A6', '#F97316', '#6366F1', '#84CC16'
+];
+
+const MAX_DISPLAY_NAME_LENGTH = 40;
+
+class PresenceService {
+  constructor() {
+    this.maps = new Map();      // mapId -> Map(sessionId -> session)
+    this.sessionMaps = new Map(); // sessionId -> mapId
+    this.viewports = new Map();   // sessionId -> last streamed viewport
+    this.remote = new Set();      // ids of sessions mirrored from other instances
+    this.bus = null;
+  }
+
+  /**
+   * Share sessions with the other instances on `bus`, and ask them for theirs
+   */
+  attach(bus) {
+    this.bus = bus;
+    bus.subscribe('presence', (message) => this.applyRemote(message));
+    this.announce({ action: 'sync' });
+  }
+
+  /**
+   * Add a session to a map and return it (with its assigned color). A
+   * resumed session asks for the color it had, which it gets if still free.
+   */
+  join(mapId, { sessionId, clientId, userId, displayName, color: preferredColor }) {
+    // A socket is in one map at a time
+    this.leave(sessionId);
+
+    const sessions = this.sessions(mapId);
+    const taken = new Set([...sessions.values()].map(s => s.color));
+    const color = (PRESENCE_COLORS.includes(preferredColor) && !taken.has(preferredColor) && preferredColor) ||
+      PRESENCE_COLORS.find(c => !taken.has(c)) ||
+      PRESENCE_COLORS[sessions.size % PRESENCE_COLORS.length];
+
+    const now = new Date();
+    const session = {
+      sessionId,
+      clientId,
+      userId,
+      displayName: cleanDisplayName(displayName) || `Guest ${userId.slice(-4)}`,
+      color,
+      joinedAt: now,
+      lastSeenAt: now,
+      lastActiveAt: now,
+      selectedNodeId: null,
+      editingNodeId: null,
+      followingSessionId: null
+    };
+    sessions.set(sessionId, session);
+    this.sessionMaps.set(sessionId, mapId);
+
+    persist(MindMap.addSession(mapId, session), `add session ${sessionId}`);
+    this.announce({ action: 'upsert', mapId, session });
+    return { ...session };
+  }
+
+  /**
+   * Remove a session; returns { mapId, session, unfollowed } or null if it
+   * wasn't present. `unfollowed` are the sessions that were following it,
+   * now following no one.
+   */
+  leave(sessionId) {
+    const remote = this.remote.has(sessionId);
+    const left = this.remove(sessionId);
+    if (!left || remote) return left;
+
+    persist(MindMap.removeSession(left.mapId, sessionId), `remove session ${sessionId}`);
+    this.announce({ action: 'leave', sessionId });
+    return left;
+  }
+
+  // Forget a session here, without telling anyone
+  remove(sessionId) {
+    const mapId = this.sessionMaps.get(sessionId);
+    if (!mapId) return null;
+
+    const sessions = this.sessions(mapId);
+    const session = sessions.get(sessionId);
+    sessions.delete(sessionId);
+    this.sessionMaps.delete(sessionId);
+    this.viewports.delete(sessionId);
+    this.remote.delete(sessionId);
+    if (sessions.size === 0) this.maps.delete(mapId);
+
+    const unfollowed = [];
+    for (const other of sessions.values()) {
+      if (other.followingSessionId !== sessionId) continue;
+      other.followingSessionId = null;
+      unfollowed.push({ ...other });
+    }
+    return { mapId, session, unfollowed };
+  }
+
+  /**
+   * The user did something (an edit, a cursor move...); in memory only,
+   * written out with the next heartbeat
+   */
+  touch(sessionId) {
+    const session = this.get(sessionId);
+    if (session) session.lastActiveAt = new Date();
+  }
+
+  /**
+   * Liveness ping. Returns the session if its activity changed since the
+   * previous heartbeat, so callers can broadcast it, otherwise null.
+   */
+  heartbeat(sessionId) {
+    const session = this.get(sessionId);
+    if (!session) return null;
+
+    const mapId = this.sessionMaps.get(sessionId);
+    const changed = session.lastActiveAt > session.lastSeenAt;
+    session.lastSeenAt = new Date();
+    persist(
+      MindMap.updateSessionActivity(mapId, sessionId, session.lastActiveAt),
+      `heartbeat of ${sessionId}`
+    );
+    // Mirrors sweep on lastSeenAt as well
+    this.announce({ action: 'upsert', mapId, session });
+    return changed ? { ...session } : null;
+  }
+
+  /**
+   * Change the user-controlled parts of a session (display name, selected
+   * and edited node, who it follows); fields missing from `changes` are left
+   * alone. Returns the updated session.
+   */
+  update(sessionId, changes) {
+    const session = this.get(sessionId);
+    if (!session) return null;
+
+    if ('selectedNodeId' in changes) session.selectedNodeId = cleanNodeId(changes.selectedNodeId);
+    if ('editingNodeId' in changes) session.editingNodeId = cleanNodeId(changes.editingNodeId);
+    if ('followingSessionId' in changes) {
+      // Only someone else in the same map can be followed
+      const leader = this.get(changes.followingSessionId);
+      const sameMap = this.sessionMaps.get(changes.followingSessionId) === this.sessionMaps.get(sessionId);
+      session.followingSessionId = leader && sameMap && leader !== session ? leader.sessionId : null;
+    }
+    session.lastActiveAt = new Date();
+
+    const name = cleanDisplayName(changes.displayName);
+    if (name && name !== session.displayName) {
+      session.displayName = name;
+      const mapId = this.sessionMaps.get(sessionId);
+      persist(MindMap.addSession(mapId, session), `update session ${sessionId}`);
+    }
+    this.announce({ action: 'upsert', mapId: this.sessionMaps.get(sessionId), session });
+    return { ...session };
+  }
+
+  /**
+   * Remember a session's viewport; returns the cleaned viewport, or null if
+   * it wasn't a valid one (and nothing was stored)
+   */
+  setViewport(sessionId, viewport) {
+    const clean = cleanViewport(viewport);
+    if (!clean || !this.sessionMaps.has(sessionId)) return null;
+    this.viewports.set(sessionId, clean);
+    return clean;
+  }
+
+  viewport(sessionId) {
+    return this.viewports.get(sessionId) || null;
+  }
+
+  /**
+   * Ids of the sessions following `sessionId`
+   */
+  followers(sessionId) {
+    const mapId = this.sessionMaps.get(sessionId);
+    if (!mapId) return [];
+    return [...this.sessions(mapId).values()]
+      .filter(session => session.followingSessionId === sessionId)
+      .map(session => session.sessionId);
+  }
+
+  /**
+   * Drop sessions whose heartbeat stopped more than `staleAfterMs` ago.
+   * Mirrored sessions are dropped the same way, which covers an instance
+   * that went down without saying goodbye.
+   * Returns the removed [{ mapId, session, unfollowed }].
+   */
+  sweep(staleAfterMs) {
+    const cutoff = new Date(Date.now() - staleAfterMs);
+    const removed = [];
+
+    for (const sessions of this.maps.values()) {
+      for (const session of sessions.values()) {
+        if (session.lastSeenAt < cutoff) {
+          removed.push(this.leave(session.sessionId));
+        }
+      }
+    }
+
+    // Also clears entries left behind by a previous run of the server
+    persist(MindMap.pruneSessions(cutoff), 'prune stale sessions');
+    return removed;
+  }
+
+  /**
+   * A change another instance announced on the bus
+   */
+  applyRemote({ action, mapId, session, sessionId }) {
+    switch (action) {
+      case 'upsert': {
+        // Never let a mirror replace a session carried here
+        if (this.sessionMaps.has(session.sessionId) && !this.remote.has(session.sessionId)) return;
+        if (this.sessionMaps.get(session.sessionId) !== mapId) this.remove(session.sessionId);
+
+        this.sessions(mapId).set(session.sessionId, { ...session });
+        this.sessionMaps.set(session.sessionId, mapId);
+        this.remote.add(session.sessionId);
+        break;
+      }
+      case 'leave':
+        if (this.remote.has(sessionId)) this.remove(sessionId);
+        break;
+      case 'sync':
+        // A new instance wants to know who is here
+        for (const [id, mapId] of this.sessionMaps) {
+          if (!this.remote.has(id)) this.announce({ action: 'upsert', mapId, session: this.get(id) });
+        }
+        break;
+      default:
+        logger.debug(`Ignoring presence message: ${action}`);
+    }
+  }
+
+  announce(message) {
+    if (!this.bus) return;
+    this.bus.publish('presence', message.session ? { ...message, session: { ...message.session } } : message);
+  }
+
+  get(sessionId) {
+    const mapId = this.sessionMaps.get(sessionId);
+    return mapId ? this.sessions(mapId).get(sessionId) : null;
+  }
+
+  list(mapId) {
+    return [...(this.maps.get(mapId)?.values() || [])].map(session => ({ ...session }));
+  }
+
+  sessions(mapId) {
+    if (!this.maps.has(mapId)) this.maps.set(mapId, new Map());
+    return this.maps.get(mapId);
+  }
+}
+
+function cleanDisplayName(name) {
+  if (typeof name !== 'string') return '';
+  return name.trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+}
+
+function cleanNodeId(nodeId) {
+  return typeof nodeId === 'string' && nodeId ? nodeId : null;
+}
+
+function cleanViewport(viewport) {
+  const { center, zoom } = viewport || {};
+  if (!Number.isFinite(center?.x) || !Number.isFinite(center?.y)) return null;
+  if (!Number.isFinite(zoom) || zoom <= 0) return null;
+  return { center: { x: center.x, y: center.y }, zoom };
+}
+
+// Presence is served from memory, so a failed mirror write is only logged
+function persist(promise, what) {
+  promise.catch(error => logger.warn(`⚠️ Presence: failed to ${what}:`, error.message));
+}
+
+module.exports = new PresenceService();
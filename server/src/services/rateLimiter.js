@@ -0,0 +1,134 @@
+// server/src/services/rateLimiter.js
+// Token buckets that keep any one client from flooding the server
+
+const serverConfig = require('../config/serverConfig');
+
+/**
+ * Every event has a bucket per socket, one per session (shared by the
+ * sockets that resume it, and `sessionMultiplier` times larger) and one per
+ * user id (shared by all of that user's sockets, whatever session they are
+ * in, and `userMultiplier` times larger). Sessions are issued by the server,
+ * so a client can't get a fresh session bucket by reconnecting under a new
+ * user id; before it has one, the socket id stands in. The user id is only
+ * what the client says it is: without authentication the user bucket caps
+ * a client that keeps its id across sockets, not one that makes up new ids,
+ * which the other two still hold back. A bucket is
+ * { tokens, updatedAt, fullAfterMs }; it refills at `refillPerSecond` up
+ * to `capacity` and each event takes one token. Refused events are offenses: a socket
+ * with `disconnectAfter` of them within `windowMs` is to be dropped.
+ * Counters are kept for the health endpoint.
+ */
+
+class RateLimiter {
+  constructor(config = serverConfig.rateLimits) {
+    this.config = config;
+    this.buckets = new Map();   // `${scope}:${id}:${event}` for the socket, session and user scopes -> bucket
+    this.offenses = new Map();  // socketId -> timestamps of recent offenses
+    this.notices = new Map();   // `${socketId}:${event}` -> when rate:limited was last sent
+    this.counters = { allowed: 0, limited: 0, oversized: 0, disconnected: 0, byEvent: {} };
+  }
+
+  limitFor(event) {
+    return this.config.events[event] || this.config.default;
+  }
+
+  /**
+   * Take a token for `event` from a socket's buckets. Returns { ok: true }
+   * or { ok: false, scope: 'socket' | 'session' | 'user', retryAfterMs }.
+   */
+  consume({ socketId, sessionId, userId }, event, now = Date.now()) {
+    const limit = this.limitFor(event);
+    const scaled = (multiplier) => ({
+      capacity: limit.capacity * multiplier,
+      refillPerSecond: limit.refillPerSecond * multiplier
+    });
+    const scopes = [
+      ['socket', socketId, limit],
+      ['session', sessionId || socketId, scaled(this.config.sessionMultiplier)],
+      ['user', userId || socketId, scaled(this.config.userMultiplier)]
+    ].map(([scope, id, bucketLimit]) => [scope, this.bucket(`${scope}:${id}:${event}`, bucketLimit, now), bucketLimit]);
+
+    // All must have a token; none is charged otherwise
+    for (const [scope, bucket, bucketLimit] of scopes) {
+      if (bucket.tokens < 1) {
+        return { ok: false, scope, retryAfterMs: Math.ceil((1 - bucket.tokens) * 1000 / bucketLimit.refillPerSecond) };
+      }
+    }
+    for (const [, bucket] of scopes) bucket.tokens -= 1;
+    this.counters.allowed += 1;
+    return { ok: true };
+  }
+
+  // The bucket under `key`, refilled up to `now`
+  bucket(key, { capacity, refillPerSecond }, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now, fullAfterMs: capacity / refillPerSecond * 1000 };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Record a refused event (`kind` is 'limited' or 'oversized'). Returns
+   * { notify, disconnect }: whether the client should be told (at most once
+   * per `noticeIntervalMs` and event) and whether it has offended often
+   * enough to be dropped.
+   */
+  offend(socketId, event, kind, now = Date.now()) {
+    this.counters[kind] += 1;
+    this.counters.byEvent[event] = (this.counters.byEvent[event] || 0) + 1;
+
+    const { disconnectAfter, windowMs } = this.config.offenses;
+    const recent = (this.offenses.get(socketId) || []).filter(at => now - at < windowMs);
+    recent.push(now);
+    this.offenses.set(socketId, recent);
+
+    const noticeKey = `${socketId}:${event}`;
+    const notify = now - (this.notices.get(noticeKey) || 0) >= this.config.noticeIntervalMs;
+    if (notify) this.notices.set(noticeKey, now);
+
+    const disconnect = recent.length >= disconnectAfter;
+    if (disconnect) this.counters.disconnected += 1;
+    return { notify, disconnect };
+  }
+
+  /**
+   * The socket is gone: drop its buckets and offenses (its session's and
+   * user's buckets stay, so reconnecting doesn't reset them)
+   */
+  forget(socketId) {
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(`socket:${socketId}:`)) this.buckets.delete(key);
+    }
+    for (const key of this.notices.keys()) {
+      if (key.startsWith(`${socketId}:`)) this.notices.delete(key);
+    }
+    this.offenses.delete(socketId);
+  }
+
+  /**
+   * Drop buckets idle long enough to have refilled completely; a new one
+   * starts full anyway
+   */
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > bucket.fullAfterMs) this.buckets.delete(key);
+    }
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      byEvent: { ...this.counters.byEvent },
+      buckets: this.buckets.size,
+      offendingSockets: this.offenses.size
+    };
+  }
+}
+
+module.exports = new RateLimiter();
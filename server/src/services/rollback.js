@@ -2,128 +2,106 @@
 // Handles rolling back invalid operations
 
 const Operation = require('../models/Operation');
-const Node = require('../models/Node');
-const Edge = require('../models/Edge');
-const Map = require('../models/Map');
+const GraphValidator = require('./graphValidator');
+const merge = require('./merge');
+const hybridClock = require('./hybridClock');
+const { OPERATION_EVENTS } = require('../websocket/events/operationEvents');
 const logger = require('../utils/logger');
 
 /**
- * Rollback a node operation
+ * A rollback is a new operation that undoes the old one, applied through the
+ * merge service like any other edit: it gets a sequence number and a log
+ * entry, wins its field registers with a fresh timestamp and is broadcast.
+ * The inverse ops below return { type, payload } for merge, or
+ * { error } when the operation can't be undone.
  */
-async function rollbackNodeOperation(operation) {
-  const { type, entityId, previousState, mapId } = operation;
 
-  try {
-    switch (type) {
-      case 'NODE_CREATE':
-      case 'addNode':
-        // Delete the created node
-        await Node.findOneAndUpdate(
-          { mapId, nodeId: entityId },
-          { isDeleted: true }
-        );
-        logger.info(`Rolled back node creation: ${entityId}`);
-        break;
-
-      case 'NODE_UPDATE':
-      case 'updateNode':
-        // Restore previous state
-        if (previousState) {
-          await Node.findOneAndUpdate(
-            { mapId, nodeId: entityId },
-            {
-              content: previousState.content,
-              position: previousState.position,
-              style: previousState.style,
-              vectorClock: previousState.vectorClock
-            }
-          );
-          logger.info(`Rolled back node update: ${entityId}`);
-        }
-        break;
-
-      case 'NODE_DELETE':
-      case 'deleteNode':
-        // Restore the node
-        if (previousState) {
-          await Node.findOneAndUpdate(
-            { mapId, nodeId: entityId },
-            { isDeleted: false, ...previousState }
-          );
-          logger.info(`Rolled back node deletion: ${entityId}`);
-        }
-        break;
-
-      case 'NODE_MOVE':
-        // Restore previous position
-        if (previousState && previousState.position) {
-          await Node.findOneAndUpdate(
-            { mapId, nodeId: entityId },
-            { position: previousState.position }
-          );
-          logger.info(`Rolled back node move: ${entityId}`);
-        }
-        break;
+// Client-facing node, as node:add carries it, from a node's previousState
+function nodeFromState(nodeId, previousState) {
+  return {
+    id: nodeId,
+    label: previousState.content,
+    position: previousState.position,
+    color: previousState.style?.color,
+    shape: previousState.style?.shape,
+    textStyle: previousState.textStyle
+  };
+}
+
+/**
+ * Inverse of a node operation
+ */
+function rollbackNodeOperation(operation) {
+  const { type, entityId: nodeId, previousState } = operation;
+
+  switch (type) {
+    case 'NODE_CREATE':
+    case 'addNode':
+    case 'NODE_RESTORE':
+      return { type: 'NODE_DELETE', payload: { nodeId } };
+
+    case 'NODE_UPDATE':
+    case 'updateNode':
+    case 'NODE_MOVE': {
+      if (!previousState) return { error: 'Nothing recorded to restore' };
+      // Only the fields the operation set go back; later edits to others stay
+      const previous = nodeFromState(nodeId, previousState);
+      const fields = type === 'NODE_MOVE' ? ['position'] : Object.keys(operation.payload?.updates || previous);
+      const updates = Object.fromEntries(
+        fields.filter(field => field !== 'id' && field in previous).map(field => [field, previous[field]])
+      );
+      return { type: 'NODE_UPDATE', payload: { nodeId, updates } };
     }
-  } catch (error) {
-    logger.error(`Error rolling back node operation: ${error.message}`);
-    throw error;
+
+    case 'NODE_DELETE':
+    case 'deleteNode':
+      if (!previousState) return { error: 'Nothing recorded to restore' };
+      return { type: 'NODE_RESTORE', payload: { nodeId, node: nodeFromState(nodeId, previousState) } };
+
+    case 'NODE_ANNOTATE':
+      if (!previousState) return { error: 'Nothing recorded to restore' };
+      return { type: 'NODE_ANNOTATE', payload: { nodeId, annotations: previousState } };
+
+    default:
+      return { error: `Can't roll back ${type}` };
   }
 }
 
 /**
- * Rollback an edge operation
+ * Inverse of an edge operation
  */
 async function rollbackEdgeOperation(operation) {
-  const { type, entityId, previousState, mapId } = operation;
-
-  try {
-    switch (type) {
-      case 'EDGE_CREATE':
-      case 'addEdge':
-        // Delete the created edge
-        await Edge.findOneAndUpdate(
-          { mapId, edgeId: entityId },
-          { isDeleted: true }
-        );
-        logger.info(`Rolled back edge creation: ${entityId}`);
-        break;
-
-      case 'EDGE_UPDATE':
-        // Restore previous state
-        if (previousState) {
-          await Edge.findOneAndUpdate(
-            { mapId, edgeId: entityId },
-            {
-              label: previousState.label,
-              style: previousState.style
-            }
-          );
-          logger.info(`Rolled back edge update: ${entityId}`);
-        }
-        break;
-
-      case 'EDGE_DELETE':
-      case 'deleteEdge':
-        // Restore the edge
-        if (previousState) {
-          await Edge.findOneAndUpdate(
-            { mapId, edgeId: entityId },
-            { isDeleted: false, ...previousState }
-          );
-          logger.info(`Rolled back edge deletion: ${entityId}`);
-        }
-        break;
+  const { type, entityId: edgeId, previousState, mapId } = operation;
+
+  switch (type) {
+    case 'EDGE_CREATE':
+    case 'addEdge':
+    case 'EDGE_RESTORE':
+      return { type: 'EDGE_DELETE', payload: { edgeId } };
+
+    case 'EDGE_DELETE':
+    case 'deleteEdge': {
+      if (!previousState) return { error: 'Nothing recorded to restore' };
+      const { from: source, to: target } = previousState;
+      // The graph may have changed since: the edge must still be allowed
+      const validation = await GraphValidator.validateOperation(
+        { type: 'ADD_EDGE', data: { edgeId, sourceId: source, targetId: target } },
+        mapId
+      );
+      if (!validation.valid) return { error: validation.errors[0].message };
+      return { type: 'EDGE_RESTORE', payload: { edgeId, source, target, edge: { id: edgeId, source, target } } };
     }
-  } catch (error) {
-    logger.error(`Error rolling back edge operation: ${error.message}`);
-    throw error;
+
+    default:
+      return { error: `Can't roll back ${type}` };
   }
 }
 
 /**
  * Main rollback function
- * Can accept either an operation object or operation data
+ * Can accept either an operation object or operation data.
+ * On success also returns `broadcast`, the { event, data } connected clients
+ * of the map need to apply the rollback.
  */
 async function rollback(opOrData) {
   try {
@@ -162,45 +140,54 @@ async function rollback(opOrData) {
       };
     }
 
-    // Perform rollback based on entity type
+    let inverse;
     if (operation.entityType === 'node') {
-      await rollbackNodeOperation(operation);
+      inverse = rollbackNodeOperation(operation);
     } else if (operation.entityType === 'edge') {
-      await rollbackEdgeOperation(operation);
+      inverse = await rollbackEdgeOperation(operation);
     } else {
       throw new Error(`Unknown entity type: ${operation.entityType}`);
     }
 
+    if (inverse.error) {
+      logger.warn(`Cannot roll back ${operation.operationId}: ${inverse.error}`);
+      return {
+        success: false,
+        reason: inverse.error
+      };
+    }
+
+    const payload = { ...inverse.payload, hlc: hybridClock.now(), userId: 'system' };
+    const result = await merge({
+      mapId: operation.mapId,
+      type: inverse.type,
+      entityId: operation.entityId,
+      payload,
+      clientId: 'rest',
+      userId: 'system'
+    });
+
+    if (!result.valid) {
+      logger.warn(`Rollback of ${operation.operationId} refused: ${result.reason}`);
+      return {
+        success: false,
+        reason: result.reason
+      };
+    }
+
     // Mark operation as rolled back
     operation.rollback();
     await operation.save();
 
-    // Update map stats
-    const map = await Map.findOne({ mapId: operation.mapId });
-    if (map) {
-      if (operation.type.includes('CREATE')) {
-        // Rollback of create = decrease count
-        if (operation.entityType === 'node') {
-          map.stats.nodeCount = Math.max(0, map.stats.nodeCount - 1);
-        } else if (operation.entityType === 'edge') {
-          map.stats.edgeCount = Math.max(0, map.stats.edgeCount - 1);
-        }
-      } else if (operation.type.includes('DELETE')) {
-        // Rollback of delete = increase count
-        if (operation.entityType === 'node') {
-          map.stats.nodeCount += 1;
-        } else if (operation.entityType === 'edge') {
-          map.stats.edgeCount += 1;
-        }
-      }
-      await map.save();
-    }
-
-    logger.success(`Operation rolled back: ${operation.operationId}`);
+    logger.info(`Operation rolled back: ${operation.operationId} (as ${inverse.type} at sequence ${result.serverSequence})`);
 
     return {
       success: true,
       operation: operation,
+      broadcast: {
+        event: OPERATION_EVENTS[inverse.type],
+        data: { ...payload, serverSequence: result.serverSequence, ...result.causality }
+      },
       message: 'Operation rolled back successfully'
     };
 
@@ -225,7 +212,8 @@ async function rollbackOperations(operationIds) {
     results.push({
       operationId: opId,
       success: result.success,
-      reason: result.reason
+      reason: result.reason,
+      broadcast: result.broadcast
     });
   }
 
@@ -233,4 +221,4 @@ async function rollbackOperations(operationIds) {
 }
 
 module.exports = rollback;
-module.exports.rollbackOperations = rollbackOperations;
\ No newline at end of file
+module.exports.rollbackOperations = rollbackOperations;
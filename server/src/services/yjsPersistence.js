@@ -1,29 +1,36 @@
-const { MongoClient } = require('mongodb');
+const mongoose = require('mongoose');
 const Y = require('yjs');
-const config = require('../config/database');
+const serverConfig = require('../config/serverConfig');
 
+// Each doc is a compacted snapshot plus a tail of incremental updates:
+//  - yjs_documents: { _id: docName, state, seq, pendingUpdates, pendingBytes }
+//    where `seq` is the last sequence handed out and the pending counters
+//    describe the tail
+//  - yjs_updates:   { docName, seq, update, createdAt }, one per Yjs update
+// Writes append to the tail; once it grows past the configured limits it is
+// merged into the snapshot and deleted. Applying an update twice is a no-op
+// in Yjs, so a tail entry that is also in the snapshot does no harm.
 class MongoDBPersistence {
   constructor() {
-    this.client = null;
-    this.db = null;
-    this.collection = null;
+    this.documents = null;
+    this.updates = null;
     this.connected = false;
+    this.compacting = new Set();  // doc names with a compaction in flight
   }
 
   async connect() {
     if (this.connected) return;
 
     try {
-      this.client = new MongoClient(config.MONGODB_URI);
-      await this.client.connect();
-      
-      this.db = this.client.db(config.DB_NAME || 'mindmap');
-      this.collection = this.db.collection('yjs_documents');
-      
-      // Create indexes
-      await this.collection.createIndex({ _id: 1 });
-      await this.collection.createIndex({ updatedAt: -1 });
-      
+      // Share the app's mongoose connection rather than opening a second pool
+      await mongoose.connection.asPromise();
+      const db = mongoose.connection.db;
+      this.documents = db.collection('yjs_documents');
+      this.updates = db.collection('yjs_updates');
+
+      await this.updates.createIndex({ docName: 1, seq: 1 }, { unique: true });
+      await this.documents.createIndex({ updatedAt: -1 });
+
       this.connected = true;
       console.log('✅ Yjs MongoDB persistence connected');
     } catch (error) {
@@ -32,47 +39,115 @@ class MongoDBPersistence {
     }
   }
 
+  /**
+   * Snapshot + tail merged into a single update, or null for a new doc
+   */
   async getYDoc(docName) {
     await this.connect();
 
-    const doc = await this.collection.findOne({ _id: docName });
-    if (doc && doc.state) {
-      return Buffer.from(doc.state);
-    }
-    return null;
+    const doc = await this.documents.findOne({ _id: docName });
+    const tail = await this.updates.find({ docName }).sort({ seq: 1 }).toArray();
+
+    const parts = [];
+    if (doc?.state) parts.push(toUint8Array(doc.state));
+    for (const entry of tail) parts.push(toUint8Array(entry.update));
+
+    if (parts.length === 0) return null;
+    return Y.mergeUpdates(parts);
   }
 
+  /**
+   * Append one incremental update, compacting if the tail got too big
+   */
   async storeUpdate(docName, update) {
     await this.connect();
 
-    await this.collection.updateOne(
+    const counters = await this.documents.findOneAndUpdate(
       { _id: docName },
       {
-        $set: {
-          state: Buffer.from(update),
-          updatedAt: new Date()
-        }
+        $inc: { seq: 1, pendingUpdates: 1, pendingBytes: update.byteLength },
+        $set: { updatedAt: new Date() }
       },
-      { upsert: true }
+      { upsert: true, returnDocument: 'after' }
     );
+
+    await this.updates.insertOne({
+      docName,
+      seq: counters.seq,
+      update: Buffer.from(update),
+      createdAt: new Date()
+    });
+
+    const { compactAfterUpdates, compactAfterBytes } = serverConfig.yjs;
+    if (counters.pendingUpdates >= compactAfterUpdates || counters.pendingBytes >= compactAfterBytes) {
+      await this.compact(docName);
+    }
+  }
+
+  /**
+   * Merge the tail into the snapshot and drop the merged updates
+   */
+  async compact(docName) {
+    if (this.compacting.has(docName)) return;
+    this.compacting.add(docName);
+
+    try {
+      await this.connect();
+
+      const doc = await this.documents.findOne({ _id: docName });
+      if (!doc) return;
+
+      const tail = await this.updates.find({ docName }).sort({ seq: 1 }).toArray();
+      if (tail.length === 0) return;
+
+      // Only what we read is merged and deleted; concurrent appends (which can
+      // land out of seq order) stay in the tail for the next round
+      const parts = doc.state ? [toUint8Array(doc.state)] : [];
+      let mergedBytes = 0;
+      for (const entry of tail) {
+        const update = toUint8Array(entry.update);
+        parts.push(update);
+        mergedBytes += update.byteLength;
+      }
+
+      await this.documents.updateOne(
+        { _id: docName },
+        {
+          $set: { state: Buffer.from(Y.mergeUpdates(parts)), compactedAt: new Date() },
+          $inc: { pendingUpdates: -tail.length, pendingBytes: -mergedBytes }
+        }
+      );
+      await this.updates.deleteMany({ _id: { $in: tail.map(entry => entry._id) } });
+
+      console.log(`🗜️ Compacted Yjs doc ${docName}: ${tail.length} updates (${mergedBytes} bytes)`);
+    } finally {
+      this.compacting.delete(docName);
+    }
   }
 
   async deleteDoc(docName) {
     await this.connect();
-    await this.collection.deleteOne({ _id: docName });
+    await this.documents.deleteOne({ _id: docName });
+    await this.updates.deleteMany({ docName });
   }
 
   async listDocs() {
     await this.connect();
-    return await this.collection.find({}).project({ _id: 1, updatedAt: 1 }).toArray();
+    return await this.documents.find({}).project({ _id: 1, updatedAt: 1 }).toArray();
   }
 
   async close() {
-    if (this.client) {
-      await this.client.close();
-      this.connected = false;
-    }
+    // The connection belongs to mongoose; just forget our handles
+    this.documents = null;
+    this.updates = null;
+    this.connected = false;
   }
 }
 
-module.exports = { MongoDBPersistence };
\ No newline at end of file
+// Stored updates come back from the driver as BSON Binary
+function toUint8Array(value) {
+  if (value instanceof Uint8Array) return value;
+  return new Uint8Array(value.buffer);
+}
+
+module.exports = { MongoDBPersistence };
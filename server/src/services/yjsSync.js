@@ -1,42 +1,254 @@
 const Y = require('yjs');
 const { WebSocketServer } = require('ws');
-const { setupWSConnection } = require('y-websocket/bin/utils');
+const { setupWSConnection, setPersistence } = require('y-websocket/bin/utils');
 const { MongoDBPersistence } = require('./yjsPersistence');
+const MindMap = require('../models/Map');
+const Node = require('../models/Node');
+const Edge = require('../models/Edge');
+const merge = require('./merge');
 
+const YJS_PATH = '/yjs';
+
+// Transaction origin for state loaded from the store, so it isn't logged again
+const PERSISTENCE_ORIGIN = 'persistence';
+
+// Doc edits are written back to the graph once they have settled this long
+const WRITE_BACK_DELAY_MS = 500;
+// Who the written back operations are logged as
+const DOC_CLIENT_ID = 'yjs';
+
+// Node fields as the doc holds them -> as the graph stores them
+const NODE_FIELDS = {
+  label: node => node.content,
+  position: node => node.position,
+  color: node => node.style?.color,
+  shape: node => node.style?.shape,
+  textStyle: node => node.textStyle
+};
+
+// Fields of a doc node that differ from the stored node
+function changedFields(stored, node) {
+  const updates = {};
+  for (const [field, storedValue] of Object.entries(NODE_FIELDS)) {
+    if (node[field] === undefined) continue;
+    if (JSON.stringify(node[field]) !== JSON.stringify(storedValue(stored))) updates[field] = node[field];
+  }
+  return updates;
+}
+
+// Serves the shared Y.Doc of every map that opted into syncMode 'yjs'.
+// Clients connect to ws://<host>/yjs?room=<mapId>; the doc name is the mapId.
 class YjsSyncService {
   constructor(server) {
     this.persistence = new MongoDBPersistence();
-    this.wss = new WebSocketServer({ 
-      server, 
-      path: '/yjs' 
-    });
+    // Per doc: the pending write-back timer and the one being written
+    this.writeBacks = new Map();  // docName -> { timer, running }
 
+    // socket.io shares this HTTP server, so we only take /yjs upgrades
+    // instead of letting ws answer (and reject) every upgrade request
+    this.wss = new WebSocketServer({ noServer: true });
+    this.onUpgrade = (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        console.error('❌ Yjs upgrade failed:', error.message);
+        socket.destroy();
+      });
+    };
+    this.server = server;
+    server.on('upgrade', this.onUpgrade);
+
+    this.setupPersistence();
     this.setupWebSocket();
   }
 
+  setupPersistence() {
+    setPersistence({
+      bindState: async (docName, ydoc) => {
+        // Log every update as it happens. Registered before loading so edits
+        // that arrive while the load is in flight aren't missed.
+        ydoc.on('update', (update, origin) => {
+          if (origin === PERSISTENCE_ORIGIN) return;
+          this.persistence.storeUpdate(docName, update).catch((error) => {
+            console.error(`❌ Failed to store Yjs update for ${docName}:`, error.message);
+          });
+          this.scheduleWriteBack(docName, ydoc);
+        });
+
+        try {
+          const persistedDoc = await this.persistence.getYDoc(docName);
+          if (persistedDoc) {
+            Y.applyUpdate(ydoc, persistedDoc, PERSISTENCE_ORIGIN);
+            // Edits stored before a crash may never have reached the graph
+            this.scheduleWriteBack(docName, ydoc);
+          } else {
+            await this.seedFromGraph(docName, ydoc);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to load Yjs doc ${docName}:`, error.message);
+        }
+      },
+      // Called once the last client leaves the doc; updates are already
+      // logged, so just fold the tail into the snapshot
+      writeState: async (docName, ydoc) => {
+        await this.flushWriteBack(docName, ydoc);
+        try {
+          await this.persistence.compact(docName);
+        } catch (error) {
+          console.error(`❌ Failed to compact Yjs doc ${docName}:`, error.message);
+        }
+      }
+    });
+  }
+
+  // A map that just opted in starts from what the socket.io protocol stored.
+  // Same layout the client binds to: 'nodes' holds one Y.Map per node (so
+  // fields merge independently) with its label as a Y.Text (so concurrent
+  // typing merges), 'edges' holds plain edge objects.
+  async seedFromGraph(mapId, ydoc) {
+    const nodes = await Node.find({ mapId, isDeleted: false }).lean();
+    const edges = await Edge.find({ mapId, isDeleted: false }).lean();
+
+    const yNodes = ydoc.getMap('nodes');
+    const yEdges = ydoc.getMap('edges');
+    ydoc.transact(() => {
+      for (const n of nodes) {
+        const yNode = new Y.Map();
+        yNode.set('id', n.nodeId);
+        yNode.set('label', new Y.Text(n.content || 'Node'));
+        yNode.set('position', n.position);
+        yNode.set('color', n.style?.color || '#3b82f6');
+        yNode.set('shape', n.style?.shape || 'circle');
+        if (n.textStyle) yNode.set('textStyle', n.textStyle);
+        yNodes.set(n.nodeId, yNode);
+      }
+      for (const e of edges) {
+        yEdges.set(e.edgeId, { id: e.edgeId, source: e.from, target: e.to });
+      }
+    });
+
+    console.log(`🌱 Seeded Yjs doc ${mapId}: ${nodes.length} nodes, ${edges.length} edges`);
+  }
+
+  // The graph (Node/Edge) mirrors the doc for REST readers, snapshots and a
+  // later switch back to socket sync. Changes are written through merge, so
+  // they are sequenced and logged like any other edit.
+  scheduleWriteBack(docName, ydoc) {
+    const entry = this.writeBacks.get(docName) || { timer: null, running: Promise.resolve() };
+    this.writeBacks.set(docName, entry);
+    if (entry.timer) return;
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      entry.running = entry.running.then(() => this.writeBack(docName, ydoc));
+    }, WRITE_BACK_DELAY_MS);
+    entry.timer.unref();
+  }
+
+  // Write what's pending now and wait for it
+  async flushWriteBack(docName, ydoc) {
+    const entry = this.writeBacks.get(docName);
+    if (!entry) return;
+    this.writeBacks.delete(docName);
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.running = entry.running.then(() => this.writeBack(docName, ydoc));
+    }
+    await entry.running;
+  }
+
+  async writeBack(mapId, ydoc) {
+    try {
+      // Once the map is deleted or back on socket sync, the doc no longer writes it
+      const map = await MindMap.findOne({ mapId, isDeleted: false }, { syncMode: 1 }).lean();
+      if (map?.syncMode !== 'yjs') return;
+
+      const docNodes = new Map();
+      for (const [nodeId, yNode] of ydoc.getMap('nodes')) docNodes.set(nodeId, yNode.toJSON());
+      const docEdges = new Map(ydoc.getMap('edges').entries());
+      const nodes = new Map((await Node.find({ mapId, isDeleted: false }).lean()).map(n => [n.nodeId, n]));
+      const edges = new Map((await Edge.find({ mapId, isDeleted: false }).lean()).map(e => [e.edgeId, e]));
+
+      // Nodes before the edges that need them, edges gone before their nodes go
+      const ops = [];
+      for (const [nodeId, node] of docNodes) {
+        const stored = nodes.get(nodeId);
+        if (stored) {
+          const updates = changedFields(stored, node);
+          if (Object.keys(updates).length > 0) {
+            ops.push({ type: 'NODE_UPDATE', entityId: nodeId, payload: { nodeId, updates } });
+          }
+        } else {
+          const deleted = await Node.exists({ mapId, nodeId });
+          ops.push({
+            type: deleted ? 'NODE_RESTORE' : 'NODE_CREATE',
+            entityId: nodeId,
+            payload: { nodeId, node: { ...node, id: nodeId } }
+          });
+        }
+      }
+      for (const edgeId of edges.keys()) {
+        if (!docEdges.has(edgeId)) ops.push({ type: 'EDGE_DELETE', entityId: edgeId, payload: { edgeId } });
+      }
+      for (const [edgeId, edge] of docEdges) {
+        // An edge added while its node was deleted elsewhere has nothing to join
+        if (edges.has(edgeId) || !docNodes.has(edge.source) || !docNodes.has(edge.target)) continue;
+        const deleted = await Edge.exists({ mapId, edgeId });
+        ops.push({
+          type: deleted ? 'EDGE_RESTORE' : 'EDGE_CREATE',
+          entityId: edgeId,
+          payload: { edgeId, source: edge.source, target: edge.target, edge: { ...edge, id: edgeId } }
+        });
+      }
+      for (const nodeId of nodes.keys()) {
+        if (!docNodes.has(nodeId)) ops.push({ type: 'NODE_DELETE', entityId: nodeId, payload: { nodeId } });
+      }
+
+      let written = 0;
+      for (const op of ops) {
+        const result = await merge({
+          ...op,
+          mapId,
+          payload: { ...op.payload, userId: DOC_CLIENT_ID },
+          clientId: DOC_CLIENT_ID,
+          userId: DOC_CLIENT_ID,
+          ignoreSyncMode: true
+        });
+        if (result.valid) {
+          written += 1;
+        } else {
+          console.warn(`⚠️ Could not write ${op.type} ${op.entityId} of Yjs doc ${mapId} back:`, result.reason);
+        }
+      }
+      if (written > 0) console.log(`💾 Wrote ${written} change(s) of Yjs doc ${mapId} back to its graph`);
+    } catch (error) {
+      console.error(`❌ Failed to write Yjs doc ${mapId} back to its graph:`, error.message);
+    }
+  }
+
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== YJS_PATH) return;
+
+    // Maps that didn't opt in keep the socket.io protocol as their only writer
+    const roomName = url.searchParams.get('room');
+    const map = roomName ? await MindMap.findOne({ mapId: roomName, isDeleted: false }).lean() : null;
+    if (!map || map.syncMode !== 'yjs') {
+      socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req, roomName);
+    });
+  }
+
   setupWebSocket() {
-    this.wss.on('connection', (ws, req) => {
+    this.wss.on('connection', (ws, req, roomName) => {
       const url = new URL(req.url, 'http://localhost');
-      const roomName = url.searchParams.get('room') || 'default';
       const clientId = url.searchParams.get('clientId') || 'anonymous';
 
       console.log(`🔗 Client ${clientId} connected to room: ${roomName}`);
 
-      setupWSConnection(ws, req, {
-        gc: true,
-        persistence: {
-          bindState: async (docName, ydoc) => {
-            const persistedDoc = await this.persistence.getYDoc(docName);
-            if (persistedDoc) {
-              Y.applyUpdate(ydoc, persistedDoc);
-            }
-          },
-          writeState: async (docName, ydoc) => {
-            const update = Y.encodeStateAsUpdate(ydoc);
-            await this.persistence.storeUpdate(docName, update);
-          }
-        }
-      });
+      setupWSConnection(ws, req, { docName: roomName, gc: true });
 
       ws.on('close', () => {
         console.log(`❌ Client ${clientId} disconnected`);
@@ -47,6 +259,13 @@ class YjsSyncService {
   getConnectionCount() {
     return this.wss.clients.size;
   }
+
+  close() {
+    for (const entry of this.writeBacks.values()) clearTimeout(entry.timer);
+    this.writeBacks.clear();
+    this.server.off('upgrade', this.onUpgrade);
+    this.wss.close();
+  }
 }
 
-module.exports = { YjsSyncService };
\ No newline at end of file
+module.exports = { YjsSyncService };
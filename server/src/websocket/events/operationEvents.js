@@ -1,34 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
 const GraphValidator = require('../../services/graphValidator');
+const Node = require('../../models/Node');
+const Edge = require('../../models/Edge');
+const Operation = require('../../models/Operation');
+const logger = require('../../utils/logger');
+
+// Socket event -> operation log type
+const OPERATION_TYPES = {
+  'node:add': 'NODE_CREATE',
+  'node:remove': 'NODE_DELETE',
+  'node:update': 'NODE_UPDATE',
+  'node:move': 'NODE_MOVE',
+  'edge:add': 'EDGE_CREATE',
+  'edge:remove': 'EDGE_DELETE'
+};
+
+// An add flagged `restore` (an undone delete, a redone add) brings the
+// deleted entity back under its id instead of creating a new one
+const RESTORE_TYPES = {
+  'node:add': 'NODE_RESTORE',
+  'edge:add': 'EDGE_RESTORE'
+};
+
+// Operation log type -> socket event, for replaying logged operations.
+// Types only the server writes (rollbacks, graph fixes) go out as the event
+// clients apply them with.
+const OPERATION_EVENTS = {
+  ...Object.fromEntries(Object.entries(OPERATION_TYPES).map(([event, type]) => [type, event])),
+  NODE_RESTORE: 'node:add',
+  NODE_ANNOTATE: 'node:annotate',
+  EDGE_RESTORE: 'edge:add'
+};
+
+// Ids clients propose for new entities: `${clientId}_${localId}` by
+// convention, but anything of this shape is accepted
+const ENTITY_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,127}$/;
+
+// Events that create an entity, and where their data carries its id
+const CREATING_EVENTS = {
+  'node:add': {
+    kind: 'node',
+    model: Node,
+    idField: 'nodeId',
+    logType: 'NODE_CREATE',
+    getId: data => data.node?.id,
+    setId: (data, id) => ({ ...data, node: { ...data.node, id } })
+  },
+  'edge:add': {
+    kind: 'edge',
+    model: Edge,
+    idField: 'edgeId',
+    logType: 'EDGE_CREATE',
+    getId: data => data.edge?.id,
+    setId: (data, id) => ({ ...data, edge: { ...data.edge, id } })
+  }
+};
+
+/**
+ * Accept the id a client proposes for a new node or edge if it is well
+ * formed and not in use (ids are unique across maps, deleted entities
+ * included). Otherwise assign one, tell the client with id:remap and
+ * remember the mapping on the socket, so its later events that still use
+ * the old id reach the right entity. Returns the data to go on with.
+ *
+ * An id already used by this same client is left alone: that is the op
+ * being sent again, not a collision, and validation deals with it. So is
+ * the id of a restore, which names the deleted entity to bring back.
+ */
+async function claimEntityId(socket, mapId, event, data) {
+  const creating = CREATING_EVENTS[event];
+  if (!creating || data.restore === true) return data;
+
+  const proposed = creating.getId(data);
+  if (typeof proposed === 'string' && ENTITY_ID_PATTERN.test(proposed)) {
+    const taken = await creating.model.exists({ [creating.idField]: proposed });
+    if (!taken) return data;
+
+    const ours = await Operation.exists({
+      mapId,
+      entityId: proposed,
+      type: creating.logType,
+      clientId: socket.clientId
+    });
+    if (ours) return data;
+  }
+
+  const assigned = `${socket.clientId}_${uuidv4()}`;
+  // Clients that propose nothing (older ones, for edges) have nothing to remap
+  if (proposed) {
+    logger.info(`🔀 ${creating.kind} id ${proposed} from ${socket.id} reassigned as ${assigned}`);
+    socket.idRemaps.set(proposed, assigned);
+    socket.emit('id:remap', { kind: creating.kind, from: proposed, to: assigned, operationId: data.operationId });
+  }
+  return creating.setId(data, assigned);
+}
+
+/**
+ * Rewrite ids the server reassigned for this socket in an incoming event
+ */
+function remapIds(socket, data) {
+  if (!socket.idRemaps?.size || !data || typeof data !== 'object') return data;
+
+  const remap = id => socket.idRemaps.get(id) ?? id;
+  const remapped = { ...data };
+  for (const field of ['nodeId', 'edgeId', 'source', 'target']) {
+    if (typeof data[field] === 'string') remapped[field] = remap(data[field]);
+  }
+  if (data.node?.parentId) remapped.node = { ...data.node, parentId: remap(data.node.parentId) };
+  if (data.edge) {
+    remapped.edge = { ...data.edge, source: remap(data.edge.source), target: remap(data.edge.target) };
+  }
+  return remapped;
+}
+
+// The operation log type a socket mutation is applied as
+const operationType = (event, data) => (data?.restore === true && RESTORE_TYPES[event]) || OPERATION_TYPES[event];
+
+// Translate a socket mutation into the shape GraphValidator.validateOperation expects
+function toValidatorOperation(event, data) {
+  switch (event) {
+    case 'node:add':
+      return { type: 'ADD_NODE', data: { nodeId: data.node?.id, parentId: data.node?.parentId } };
+    case 'node:remove':
+      return { type: 'DELETE_NODE', data: { nodeId: data.nodeId } };
+    case 'node:update':
+      return {
+        type: 'UPDATE_NODE',
+        data: { nodeId: data.nodeId, updates: { ...data.updates, content: data.updates?.label } }
+      };
+    case 'node:move':
+      return { type: 'MOVE_NODE', data: { nodeId: data.nodeId, newPosition: data.position } };
+    case 'edge:add':
+      return {
+        type: 'ADD_EDGE',
+        data: { edgeId: data.edge?.id, sourceId: data.source, targetId: data.target }
+      };
+    case 'edge:remove':
+      return { type: 'DELETE_EDGE', data: { edgeId: data.edgeId } };
+    default:
+      return { type: event, data };
+  }
+}
+
+// Acknowledge an applied mutation with the sequence the server assigned it,
+// the map clock after merging it and the hybrid timestamp it was ordered by
+// (the client's own, unless the server had to restamp it)
+function confirmOperation(ack, operationId, serverSequence, vectorClock, hlc) {
+  if (typeof ack === 'function') {
+    ack({ ok: true, operationId, serverSequence, vectorClock, hlc });
+  }
+}
+
+// Reject a mutation with a structured error: through its ack, so the client
+// can roll the op back, and as operation:error, so the client can tell the
+// user why. `errors` carries the validator's individual error entries.
+function rejectOperation(socket, ack, operationId, code, message, errors = []) {
+  const error = { code, message, errors };
+  if (typeof ack === 'function') {
+    ack({ ok: false, operationId, error });
+  }
+  socket.emit('operation:error', { operationId, ...error });
+}
+
+/**
+ * Validate a socket mutation before applying it. Nothing reaches `apply`
+ * (and so nothing reaches Mongo) unless the validator accepts it.
+ */
+const handleOperation = async (socket, mapId, event, data, ack, apply) => {
+  const { operationId } = data;
 
-const handleOperation = async (socket, operation) => {
   try {
     // Validate operation BEFORE applying
     const validation = await GraphValidator.validateOperation(
-      operation, 
-      socket.mapId
+      toValidatorOperation(event, data),
+      mapId
     );
     
     if (!validation.valid) {
-      socket.emit('operation:error', {
-        operationId: operation.id,
-        errors: validation.errors
-      });
+      const [first] = validation.errors;
+      logger.warn(`⛔ Rejected ${event} from ${socket.id}:`, validation.errors.map(e => e.type).join(', '));
+      rejectOperation(socket, ack, operationId, first.type, first.message, validation.errors);
       return;
     }
     
-    // Apply operation
-    // ... existing operation logic ...
-    
-    // Broadcast to other clients
-    socket.broadcast.to(socket.mapId).emit('operation:applied', operation);
+    // Apply, persist and broadcast
+    await apply();
     
   } catch (error) {
-    console.error('Operation failed:', error);
-    socket.emit('operation:error', {
-      operationId: operation.id,
-      error: error.message
-    });
+    logger.error(`❌ Error in ${event}:`, error);
+    rejectOperation(socket, ack, operationId, 'INTERNAL_ERROR', error.message);
   }
 };
 
-module.exports = { handleOperation };
\ No newline at end of file
+module.exports = {
+  handleOperation,
+  claimEntityId,
+  remapIds,
+  confirmOperation,
+  rejectOperation,
+  operationType,
+  OPERATION_TYPES,
+  OPERATION_EVENTS
+};
\ No newline at end of file
@@ -1,15 +1,52 @@
 // server/src/websocket/socketHandler.js
 const Node = require('../models/Node');
 const Edge = require('../models/Edge');
-const Map = require('../models/Map');
+const MindMap = require('../models/Map'); // not `Map`: that would shadow the built-in used below
+const Operation = require('../models/Operation');
+const Session = require('../models/Session');
+const Conflict = require('../models/Conflict');
+const merge = require('../services/merge');
+const dragBuffer = require('../services/dragBuffer');
+const presence = require('../services/presence');
+const editLeases = require('../services/editLeases');
+const labelDocs = require('../services/labelDocs');
+const conflicts = require('../services/conflicts');
+const hybridClock = require('../services/hybridClock');
+const rateLimiter = require('../services/rateLimiter');
+const causalBuffer = require('../services/causalBuffer');
+const idempotency = require('../services/idempotency');
+const vectorClockService = require('../services/VectorClock');
+const { createBroadcastBus } = require('../services/broadcastBus');
+const serverConfig = require('../config/serverConfig');
+const {
+  handleOperation,
+  claimEntityId,
+  remapIds,
+  confirmOperation,
+  rejectOperation,
+  operationType,
+  OPERATION_TYPES,
+  OPERATION_EVENTS
+} = require('./events/operationEvents');
 const logger = require('../utils/logger');
 
 let io;
+let bus = null;
 let activeConnectionsMap = new Map();  // ← Changed const to let
+let dragFlushTimer = null;
+let presenceSweepTimer = null;
+let labelFlushTimer = null;
+let sessionSweepTimer = null;
+let leaseSweepTimer = null;
+let rateLimitSweepTimer = null;
+let causalSweepTimer = null;
+let idempotencySweepTimer = null;
 
 const DEFAULT_MAP_ID = 'default_map';
 
-function setupWebSocket(server) {
+// `options.bus` replaces the configured broadcast bus (e.g. an InProcessBus
+// shared by several instances in a test)
+function setupWebSocket(server, options = {}) {
   const { Server } = require('socket.io');
   
   io = new Server(server, {
@@ -19,30 +56,105 @@ function setupWebSocket(server) {
       methods: ['GET', 'POST']
     },
     pingTimeout: 60000,
-    pingInterval: 25000
+    pingInterval: 25000,
+    maxHttpBufferSize: serverConfig.payloads.maxPacketBytes
   });
 
   // Reset the connections map on server restart
   activeConnectionsMap = new Map();
 
-  ensureDefaultMap();
+  // Other instances relay their room broadcasts, presence, edit leases,
+  // label typing and session terminations through the bus; this one relays
+  // its own
+  if (bus) closeBus();
+  bus = options.bus || createBroadcastBus(serverConfig.bus);
+  bus.subscribe('room', emitLocally);
+  bus.subscribe('session', ({ socketId, reason }) => dropSession(socketId, reason));
+  presence.attach(bus);
+  editLeases.attach(bus);
+  labelDocs.attach(bus);
+  bus.start().catch(error => logger.error('❌ Broadcast bus failed to start:', error));
+
+  ensureMap(DEFAULT_MAP_ID, 'Default Map');
+
+  // Persist in-flight drags periodically instead of on every pointer event
+  clearInterval(dragFlushTimer);
+  dragFlushTimer = setInterval(flushDrags, serverConfig.drag.flushIntervalMs);
+  dragFlushTimer.unref();
+
+  // Sessions that stopped sending heartbeats (crashed tab, lost network) leave
+  clearInterval(presenceSweepTimer);
+  presenceSweepTimer = setInterval(sweepPresence, serverConfig.presence.heartbeatIntervalMs);
+  presenceSweepTimer.unref();
+
+  // Same for labels being typed into
+  clearInterval(labelFlushTimer);
+  labelFlushTimer = setInterval(flushLabels, serverConfig.labels.flushIntervalMs);
+  labelFlushTimer.unref();
+
+  clearInterval(leaseSweepTimer);
+  leaseSweepTimer = setInterval(sweepLeases, serverConfig.leases.sweepIntervalMs);
+  leaseSweepTimer.unref();
+
+  // Disconnected sessions stay resumable for a while, then expire
+  clearInterval(sessionSweepTimer);
+  sessionSweepTimer = setInterval(expireSessions, serverConfig.sessions.sweepIntervalMs);
+  sessionSweepTimer.unref();
+
+  clearInterval(rateLimitSweepTimer);
+  rateLimitSweepTimer = setInterval(() => rateLimiter.sweep(), serverConfig.rateLimits.sweepIntervalMs);
+  rateLimitSweepTimer.unref();
+
+  // Ops held for their dependencies: some may have been applied elsewhere
+  clearInterval(causalSweepTimer);
+  causalSweepTimer = setInterval(() => causalBuffer.sweep(), serverConfig.causal.sweepIntervalMs);
+  causalSweepTimer.unref();
+
+  clearInterval(idempotencySweepTimer);
+  idempotencySweepTimer = setInterval(() => idempotency.sweep(), serverConfig.idempotency.sweepIntervalMs);
+  idempotencySweepTimer.unref();
 
   io.on('connection', (socket) => {
     const userId = socket.handshake.query.userId || socket.id;
+    // Identifies this client replica in the operation log
+    socket.clientId = socket.handshake.query.clientId || userId;
+    // Ids of entities this socket created that the server had to reassign
+    socket.idRemaps = new Map();
+    // Its operations, handled one at a time in the order they arrived
+    socket.operations = Promise.resolve();
     logger.info(`✅ Client connected: ${socket.id} (User: ${userId})`);
     
     activeConnectionsMap.set(socket.id, {
       socketId: socket.id,
       userId,
       connectedAt: new Date(),
-      mapId: DEFAULT_MAP_ID
+      mapId: null
     });
 
+    socket.use((packet, next) => guardPacket(socket, packet, next));
+
     // SYNC REQUEST
+    // With a sinceSequence the client only needs what it missed; otherwise
+    // (or when the gap can't be served from the log) it gets a full snapshot
     socket.on('sync:request', async (data) => {
       try {
-        const mapId = data?.mapId || DEFAULT_MAP_ID;
-        logger.info(`📥 Sync request from ${socket.id} for map: ${mapId}`);
+        const mapId = data?.mapId || socket.mapId || DEFAULT_MAP_ID;
+        const sinceSequence = data?.sinceSequence;
+        logger.info(`📥 Sync request from ${socket.id} for map: ${mapId} (since: ${sinceSequence ?? 'snapshot'})`);
+        
+        if (Number.isInteger(sinceSequence) && sinceSequence >= 0) {
+          const delta = await getMissedOperations(mapId, sinceSequence);
+          if (delta) {
+            socket.emit('sync:delta', delta);
+            logger.info(`📤 Sent sync delta: ${delta.operations.length} operations up to ${delta.serverSequence}`);
+            return;
+          }
+        }
+        
+        // Read the sequence before the graph so the snapshot is at least as
+        // new as the sequence we label it with
+        const map = await MindMap.findOne({ mapId }).lean();
+        const serverSequence = map?.version || 0;
         
         const nodes = await Node.find({ mapId, isDeleted: false }).lean();
         const edges = await Edge.find({ mapId, isDeleted: false }).lean();
@@ -52,9 +164,13 @@ function setupWebSocket(server) {
           label: n.content || 'Node',
           position: n.position,
           color: n.style?.color || '#3b82f6',
-          shape: n.style?.shape || 'circle'
+          shape: n.style?.shape || 'circle',
+          textStyle: n.textStyle
         }));
         
+        // Per-field LWW timestamps, so the client resolves later updates the same way we do
+        const fieldClocks = Object.fromEntries(nodes.map(n => [n.nodeId, n.fieldClocks || {}]));
+        
         const frontendEdges = edges.map(e => ({
           id: e.edgeId,
           source: e.from,
@@ -63,7 +179,10 @@ function setupWebSocket(server) {
 
         socket.emit('sync:response', { 
           nodes: frontendNodes, 
-          edges: frontendEdges 
+          edges: frontendEdges,
+          fieldClocks,
+          vectorClock: map?.vectorClock || {},
+          serverSequence
         });
         
         logger.info(`📤 Sent sync data: ${frontendNodes.length} nodes, ${frontendEdges.length} edges`);
@@ -74,202 +193,302 @@ function setupWebSocket(server) {
     });
 
     // NODE:ADD
-    socket.on('node:add', async (data) => {
-      try {
-        const { node, userId: senderId } = data;
-        logger.info(`📥 node:add from ${senderId}:`, node.label);
-        
-        const newNode = new Node({
-          nodeId: node.id,
-          mapId: DEFAULT_MAP_ID,
-          content: node.label,
-          position: node.position,
-          style: {
-            color: node.color,
-            shape: node.shape || 'circle'
-          },
-          isDeleted: false
-        });
-        
-        await newNode.save();
-        logger.info(`💾 Saved node to DB: ${node.id}`);
-        
-        socket.broadcast.emit('node:add', {
-          node,
-          userId: senderId
-        });
-        
-      } catch (error) {
-        logger.error('❌ Error in node:add:', error);
-        socket.emit('error', { message: error.message });
-      }
+    // With `restore`, brings back the deleted node of that id (an undo)
+    onOperation(socket, 'node:add', async (mapId, data, ack) => {
+      const { node, hlc, restore, operationId, userId: senderId } = data;
+      logger.info(`📥 node:add from ${senderId}:`, node.label);
+      
+      await commitOperation(socket, mapId, 'node:add', node.id, data, {
+        node,
+        hlc,
+        restore: restore === true,
+        operationId,
+        userId: senderId
+      }, ack);
     });
 
     // NODE:REMOVE
-    socket.on('node:remove', async (data) => {
-      try {
-        const { nodeId, userId: senderId } = data;
-        logger.info(`📥 node:remove from ${senderId}:`, nodeId);
-        
-        await Node.updateOne(
-          { nodeId, mapId: DEFAULT_MAP_ID },
-          { $set: { isDeleted: true, updatedAt: new Date() } }
-        );
-        
-        await Edge.updateMany(
-          { 
-            mapId: DEFAULT_MAP_ID,
-            $or: [{ from: nodeId }, { to: nodeId }]
-          },
-          { $set: { isDeleted: true, updatedAt: new Date() } }
-        );
-        
-        logger.info(`💾 Deleted node from DB: ${nodeId}`);
-        
-        socket.broadcast.emit('node:remove', {
-          nodeId,
-          userId: senderId
-        });
-        
-      } catch (error) {
-        logger.error('❌ Error in node:remove:', error);
-        socket.emit('error', { message: error.message });
-      }
+    onOperation(socket, 'node:remove', async (mapId, data, ack) => {
+      const { nodeId, operationId, userId: senderId } = data;
+      logger.info(`📥 node:remove from ${senderId}:`, nodeId);
+      
+      const removed = await commitOperation(socket, mapId, 'node:remove', nodeId, data, {
+        nodeId,
+        operationId,
+        userId: senderId
+      }, ack);
+      if (removed) labelDocs.discard(mapId, nodeId);
     });
 
     // NODE:UPDATE
-    socket.on('node:update', async (data) => {
-      try {
-        const { nodeId, updates, userId: senderId } = data;
-        logger.info(`📥 node:update from ${senderId}:`, nodeId, updates);
-        
-        const dbUpdates = {};
-        if (updates.label !== undefined) dbUpdates.content = updates.label;
-        if (updates.color !== undefined) dbUpdates['style.color'] = updates.color;
-        if (updates.shape !== undefined) dbUpdates['style.shape'] = updates.shape;
-        dbUpdates.updatedAt = new Date();
-        
-        await Node.updateOne(
-          { nodeId, mapId: DEFAULT_MAP_ID },
-          { $set: dbUpdates }
-        );
-        
-        logger.info(`💾 Updated node in DB: ${nodeId}`);
-        
-        socket.broadcast.emit('node:update', {
-          nodeId,
-          updates,
-          userId: senderId
-        });
-        
-      } catch (error) {
-        logger.error('❌ Error in node:update:', error);
-        socket.emit('error', { message: error.message });
+    onOperation(socket, 'node:update', async (mapId, data, ack) => {
+      const { nodeId, updates, hlc, operationId, userId: senderId } = data;
+      logger.info(`📥 node:update from ${senderId}:`, nodeId, updates);
+      
+      // Renaming a node someone else holds the edit lease on would overwrite their typing
+      const lease = editLeases.holder(mapId, nodeId);
+      if (lease && lease.sessionId !== socket.id && updates?.label !== undefined) {
+        rejectOperation(socket, ack, operationId, 'NODE_LOCKED', `${lease.displayName} is editing this node`);
+        return;
+      }
+      
+      const updated = await commitOperation(socket, mapId, 'node:update', nodeId, data, {
+        nodeId,
+        updates,
+        hlc,
+        operationId,
+        userId: senderId
+      }, ack);
+      
+      // A whole-label write (undo, an offline rename) also lands in the doc
+      // of anyone typing in that label
+      const update = updated && typeof updates?.label === 'string' && labelDocs.replace(mapId, nodeId, updates.label);
+      if (update) {
+        emitToRoom(labelRoom(mapId, nodeId), 'label:update', { nodeId, update });
       }
     });
 
+    // NODE:DRAG
+    // Positions streamed while a node is being dragged. They are relayed
+    // straight away but only buffered; the final node:move is the real write.
+    onMapEvent(socket, 'node:drag', (mapId, data) => {
+      const { nodeId, position, userId: senderId } = data;
+      if (!nodeId || !Number.isFinite(position?.x) || !Number.isFinite(position?.y)) return;
+      const hlc = hybridClock.accept(data.hlc);
+      
+      dragBuffer.record(mapId, nodeId, {
+        position,
+        hlc,
+        userId: senderId,
+        clientId: socket.clientId,
+        socketId: socket.id
+      });
+      // Volatile: a dropped frame is superseded by the next one anyway
+      emitToRoom(`map:${mapId}`, 'node:drag', { nodeId, position, hlc, userId: senderId }, {
+        except: socket.id,
+        volatile: true
+      });
+    });
+
     // NODE:MOVE
-    socket.on('node:move', async (data) => {
-      try {
-        const { nodeId, position, userId: senderId } = data;
-        
-        await Node.updateOne(
-          { nodeId, mapId: DEFAULT_MAP_ID },
-          { $set: { position, updatedAt: new Date() } }
-        );
-        
-        socket.broadcast.emit('node:move', {
-          nodeId,
-          position,
-          userId: senderId
-        });
-        
-      } catch (error) {
-        logger.error('❌ Error in node:move:', error);
-      }
+    onOperation(socket, 'node:move', async (mapId, data, ack) => {
+      const { nodeId, position, hlc, operationId, userId: senderId } = data;
+      // The drag (if any) ends here; this write supersedes its buffered position
+      dragBuffer.take(mapId, nodeId);
+      
+      await commitOperation(socket, mapId, 'node:move', nodeId, data, {
+        nodeId,
+        position,
+        hlc,
+        operationId,
+        userId: senderId
+      }, ack);
     });
 
     // EDGE:ADD
-    socket.on('edge:add', async (data) => {
-      try {
-        const { source, target, userId: senderId } = data;
-        logger.info(`📥 edge:add from ${senderId}: ${source} -> ${target}`);
-        
-        const sourceNode = await Node.findOne({ nodeId: source, mapId: DEFAULT_MAP_ID, isDeleted: false });
-        const targetNode = await Node.findOne({ nodeId: target, mapId: DEFAULT_MAP_ID, isDeleted: false });
-        
-        if (!sourceNode || !targetNode) {
-          logger.warn('⚠️ Cannot create edge: node not found');
-          socket.emit('error', { message: 'Cannot create edge: node not found' });
-          return;
-        }
-        
-        const edgeId = `edge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        const newEdge = new Edge({
-          edgeId,
-          mapId: DEFAULT_MAP_ID,
-          from: source,
-          to: target,
-          isDeleted: false
-        });
-        
-        await newEdge.save();
-        logger.info(`💾 Saved edge to DB: ${edgeId}`);
-        
-        socket.broadcast.emit('edge:add', {
-          edge: {
-            id: edgeId,
-            source,
-            target
-          },
+    // The edge keeps the id its author gave it (see claimEntityId). With
+    // `restore`, brings back the deleted edge of that id.
+    onOperation(socket, 'edge:add', async (mapId, data, ack) => {
+      const { source, target, restore, operationId, userId: senderId } = data;
+      const edgeId = data.edge.id;
+      logger.info(`📥 edge:add from ${senderId}: ${source} -> ${target}`);
+      
+      await commitOperation(socket, mapId, 'edge:add', edgeId, data, {
+        edge: {
+          id: edgeId,
           source,
-          target,
-          userId: senderId
-        });
-        
-      } catch (error) {
-        logger.error('❌ Error in edge:add:', error);
-        logger.error('Error details:', error.message);
-        socket.emit('error', { message: error.message });
-      }
+          target
+        },
+        source,
+        target,
+        restore: restore === true,
+        operationId,
+        userId: senderId
+      }, ack);
     });
 
     // EDGE:REMOVE
-    socket.on('edge:remove', async (data) => {
+    onOperation(socket, 'edge:remove', async (mapId, data, ack) => {
+      const { edgeId, operationId, userId: senderId } = data;
+      logger.info(`📥 edge:remove from ${senderId}:`, edgeId);
+      
+      await commitOperation(socket, mapId, 'edge:remove', edgeId, data, {
+        edgeId,
+        operationId,
+        userId: senderId
+      }, ack);
+    });
+
+    // CURSOR:UPDATE
+    // Pointer positions in canvas coordinates, labelled with the sender's
+    // presence name and color. Volatile: only the latest one matters.
+    onMapEvent(socket, 'cursor:update', (mapId, data) => {
+      const { position } = data;
+      if (!Number.isFinite(position?.x) || !Number.isFinite(position?.y)) return;
+      
+      const session = presence.get(socket.id);
+      emitToRoom(`map:${mapId}`, 'cursor:update', {
+        userId,
+        sessionId: socket.id,
+        position,
+        color: session?.color,
+        displayName: session?.displayName
+      }, { except: socket.id, volatile: true });
+    });
+
+    // LABEL EDITING
+    // A label open in someone's editor is a shared Y.Text, so concurrent
+    // typing merges character by character. Opening acks the doc's state;
+    // updates are relayed to the node's other editors and the text is
+    // written back as a plain label update every flush interval.
+    // Editors connected to other instances are in the same label room, and
+    // those instances keep a replica of the doc in step (see labelDocs).
+    // A shared label takes no lease, but respects one: whoever holds it is
+    // editing the label alone and would rename over the shared text
+    onMapEvent(socket, 'label:open', async (mapId, data, ack) => {
+      const { nodeId } = data;
+      const lease = editLeases.holder(mapId, nodeId);
+      if (lease && lease.sessionId !== socket.id) {
+        if (typeof ack === 'function') {
+          ack({ ok: false, lease, error: { code: 'NODE_LOCKED', message: `${lease.displayName} is editing this node` } });
+        }
+        return;
+      }
+      const entry = typeof nodeId === 'string' && nodeId
+        ? await labelDocs.open(mapId, nodeId, socket.id)
+        : null;
+      if (typeof ack !== 'function') return;
+      if (!entry) {
+        ack({ ok: false, error: { code: 'NODE_NOT_FOUND', message: `Node ${nodeId} does not exist` } });
+        return;
+      }
+      
+      socket.join(labelRoom(mapId, nodeId));
+      ack({ ok: true, state: labelDocs.state(entry) });
+    });
+
+    onMapEvent(socket, 'label:update', (mapId, data) => {
+      const { nodeId, update } = data;
+      const editor = { userId, clientId: socket.clientId, sessionId: socket.id };
+      if (!labelDocs.apply(mapId, nodeId, update, editor)) return;
+      
+      emitToRoom(labelRoom(mapId, nodeId), 'label:update', { nodeId, update }, { except: socket.id });
+    });
+
+    onMapEvent(socket, 'label:close', (mapId, data) => {
+      closeLabel(socket, mapId, data.nodeId);
+    });
+
+    // VIEWPORT
+    // A followed session streams its view, which only goes to its followers.
+    // Volatile: a follower only needs the latest one.
+    onMapEvent(socket, 'viewport:update', (mapId, data) => {
+      const viewport = presence.setViewport(socket.id, data.viewport);
+      if (!viewport) return;
+      
+      for (const followerId of presence.followers(socket.id)) {
+        emitToRoom(followerId, 'viewport:update', { sessionId: socket.id, viewport }, { volatile: true });
+      }
+    });
+
+    // A presenter pulls everyone to their view; clients then follow them
+    onMapEvent(socket, 'viewport:summon', (mapId, data) => {
+      const viewport = presence.setViewport(socket.id, data.viewport);
+      const session = presence.get(socket.id);
+      if (!viewport || !session) return;
+      
+      logger.info(`📣 ${session.displayName} summoned map ${mapId} to their view`);
+      emitToRoom(`map:${mapId}`, 'viewport:summon', {
+        sessionId: socket.id,
+        displayName: session.displayName,
+        viewport
+      }, { except: socket.id });
+    });
+
+    // EDIT LEASES
+    // Editing a label without its shared text takes a lease (acked with the
+    // holder if someone else has it); typing renews it, blur releases it
+    onMapEvent(socket, 'lease:acquire', (mapId, data, ack) => {
+      const result = acquireLease(socket, mapId, data.nodeId);
+      if (typeof ack === 'function') ack(result);
+    });
+
+    onMapEvent(socket, 'lease:renew', (mapId, data, ack) => {
+      const result = acquireLease(socket, mapId, data.nodeId);
+      if (typeof ack === 'function') ack(result);
+    });
+
+    onMapEvent(socket, 'lease:release', (mapId, data) => {
+      const lease = editLeases.release(mapId, data.nodeId, socket.id);
+      if (lease) {
+        broadcastToMap(mapId, 'lease:released', { nodeId: lease.nodeId, sessionId: lease.sessionId });
+      }
+    });
+
+    // CONFLICTS
+    // Either side of a conflict can close it: accepting the winner, or
+    // after re-applying its own value (which arrives as a regular edit)
+    onMapEvent(socket, 'conflict:resolve', async (mapId, data, ack) => {
+      const status = data.resolution === 'reapply' ? 'reapplied' : 'accepted';
+      let conflict = null;
       try {
-        const { edgeId, userId: senderId } = data;
-        logger.info(`📥 edge:remove from ${senderId}:`, edgeId);
-        
-        await Edge.updateOne(
-          { edgeId, mapId: DEFAULT_MAP_ID },
-          { $set: { isDeleted: true, updatedAt: new Date() } }
-        );
-        
-        logger.info(`💾 Deleted edge from DB: ${edgeId}`);
-        
-        socket.broadcast.emit('edge:remove', {
-          edgeId,
-          userId: senderId
-        });
-        
+        conflict = await Conflict.resolve(mapId, data.conflictId, status, { clientId: socket.clientId, userId });
       } catch (error) {
-        logger.error('❌ Error in edge:remove:', error);
-        socket.emit('error', { message: error.message });
+        logger.warn(`⚠️ Failed to resolve conflict ${data.conflictId}:`, error.message);
       }
+      
+      if (conflict) {
+        broadcastToMap(mapId, 'conflict:resolved', { conflictId: conflict.conflictId, status, resolvedBy: userId });
+      }
+      if (typeof ack === 'function') ack({ ok: Boolean(conflict) });
     });
 
-    // CURSOR:UPDATE
-    socket.on('cursor:update', (data) => {
-      socket.broadcast.emit('cursor:update', {
-        userId: data.userId,
-        position: data.position,
-        color: data.color
-      });
+    // PRESENCE
+    // Clients ping every heartbeat interval; activity since the last ping is
+    // broadcast with it rather than on every event. The ping also carries
+    // the sequence and vector clock the client is at, for its stored session.
+    socket.on('presence:heartbeat', (data = {}) => {
+      touchSession(socket, data);
+      const session = presence.heartbeat(socket.id);
+      if (session && socket.mapId) {
+        broadcastToMap(socket.mapId, 'presence:update', { session }, socket.id);
+      }
+    });
+
+    socket.on('presence:update', (data = {}) => {
+      const session = presence.update(socket.id, data);
+      if (!session || !socket.mapId) return;
+      broadcastToMap(socket.mapId, 'presence:update', { session });
+      if ('displayName' in data) saveSessionIdentity(socket, session);
+      
+      // A new follower starts from the leader's current view
+      const leaderViewport = 'followingSessionId' in data && presence.viewport(session.followingSessionId);
+      if (leaderViewport) {
+        socket.emit('viewport:update', { sessionId: session.followingSessionId, viewport: leaderViewport });
+      }
     });
 
     // JOIN/LEAVE MAP
-    socket.on('join-map', ({ mapId }) => {
+    // The ack (and joined-map) tell the client which sync mode the map uses:
+    // 'socket' maps sync through the events above, 'yjs' maps through /yjs.
+    // They also carry the client's stored session: the one it asked to
+    // resume (data.sessionId) if that is still live, otherwise a new one.
+    socket.on('join-map', async (data, ack) => {
+      const mapId = data?.mapId;
+      if (!mapId) {
+        socket.emit('error', { message: 'join-map requires a mapId' });
+        if (typeof ack === 'function') ack({ ok: false, error: 'join-map requires a mapId' });
+        return;
+      }
+
+      // A socket edits one map at a time: leave the previous room first
+      leavePresence(socket);
+      // Waited for, so it can't land after a resume of the same session
+      await closeSession(socket);
+      if (socket.mapId && socket.mapId !== mapId) {
+        socket.leave(`map:${socket.mapId}`);
+      }
+
       socket.join(`map:${mapId}`);
       socket.mapId = mapId;
       
@@ -278,12 +497,47 @@ function setupWebSocket(server) {
         connection.mapId = mapId;
       }
       
-      logger.info(`📍 Client ${socket.id} joined map: ${mapId}`);
-      socket.emit('joined-map', { mapId });
+      const map = await ensureMap(mapId);
+      const syncMode = map?.syncMode || 'socket';
+      const stored = await openSession(socket, mapId, userId, data.sessionId);
+      if (connection) connection.sessionId = socket.sessionId || null;
+      
+      // The newcomer gets the whole room, everyone else just the newcomer
+      const session = presence.join(mapId, {
+        sessionId: socket.id,
+        clientId: socket.clientId,
+        userId,
+        displayName: data.displayName || stored?.session.displayName,
+        color: stored?.session.color
+      });
+      if (stored) saveSessionIdentity(socket, session);
+      socket.emit('presence:list', { mapId, sessionId: socket.id, sessions: presence.list(mapId) });
+      socket.emit('lease:list', { mapId, leases: editLeases.list(mapId) });
+      sendConflicts(socket, mapId);
+      broadcastToMap(mapId, 'presence:join', { session }, socket.id);
+      
+      const sessionInfo = stored && {
+        sessionId: stored.session.sessionId,
+        resumed: stored.resumed,
+        lastSequence: stored.session.lastSequence
+      };
+      logger.info(`📍 Client ${socket.id} joined map: ${mapId} (${syncMode})` +
+        (stored ? ` ${stored.resumed ? 'resuming' : 'as'} ${stored.session.sessionId}` : ''));
+      socket.emit('joined-map', { mapId, syncMode, session: sessionInfo });
+      // serverTime lets the client correct its clock before stamping anything
+      if (typeof ack === 'function') ack({ ok: true, mapId, syncMode, session: sessionInfo, serverTime: Date.now() });
     });
 
     socket.on('leave-map', ({ mapId }) => {
+      if (socket.mapId === mapId) {
+        leavePresence(socket);
+        closeSession(socket);
+      }
       socket.leave(`map:${mapId}`);
+      broadcastToMap(mapId, 'user:left', { userId }, socket.id);
+      if (socket.mapId === mapId) {
+        socket.mapId = null;
+      }
       logger.info(`👋 Client ${socket.id} left map: ${mapId}`);
     });
 
@@ -292,7 +546,17 @@ function setupWebSocket(server) {
       logger.info(`❌ Client disconnected: ${socket.id} (User: ${userId})`);
       
       try {
-        socket.broadcast.emit('user:left', { userId });
+        if (socket.mapId) {
+          broadcastToMap(socket.mapId, 'user:left', { userId }, socket.id);
+        }
+        leavePresence(socket);
+        closeSession(socket);
+        rateLimiter.forget(socket.id);
+        
+        // A drag cut off mid-way keeps its last streamed position
+        for (const drag of dragBuffer.takeBySocket(socket.id)) {
+          persistDrag(drag);
+        }
         
         // Safety check
         if (activeConnectionsMap && typeof activeConnectionsMap.delete === 'function') {
@@ -311,23 +575,534 @@ function setupWebSocket(server) {
   return io;
 }
 
-// Create default map
-async function ensureDefaultMap() {
+// Every incoming event passes through here first. One over its rate limit
+// or too large is refused with rate:limited (and through its ack, like a
+// rejected operation) and never reaches its handler; a socket that keeps
+// getting refused is dropped.
+function guardPacket(socket, [event, ...args], next) {
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  const data = typeof args[0] === 'function' ? undefined : args[0];
+
+  // The session is the one the server issued; the user id is the client's word
+  const limit = rateLimiter.consume({
+    socketId: socket.id,
+    sessionId: socket.sessionId,
+    userId: socket.handshake.query.userId
+  }, event);
+  if (!limit.ok) {
+    refusePacket(socket, event, data, ack, 'limited', {
+      code: 'RATE_LIMITED',
+      message: `Too many ${event} events, slow down`,
+      scope: limit.scope,
+      retryAfterMs: limit.retryAfterMs
+    });
+    return;
+  }
+
+  const problem = payloadProblem(event, data);
+  if (problem) {
+    refusePacket(socket, event, data, ack, 'oversized', { code: 'PAYLOAD_TOO_LARGE', message: problem });
+    return;
+  }
+  next();
+}
+
+function refusePacket(socket, event, data, ack, kind, error) {
+  const operationId = data?.operationId;
+  if (ack) ack({ ok: false, operationId, error: { ...error, errors: [] } });
+
+  // A flood is told once in a while, not once per event
+  const { notify, disconnect } = rateLimiter.offend(socket.id, event, kind);
+  if (notify || disconnect) {
+    logger.warn(`🚦 Refused ${event} from ${socket.id}: ${error.code}`);
+    socket.emit('rate:limited', { event, operationId, disconnect, ...error });
+  }
+  if (disconnect) {
+    logger.warn(`🚫 Disconnecting ${socket.id}: too many refused events`);
+    socket.disconnect(true);
+  }
+}
+
+// Why a payload can't be handled, or null. Labels are held to the Node
+// schema's limit here rather than failing when they are saved.
+function payloadProblem(event, data) {
+  const { maxBytes, maxLabelLength } = serverConfig.payloads;
+  const bytes = payloadBytes(data);
+  if (bytes > maxBytes) {
+    return `${event} payload is ${bytes} bytes, the limit is ${maxBytes}`;
+  }
+
+  const label = event === 'node:add' ? data?.node?.label
+    : event === 'node:update' ? data?.updates?.label
+    : undefined;
+  if (typeof label === 'string' && label.length > maxLabelLength) {
+    return `Labels are limited to ${maxLabelLength} characters`;
+  }
+  return null;
+}
+
+// Size of a payload as sent: binary parts (Yjs updates) count as their bytes
+function payloadBytes(data) {
+  if (data === undefined) return 0;
+  let binary = 0;
+  const json = JSON.stringify(data, function(key, value) {
+    const raw = this[key];
+    if (raw instanceof Uint8Array || raw instanceof ArrayBuffer) {
+      binary += raw.byteLength;
+      return null;
+    }
+    return value;
+  });
+  return binary + (json ? Buffer.byteLength(json) : 0);
+}
+
+// Register a map-scoped event: the handler only runs once the socket has
+// joined a map, and receives that mapId so nothing falls back to a global map
+function onMapEvent(socket, event, handler) {
+  socket.on(event, (raw = {}, ack) => {
+    const data = remapIds(socket, raw);
+    const mapId = socket.mapId;
+    if (!mapId) {
+      logger.warn(`⚠️ ${event} from ${socket.id} before join-map, ignoring`);
+      rejectOperation(socket, ack, data.operationId, 'NOT_JOINED', `Cannot handle ${event}: join a map first`);
+      return;
+    }
+    presence.touch(socket.id);
+    return handler(mapId, data, ack);
+  });
+}
+
+// Register a map-scoped mutation: a resent one is answered with the ack the
+// original got, the id of a new entity is claimed, it waits until the map has
+// applied the ops its clock says it depends on, then it is validated against
+// the graph before `apply` runs, and rejected with operation:error if invalid.
+// A socket's mutations queue behind one another: one waiting on its
+// dependencies holds back those sent after it, which the causal buffer
+// counts on, as it never makes an op wait for its own sender.
+function onOperation(socket, event, apply) {
+  onMapEvent(socket, event, (mapId, raw, sendAck) => {
+    const handled = socket.operations.then(() => handleMutation(socket, mapId, event, raw, sendAck, apply));
+    socket.operations = handled.catch(() => {});
+    return handled;
+  });
+}
+
+async function handleMutation(socket, mapId, event, raw, sendAck, apply) {
+  const key = idempotency.keyOf(raw);
+  if (key) {
+    const original = await idempotency.begin(mapId, key);
+    if (original) {
+      logger.info(`♻️ Duplicate ${event} ${key} from ${socket.id}, answering with the original result`);
+      if (typeof sendAck === 'function') sendAck(original);
+      return;
+    }
+  }
+  const clientAck = (reply) => {
+    if (key) idempotency.settle(mapId, key, reply);
+    if (typeof sendAck === 'function') sendAck(reply);
+  };
+
   try {
-    const exists = await Map.findOne({ mapId: DEFAULT_MAP_ID });
-    if (!exists) {
-      const defaultMap = new Map({
-        mapId: DEFAULT_MAP_ID,
-        title: 'Default Map',
-        description: 'Automatically created default map',
-        ownerId: 'system',
-        isDeleted: false
-      });
-      await defaultMap.save();
-      logger.info('✅ Created default map');
+    let data;
+    try {
+      data = await claimEntityId(socket, mapId, event, raw);
+    } catch (error) {
+      logger.error(`❌ Could not claim an id for ${event}:`, error);
+      rejectOperation(socket, clientAck, raw.operationId, 'INTERNAL_ERROR', error.message);
+      return;
+    }
+    // The op is stamped under the id it was made with, which for one queued
+    // before a reload can differ from the one this socket connected with
+    await causalBuffer.waitFor(mapId, [socket.clientId, data.userId], data.vectorClock,
+      missing => requestGap(mapId, missing));
+    // Refusals are checked for a conflict with someone else's change
+    const ack = (reply) => {
+      if (!reply.ok) reportRejection(socket, mapId, event, data, reply.error);
+      clientAck(reply);
+    };
+    return await handleOperation(socket, mapId, event, data, ack, () => apply(mapId, data, ack));
+  } finally {
+    // However it ended, a key that got no answer mustn't keep resends waiting
+    if (key) idempotency.release(mapId, key);
+  }
+}
+
+// An op waits on edits the map hasn't got: ask the clients that made them,
+// wherever they are connected, to resend what they haven't had acked
+function requestGap(mapId, missing) {
+  for (const session of presence.list(mapId)) {
+    if (Object.hasOwn(missing, session.clientId)) {
+      emitToRoom(session.sessionId, 'operation:resend', { mapId, appliedThrough: missing[session.clientId] });
+    }
+  }
+}
+
+// Apply a validated mutation through the merge service, then broadcast it
+// with the sequence it was given and its causal clocks, and ack the sender
+// with the map's merged clock.
+// `payload` is the sanitized event data that gets logged and broadcast.
+// Resolves to whether it was applied.
+async function commitOperation(socket, mapId, event, entityId, data, payload, ack) {
+  const result = await merge({
+    mapId,
+    type: operationType(event, payload),
+    entityId,
+    payload,
+    operationId: payload.operationId,
+    clientId: socket.clientId,
+    sessionId: socket.sessionId || socket.id,
+    userId: payload.userId,
+    vectorClock: data.vectorClock,
+    idempotencyKey: idempotency.keyOf(data)
+  });
+  
+  if (!result.valid) {
+    rejectOperation(socket, ack, payload.operationId, result.code, result.reason);
+    return false;
+  }
+  
+  const { serverSequence, vectorClock, causality } = result;
+  causalBuffer.advance(mapId, vectorClock);
+  broadcastToMap(mapId, event, { ...payload, serverSequence, ...causality }, socket.id);
+  confirmOperation(ack, payload.operationId, serverSequence, vectorClock, causality.hlc);
+  announceConflicts(mapId, result.conflicts);
+  return true;
+}
+
+// Tell the clients on either side of each conflict, wherever they are connected
+function announceConflicts(mapId, detected = []) {
+  for (const conflict of detected) {
+    const involved = [conflict.winner.clientId, conflict.loser.clientId];
+    for (const session of presence.list(mapId)) {
+      if (involved.includes(session.clientId)) {
+        emitToRoom(session.sessionId, 'conflict:detected', { conflict });
+      }
     }
+  }
+}
+
+function reportRejection(socket, mapId, event, data, error) {
+  conflicts.fromRejection({ mapId, event, data, error, clientId: socket.clientId, userId: data.userId })
+    .then(detected => announceConflicts(mapId, detected))
+    .catch(error => logger.warn(`⚠️ Failed to record a conflict for ${event}:`, error.message));
+}
+
+// A (re)joining client gets the conflicts it hasn't resolved yet
+function sendConflicts(socket, mapId) {
+  Conflict.openFor(mapId, socket.clientId)
+    .then(open => socket.emit('conflict:list', { mapId, conflicts: open.map(c => conflicts.toClient(c)) }))
+    .catch(error => logger.warn(`⚠️ Failed to load conflicts for ${socket.id}:`, error.message));
+}
+
+// Resume the stored session the client asked for, or start a new one.
+// Returns { session, resumed }, or null if the database can't be reached:
+// the client then works without a stored session.
+async function openSession(socket, mapId, userId, resumeId) {
+  const identity = {
+    userId,
+    mapId,
+    clientId: socket.clientId,
+    socketId: socket.id,
+    ttlMs: serverConfig.sessions.resumeWindowMs
+  };
+
+  try {
+    const resumed = typeof resumeId === 'string' && resumeId
+      ? await Session.resume(resumeId, identity)
+      : null;
+    const session = resumed || await Session.start(identity);
+    socket.sessionId = session.sessionId;
+    return { session, resumed: Boolean(resumed) };
+  } catch (error) {
+    logger.warn(`⚠️ Could not open a session for ${socket.id}:`, error.message);
+    return null;
+  }
+}
+
+// The socket left its map or went away; the session stays resumable
+async function closeSession(socket) {
+  if (!socket.sessionId) return;
+  const sessionId = socket.sessionId;
+  socket.sessionId = null;
+  await persistSession(
+    Session.markDisconnected(sessionId, socket.id, serverConfig.sessions.resumeWindowMs),
+    `close session ${sessionId}`
+  );
+}
+
+function touchSession(socket, { lastSequence, vectorClock }) {
+  if (!socket.sessionId) return;
+  persistSession(Session.touch(socket.sessionId, socket.id, {
+    lastSequence: Number.isInteger(lastSequence) && lastSequence >= 0 ? lastSequence : undefined,
+    vectorClock: vectorClock ? vectorClockService.normalize(vectorClock) : undefined,
+    ttlMs: serverConfig.sessions.resumeWindowMs
+  }), `touch session ${socket.sessionId}`);
+}
+
+function saveSessionIdentity(socket, { displayName, color }) {
+  if (!socket.sessionId) return;
+  persistSession(
+    Session.updateIdentity(socket.sessionId, { displayName, color }),
+    `update session ${socket.sessionId}`
+  );
+}
+
+function expireSessions() {
+  Session.expireStale()
+    .then(({ modifiedCount }) => {
+      if (modifiedCount > 0) logger.info(`⌛ Expired ${modifiedCount} session(s)`);
+    })
+    .catch(error => logger.warn('⚠️ Failed to expire sessions:', error.message));
+}
+
+// Session writes happen alongside the realtime work, which doesn't wait on them
+function persistSession(promise, what) {
+  return promise.catch(error => logger.warn(`⚠️ Failed to ${what}:`, error.message));
+}
+
+// Remove the socket from its map's presence and tell the rest of the room
+function leavePresence(socket) {
+  // Labels it was typing in keep what it typed
+  for (const room of socket.rooms) {
+    if (room.startsWith('label:')) socket.leave(room);
+  }
+  for (const entry of labelDocs.closeBySession(socket.id)) {
+    writeClosedLabel(entry);
+  }
+
+  for (const lease of editLeases.releaseBySession(socket.id)) {
+    broadcastToMap(lease.mapId, 'lease:released', { nodeId: lease.nodeId, sessionId: lease.sessionId });
+  }
+
+  const left = presence.leave(socket.id);
+  if (left) {
+    broadcastToMap(left.mapId, 'presence:leave', {
+      sessionId: socket.id,
+      userId: left.session.userId
+    }, socket.id);
+    announceUnfollowed(left);
+  }
+}
+
+function sweepPresence() {
+  for (const left of presence.sweep(serverConfig.presence.staleAfterMs)) {
+    const { mapId, session } = left;
+    logger.info(`💤 Session ${session.sessionId} (${session.displayName}) timed out in map ${mapId}`);
+    broadcastToMap(mapId, 'presence:leave', { sessionId: session.sessionId, userId: session.userId });
+    announceUnfollowed(left);
+  }
+}
+
+// Followers of a session that left now follow no one
+function announceUnfollowed({ mapId, unfollowed }) {
+  for (const session of unfollowed) {
+    broadcastToMap(mapId, 'presence:update', { session });
+  }
+}
+
+function labelRoom(mapId, nodeId) {
+  return `label:${mapId}:${nodeId}`;
+}
+
+function closeLabel(socket, mapId, nodeId) {
+  socket.leave(labelRoom(mapId, nodeId));
+  const entry = labelDocs.close(mapId, nodeId, socket.id);
+  if (entry) writeClosedLabel(entry);
+}
+
+// The last editor here closed a label. Someone may still be typing in it
+// on another instance, which then tidies it up when they close it.
+function writeClosedLabel(entry) {
+  if (!labelDocs.isOpenElsewhere(entry.mapId, entry.nodeId)) {
+    persistLabel(entry, { closing: true });
+  } else if (entry.dirty) {
+    persistLabel(entry);
+  }
+}
+
+// Write a label doc's text as a regular label update, attributed to its
+// last editor. Stamped now, so it wins over every keystroke it contains.
+// Everyone gets the broadcast: editors keep their doc, the rest see the text.
+// While the doc is open the text goes out as typed, trailing space and all,
+// so the stored label never disagrees with the doc being edited; it is
+// trimmed, and an emptied one named, only once the last editor closes it.
+async function persistLabel(entry, { closing = false } = {}) {
+  const text = labelDocs.text(entry);
+  const label = closing ? text.trim() || 'Node' : text;
+  if (closing && !entry.dirty && label === text) return;
+
+  entry.dirty = false;
+  const editor = entry.lastEditor || {};
+  const payload = {
+    nodeId: entry.nodeId,
+    updates: { label: label.slice(0, serverConfig.payloads.maxLabelLength) },
+    hlc: hybridClock.now(),
+    userId: editor.userId
+  };
+
+  const result = await merge({
+    mapId: entry.mapId,
+    type: OPERATION_TYPES['node:update'],
+    entityId: entry.nodeId,
+    payload,
+    clientId: editor.clientId,
+    sessionId: editor.sessionId,
+    userId: editor.userId
+  });
+
+  if (!result.valid) {
+    logger.debug(`Dropped label of ${entry.nodeId}: ${result.code}`);
+    return;
+  }
+  broadcastToMap(entry.mapId, 'node:update', {
+    ...payload,
+    serverSequence: result.serverSequence,
+    ...result.causality
+  });
+  announceConflicts(entry.mapId, result.conflicts);
+}
+
+async function flushLabels() {
+  for (const entry of labelDocs.takeDirty()) {
+    await persistLabel(entry);
+  }
+}
+
+// Grant, renew or refuse an edit lease; returns the ack payload. A new
+// holder is announced to the room, a renewal is not.
+function acquireLease(socket, mapId, nodeId) {
+  if (typeof nodeId !== 'string' || !nodeId) {
+    return { ok: false, error: { code: 'INVALID_NODE', message: 'A lease needs a nodeId' } };
+  }
+  
+  // No lease while others type in the label's shared text: the holder's
+  // rename would land over theirs
+  const shared = labelDocs.get(mapId, nodeId);
+  if (labelDocs.isOpenElsewhere(mapId, nodeId)
+    || (shared && [...shared.editors].some(sessionId => sessionId !== socket.id))) {
+    return { ok: false, error: { code: 'NODE_LOCKED', message: 'This node is being edited in its shared label' } };
+  }
+
+  const session = presence.get(socket.id);
+  const { granted, renewed, lease } = editLeases.acquire(mapId, nodeId, {
+    sessionId: socket.id,
+    userId: session?.userId,
+    displayName: session?.displayName,
+    color: session?.color
+  }, serverConfig.leases.ttlMs);
+  
+  if (!granted) {
+    return { ok: false, lease, error: { code: 'NODE_LOCKED', message: `${lease.displayName} is editing this node` } };
+  }
+  if (!renewed) {
+    broadcastToMap(mapId, 'lease:granted', { lease }, socket.id);
+  }
+  return { ok: true, lease };
+}
+
+function sweepLeases() {
+  for (const lease of editLeases.sweep()) {
+    logger.debug(`Edit lease on ${lease.nodeId} held by ${lease.sessionId} expired`);
+    broadcastToMap(lease.mapId, 'lease:released', { nodeId: lease.nodeId, sessionId: lease.sessionId });
+  }
+}
+
+// Write a buffered drag position as a regular move. It carries the HLC of
+// the drag frame it came from, so the drag's final move (stamped later)
+// still wins if the two race. Everyone gets the broadcast, the dragger
+// included, so no client sees a gap in the server sequence.
+async function persistDrag(drag) {
+  const payload = {
+    nodeId: drag.nodeId,
+    position: drag.position,
+    hlc: drag.hlc,
+    userId: drag.userId
+  };
+
+  const result = await merge({
+    mapId: drag.mapId,
+    type: OPERATION_TYPES['node:move'],
+    entityId: drag.nodeId,
+    payload,
+    clientId: drag.clientId,
+    sessionId: drag.socketId,
+    userId: drag.userId
+  });
+
+  if (!result.valid) {
+    logger.debug(`Dropped drag of ${drag.nodeId}: ${result.code}`);
+    return;
+  }
+  broadcastToMap(drag.mapId, 'node:move', {
+    ...payload,
+    serverSequence: result.serverSequence,
+    ...result.causality
+  });
+  announceConflicts(drag.mapId, result.conflicts);
+}
+
+async function flushDrags() {
+  const drags = dragBuffer.takeDirty(serverConfig.drag.flushIntervalMs * 5);
+  for (const drag of drags) {
+    await persistDrag(drag);
+  }
+}
+
+// Operations a client missed since `sinceSequence`, or null when a full
+// snapshot is the better answer: the gap is too large, the client is ahead
+// of us (e.g. the database was reset), or the log doesn't cover the range
+async function getMissedOperations(mapId, sinceSequence) {
+  const map = await MindMap.findOne({ mapId }).lean();
+  const currentSequence = map?.version || 0;
+  const missing = currentSequence - sinceSequence;
+
+  if (missing < 0 || missing > serverConfig.sync.maxDeltaOperations) {
+    return null;
+  }
+
+  const operations = await Operation.find({
+    mapId,
+    serverSequence: { $gt: sinceSequence, $lte: currentSequence }
+  }).sort({ serverSequence: 1 }).lean();
+
+  if (operations.length !== missing) {
+    return null;
+  }
+
+  return {
+    serverSequence: currentSequence,
+    vectorClock: map?.vectorClock || {},
+    operations: operations.map(op => ({
+      event: OPERATION_EVENTS[op.type],
+      data: {
+        ...op.payload,
+        serverSequence: op.serverSequence,
+        vectorClock: op.vectorClock,
+        dependencies: op.dependencies || {}
+      }
+    }))
+  };
+}
+
+// Create a map document the first time anyone joins it; returns the map
+async function ensureMap(mapId, title = 'Untitled Map') {
+  try {
+    const exists = await MindMap.findOne({ mapId });
+    if (exists) return exists;
+    
+    const map = new MindMap({
+      mapId,
+      title,
+      description: 'Automatically created on first join',
+      ownerId: 'system',
+      isDeleted: false
+    });
+    await map.save();
+    logger.info(`✅ Created map: ${mapId}`);
+    return map;
   } catch (error) {
-    logger.error('❌ Error creating default map:', error.message);
+    logger.error(`❌ Error creating map ${mapId}:`, error.message);
+    return null;
   }
 }
 
@@ -338,19 +1113,59 @@ const getIO = () => {
 
 const getActiveConnections = () => activeConnectionsMap;
 
-const broadcastToMap = (mapId, event, data, excludeSocketId = null) => {
-  if (!io) return;
-  const room = `map:${mapId}`;
-  if (excludeSocketId) {
-    io.to(room).except(excludeSocketId).emit(event, data);
-  } else {
-    io.to(room).emit(event, data);
+// Tell the socket carrying a session that it was terminated and drop it,
+// on whichever instance it is connected to. The session must already be
+// marked terminated.
+const disconnectSession = (socketId, reason) => {
+  if (!dropSession(socketId, reason)) {
+    bus?.publish('session', { socketId, reason });
   }
 };
 
+// Returns false if no such socket is connected here
+function dropSession(socketId, reason) {
+  const socket = io?.sockets.sockets.get(socketId);
+  if (!socket) return false;
+  socket.emit('session:terminated', { sessionId: socket.sessionId, reason });
+  socket.sessionId = null;
+  socket.disconnect(true);
+  return true;
+}
+
+// Emit to the sockets in `room` on every instance, skipping the socket id
+// `except`. A socket id is a room too, so this also reaches one socket
+// wherever it is connected. Other instances only need the latest volatile
+// frame per node or sender, so those are relayed under that key.
+function emitToRoom(room, event, data, { except = null, volatile = false } = {}) {
+  const message = { room, event, data, except, volatile };
+  emitLocally(message);
+  const key = volatile ? `${room}:${event}:${data?.nodeId ?? ''}:${except ?? data?.userId ?? ''}` : undefined;
+  bus?.publish('room', message, { volatile, key });
+}
+
+function emitLocally({ room, event, data, except, volatile }) {
+  if (!io) return;
+  let target = io.to(room);
+  if (except) target = target.except(except);
+  if (volatile) target = target.volatile;
+  target.emit(event, data);
+}
+
+const broadcastToMap = (mapId, event, data, excludeSocketId = null) => {
+  emitToRoom(`map:${mapId}`, event, data, { except: excludeSocketId });
+};
+
+const closeBus = () => {
+  if (!bus) return;
+  bus.close().catch(error => logger.warn('⚠️ Failed to close the broadcast bus:', error.message));
+  bus = null;
+};
+
 module.exports = {
   setupWebSocket,
   getIO,
   getActiveConnections,
-  broadcastToMap
+  disconnectSession,
+  broadcastToMap,
+  closeBus
 };
\ No newline at end of file
@@ -0,0 +1,415 @@
+const { EventEmitter } = require('events');
+const Y = require('yjs');
+const MindMap = require('../src/models/Map');
+const Node = require('../src/models/Node');
+const presence = require('../src/services/presence');
+const editLeases = require('../src/services/editLeases');
+const labelDocs = require('../src/services/labelDocs');
+const { InProcessBus, MongoBus } = require('../src/services/broadcastBus');
+const logger = require('../src/utils/logger');
+const { fresh, query, settle, stubModel, useFakeClock } = require('./helpers');
+
+// Presence mirrors sessions to the map document; nothing here needs the database
+stubModel(MindMap, {
+  addSession: async () => null,
+  removeSession: async () => null,
+  updateSessionActivity: async () => null,
+  pruneSessions: async () => null
+});
+// Every label starts out as stored here
+let storedLabel;
+stubModel(Node, {
+  findOne: ({ nodeId }) => query({ nodeId, content: storedLabel })
+});
+
+describe('InProcessBus', () => {
+  let hub;
+  let buses;
+
+  const busFor = async (instanceId) => {
+    const bus = new InProcessBus(instanceId, { hub });
+    await bus.start();
+    buses.push(bus);
+    return bus;
+  };
+
+  beforeEach(() => {
+    hub = new EventEmitter();
+    buses = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buses.map(bus => bus.close()));
+  });
+
+  test('relays to the other instances in publish order, never back to the publisher', async () => {
+    const a = await busFor('a');
+    const b = await busFor('b');
+    const atA = jest.fn();
+    const atB = jest.fn();
+    a.subscribe('room', atA);
+    b.subscribe('room', atB);
+
+    a.publish('room', { n: 1 });
+    a.publish('room', { n: 2 });
+    await settle();
+
+    expect(atA).not.toHaveBeenCalled();
+    expect(atB.mock.calls).toEqual([[{ n: 1 }, 'a'], [{ n: 2 }, 'a']]);
+  });
+
+  test('only reaches buses on the same hub and subscribers of the channel', async () => {
+    const a = await busFor('a');
+    const b = await busFor('b');
+    const other = new InProcessBus('c', { hub: new EventEmitter() });
+    await other.start();
+    buses.push(other);
+    const onRoom = jest.fn();
+    const onOther = jest.fn();
+    b.subscribe('other', onOther);
+    other.subscribe('room', onRoom);
+
+    a.publish('room', { n: 1 });
+    await settle();
+
+    expect(onRoom).not.toHaveBeenCalled();
+    expect(onOther).not.toHaveBeenCalled();
+  });
+
+  test('a throwing subscriber does not stop delivery to the others', async () => {
+    const a = await busFor('a');
+    const b = await busFor('b');
+    const after = jest.fn();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    b.subscribe('room', () => { throw new Error('boom'); });
+    b.subscribe('room', after);
+
+    a.publish('room', { n: 1 });
+    await settle();
+
+    expect(after).toHaveBeenCalledWith({ n: 1 }, 'a');
+    expect(logger.error).toHaveBeenCalled();
+    logger.error.mockRestore();
+  });
+
+  test('stops delivering once closed', async () => {
+    const a = await busFor('a');
+    const b = await busFor('b');
+    const atB = jest.fn();
+    b.subscribe('room', atB);
+
+    await b.close();
+    a.publish('room', { n: 1 });
+    await settle();
+
+    expect(atB).not.toHaveBeenCalled();
+  });
+});
+
+describe('presence across instances', () => {
+  let hub;
+  let buses;
+
+  const instance = async (instanceId) => {
+    const bus = new InProcessBus(instanceId, { hub });
+    await bus.start();
+    buses.push(bus);
+    const service = fresh(presence);
+    service.attach(bus);
+    return service;
+  };
+
+  const join = (service, mapId, sessionId) =>
+    service.join(mapId, { sessionId, clientId: `c_${sessionId}`, userId: `user_${sessionId}` });
+
+  beforeEach(() => {
+    hub = new EventEmitter();
+    buses = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buses.map(bus => bus.close()));
+  });
+
+  test('mirrors joins and leaves on the other instance', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+
+    join(first, 'm1', 's1');
+    await settle();
+    expect(second.list('m1').map(s => s.sessionId)).toEqual(['s1']);
+
+    first.leave('s1');
+    await settle();
+    expect(second.list('m1')).toEqual([]);
+  });
+
+  test('a new instance learns the sessions already carried elsewhere', async () => {
+    const first = await instance('a');
+    join(first, 'm1', 's1');
+    await settle();
+
+    const late = await instance('b');
+    await settle();
+
+    expect(late.list('m1').map(s => s.sessionId)).toEqual(['s1']);
+  });
+
+  test('a mirror never replaces a session the instance carries itself', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+    join(second, 'm1', 's1');
+    await settle();
+
+    join(first, 'm2', 's1');
+    await settle();
+
+    expect(second.list('m1').map(s => s.sessionId)).toEqual(['s1']);
+    expect(second.list('m2')).toEqual([]);
+  });
+});
+
+describe('edit leases across instances', () => {
+  let hub;
+  let buses;
+
+  const instance = async (instanceId) => {
+    const bus = new InProcessBus(instanceId, { hub });
+    await bus.start();
+    buses.push(bus);
+    const service = fresh(editLeases);
+    service.attach(bus);
+    return service;
+  };
+
+  const holder = (sessionId) => ({ sessionId, userId: `user_${sessionId}`, displayName: sessionId });
+
+  beforeEach(() => {
+    hub = new EventEmitter();
+    buses = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buses.map(bus => bus.close()));
+  });
+
+  test('a node leased through one instance is locked on the others until released', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+
+    first.acquire('m1', 'n1', holder('s1'), 10000);
+    await settle();
+    expect(second.acquire('m1', 'n1', holder('s2'), 10000)).toMatchObject({
+      granted: false, lease: { sessionId: 's1' }
+    });
+
+    first.releaseBySession('s1');
+    await settle();
+    expect(second.acquire('m1', 'n1', holder('s2'), 10000).granted).toBe(true);
+  });
+
+  test('a new instance learns the leases already held elsewhere', async () => {
+    const first = await instance('a');
+    first.acquire('m1', 'n1', holder('s1'), 10000);
+    await settle();
+
+    const late = await instance('b');
+    await settle();
+
+    expect(late.holder('m1', 'n1')).toMatchObject({ sessionId: 's1' });
+  });
+
+  test('a mirror never replaces a live lease granted here', async () => {
+    const second = await instance('b');
+    second.acquire('m1', 'n1', holder('s2'), 10000);
+
+    second.applyRemote({ action: 'grant', lease: { mapId: 'm1', nodeId: 'n1', sessionId: 's1', expiresAt: new Date(Date.now() + 10000) } });
+
+    expect(second.holder('m1', 'n1')).toMatchObject({ sessionId: 's2' });
+  });
+});
+
+describe('label docs across instances', () => {
+  let hub;
+  let buses;
+
+  const instance = async (instanceId) => {
+    const bus = new InProcessBus(instanceId, { hub });
+    await bus.start();
+    buses.push(bus);
+    const service = fresh(labelDocs, { fetchTimeoutMs: 100 });
+    service.attach(bus);
+    return service;
+  };
+
+  // An editor's replica of an open label typing `text` at `index`
+  const type = (docs, entry, index, text) => {
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, docs.state(entry));
+    let update;
+    doc.once('update', (u) => { update = u; });
+    doc.getText('label').insert(index, text);
+    return update;
+  };
+
+  const alice = { userId: 'u1', clientId: 'c1', sessionId: 's1' };
+
+  beforeEach(() => {
+    hub = new EventEmitter();
+    buses = [];
+    storedLabel = 'Idea';
+  });
+
+  afterEach(async () => {
+    await Promise.all(buses.map(bus => bus.close()));
+  });
+
+  test('typing on one instance reaches the replica on the other, which leaves writing it back to the first', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+    const here = await first.open('m1', 'n1', 's1');
+    await settle();
+    const there = await second.open('m1', 'n1', 's2');
+
+    first.apply('m1', 'n1', type(first, here, 4, ' map'), alice);
+    await settle();
+
+    expect(second.text(there)).toBe('Idea map');
+    expect(there.dirty).toBe(false);
+    expect(here.dirty).toBe(true);
+  });
+
+  test('a label open elsewhere starts from that replica, not the stored label', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+    const here = await first.open('m1', 'n1', 's1');
+    first.apply('m1', 'n1', type(first, here, 4, ' map'), alice);
+    // Written back meanwhile: seeding from it would double the text
+    storedLabel = 'Idea map';
+    await settle();
+
+    const there = await second.open('m1', 'n1', 's2');
+    first.apply('m1', 'n1', type(first, here, 8, '!'), alice);
+    await settle();
+
+    expect(second.text(there)).toBe('Idea map!');
+  });
+
+  test('instances seeding the same label at once end up with it once', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+
+    const [here, there] = await Promise.all([first.open('m1', 'n1', 's1'), second.open('m1', 'n1', 's2')]);
+    first.apply('m1', 'n1', type(first, here, 4, ' map'), alice);
+    Y.applyUpdate(here.doc, second.state(there));
+    await settle();
+
+    expect(first.text(here)).toBe('Idea map');
+    expect(second.text(there)).toBe('Idea map');
+  });
+
+  test('knows while another instance still has the label open', async () => {
+    const first = await instance('a');
+    const second = await instance('b');
+    await first.open('m1', 'n1', 's1');
+    await settle();
+    expect(second.isOpenElsewhere('m1', 'n1')).toBe(true);
+
+    first.close('m1', 'n1', 's1');
+    await settle();
+    expect(second.isOpenElsewhere('m1', 'n1')).toBe(false);
+  });
+});
+
+describe('MongoBus', () => {
+  let bus;
+
+  useFakeClock();
+
+  beforeEach(() => {
+    bus = new MongoBus('a', { volatileFlushMs: 100 });
+    // Stands in for an opened collection; nothing here reaches MongoDB
+    bus.ready = Promise.resolve();
+    bus.collection = { insertOne: jest.fn().mockResolvedValue(null) };
+  });
+
+  afterEach(async () => {
+    await bus.close();
+  });
+
+  test('relays only the latest volatile message per key, as one batch', async () => {
+    bus.publish('drag', { nodeId: 'n1', x: 1 }, { volatile: true, key: 'n1' });
+    bus.publish('drag', { nodeId: 'n1', x: 2 }, { volatile: true, key: 'n1' });
+    bus.publish('drag', { nodeId: 'n2', x: 5 }, { volatile: true, key: 'n2' });
+    await Promise.resolve();
+    expect(bus.collection.insertOne).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    await Promise.resolve();
+
+    expect(bus.collection.insertOne).toHaveBeenCalledTimes(1);
+    const [message] = bus.collection.insertOne.mock.calls[0];
+    expect(message.channel).toBe('__volatile');
+    expect(message.origin).toBe('a');
+    expect(message.payload).toEqual([
+      { channel: 'drag', payload: { nodeId: 'n1', x: 2 } },
+      { channel: 'drag', payload: { nodeId: 'n2', x: 5 } }
+    ]);
+  });
+
+  test('keeps every volatile message that has no key', async () => {
+    bus.publish('cursor', { x: 1 }, { volatile: true });
+    bus.publish('cursor', { x: 2 }, { volatile: true });
+
+    jest.advanceTimersByTime(100);
+    await Promise.resolve();
+
+    const [message] = bus.collection.insertOne.mock.calls[0];
+    expect(message.payload.map(m => m.payload)).toEqual([{ x: 1 }, { x: 2 }]);
+  });
+
+  test('inserts other messages right away', async () => {
+    bus.publish('room', { n: 1 });
+    await Promise.resolve();
+
+    expect(bus.collection.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'room', payload: { n: 1 }, origin: 'a'
+    }));
+  });
+
+  test('drops unsent volatile messages when closed', async () => {
+    bus.publish('drag', { x: 1 }, { volatile: true, key: 'n1' });
+    await bus.close();
+
+    jest.advanceTimersByTime(100);
+    await Promise.resolve();
+
+    expect(bus.collection.insertOne).not.toHaveBeenCalled();
+  });
+
+  test('unpacks a batch from another instance into separate messages', () => {
+    const onDrag = jest.fn();
+    bus.subscribe('drag', onDrag);
+    const handlers = {};
+    bus.collection.watch = () => ({
+      on: (event, handler) => { handlers[event] = handler; },
+      close: async () => {}
+    });
+
+    bus.watch();
+    handlers.change({
+      _id: 'token',
+      fullDocument: {
+        channel: '__volatile',
+        origin: 'b',
+        payload: [
+          { channel: 'drag', payload: { x: 1 } },
+          { channel: 'drag', payload: { x: 2 } }
+        ]
+      }
+    });
+
+    expect(onDrag.mock.calls).toEqual([[{ x: 1 }, 'b'], [{ x: 2 }, 'b']]);
+    expect(bus.resumeToken).toBe('token');
+  });
+});
@@ -0,0 +1,102 @@
+const MindMap = require('../src/models/Map');
+const causalBuffer = require('../src/services/causalBuffer');
+const logger = require('../src/utils/logger');
+const { fresh, query, settle, stubModel } = require('./helpers');
+
+// The map clock as the database has it
+let storedClock;
+stubModel(MindMap, {
+  findOne: () => query({ vectorClock: storedClock })
+});
+
+describe('causalBuffer', () => {
+  let buffer;
+
+  beforeEach(() => {
+    storedClock = {};
+    buffer = fresh(causalBuffer, { maxWaitMs: 1000 });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logger.warn.mockRestore();
+  });
+
+  test('an op depends on every entry but its sender\'s', () => {
+    expect(buffer.dependencies({ a: 3, b: 2, c: 1 }, ['a', 'c'])).toEqual({ b: 2 });
+  });
+
+  test('an op whose dependencies are applied goes ahead', async () => {
+    buffer.advance('m1', { b: 2 });
+    await expect(buffer.waitFor('m1', ['a'], { a: 5, b: 2 })).resolves.toBe(true);
+    expect(buffer.stats().held).toBe(0);
+  });
+
+  test('the database clock is checked before holding an op', async () => {
+    storedClock = { b: 2 };
+    await expect(buffer.waitFor('m1', ['a'], { a: 1, b: 2 })).resolves.toBe(true);
+  });
+
+  test('an op is held until the ops it depends on are applied', async () => {
+    let ready = null;
+    buffer.waitFor('m1', ['a'], { a: 1, b: 2 }).then(value => { ready = value; });
+    await settle();
+    expect(ready).toBeNull();
+    expect(buffer.stats().waiting).toBe(1);
+
+    buffer.advance('m1', { b: 1 });
+    await settle();
+    expect(ready).toBeNull();
+
+    buffer.advance('m1', { b: 2 });
+    await settle();
+    expect(ready).toBe(true);
+    expect(buffer.stats()).toMatchObject({ held: 1, released: 1, waiting: 0 });
+  });
+
+  test('a held op asks for just what the map is missing', async () => {
+    buffer.advance('m1', { b: 1, c: 4 });
+    const requestGap = jest.fn();
+
+    buffer.waitFor('m1', ['a'], { a: 1, b: 3, c: 4, d: 2 }, requestGap);
+    await settle();
+
+    expect(requestGap).toHaveBeenCalledWith({ b: 1, d: 0 });
+  });
+
+  test('ops of other maps are not released', async () => {
+    let ready = null;
+    buffer.waitFor('m1', ['a'], { b: 1 }).then(value => { ready = value; });
+    await settle();
+
+    buffer.advance('m2', { b: 1 });
+    await settle();
+    expect(ready).toBeNull();
+  });
+
+  test('a held op goes ahead anyway after maxWaitMs', async () => {
+    let ready = null;
+    buffer.waitFor('m1', ['a'], { b: 1 }).then(value => { ready = value; });
+    await settle();
+
+    buffer.release('m1', Date.now() + 1000);
+    await settle();
+    expect(ready).toBe(false);
+    expect(buffer.stats().timedOut).toBe(1);
+  });
+
+  test('an op replayed under the sender\'s old tab id waits on neither of its ids', async () => {
+    // Queued offline as `old_tab`, sent by the socket of `new_tab`
+    await expect(buffer.waitFor('m1', ['new_tab', 'old_tab'], { old_tab: 7, new_tab: 2 })).resolves.toBe(true);
+  });
+
+  test('sweep releases ops another instance unblocked', async () => {
+    let ready = null;
+    buffer.waitFor('m1', ['a'], { b: 1 }).then(value => { ready = value; });
+    await settle();
+
+    storedClock = { b: 1 };
+    await buffer.sweep();
+    expect(ready).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+const Conflict = require('../src/models/Conflict');
+const Node = require('../src/models/Node');
+const Operation = require('../src/models/Operation');
+const conflicts = require('../src/services/conflicts');
+const { query, stubModel } = require('./helpers');
+
+// A map where bob deleted n1; alice's edits come in after
+let deletedNode;
+let deleteOp;
+stubModel(Node, {
+  findOne: () => query(deletedNode)
+});
+stubModel(Operation, {
+  findOne: () => query(deleteOp)
+});
+stubModel(Conflict, {
+  insertMany: async (records) => records.map(record => ({ ...record, toObject: () => ({ _id: 'x', __v: 0, ...record }) }))
+});
+
+const hlc = (time, clientId) => ({ time, counter: 0, clientId });
+
+const aliceUpdate = {
+  mapId: 'm1',
+  entityId: 'n1',
+  operationId: 'op1',
+  clientId: 'alice',
+  userId: 'alice'
+};
+
+beforeEach(() => {
+  deletedNode = { nodeId: 'n1', content: 'Idea', position: { x: 1, y: 2 }, style: { color: '#fff', shape: 'circle' } };
+  deleteOp = { clientId: 'bob', userId: 'bob', operationId: 'op0' };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('fromMerge', () => {
+  const contested = [
+    { field: 'label', won: false, value: 'Mine', otherValue: 'Theirs', otherHlc: hlc(200, 'bob') },
+    { field: 'color', won: true, value: '#000', otherValue: '#fff', otherHlc: hlc(50, 'bob') }
+  ];
+
+  test('a field the write lost is a conflict, with the other side as the winner', async () => {
+    const [conflict, ...rest] = await conflicts.fromMerge(aliceUpdate, { hasConflict: false, contested, hlc: hlc(100, 'alice') });
+
+    expect(rest).toEqual([]);
+    expect(conflict).toEqual(expect.objectContaining({
+      kind: 'concurrent_edit',
+      entityId: 'n1',
+      field: 'label',
+      winner: expect.objectContaining({ value: 'Theirs', clientId: 'bob' }),
+      loser: expect.objectContaining({ value: 'Mine', clientId: 'alice', operationId: 'op1' })
+    }));
+    expect(conflict).not.toHaveProperty('_id');
+  });
+
+  test('a field it won is one only when the write was concurrent', async () => {
+    const detected = await conflicts.fromMerge(aliceUpdate, { hasConflict: true, contested, hlc: hlc(100, 'alice') });
+
+    expect(detected.map(c => [c.field, c.winner.clientId])).toEqual([['label', 'bob'], ['color', 'alice']]);
+  });
+
+  test('overwriting your own value is no conflict', async () => {
+    const own = [{ field: 'label', won: false, value: 'Mine', otherValue: 'Older', otherHlc: hlc(200, 'alice') }];
+
+    expect(await conflicts.fromMerge(aliceUpdate, { hasConflict: true, contested: own })).toEqual([]);
+  });
+});
+
+describe('fromRejection', () => {
+  const rejected = (event, data, code) => conflicts.fromRejection({
+    mapId: 'm1', event, data: { operationId: 'op1', ...data }, error: { code, message: 'refused' }, clientId: 'alice', userId: 'alice'
+  });
+
+  test('an edit to a node someone else deleted keeps the node as it was', async () => {
+    const [conflict] = await rejected('node:update', { nodeId: 'n1', updates: { label: 'Mine' } }, 'NODE_NOT_FOUND');
+
+    expect(conflict).toEqual(expect.objectContaining({
+      kind: 'edit_on_deleted',
+      winner: expect.objectContaining({ value: null, clientId: 'bob', operationId: 'op0' }),
+      loser: expect.objectContaining({ value: { label: 'Mine' }, clientId: 'alice' }),
+      snapshot: expect.objectContaining({ id: 'n1', label: 'Idea', position: { x: 1, y: 2 } })
+    }));
+  });
+
+  test('nothing is recorded when the node was never there or the editor deleted it', async () => {
+    deleteOp = { clientId: 'alice' };
+    expect(await rejected('node:move', { nodeId: 'n1', position: { x: 0, y: 0 } }, 'NODE_NOT_FOUND')).toEqual([]);
+
+    deletedNode = null;
+    expect(await rejected('node:move', { nodeId: 'n1', position: { x: 0, y: 0 } }, 'NODE_NOT_FOUND')).toEqual([]);
+  });
+
+  test('an edge another change made impossible is recorded, a malformed one is not', async () => {
+    const [conflict] = await rejected('edge:add', { edge: { id: 'e1' }, source: 'a', target: 'b' }, 'WOULD_CREATE_CYCLE');
+    expect(conflict).toEqual(expect.objectContaining({ kind: 'edge_rejected', entityId: 'e1', reason: 'refused' }));
+
+    expect(await rejected('edge:add', { source: 'a', target: 'a' }, 'SELF_LOOP')).toEqual([]);
+  });
+});
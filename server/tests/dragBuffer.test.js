@@ -0,0 +1,57 @@
+const dragBuffer = require('../src/services/dragBuffer');
+const { fresh, useFakeClock } = require('./helpers');
+
+const frame = (socketId, x) => ({ position: { x, y: 0 }, userId: 'u1', clientId: 'c1', socketId });
+
+describe('dragBuffer', () => {
+  let buffer;
+
+  useFakeClock();
+
+  beforeEach(() => {
+    buffer = fresh(dragBuffer);
+  });
+
+  test('keeps only the latest position per node', () => {
+    buffer.record('m1', 'n1', frame('s1', 1));
+    buffer.record('m1', 'n1', frame('s1', 2));
+    buffer.record('m2', 'n1', frame('s1', 3));
+
+    expect(buffer.size()).toBe(2);
+    expect(buffer.take('m1', 'n1').position).toEqual({ x: 2, y: 0 });
+    expect(buffer.take('m1', 'n1')).toBeNull();
+  });
+
+  test('takeDirty hands out each change once', () => {
+    buffer.record('m1', 'n1', frame('s1', 1));
+
+    expect(buffer.takeDirty(1000)).toMatchObject([{ mapId: 'm1', nodeId: 'n1', position: { x: 1, y: 0 } }]);
+    expect(buffer.takeDirty(1000)).toEqual([]);
+
+    buffer.record('m1', 'n1', frame('s1', 2));
+    expect(buffer.takeDirty(1000)).toHaveLength(1);
+  });
+
+  test('takeDirty forgets drags idle for longer than idleMs', () => {
+    buffer.record('m1', 'n1', frame('s1', 1));
+    buffer.takeDirty(1000);
+
+    jest.advanceTimersByTime(500);
+    buffer.takeDirty(1000);
+    expect(buffer.size()).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    buffer.takeDirty(1000);
+    expect(buffer.size()).toBe(0);
+  });
+
+  test('takeBySocket removes a socket\'s drags and returns the unpersisted ones', () => {
+    buffer.record('m1', 'n1', frame('s1', 1));
+    buffer.takeDirty(1000);
+    buffer.record('m1', 'n2', frame('s1', 2));
+    buffer.record('m1', 'n3', frame('s2', 3));
+
+    expect(buffer.takeBySocket('s1').map(drag => drag.nodeId)).toEqual(['n2']);
+    expect(buffer.size()).toBe(1);
+  });
+});
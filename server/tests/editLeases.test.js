@@ -0,0 +1,71 @@
+const editLeases = require('../src/services/editLeases');
+const { fresh, useFakeClock } = require('./helpers');
+
+const alice = { sessionId: 's1', userId: 'u1', displayName: 'Alice', color: '#3B82F6' };
+const bob = { sessionId: 's2', userId: 'u2', displayName: 'Bob', color: '#10B981' };
+
+describe('editLeases', () => {
+  let leases;
+
+  useFakeClock();
+
+  beforeEach(() => {
+    leases = fresh(editLeases);
+  });
+
+  test('one session at a time holds a node', () => {
+    expect(leases.acquire('m1', 'n1', alice, 1000)).toMatchObject({ granted: true, renewed: false });
+
+    const refused = leases.acquire('m1', 'n1', bob, 1000);
+    expect(refused).toMatchObject({ granted: false, lease: { sessionId: 's1', displayName: 'Alice' } });
+
+    // Same node id in another map is another lease
+    expect(leases.acquire('m2', 'n1', bob, 1000).granted).toBe(true);
+  });
+
+  test('the holder renews its lease', () => {
+    leases.acquire('m1', 'n1', alice, 1000);
+    jest.advanceTimersByTime(800);
+
+    const renewed = leases.acquire('m1', 'n1', alice, 1000);
+    expect(renewed).toMatchObject({ granted: true, renewed: true });
+
+    jest.advanceTimersByTime(800);
+    expect(leases.holder('m1', 'n1')).toMatchObject({ sessionId: 's1' });
+  });
+
+  test('a lease runs out after its ttl', () => {
+    leases.acquire('m1', 'n1', alice, 1000);
+    jest.advanceTimersByTime(1000);
+
+    expect(leases.holder('m1', 'n1')).toBeNull();
+    expect(leases.list('m1')).toEqual([]);
+    expect(leases.acquire('m1', 'n1', bob, 1000).granted).toBe(true);
+  });
+
+  test('only the holder can release', () => {
+    leases.acquire('m1', 'n1', alice, 1000);
+
+    expect(leases.release('m1', 'n1', 's2')).toBeNull();
+    expect(leases.release('m1', 'n1', 's1')).toMatchObject({ nodeId: 'n1' });
+    expect(leases.holder('m1', 'n1')).toBeNull();
+  });
+
+  test('a session that goes away releases everything it held', () => {
+    leases.acquire('m1', 'n1', alice, 1000);
+    leases.acquire('m1', 'n2', alice, 1000);
+    leases.acquire('m1', 'n3', bob, 1000);
+
+    expect(leases.releaseBySession('s1').map(lease => lease.nodeId)).toEqual(['n1', 'n2']);
+    expect(leases.list('m1').map(lease => lease.nodeId)).toEqual(['n3']);
+  });
+
+  test('sweep returns the expired leases', () => {
+    leases.acquire('m1', 'n1', alice, 500);
+    leases.acquire('m1', 'n2', bob, 2000);
+    jest.advanceTimersByTime(1000);
+
+    expect(leases.sweep().map(lease => lease.nodeId)).toEqual(['n1']);
+    expect(leases.list('m1').map(lease => lease.nodeId)).toEqual(['n2']);
+  });
+});
@@ -0,0 +1,79 @@
+const Node = require('../src/models/Node');
+const Edge = require('../src/models/Edge');
+const GraphValidator = require('../src/services/graphValidator');
+const { query, stubModel } = require('./helpers');
+
+// The map under test: a -> b, plus a lone c
+let nodes;
+let edges;
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (doc[key] ?? false) === value);
+
+stubModel(Node, {
+  findOne: (filter) => query(nodes.find(node => matches(node, filter)) || null),
+  find: (filter) => query(nodes.filter(node => matches(node, filter)))
+});
+stubModel(Edge, {
+  findOne: (filter) => query(edges.find(edge => matches(edge, filter)) || null),
+  find: (filter) => query(edges.filter(edge => matches(edge, filter)))
+});
+
+const addEdge = (sourceId, targetId, edgeId) => GraphValidator.validateOperation(
+  { type: 'ADD_EDGE', data: { edgeId, sourceId, targetId } },
+  'm1'
+);
+
+const codes = (result) => result.errors.map(error => error.type);
+
+beforeEach(() => {
+  nodes = ['a', 'b', 'c'].map(nodeId => ({ nodeId, mapId: 'm1', isDeleted: false }));
+  edges = [{ edgeId: 'e1', mapId: 'm1', from: 'a', to: 'b', sourceId: 'a', targetId: 'b', isDeleted: false }];
+});
+
+describe('validateOperation', () => {
+  test('accepts an edge between two existing nodes', async () => {
+    expect(await addEdge('b', 'c')).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('refuses a second edge between the same nodes', async () => {
+    expect(codes(await addEdge('a', 'b'))).toContain('DUPLICATE_EDGE');
+  });
+
+  test('refuses an edge id already in use only when one is given', async () => {
+    expect(codes(await addEdge('b', 'c', 'e1'))).toEqual(['EDGE_EXISTS']);
+    expect((await addEdge('b', 'c')).valid).toBe(true);
+  });
+
+  test('refuses edges to nodes that do not exist', async () => {
+    expect(codes(await addEdge('x', 'c'))).toEqual(['SOURCE_NOT_FOUND']);
+    expect(codes(await addEdge('c', 'x'))).toEqual(['TARGET_NOT_FOUND']);
+  });
+
+  test('refuses a self-loop', async () => {
+    expect(codes(await addEdge('c', 'c'))).toContain('SELF_LOOP');
+  });
+
+  test('refuses an edge that would close a cycle', async () => {
+    const result = await addEdge('b', 'a');
+
+    expect(codes(result)).toEqual(['WOULD_CREATE_CYCLE']);
+    expect(result.errors[0].cycle).toEqual(expect.arrayContaining(['a', 'b']));
+  });
+
+  test('refuses a node without an id, or one that already exists', async () => {
+    const add = (nodeId) => GraphValidator.validateOperation({ type: 'ADD_NODE', data: { nodeId } }, 'm1');
+
+    expect(codes(await add(undefined))).toEqual(['INVALID_NODE']);
+    expect(codes(await add('a'))).toEqual(['NODE_EXISTS']);
+    expect((await add('d')).valid).toBe(true);
+  });
+
+  test('refuses a move to a position that is not a point', async () => {
+    const move = (nodeId, newPosition) => GraphValidator.validateOperation(
+      { type: 'MOVE_NODE', data: { nodeId, newPosition } },
+      'm1'
+    );
+
+    expect(codes(await move('a', { x: 'left', y: 0 }))).toEqual(['INVALID_POSITION']);
+    expect(codes(await move('gone', { x: 0, y: 0 }))).toEqual(['NODE_NOT_FOUND']);
+  });
+});
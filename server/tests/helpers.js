@@ -0,0 +1,61 @@
+// server/tests/helpers.js
+// Scaffolding shared by the server tests
+
+/**
+ * A new instance of a singleton service (modules export `new Service()`), so
+ * every test starts from empty state
+ */
+const fresh = (service, ...args) => new service.constructor(...args);
+
+/**
+ * A mongoose query resolving to `value`: awaited directly or through the
+ * chained helpers the services use
+ */
+const query = (value) => ({
+  lean() { return this; },
+  sort() { return this; },
+  select() { return this; },
+  limit() { return this; },
+  session() { return this; },
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+/**
+ * Replace model statics for the tests of the calling file; `stubs` maps a
+ * method to its implementation. Restored once the file is done.
+ */
+function stubModel(Model, stubs) {
+  beforeAll(() => {
+    for (const [method, implementation] of Object.entries(stubs)) {
+      jest.spyOn(Model, method).mockImplementation(implementation);
+    }
+  });
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+}
+
+/**
+ * Run every test of the calling block on fake timers starting at `now`
+ */
+function useFakeClock(now = 10000) {
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+}
+
+// Let callbacks queued with setImmediate (and what they queue) run
+const settle = async (turns = 3) => {
+  for (let i = 0; i < turns; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+module.exports = {
+  fresh,
+  query,
+  stubModel,
+  useFakeClock,
+  settle
+};
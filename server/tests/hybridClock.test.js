@@ -0,0 +1,73 @@
+const hybridClock = require('../src/services/hybridClock');
+const { fresh, useFakeClock } = require('./helpers');
+
+describe('hybridClock', () => {
+  let clock;
+
+  useFakeClock(100000);
+
+  beforeEach(() => {
+    clock = fresh(hybridClock, 'server', 1000);
+  });
+
+  test('now follows physical time and counts events within a millisecond', () => {
+    expect(clock.now()).toEqual({ time: 100000, counter: 0, clientId: 'server' });
+    expect(clock.now()).toEqual({ time: 100000, counter: 1, clientId: 'server' });
+
+    jest.advanceTimersByTime(5);
+    expect(clock.now()).toEqual({ time: 100005, counter: 0, clientId: 'server' });
+  });
+
+  test('never goes backwards when the wall clock does', () => {
+    clock.now();
+    jest.setSystemTime(99000);
+    expect(clock.now()).toEqual({ time: 100000, counter: 1, clientId: 'server' });
+  });
+
+  test('receive orders what is stamped next after the remote stamp', () => {
+    const remote = { time: 100500, counter: 3, clientId: 'alice' };
+
+    expect(clock.receive(remote)).toEqual({ time: 100500, counter: 4, clientId: 'server' });
+    expect(clock.compare(clock.now(), remote)).toBeGreaterThan(0);
+  });
+
+  test('parse keeps well-formed stamps and drops the rest', () => {
+    expect(clock.parse({ time: 1, counter: 0, clientId: 'a', extra: true })).toEqual({ time: 1, counter: 0, clientId: 'a' });
+    for (const value of [null, 'soon', { time: 'x', counter: 0, clientId: 'a' }, { time: 1, counter: -1, clientId: 'a' },
+      { time: 1, counter: 0, clientId: '' }]) {
+      expect(clock.parse(value)).toBeNull();
+    }
+  });
+
+  test('accept keeps a client stamp within the drift limit and orders after it', () => {
+    const remote = { time: 100500, counter: 3, clientId: 'alice' };
+    expect(clock.accept(remote)).toEqual(remote);
+
+    expect(clock.compare(clock.now(), remote)).toBeGreaterThan(0);
+  });
+
+  test('accept restamps a client clock too far ahead', () => {
+    const stamp = clock.accept({ time: 100000 + 60000, counter: 0, clientId: 'fast' });
+    expect(stamp).toEqual({ time: 100000, counter: 0, clientId: 'server' });
+  });
+
+  test('accept restamps malformed stamps', () => {
+    for (const value of [null, 'soon', { time: 'x', counter: 0, clientId: 'a' }]) {
+      expect(clock.accept(value).clientId).toBe('server');
+    }
+  });
+
+  test('compare orders by time, then counter, then client id', () => {
+    const a = { time: 1, counter: 0, clientId: 'b' };
+    expect(clock.compare(a, { time: 2, counter: 0, clientId: 'a' })).toBeLessThan(0);
+    expect(clock.compare(a, { time: 1, counter: 1, clientId: 'a' })).toBeLessThan(0);
+    expect(clock.compare(a, { time: 1, counter: 0, clientId: 'a' })).toBeGreaterThan(0);
+    expect(clock.compare(a, { ...a })).toBe(0);
+  });
+
+  test('a missing stamp orders before any real one', () => {
+    expect(clock.compare(null, { time: 0, counter: 0, clientId: 'a' })).toBeLessThan(0);
+    expect(clock.compare({ time: 0, counter: 0, clientId: 'a' }, undefined)).toBeGreaterThan(0);
+    expect(clock.compare(null, null)).toBe(0);
+  });
+});
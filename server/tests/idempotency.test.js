@@ -0,0 +1,101 @@
+const Operation = require('../src/models/Operation');
+const idempotency = require('../src/services/idempotency');
+const { fresh, query, stubModel } = require('./helpers');
+
+// What the operation log holds, by idempotency key
+let logged;
+stubModel(Operation, {
+  findOne: ({ idempotencyKey }) => query(logged[idempotencyKey] || null)
+});
+
+const applied = { ok: true, operationId: 'op1', serverSequence: 4, vectorClock: { a: 1 } };
+const rejected = (code) => ({ ok: false, operationId: 'op1', error: { code, message: code } });
+
+describe('idempotency', () => {
+  let store;
+
+  beforeEach(() => {
+    logged = {};
+    store = fresh(idempotency, { ttlMs: 1000, maxKeysPerMap: 3 });
+  });
+
+  test('keyOf prefers the idempotency key over the operation id', () => {
+    expect(store.keyOf({ idempotencyKey: 'k1', operationId: 'op1' })).toBe('k1');
+    expect(store.keyOf({ operationId: 'op1' })).toBe('op1');
+    expect(store.keyOf({ idempotencyKey: 42 })).toBeNull();
+    expect(store.keyOf(undefined)).toBeNull();
+  });
+
+  test('a new key is handled; a resend gets the original answer', async () => {
+    await expect(store.begin('m1', 'k1')).resolves.toBeNull();
+    store.settle('m1', 'k1', applied);
+
+    await expect(store.begin('m1', 'k1')).resolves.toEqual(applied);
+    expect(store.stats()).toMatchObject({ duplicates: 1, keys: 1 });
+  });
+
+  test('a resend arriving while the original is handled waits for its answer', async () => {
+    await store.begin('m1', 'k1');
+    const duplicate = store.begin('m1', 'k1');
+
+    store.settle('m1', 'k1', applied);
+    await expect(duplicate).resolves.toEqual(applied);
+  });
+
+  test('an op already in the log is answered from it', async () => {
+    logged.k1 = { operationId: 'op1', serverSequence: 9, vectorClock: { a: 2 }, hlc: null };
+    await expect(store.begin('m1', 'k1')).resolves.toEqual({
+      ok: true, operationId: 'op1', serverSequence: 9, vectorClock: { a: 2 }, hlc: null
+    });
+  });
+
+  test('definitive rejections are remembered', async () => {
+    await store.begin('m1', 'k1');
+    store.settle('m1', 'k1', rejected('NODE_NOT_FOUND'));
+    await expect(store.begin('m1', 'k1')).resolves.toEqual(rejected('NODE_NOT_FOUND'));
+  });
+
+  test.each(['INTERNAL_ERROR', 'WRITE_CONFLICT', 'NODE_LOCKED'])('a %s rejection lets a resend be handled again', async (code) => {
+    await store.begin('m1', 'k1');
+    const duplicate = store.begin('m1', 'k1');
+
+    store.settle('m1', 'k1', rejected(code));
+    await expect(duplicate).resolves.toBeNull();
+    expect(store.stats().keys).toBe(1);
+  });
+
+  test('release frees a key that got no answer, and leaves answered ones', async () => {
+    await store.begin('m1', 'k1');
+    const duplicate = store.begin('m1', 'k1');
+    store.release('m1', 'k1');
+    await expect(duplicate).resolves.toBeNull();
+
+    store.settle('m1', 'k1', applied);
+    store.release('m1', 'k1');
+    await expect(store.begin('m1', 'k1')).resolves.toEqual(applied);
+  });
+
+  test('sweep forgets answers after the ttl and frees unanswered keys', async () => {
+    await store.begin('m1', 'k1');
+    store.settle('m1', 'k1', rejected('NODE_NOT_FOUND'));
+    await store.begin('m1', 'k2');
+    const duplicate = store.begin('m1', 'k2');
+
+    store.sweep(Date.now() + 1000);
+    await expect(duplicate).resolves.toBeNull();
+    // Handling the duplicate took the key again
+    expect(store.stats().keys).toBe(1);
+    await expect(store.begin('m1', 'k1')).resolves.toBeNull();
+  });
+
+  test('keeps at most maxKeysPerMap, dropping the oldest answered first', async () => {
+    for (const key of ['k1', 'k2', 'k3']) {
+      await store.begin('m1', key);
+      store.settle('m1', key, applied);
+    }
+    await store.begin('m1', 'k4');
+
+    expect(store.stats().keys).toBe(3);
+    await expect(store.begin('m1', 'k1')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+const Y = require('yjs');
+const Node = require('../src/models/Node');
+const labelDocs = require('../src/services/labelDocs');
+const { fresh, query, stubModel } = require('./helpers');
+
+stubModel(Node, {
+  findOne: ({ nodeId }) => query(nodeId === 'gone' ? null : { nodeId, content: 'Idea' })
+});
+
+const alice = { userId: 'u1', clientId: 'c1', sessionId: 's1' };
+
+// An editor's replica of an open label, and the update typing into it produces
+const replicaOf = (docs, entry) => {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, docs.state(entry));
+  return doc;
+};
+
+const typed = (doc, index, text) => {
+  let update;
+  doc.once('update', (u) => { update = u; });
+  doc.getText('label').insert(index, text);
+  return update;
+};
+
+describe('labelDocs', () => {
+  let docs;
+
+  beforeEach(() => {
+    docs = fresh(labelDocs);
+    Node.findOne.mockClear();
+  });
+
+  test('editors opening a label at once share one doc, seeded once from the stored label', async () => {
+    const [first, second] = await Promise.all([docs.open('m1', 'n1', 's1'), docs.open('m1', 'n1', 's2')]);
+
+    expect(first).toBe(second);
+    expect(docs.text(first)).toBe('Idea');
+    expect([...first.editors]).toEqual(['s1', 's2']);
+    expect(Node.findOne).toHaveBeenCalledTimes(1);
+    expect(await docs.open('m1', 'gone', 's1')).toBeNull();
+  });
+
+  test('applies updates only from an editor of the doc, and marks it dirty', async () => {
+    const entry = await docs.open('m1', 'n1', 's1');
+    const update = typed(replicaOf(docs, entry), 4, '!');
+
+    expect(docs.apply('m1', 'n1', update, { ...alice, sessionId: 's9' })).toBe(false);
+    expect(docs.apply('m1', 'n1', Buffer.from('junk'), alice)).toBe(false);
+    expect(docs.apply('m1', 'n1', update, alice)).toBe(true);
+
+    expect(docs.text(entry)).toBe('Idea!');
+    expect(entry.lastEditor).toEqual(alice);
+    expect(docs.takeDirty()).toEqual([entry]);
+    expect(docs.takeDirty()).toEqual([]);
+  });
+
+  test('a whole-label write replaces the text and hands back the update for the editors', async () => {
+    const entry = await docs.open('m1', 'n1', 's1');
+    const replica = replicaOf(docs, entry);
+
+    Y.applyUpdate(replica, docs.replace('m1', 'n1', 'Renamed'));
+
+    expect(replica.getText('label').toString()).toBe('Renamed');
+    expect(docs.replace('m1', 'n1', 'Renamed')).toBeNull();
+    expect(entry.dirty).toBe(false);
+  });
+
+  test('the last editor to leave closes the doc', async () => {
+    await docs.open('m1', 'n1', 's1');
+    await docs.open('m1', 'n1', 's2');
+    await docs.open('m1', 'n2', 's1');
+
+    expect(docs.close('m1', 'n1', 's2')).toBeNull();
+    expect(docs.closeBySession('s1').map(entry => entry.nodeId)).toEqual(['n1', 'n2']);
+    expect(docs.size()).toBe(0);
+  });
+});
@@ -0,0 +1,273 @@
+const MindMap = require('../src/models/Map');
+const Node = require('../src/models/Node');
+const Edge = require('../src/models/Edge');
+const Operation = require('../src/models/Operation');
+const Conflict = require('../src/models/Conflict');
+const merge = require('../src/services/merge');
+const logger = require('../src/utils/logger');
+const { query, stubModel } = require('./helpers');
+
+// One map, its log in `logged` and its clock in `mapClock`
+let sequence;
+let mapClock;
+let logged;
+let stored;
+let syncMode;
+stubModel(MindMap, {
+  findOne: ({ mapId }) => query({ mapId, syncMode }),
+  advance: async (mapId, vectorClock = {}) => {
+    for (const [clientId, value] of Object.entries(vectorClock)) {
+      mapClock.set(clientId, Math.max(mapClock.get(clientId) || 0, value));
+    }
+    return { mapId, version: ++sequence, vectorClock: new Map(mapClock) };
+  }
+});
+stubModel(Operation, {
+  findOne: ({ entityId }) => query(logged.filter(op => op.entityId === entityId).at(-1) || null),
+  create: async (entry) => { logged.push(entry); return entry; }
+});
+// Conflicts are stored as given
+stubModel(Conflict, {
+  insertMany: async (records) => records.map(record => ({ ...record, toObject: () => record })),
+});
+stubModel(Node, {
+  findOne: () => query(stored),
+  updateOne: async () => ({ modifiedCount: 1 }),
+  findOneAndUpdate: () => query(stored)
+});
+stubModel(Edge, {
+  updateMany: async () => ({ modifiedCount: 0 })
+});
+
+const hlc = (time, clientId = 'c1') => ({ time, counter: 0, clientId });
+
+const move = (vectorClock, extra = {}) => merge({
+  mapId: 'm1',
+  type: 'NODE_MOVE',
+  entityId: 'n1',
+  payload: { nodeId: 'n1', position: { x: 5, y: 5 } },
+  clientId: 'c1',
+  vectorClock,
+  ...extra
+});
+
+beforeEach(() => {
+  syncMode = 'socket';
+  sequence = 0;
+  mapClock = new Map();
+  logged = [];
+  stored = {
+    nodeId: 'n1',
+    content: 'Idea',
+    position: { x: 0, y: 0 },
+    style: { color: '#fff', shape: 'circle' },
+    depth: 0,
+    version: 4,
+    fieldClocks: { label: hlc(100), position: hlc(100) }
+  };
+  Node.findOneAndUpdate.mockClear();
+  Node.updateOne.mockClear();
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  logger.warn.mockRestore();
+});
+
+describe('merge', () => {
+  test('applies, sequences and logs an operation, and returns the merged map clock', async () => {
+    mapClock.set('c2', 3);
+
+    const result = await move({ c1: 1 }, { operationId: 'op1' });
+
+    expect(result).toEqual(expect.objectContaining({
+      valid: true, serverSequence: 1, vectorClock: { c1: 1, c2: 3 }, hasConflict: false
+    }));
+    expect(logged).toEqual([expect.objectContaining({
+      operationId: 'op1',
+      type: 'NODE_MOVE',
+      entityType: 'node',
+      entityId: 'n1',
+      clientSequence: 1,
+      serverSequence: 1,
+      previousState: { content: 'Idea', position: { x: 0, y: 0 }, style: { color: '#fff', shape: 'circle' } }
+    })]);
+  });
+
+  test('rejects an operation the entity\'s last change had already seen', async () => {
+    await move({ c1: 2 });
+    Node.updateOne.mockClear();
+
+    const result = await move({ c1: 1 });
+
+    expect(result).toEqual(expect.objectContaining({ valid: false, code: 'STALE_OPERATION' }));
+    expect(Node.updateOne).not.toHaveBeenCalled();
+    expect(sequence).toBe(1);
+  });
+
+  test('applies a concurrent operation but flags it as a conflict', async () => {
+    await move({ c1: 1 });
+
+    const result = await move({ c2: 1 }, { clientId: 'c2' });
+
+    expect(result.valid).toBe(true);
+    expect(result.hasConflict).toBe(true);
+    expect(logged.map(op => op.hasConflict)).toEqual([false, true]);
+  });
+
+  test('applies an operation without a clock in server order', async () => {
+    await move({ c1: 5 });
+
+    expect((await move(undefined)).valid).toBe(true);
+    expect(sequence).toBe(2);
+  });
+
+  test('takes no sequence number for an entity that does not exist', async () => {
+    stored = null;
+
+    expect(await move({ c1: 1 })).toEqual({
+      valid: false, code: 'NODE_NOT_FOUND', reason: 'Node n1 does not exist'
+    });
+    expect(sequence).toBe(0);
+    expect(logged).toEqual([]);
+  });
+
+  test('an op whose entity was written is applied even if it cannot be logged', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    Operation.create.mockRejectedValueOnce(new Error('log down'));
+
+    const result = await move({ c1: 1 });
+
+    expect(result).toEqual(expect.objectContaining({ valid: true, serverSequence: 1 }));
+    expect(Node.updateOne).toHaveBeenCalled();
+    expect(logged).toEqual([]);
+    logger.error.mockRestore();
+  });
+
+  test('an op whose entity was written is applied unsequenced if the map cannot advance', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    MindMap.advance.mockRejectedValueOnce(new Error('map down'));
+
+    const result = await move({ c1: 1 });
+
+    expect(result).toEqual(expect.objectContaining({ valid: true, serverSequence: undefined, vectorClock: { c1: 1 } }));
+    expect(logged).toEqual([]);
+    logger.error.mockRestore();
+  });
+
+  test('refuses writes to a map synced through its shared doc, except from the doc', async () => {
+    syncMode = 'yjs';
+
+    expect(await move({ c1: 1 })).toEqual({
+      valid: false, code: 'YJS_MAP', reason: 'Map m1 syncs through its shared document'
+    });
+    expect(Node.updateOne).not.toHaveBeenCalled();
+    expect((await move({ c1: 1 }, { ignoreSyncMode: true })).valid).toBe(true);
+  });
+
+  test('an annotation sets only validator fields and keeps their old values for rollback', async () => {
+    const result = await merge({
+      mapId: 'm1',
+      type: 'NODE_ANNOTATE',
+      entityId: 'n1',
+      payload: { nodeId: 'n1', annotations: { depth: 2, content: 'hijacked' } },
+      clientId: 'rest'
+    });
+
+    expect(result.valid).toBe(true);
+    const [, update] = Node.findOneAndUpdate.mock.lastCall;
+    expect(Object.keys(update.$set).sort()).toEqual(['depth', 'updatedAt']);
+    expect(logged[0].previousState).toEqual({ depth: 0 });
+  });
+
+  test('a restore brings back only a deleted node', async () => {
+    const restore = () => merge({
+      mapId: 'm1',
+      type: 'NODE_RESTORE',
+      entityId: 'n1',
+      payload: { nodeId: 'n1', node: { id: 'n1', label: 'Idea', position: { x: 0, y: 0 } } },
+      clientId: 'rest'
+    });
+
+    expect((await restore()).valid).toBe(true);
+    expect(Node.findOneAndUpdate.mock.lastCall[0]).toEqual({ nodeId: 'n1', mapId: 'm1', isDeleted: true });
+
+    stored = null;
+    expect(await restore()).toEqual(expect.objectContaining({ valid: false, code: 'NODE_NOT_FOUND' }));
+  });
+});
+
+describe('last writer wins', () => {
+  const update = (updates, stamp) => merge({
+    mapId: 'm1',
+    type: 'NODE_UPDATE',
+    entityId: 'n1',
+    payload: { nodeId: 'n1', updates, hlc: stamp },
+    clientId: stamp.clientId
+  });
+
+  test('writes each field whose register the op wins, with the op\'s timestamp', async () => {
+    const result = await update({ label: 'New', color: '#000' }, hlc(200));
+
+    expect(result.valid).toBe(true);
+    expect(Node.updateOne).toHaveBeenCalledWith(
+      { nodeId: 'n1', mapId: 'm1', isDeleted: false, version: 4 },
+      {
+        $set: expect.objectContaining({
+          content: 'New',
+          'fieldClocks.label': hlc(200),
+          'style.color': '#000',
+          'fieldClocks.color': hlc(200)
+        }),
+        $inc: { version: 1 }
+      },
+      expect.anything()
+    );
+  });
+
+  test('a field with a newer timestamp keeps its value', async () => {
+    await update({ label: 'Old', color: '#000' }, hlc(50));
+
+    const [, { $set }] = Node.updateOne.mock.lastCall;
+    expect($set).not.toHaveProperty('content');
+    expect($set['style.color']).toBe('#000');
+  });
+
+  test('a late op that loses every field is still applied and logged, changing nothing', async () => {
+    const result = await update({ label: 'Old' }, hlc(50));
+
+    expect(result.valid).toBe(true);
+    expect(Node.updateOne).not.toHaveBeenCalled();
+    expect(logged).toHaveLength(1);
+  });
+
+  test('a field lost to another client\'s write is handed back as a conflict', async () => {
+    const result = await update({ label: 'Late' }, hlc(50, 'c2'));
+
+    expect(result.conflicts).toEqual([expect.objectContaining({
+      kind: 'concurrent_edit',
+      field: 'label',
+      winner: expect.objectContaining({ value: 'Idea', clientId: 'c1' }),
+      loser: expect.objectContaining({ value: 'Late', clientId: 'c2' })
+    })]);
+  });
+
+  test('ties on time and counter go to the higher client id', async () => {
+    await update({ label: 'From a' }, hlc(100, 'a'));
+    expect(Node.updateOne).not.toHaveBeenCalled();
+
+    await update({ label: 'From d' }, hlc(100, 'd'));
+    expect(Node.updateOne).toHaveBeenCalled();
+  });
+
+  test('gives up with WRITE_CONFLICT when the node keeps changing under it', async () => {
+    Node.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await update({ label: 'New' }, hlc(200));
+
+    expect(result).toEqual({ valid: false, code: 'WRITE_CONFLICT', reason: 'Node n1 is being edited too fast, try again' });
+    expect(Node.updateOne.mock.calls.length).toBeGreaterThan(1);
+    expect(logged).toEqual([]);
+    Node.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+});
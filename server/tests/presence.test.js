@@ -0,0 +1,123 @@
+const MindMap = require('../src/models/Map');
+const presence = require('../src/services/presence');
+const { fresh, stubModel, useFakeClock } = require('./helpers');
+
+// Sessions are mirrored to the map document; nothing here needs the database
+stubModel(MindMap, {
+  addSession: async () => null,
+  removeSession: async () => null,
+  updateSessionActivity: async () => null,
+  pruneSessions: async () => null
+});
+
+const join = (service, mapId, sessionId, extra = {}) =>
+  service.join(mapId, { sessionId, clientId: `c_${sessionId}`, userId: `user_${sessionId}`, ...extra });
+
+describe('presence', () => {
+  let service;
+
+  useFakeClock();
+
+  beforeEach(() => {
+    service = fresh(presence);
+  });
+
+  test('gives every session in a map its own color', () => {
+    const first = join(service, 'm1', 's1');
+    const second = join(service, 'm1', 's2');
+    const elsewhere = join(service, 'm2', 's3');
+
+    expect(first.color).not.toBe(second.color);
+    expect(elsewhere.color).toBe(first.color);
+    expect(service.list('m1').map(s => s.sessionId)).toEqual(['s1', 's2']);
+  });
+
+  test('names guests after their user id and trims display names', () => {
+    expect(join(service, 'm1', 's1').displayName).toBe('Guest r_s1');
+    expect(join(service, 'm1', 's2', { displayName: `  ${'x'.repeat(50)} ` }).displayName).toHaveLength(40);
+    expect(service.update('s1', { displayName: '  Ada ' }).displayName).toBe('Ada');
+  });
+
+  test('a socket is in one map at a time', () => {
+    join(service, 'm1', 's1');
+    join(service, 'm2', 's1');
+
+    expect(service.list('m1')).toEqual([]);
+    expect(service.list('m2')).toHaveLength(1);
+  });
+
+  test('tracks the selected and edited node, leaving alone what a change does not mention', () => {
+    join(service, 'm1', 's1');
+
+    expect(service.update('s1', { selectedNodeId: 'n1' })).toMatchObject({ selectedNodeId: 'n1', editingNodeId: null });
+    expect(service.update('s1', { editingNodeId: 'n1' })).toMatchObject({ selectedNodeId: 'n1', editingNodeId: 'n1' });
+    expect(service.update('s1', { selectedNodeId: 42, editingNodeId: '' })).toMatchObject({
+      selectedNodeId: null, editingNodeId: null
+    });
+  });
+
+  test('only someone else in the same map can be followed', () => {
+    join(service, 'm1', 's1');
+    join(service, 'm1', 's2');
+    join(service, 'm2', 's3');
+
+    expect(service.update('s1', { followingSessionId: 's3' }).followingSessionId).toBeNull();
+    expect(service.update('s1', { followingSessionId: 's1' }).followingSessionId).toBeNull();
+    expect(service.update('s1', { followingSessionId: 's2' }).followingSessionId).toBe('s2');
+    expect(service.followers('s2')).toEqual(['s1']);
+  });
+
+  test('leaving unfollows the session\'s followers', () => {
+    join(service, 'm1', 's1');
+    join(service, 'm1', 's2');
+    service.update('s1', { followingSessionId: 's2' });
+
+    const left = service.leave('s2');
+    expect(left.unfollowed.map(s => s.sessionId)).toEqual(['s1']);
+    expect(service.get('s1').followingSessionId).toBeNull();
+  });
+
+  test('viewports must be well formed', () => {
+    join(service, 'm1', 's1');
+
+    expect(service.setViewport('s1', { center: { x: 1, y: 2 }, zoom: 0 })).toBeNull();
+    expect(service.setViewport('s1', { center: { x: 1, y: 2 }, zoom: 1.5 })).toEqual({ center: { x: 1, y: 2 }, zoom: 1.5 });
+    expect(service.viewport('s1')).toEqual({ center: { x: 1, y: 2 }, zoom: 1.5 });
+    expect(service.setViewport('nobody', { center: { x: 0, y: 0 }, zoom: 1 })).toBeNull();
+  });
+
+  test('heartbeat reports a session only when it did something since the last one', () => {
+    join(service, 'm1', 's1');
+    expect(service.heartbeat('s1')).toBeNull();
+
+    jest.advanceTimersByTime(100);
+    service.touch('s1');
+    expect(service.heartbeat('s1')).toMatchObject({ sessionId: 's1' });
+    expect(service.heartbeat('nobody')).toBeNull();
+  });
+
+  test('sweep drops sessions whose heartbeat stopped', () => {
+    join(service, 'm1', 's1');
+    jest.advanceTimersByTime(5000);
+    join(service, 'm1', 's2');
+
+    const removed = service.sweep(3000);
+    expect(removed.map(r => r.session.sessionId)).toEqual(['s1']);
+    expect(service.list('m1').map(s => s.sessionId)).toEqual(['s2']);
+    expect(MindMap.pruneSessions).toHaveBeenCalled();
+  });
+
+  test('mirrored sessions never replace one carried here', () => {
+    const own = join(service, 'm1', 's1');
+
+    service.applyRemote({ action: 'upsert', mapId: 'm1', session: { ...own, displayName: 'Impostor' } });
+    expect(service.get('s1').displayName).toBe(own.displayName);
+
+    service.applyRemote({ action: 'upsert', mapId: 'm1', session: { sessionId: 's9', displayName: 'Remote' } });
+    expect(service.list('m1').map(s => s.sessionId)).toEqual(['s1', 's9']);
+
+    service.applyRemote({ action: 'leave', sessionId: 's1' });
+    service.applyRemote({ action: 'leave', sessionId: 's9' });
+    expect(service.list('m1').map(s => s.sessionId)).toEqual(['s1']);
+  });
+});
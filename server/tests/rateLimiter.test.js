@@ -0,0 +1,109 @@
+const rateLimiter = require('../src/services/rateLimiter');
+const { fresh } = require('./helpers');
+
+const config = {
+  events: { 'node:add': { capacity: 2, refillPerSecond: 1 } },
+  default: { capacity: 5, refillPerSecond: 5 },
+  sessionMultiplier: 2,
+  userMultiplier: 3,
+  offenses: { disconnectAfter: 3, windowMs: 1000 },
+  noticeIntervalMs: 500
+};
+
+// A socket of user `u1` unless told otherwise
+const socket = (socketId, sessionId, userId = 'u1') => ({ socketId, sessionId, userId });
+
+describe('rateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = fresh(rateLimiter, config);
+  });
+
+  test('allows a burst up to capacity, then refuses with a retry delay', () => {
+    expect(limiter.consume(socket('s1', 'session1'), 'node:add', 0).ok).toBe(true);
+    expect(limiter.consume(socket('s1', 'session1'), 'node:add', 0).ok).toBe(true);
+
+    const refused = limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    expect(refused).toEqual({ ok: false, scope: 'socket', retryAfterMs: 1000 });
+  });
+
+  test('refills at the configured rate', () => {
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+
+    expect(limiter.consume(socket('s1', 'session1'), 'node:add', 500).ok).toBe(false);
+    expect(limiter.consume(socket('s1', 'session1'), 'node:add', 1000).ok).toBe(true);
+  });
+
+  test('uses the default limit for events without their own', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(limiter.consume(socket('s1', 'session1'), 'cursor:update', 0).ok).toBe(true);
+    }
+    expect(limiter.consume(socket('s1', 'session1'), 'cursor:update', 0).ok).toBe(false);
+  });
+
+  test('sockets resuming one session share its bucket', () => {
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.forget('s1');
+
+    // A reconnect gets a fresh socket bucket, not a fresh session bucket
+    limiter.consume(socket('s2', 'session1'), 'node:add', 0);
+    limiter.consume(socket('s2', 'session1'), 'node:add', 0);
+    expect(limiter.consume(socket('s3', 'session1'), 'node:add', 0)).toMatchObject({ ok: false, scope: 'session' });
+
+    // Another session is unaffected
+    expect(limiter.consume(socket('s4', 'session2'), 'node:add', 0).ok).toBe(true);
+  });
+
+  test('a user\'s sockets share one bucket, whatever their sessions', () => {
+    // Capacity 6: three sessions of two events each
+    for (const [socketId, sessionId] of [['s1', 'session1'], ['s2', 'session2'], ['s3', 'session3']]) {
+      limiter.consume(socket(socketId, sessionId), 'node:add', 0);
+      limiter.consume(socket(socketId, sessionId), 'node:add', 0);
+    }
+
+    expect(limiter.consume(socket('s4', 'session4'), 'node:add', 0)).toMatchObject({ ok: false, scope: 'user' });
+    expect(limiter.consume(socket('s5', 'session5', 'u2'), 'node:add', 0).ok).toBe(true);
+  });
+
+  test('a socket without a session is limited on its own', () => {
+    limiter.consume(socket('s1', null), 'node:add', 0);
+    limiter.consume(socket('s1', null), 'node:add', 0);
+    expect(limiter.consume(socket('s2', null), 'node:add', 0).ok).toBe(true);
+  });
+
+  test('a refused event charges neither bucket', () => {
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+
+    // The session bucket (capacity 4) only paid for the two allowed ones
+    limiter.consume(socket('s2', 'session1'), 'node:add', 0);
+    expect(limiter.consume(socket('s2', 'session1'), 'node:add', 0).ok).toBe(true);
+  });
+
+  test('offenses notify at most once per interval and disconnect past the threshold', () => {
+    const t = 10000;
+    expect(limiter.offend('s1', 'node:add', 'limited', t)).toEqual({ notify: true, disconnect: false });
+    expect(limiter.offend('s1', 'node:add', 'limited', t + 100)).toEqual({ notify: false, disconnect: false });
+    expect(limiter.offend('s1', 'node:add', 'limited', t + 600)).toEqual({ notify: true, disconnect: true });
+    expect(limiter.stats()).toMatchObject({ limited: 3, disconnected: 1, byEvent: { 'node:add': 3 } });
+  });
+
+  test('offenses outside the window are not counted', () => {
+    const t = 10000;
+    limiter.offend('s1', 'node:add', 'limited', t);
+    limiter.offend('s1', 'node:add', 'limited', t + 100);
+    expect(limiter.offend('s1', 'node:add', 'limited', t + 1500).disconnect).toBe(false);
+  });
+
+  test('sweep drops buckets idle long enough to be full again', () => {
+    limiter.consume(socket('s1', 'session1'), 'node:add', 0);
+    limiter.sweep(1000);
+    expect(limiter.stats().buckets).toBe(3);
+    limiter.sweep(5000);
+    expect(limiter.stats().buckets).toBe(0);
+  });
+});
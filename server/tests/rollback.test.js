@@ -0,0 +1,117 @@
+const Operation = require('../src/models/Operation');
+const GraphValidator = require('../src/services/graphValidator');
+const merge = require('../src/services/merge');
+const rollback = require('../src/services/rollback');
+const logger = require('../src/utils/logger');
+const { stubModel } = require('./helpers');
+
+jest.mock('../src/services/merge');
+
+let entry;
+stubModel(Operation, {
+  findOne: async ({ operationId }) => (entry && entry.operationId === operationId ? entry : null)
+});
+
+const logEntry = (fields) => {
+  const operation = new Operation({
+    operationId: 'op1',
+    mapId: 'm1',
+    payload: {},
+    vectorClock: {},
+    entityType: 'node',
+    entityId: 'n1',
+    serverSequence: 1,
+    ...fields
+  });
+  jest.spyOn(operation, 'save').mockResolvedValue(operation);
+  return operation;
+};
+
+const previousState = { content: 'Idea', position: { x: 1, y: 2 }, style: { color: '#fff', shape: 'circle' } };
+
+// The operation rollback handed to merge
+const inverse = () => merge.mock.lastCall[0];
+
+describe('rollback', () => {
+  beforeEach(() => {
+    merge.mockReset();
+    merge.mockResolvedValue({
+      valid: true, serverSequence: 9, causality: { vectorClock: { c1: 1 }, dependencies: {} }
+    });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logger.warn.mockRestore();
+  });
+
+  test('undoes an update with a new operation restoring only the fields it set', async () => {
+    entry = logEntry({ type: 'NODE_UPDATE', payload: { nodeId: 'n1', updates: { label: 'New' } }, previousState });
+
+    const result = await rollback({ operationId: 'op1' });
+
+    expect(inverse()).toEqual(expect.objectContaining({
+      mapId: 'm1',
+      type: 'NODE_UPDATE',
+      entityId: 'n1',
+      payload: { nodeId: 'n1', updates: { label: 'Idea' }, hlc: expect.objectContaining({ clientId: 'server' }), userId: 'system' }
+    }));
+    expect(result.success).toBe(true);
+    expect(result.broadcast).toEqual({
+      event: 'node:update',
+      data: expect.objectContaining({ nodeId: 'n1', updates: { label: 'Idea' }, serverSequence: 9, vectorClock: { c1: 1 } })
+    });
+    expect(entry.status).toBe('rolled_back');
+    expect(entry.save).toHaveBeenCalled();
+  });
+
+  test('undoes a delete by restoring the node as it was', async () => {
+    entry = logEntry({ type: 'NODE_DELETE', previousState });
+
+    const result = await rollback({ operationId: 'op1' });
+
+    expect(inverse().type).toBe('NODE_RESTORE');
+    expect(inverse().payload.node).toEqual({
+      id: 'n1', label: 'Idea', position: { x: 1, y: 2 }, color: '#fff', shape: 'circle'
+    });
+    expect(result.broadcast.event).toBe('node:add');
+  });
+
+  test('undoes a create by deleting', async () => {
+    entry = logEntry({ type: 'EDGE_CREATE', entityType: 'edge', entityId: 'e1' });
+
+    await rollback({ operationId: 'op1' });
+
+    expect(inverse()).toEqual(expect.objectContaining({ type: 'EDGE_DELETE', payload: expect.objectContaining({ edgeId: 'e1' }) }));
+  });
+
+  test('brings a deleted edge back only if the graph still allows it', async () => {
+    entry = logEntry({ type: 'EDGE_DELETE', entityType: 'edge', entityId: 'e1', previousState: { from: 'a', to: 'b' } });
+    jest.spyOn(GraphValidator, 'validateOperation').mockResolvedValueOnce({
+      valid: false, errors: [{ type: 'WOULD_CREATE_CYCLE', message: 'would create a cycle' }], warnings: []
+    });
+
+    expect(await rollback({ operationId: 'op1' })).toEqual({ success: false, reason: 'would create a cycle' });
+    expect(merge).not.toHaveBeenCalled();
+    expect(entry.status).toBe('applied');
+    GraphValidator.validateOperation.mockRestore();
+  });
+
+  test('leaves the operation applied when merge refuses the undo', async () => {
+    entry = logEntry({ type: 'NODE_MOVE', previousState });
+    merge.mockResolvedValueOnce({ valid: false, code: 'NODE_NOT_FOUND', reason: 'Node n1 does not exist' });
+
+    expect(await rollback({ operationId: 'op1' })).toEqual({ success: false, reason: 'Node n1 does not exist' });
+    expect(entry.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses to roll back twice, or what the log does not have', async () => {
+    entry = logEntry({ type: 'NODE_MOVE', previousState, status: 'rolled_back' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    expect(await rollback({ operationId: 'op1' })).toEqual({ success: false, reason: 'Operation already rolled back' });
+    expect(await rollback({ operationId: 'op_missing' })).toEqual({ success: false, reason: 'Operation not found' });
+    expect(merge).not.toHaveBeenCalled();
+    logger.error.mockRestore();
+  });
+});
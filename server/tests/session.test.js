@@ -0,0 +1,66 @@
+const Session = require('../src/models/Session');
+const { query, stubModel, useFakeClock } = require('./helpers');
+
+// The statics are single atomic updates; these check what they ask Mongo for
+stubModel(Session, {
+  findOneAndUpdate: () => query(null),
+  updateOne: async () => ({ modifiedCount: 1 })
+});
+
+const identity = { userId: 'u1', mapId: 'm1', clientId: 'c1', socketId: 'sock2', ttlMs: 1000 };
+
+describe('Session', () => {
+  useFakeClock(10000);
+
+  beforeEach(() => {
+    Session.findOneAndUpdate.mockClear();
+    Session.updateOne.mockClear();
+  });
+
+  test('resumes only a live, unexpired session of the same user and map', async () => {
+    await Session.resume('sess1', identity);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.lastCall;
+    expect(filter).toEqual({
+      sessionId: 'sess1',
+      userId: 'u1',
+      mapId: 'm1',
+      status: { $in: ['active', 'disconnected'] },
+      expiresAt: { $gt: new Date(10000) }
+    });
+    expect(update.$set).toEqual(expect.objectContaining({
+      socketId: 'sock2', status: 'active', disconnectedAt: null, expiresAt: new Date(11000)
+    }));
+    expect(update.$inc).toEqual({ resumeCount: 1 });
+  });
+
+  test('a heartbeat pushes the expiry out and records only what it carries', async () => {
+    await Session.touch('sess1', 'sock2', { ttlMs: 1000 });
+    expect(Session.updateOne.mock.lastCall).toEqual([
+      { sessionId: 'sess1', socketId: 'sock2', status: 'active' },
+      { $set: { lastSeenAt: new Date(10000), expiresAt: new Date(11000) } }
+    ]);
+
+    await Session.touch('sess1', 'sock2', { lastSequence: 4, vectorClock: { c1: 2 }, ttlMs: 1000 });
+    expect(Session.updateOne.mock.lastCall[1].$set).toEqual(expect.objectContaining({
+      lastSequence: 4, vectorClock: { c1: 2 }
+    }));
+  });
+
+  test('only the socket carrying a session can disconnect it', async () => {
+    await Session.markDisconnected('sess1', 'sock1', 1000);
+
+    const [filter, { $set }] = Session.updateOne.mock.lastCall;
+    expect(filter).toEqual({ sessionId: 'sess1', socketId: 'sock1', status: 'active' });
+    expect($set).toEqual(expect.objectContaining({ socketId: null, status: 'disconnected', expiresAt: new Date(11000) }));
+  });
+
+  test('terminating hands back the session as it was', async () => {
+    await Session.terminate('m1', 'sess1');
+
+    const [filter, update, options] = Session.findOneAndUpdate.mock.lastCall;
+    expect(filter).toEqual({ mapId: 'm1', sessionId: 'sess1', status: { $in: ['active', 'disconnected'] } });
+    expect(update.$set).toEqual(expect.objectContaining({ status: 'terminated', endedAt: new Date(10000) }));
+    expect(options).toEqual({ new: false });
+  });
+});
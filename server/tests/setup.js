@@ -0,0 +1,2 @@
+// Only errors in test output; services log every event at info level
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,822 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const Y = require('yjs');
+const { io: connect } = require('socket.io-client');
+const MindMap = require('../src/models/Map');
+const Session = require('../src/models/Session');
+const Node = require('../src/models/Node');
+const Edge = require('../src/models/Edge');
+const Operation = require('../src/models/Operation');
+const Conflict = require('../src/models/Conflict');
+const GraphValidator = require('../src/services/graphValidator');
+const rateLimiter = require('../src/services/rateLimiter');
+const causalBuffer = require('../src/services/causalBuffer');
+const idempotency = require('../src/services/idempotency');
+const { InProcessBus } = require('../src/services/broadcastBus');
+const { setupWebSocket, disconnectSession, closeBus } = require('../src/websocket/socketHandler');
+const logger = require('../src/utils/logger');
+const { query, stubModel } = require('./helpers');
+
+// Nothing here reaches MongoDB: every map exists already, its sequence
+// counted here and its operation log kept in `logged`
+let sequence;
+let logged;
+let mapClock = new Map();
+stubModel(MindMap, {
+  findOne: ({ mapId }) => query({ mapId, version: sequence, vectorClock: Object.fromEntries(mapClock) }),
+  advance: async (mapId, vectorClock = {}) => {
+    for (const [clientId, value] of Object.entries(vectorClock)) {
+      mapClock.set(clientId, Math.max(mapClock.get(clientId) || 0, value));
+    }
+    return { mapId, version: ++sequence, vectorClock: new Map(mapClock) };
+  },
+  addSession: async () => null,
+  removeSession: async () => null,
+  updateSessionActivity: async () => null,
+  pruneSessions: async () => null
+});
+// Stored sessions by id, as the resume window keeps them
+let sessions = new Map();
+stubModel(Session, {
+  start: async ({ userId, mapId, socketId }) => {
+    const session = { sessionId: `session_${socketId}`, userId, mapId, socketId, status: 'active', lastSequence: null };
+    sessions.set(session.sessionId, session);
+    return session;
+  },
+  resume: async (sessionId, { userId, mapId, socketId }) => {
+    const session = sessions.get(sessionId);
+    if (!session || session.userId !== userId || session.mapId !== mapId) return null;
+    if (!Session.LIVE_STATUSES.includes(session.status)) return null;
+    return Object.assign(session, { socketId, status: 'active' });
+  },
+  touch: async (sessionId, socketId, { lastSequence }) => {
+    const session = sessions.get(sessionId);
+    if (session?.socketId === socketId && lastSequence !== undefined) session.lastSequence = lastSequence;
+  },
+  markDisconnected: async (sessionId, socketId) => {
+    const session = sessions.get(sessionId);
+    if (session?.socketId === socketId) Object.assign(session, { socketId: null, status: 'disconnected' });
+  },
+  terminate: async (mapId, sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    const before = { ...session };
+    Object.assign(session, { status: 'terminated', socketId: null });
+    return before;
+  },
+  updateIdentity: async () => null,
+  expireStale: async () => ({ modifiedCount: 0 })
+});
+// Conflicts are stored as given
+stubModel(Conflict, {
+  insertMany: async (records) => records.map(record => ({ ...record, toObject: () => record })),
+  openFor: async () => [],
+  resolve: async (mapId, conflictId, status, { userId }) => (
+    conflictId === 'cf1' ? { conflictId, status, resolvedBy: userId } : null
+  )
+});
+const stored = { nodeId: 'n1', content: 'Idea', position: { x: 0, y: 0 }, style: { color: '#fff', shape: 'circle' } };
+stubModel(Node, {
+  findOne: () => query(stored),
+  updateOne: async () => ({ modifiedCount: 1 }),
+  findOneAndUpdate: () => query(stored),
+  find: () => query([{ nodeId: 'n1', content: 'Idea', position: { x: 0, y: 0 }, style: {} }]),
+  exists: async () => null
+});
+stubModel(Edge, {
+  findOneAndUpdate: () => query({ edgeId: 'e1', from: 'n1', to: 'n2' }),
+  find: () => query([]),
+  exists: async () => null
+});
+stubModel(Operation, {
+  findOne: ({ entityId }) => query(logged.filter(op => op.entityId === entityId).at(-1) || null),
+  create: async (entry) => { logged.push(entry); return entry; },
+  exists: async () => null,
+  find: ({ serverSequence }) => query(
+    logged.filter(op => op.serverSequence > serverSequence.$gt && op.serverSequence <= serverSequence.$lte)
+  )
+});
+
+// Resolves with what the server acks `event` with
+const request = (client, event, data) => new Promise(resolve => client.emit(event, data, resolve));
+
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+// Resolves once nothing has arrived for a moment: for events that mustn't come
+const quiet = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('socket round trip', () => {
+  let server;
+  let io;
+  let url;
+  let clients;
+  // Connects this server to a stand-in for another instance
+  const hub = new EventEmitter();
+
+  const connected = async (clientId) => {
+    const client = connect(url, {
+      query: { userId: `user_${clientId}` },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    clients.push(client);
+    await nextEvent(client, 'connect');
+    return client;
+  };
+
+  const join = async (clientId, mapId = 'm1') => {
+    const client = await connected(clientId);
+    const joined = nextEvent(client, 'joined-map');
+    client.emit('join-map', { mapId });
+    expect(await joined).toEqual(expect.objectContaining({ mapId }));
+    return client;
+  };
+
+  beforeAll(async () => {
+    server = http.createServer();
+    io = setupWebSocket(server, { bus: new InProcessBus('test', { hub }) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    closeBus();
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  beforeEach(() => {
+    clients = [];
+    sequence = 0;
+    mapClock = new Map();
+    logged = [];
+    sessions = new Map();
+    // The map clock and log start over, so do the services' copies of them
+    causalBuffer.clocks.clear();
+    idempotency.maps.clear();
+    // Every test connects the same few users, whose buckets outlive their sockets
+    rateLimiter.buckets.clear();
+    jest.spyOn(Node.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(GraphValidator, 'validateOperation').mockResolvedValue({ valid: true, errors: [], warnings: [] });
+  });
+
+  afterEach(() => {
+    for (const client of clients) client.disconnect();
+    Node.prototype.save.mockRestore();
+    GraphValidator.validateOperation.mockRestore();
+  });
+
+  test('saves an edit under the joined map and relays it to that map only', async () => {
+    const author = await join('c1', 'm1');
+    const peer = await join('c2', 'm1');
+    const elsewhere = await join('c3', 'm2');
+    const relayed = nextEvent(peer, 'node:add');
+    const leaked = jest.fn();
+    elsewhere.on('node:add', leaked);
+
+    author.emit('node:add', { node: { id: 'n1', label: 'Idea', position: { x: 0, y: 0 } }, userId: 'user_c1' });
+
+    expect(await relayed).toEqual(expect.objectContaining({ node: expect.objectContaining({ id: 'n1' }) }));
+    expect(Node.prototype.save).toHaveBeenCalledTimes(1);
+    expect(Node.prototype.save.mock.contexts[0]).toMatchObject({ nodeId: 'n1', mapId: 'm1' });
+    await quiet();
+    expect(leaked).not.toHaveBeenCalled();
+  });
+
+  test('the author does not get its own edit back', async () => {
+    const author = await join('c1');
+    const echoed = jest.fn();
+    author.on('node:add', echoed);
+
+    author.emit('node:add', { node: { id: 'n2', label: 'Idea', position: { x: 0, y: 0 } }, userId: 'user_c1' });
+    await quiet();
+
+    expect(Node.prototype.save).toHaveBeenCalled();
+    expect(echoed).not.toHaveBeenCalled();
+  });
+
+  test('acks an applied edit with the sequence the map gave it', async () => {
+    const author = await join('c1');
+    const peer = await join('c2');
+    const relayed = nextEvent(peer, 'node:move');
+
+    const reply = await request(author, 'node:move', {
+      nodeId: 'n1', position: { x: 1, y: 2 }, operationId: 'op1', userId: 'user_c1'
+    });
+
+    expect(reply).toEqual({
+      ok: true,
+      operationId: 'op1',
+      serverSequence: 1,
+      vectorClock: {},
+      hlc: { time: expect.any(Number), counter: expect.any(Number), clientId: 'server' }
+    });
+    expect(await relayed).toEqual(expect.objectContaining({ nodeId: 'n1', operationId: 'op1', serverSequence: 1 }));
+  });
+
+  test('keeps the hybrid time an edit was made at, unless the client clock is too far off', async () => {
+    const author = await join('c1');
+    const now = Date.now();
+    const move = (operationId, hlc) => request(author, 'node:move', {
+      nodeId: 'n1', position: { x: 1, y: 2 }, operationId, userId: 'user_c1', hlc
+    });
+
+    const kept = await move('op1', { time: now, counter: 2, clientId: 'user_c1' });
+    const restamped = await move('op2', { time: now + 3600000, counter: 0, clientId: 'user_c1' });
+
+    expect(kept.hlc).toEqual({ time: now, counter: 2, clientId: 'user_c1' });
+    expect(restamped.hlc.clientId).toBe('server');
+    expect(restamped.hlc.time).toBeLessThan(now + 3600000);
+  });
+
+  test('rejects an edit to a node that does not exist, with its error code', async () => {
+    Node.findOne.mockReturnValueOnce(query(null));
+    const author = await join('c1');
+
+    const reply = await request(author, 'node:update', {
+      nodeId: 'gone', updates: { label: 'x' }, operationId: 'op2', userId: 'user_c1'
+    });
+
+    expect(reply).toEqual({
+      ok: false,
+      operationId: 'op2',
+      error: { code: 'NODE_NOT_FOUND', message: 'Node gone does not exist', errors: [] }
+    });
+    // A refused edit takes no sequence number
+    expect(sequence).toBe(0);
+  });
+
+  test('rejects an edit the database refuses as an internal error', async () => {
+    Node.prototype.save.mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const author = await join('c1');
+
+    const reply = await request(author, 'node:add', {
+      node: { id: 'n4', label: 'Idea', position: { x: 0, y: 0 } }, operationId: 'op3', userId: 'user_c1'
+    });
+
+    expect(reply.ok).toBe(false);
+    expect(reply.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Merge failed', errors: [] });
+    expect(logger.error).toHaveBeenCalled();
+    logger.error.mockRestore();
+  });
+
+  test('rejects what the validator refuses before anything is written', async () => {
+    const errors = [
+      { type: 'SELF_LOOP', nodeId: 'n1', message: 'Self-loops are not allowed' },
+      { type: 'WOULD_CREATE_CYCLE', cycle: ['n1', 'n1'], message: 'Adding this edge would create a cycle: n1 -> n1' }
+    ];
+    GraphValidator.validateOperation.mockResolvedValueOnce({ valid: false, errors, warnings: [] });
+    jest.spyOn(Edge.prototype, 'save');
+    const author = await join('c1');
+    const peer = await join('c2');
+    const relayed = jest.fn();
+    peer.on('edge:add', relayed);
+    const reported = nextEvent(author, 'operation:error');
+
+    const reply = await request(author, 'edge:add', {
+      edge: { id: 'e1', source: 'n1', target: 'n1' }, source: 'n1', target: 'n1', operationId: 'op5', userId: 'user_c1'
+    });
+
+    const error = { code: 'SELF_LOOP', message: 'Self-loops are not allowed', errors };
+    expect(reply).toEqual({ ok: false, operationId: 'op5', error });
+    expect(await reported).toEqual({ operationId: 'op5', ...error });
+    expect(GraphValidator.validateOperation).toHaveBeenCalledWith(
+      { type: 'ADD_EDGE', data: { edgeId: 'e1', sourceId: 'n1', targetId: 'n1' } },
+      'm1'
+    );
+    expect(Edge.prototype.save).not.toHaveBeenCalled();
+    expect(sequence).toBe(0);
+    await quiet();
+    expect(relayed).not.toHaveBeenCalled();
+    Edge.prototype.save.mockRestore();
+  });
+
+  test('reassigns a node id already in use and remaps the author\'s later events', async () => {
+    Node.exists.mockResolvedValueOnce({ _id: 'taken' });
+    const author = await join('c1');
+    const remapped = nextEvent(author, 'id:remap');
+
+    const added = await request(author, 'node:add', {
+      node: { id: 'n4', label: 'Idea', position: { x: 0, y: 0 } }, operationId: 'op5', userId: 'user_c1'
+    });
+    const remap = await remapped;
+
+    expect(added.ok).toBe(true);
+    expect(remap).toEqual({ kind: 'node', from: 'n4', to: expect.stringMatching(/^user_c1_/), operationId: 'op5' });
+    expect(logged.at(-1)).toEqual(expect.objectContaining({ type: 'NODE_CREATE', entityId: remap.to }));
+
+    // Sent before the client applied the remap: still under the old id
+    const moved = await request(author, 'node:move', {
+      nodeId: 'n4', position: { x: 5, y: 5 }, operationId: 'op6', userId: 'user_c1'
+    });
+
+    expect(moved.ok).toBe(true);
+    expect(logged.at(-1)).toEqual(expect.objectContaining({ type: 'NODE_MOVE', entityId: remap.to }));
+  });
+
+  test('an add flagged restore brings back the deleted node under its id', async () => {
+    Node.exists.mockResolvedValueOnce({ _id: 'taken' });
+    const author = await join('c1');
+    const peer = await join('c2');
+    const relayed = nextEvent(peer, 'node:add');
+
+    const reply = await request(author, 'node:add', {
+      node: { id: 'n1', label: 'Idea', position: { x: 0, y: 0 } }, restore: true, operationId: 'op1', userId: 'user_c1'
+    });
+
+    expect(reply.ok).toBe(true);
+    expect(Node.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { nodeId: 'n1', mapId: 'm1', isDeleted: true }, expect.anything(), expect.anything()
+    );
+    expect(logged.at(-1)).toEqual(expect.objectContaining({ type: 'NODE_RESTORE', entityId: 'n1' }));
+    expect(await relayed).toEqual(expect.objectContaining({ node: expect.objectContaining({ id: 'n1' }) }));
+  });
+
+  test('keeps an id this client used before: that is a resend, not a collision', async () => {
+    Node.exists.mockResolvedValueOnce({ _id: 'taken' });
+    Operation.exists.mockResolvedValueOnce({ _id: 'ours' });
+    const author = await join('c1');
+    const remap = jest.fn();
+    author.on('id:remap', remap);
+
+    const reply = await request(author, 'node:add', {
+      node: { id: 'n4', label: 'Idea', position: { x: 0, y: 0 } }, operationId: 'op7', userId: 'user_c1'
+    });
+
+    expect(reply.ok).toBe(true);
+    expect(remap).not.toHaveBeenCalled();
+    expect(logged).toEqual([expect.objectContaining({ entityId: 'n4' })]);
+  });
+
+  test('refuses edits from a socket that has not joined a map', async () => {
+    const client = await connected('c1');
+
+    const reply = await request(client, 'node:add', {
+      node: { id: 'n3', label: 'Idea', position: { x: 0, y: 0 } }, operationId: 'op4'
+    });
+
+    expect(reply).toEqual(expect.objectContaining({ ok: false, operationId: 'op4' }));
+    expect(reply.error.code).toBe('NOT_JOINED');
+    expect(Node.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('logs who made an edit and what the entity looked like before it', async () => {
+    const author = await join('c1');
+
+    await request(author, 'node:update', {
+      nodeId: 'n1', updates: { label: 'Renamed' }, operationId: 'op6', userId: 'user_c1'
+    });
+
+    expect(logged).toEqual([expect.objectContaining({
+      operationId: 'op6',
+      type: 'NODE_UPDATE',
+      clientId: 'user_c1',
+      userId: 'user_c1',
+      entityType: 'node',
+      entityId: 'n1',
+      serverSequence: 1,
+      previousState: { content: 'Idea', position: { x: 0, y: 0 }, style: { color: '#fff', shape: 'circle' } },
+      status: 'applied'
+    })]);
+  });
+
+  test('relays drag frames without writing them, and keeps the last one when the dragger drops', async () => {
+    const author = await join('c1');
+    const peer = await join('c2');
+    const dragged = nextEvent(peer, 'node:drag');
+
+    author.emit('node:drag', { nodeId: 'n1', position: { x: 3, y: 4 }, userId: 'user_c1' });
+
+    expect(await dragged).toEqual(expect.objectContaining({ nodeId: 'n1', position: { x: 3, y: 4 } }));
+    expect(logged).toEqual([]);
+
+    const moved = nextEvent(peer, 'node:move');
+    author.disconnect();
+
+    expect(await moved).toEqual(expect.objectContaining({ nodeId: 'n1', position: { x: 3, y: 4 }, serverSequence: 1 }));
+    expect(logged).toEqual([expect.objectContaining({ type: 'NODE_MOVE', entityId: 'n1' })]);
+  });
+
+  test('shows a newcomer who is in the map, and the map the newcomer', async () => {
+    const first = await join('c1');
+    const announced = nextEvent(first, 'presence:join');
+
+    const second = await connected('c2');
+    const listed = nextEvent(second, 'presence:list');
+    second.emit('join-map', { mapId: 'm1', displayName: 'Ada' });
+
+    const { session } = await announced;
+    expect(session).toEqual(expect.objectContaining({ sessionId: second.id, userId: 'user_c2', displayName: 'Ada' }));
+    const list = await listed;
+    expect(list.sessionId).toBe(second.id);
+    expect(list.sessions.map(s => s.userId)).toEqual(['user_c1', 'user_c2']);
+
+    const left = nextEvent(first, 'presence:leave');
+    second.disconnect();
+    expect(await left).toEqual({ sessionId: session.sessionId, userId: 'user_c2' });
+  });
+
+  test('relays cursors with the sender\'s presence name and color, dropping malformed ones', async () => {
+    const author = await join('c1');
+    const peer = await join('c2');
+    const cursors = [];
+    peer.on('cursor:update', cursor => cursors.push(cursor));
+
+    author.emit('cursor:update', { position: { x: 'left', y: 0 } });
+    author.emit('cursor:update', { position: { x: 10, y: 20 } });
+    await quiet();
+
+    expect(cursors).toEqual([expect.objectContaining({
+      userId: 'user_c1', sessionId: author.id, position: { x: 10, y: 20 }, displayName: 'Guest r_c1'
+    })]);
+    expect(cursors[0].color).toEqual(expect.stringMatching(/^#/));
+  });
+
+  test('lets one session at a time rename a node, and frees it when the holder leaves', async () => {
+    const holder = await join('c1');
+    const other = await join('c2');
+    const granted = nextEvent(other, 'lease:granted');
+
+    expect(await request(holder, 'lease:acquire', { nodeId: 'n1' })).toMatchObject({ ok: true, lease: { sessionId: holder.id } });
+    expect((await granted).lease).toMatchObject({ nodeId: 'n1', sessionId: holder.id });
+
+    expect(await request(other, 'lease:acquire', { nodeId: 'n1' })).toMatchObject({
+      ok: false, lease: { sessionId: holder.id }, error: { code: 'NODE_LOCKED' }
+    });
+    const rename = await request(other, 'node:update', {
+      nodeId: 'n1', updates: { label: 'Mine' }, operationId: 'op9', userId: 'user_c2'
+    });
+    expect(rename.error.code).toBe('NODE_LOCKED');
+    expect(logged).toEqual([]);
+
+    const released = nextEvent(other, 'lease:released');
+    const holderId = holder.id;
+    holder.disconnect();
+    expect(await released).toEqual({ nodeId: 'n1', sessionId: holderId });
+    expect((await request(other, 'lease:acquire', { nodeId: 'n1' })).ok).toBe(true);
+  });
+
+  test('keeps a leased label and its shared text apart', async () => {
+    const holder = await join('c1');
+    const typist = await join('c2');
+
+    expect((await request(holder, 'lease:acquire', { nodeId: 'n1' })).ok).toBe(true);
+    expect(await request(typist, 'label:open', { nodeId: 'n1' })).toMatchObject({
+      ok: false, lease: { sessionId: holder.id }, error: { code: 'NODE_LOCKED' }
+    });
+
+    holder.emit('lease:release', { nodeId: 'n1' });
+    await quiet();
+    expect((await request(typist, 'label:open', { nodeId: 'n1' })).ok).toBe(true);
+    expect(await request(holder, 'lease:acquire', { nodeId: 'n1' })).toMatchObject({
+      ok: false, error: { code: 'NODE_LOCKED' }
+    });
+    typist.emit('label:close', { nodeId: 'n1' });
+  });
+
+  test('streams a view only to its followers, and summons the whole map', async () => {
+    const leader = await join('c1');
+    const follower = await join('c2');
+    const bystander = await join('c3');
+    const viewport = { center: { x: 10, y: 20 }, zoom: 2 };
+    const seen = jest.fn();
+    bystander.on('viewport:update', seen);
+
+    const followed = nextEvent(follower, 'presence:update');
+    follower.emit('presence:update', { followingSessionId: leader.id });
+    expect((await followed).session.followingSessionId).toBe(leader.id);
+
+    const streamed = nextEvent(follower, 'viewport:update');
+    leader.emit('viewport:update', { viewport });
+    expect(await streamed).toEqual({ sessionId: leader.id, viewport });
+
+    const summoned = nextEvent(bystander, 'viewport:summon');
+    leader.emit('viewport:summon', { viewport });
+    expect(await summoned).toEqual({ sessionId: leader.id, displayName: 'Guest r_c1', viewport });
+    expect(seen).not.toHaveBeenCalled();
+  });
+
+  test('merges typing into an open label and writes it back when the last editor closes it', async () => {
+    const typist = await join('c1');
+    const reader = await join('c2');
+    const opened = await request(typist, 'label:open', { nodeId: 'n1' });
+    await request(reader, 'label:open', { nodeId: 'n1' });
+
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, new Uint8Array(opened.state));
+    let update;
+    doc.once('update', (u) => { update = u; });
+    doc.getText('label').insert(4, ' map');
+
+    const relayed = nextEvent(reader, 'label:update');
+    typist.emit('label:update', { nodeId: 'n1', update });
+    expect((await relayed).nodeId).toBe('n1');
+    expect(logged).toEqual([]);
+
+    const written = nextEvent(reader, 'node:update');
+    typist.emit('label:close', { nodeId: 'n1' });
+    reader.emit('label:close', { nodeId: 'n1' });
+    expect(await written).toEqual(expect.objectContaining({ nodeId: 'n1', updates: { label: 'Idea map' }, userId: 'user_c1' }));
+    expect(logged).toEqual([expect.objectContaining({ type: 'NODE_UPDATE', clientId: 'user_c1' })]);
+  });
+
+  test('writes an open label as typed, and tidies it once the last editor closes it', async () => {
+    const typist = await join('c1');
+    const opened = await request(typist, 'label:open', { nodeId: 'n1' });
+
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, new Uint8Array(opened.state));
+    let update;
+    doc.once('update', (u) => { update = u; });
+    doc.getText('label').insert(4, ' map ');
+
+    const flushed = nextEvent(typist, 'node:update');
+    typist.emit('label:update', { nodeId: 'n1', update });
+    expect((await flushed).updates).toEqual({ label: 'Idea map ' });
+
+    const closed = nextEvent(typist, 'node:update');
+    typist.emit('label:close', { nodeId: 'n1' });
+    expect((await closed).updates).toEqual({ label: 'Idea map' });
+    expect(logged).toHaveLength(2);
+  });
+
+  test('publishes room broadcasts for the other instances and relays theirs', async () => {
+    const author = await join('c1');
+    const peer = await join('c2');
+    const elsewhere = new InProcessBus('elsewhere', { hub });
+    await elsewhere.start();
+    const published = new Promise(resolve => elsewhere.subscribe('room', resolve));
+
+    const local = nextEvent(peer, 'node:update');
+
+    author.emit('node:update', { nodeId: 'n1', updates: { label: 'Here' }, operationId: 'op1', userId: 'user_c1' });
+    expect((await local).updates).toEqual({ label: 'Here' });
+    expect(await published).toEqual(expect.objectContaining({
+      room: 'map:m1', event: 'node:update', except: author.id
+    }));
+
+    const relayed = nextEvent(peer, 'node:update');
+    elsewhere.publish('room', { room: 'map:m1', event: 'node:update', data: { nodeId: 'n1', updates: { label: 'There' } } });
+    expect(await relayed).toEqual({ nodeId: 'n1', updates: { label: 'There' } });
+    await elsewhere.close();
+  });
+
+  test('refuses an event over its rate limit before its handler sees it', async () => {
+    const author = await join('c1');
+    jest.spyOn(rateLimiter, 'consume').mockReturnValueOnce({ ok: false, scope: 'session', retryAfterMs: 250 });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const told = nextEvent(author, 'rate:limited');
+
+    const reply = await request(author, 'node:update', {
+      nodeId: 'n1', updates: { label: 'x' }, operationId: 'op1', userId: 'user_c1'
+    });
+
+    const error = { code: 'RATE_LIMITED', message: 'Too many node:update events, slow down', scope: 'session', retryAfterMs: 250 };
+    expect(reply).toEqual({ ok: false, operationId: 'op1', error: { ...error, errors: [] } });
+    expect(await told).toEqual({ event: 'node:update', operationId: 'op1', disconnect: false, ...error });
+    expect(logged).toEqual([]);
+    rateLimiter.consume.mockRestore();
+    logger.warn.mockRestore();
+  });
+
+  test('refuses a label longer than a node can store', async () => {
+    const author = await join('c1');
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const reply = await request(author, 'node:update', {
+      nodeId: 'n1', updates: { label: 'x'.repeat(10000) }, operationId: 'op1', userId: 'user_c1'
+    });
+
+    expect(reply.error.code).toBe('PAYLOAD_TOO_LARGE');
+    expect(logged).toEqual([]);
+    logger.warn.mockRestore();
+  });
+
+  test('hands a joining client its open conflicts, and tells the map when one is resolved', async () => {
+    Conflict.openFor.mockResolvedValueOnce([{ _id: 'x', conflictId: 'cf1', kind: 'concurrent_edit', status: 'open' }]);
+    const client = await connected('c1');
+    const listed = nextEvent(client, 'conflict:list');
+    client.emit('join-map', { mapId: 'm1' });
+
+    expect(await listed).toEqual({ mapId: 'm1', conflicts: [{ conflictId: 'cf1', kind: 'concurrent_edit', status: 'open' }] });
+
+    const peer = await join('c2');
+    const resolved = nextEvent(peer, 'conflict:resolved');
+    expect(await request(client, 'conflict:resolve', { conflictId: 'cf1', resolution: 'reapply' })).toEqual({ ok: true });
+    expect(await resolved).toEqual({ conflictId: 'cf1', status: 'reapplied', resolvedBy: 'user_c1' });
+    expect(await request(client, 'conflict:resolve', { conflictId: 'cf9' })).toEqual({ ok: false });
+  });
+
+  describe('sessions', () => {
+    test('a reconnect presenting its session id resumes it where its heartbeats left it', async () => {
+      const first = await connected('c1');
+      const started = await request(first, 'join-map', { mapId: 'm1' });
+      expect(started.session).toEqual({ sessionId: `session_${first.id}`, resumed: false, lastSequence: null });
+
+      first.emit('presence:heartbeat', { lastSequence: 7 });
+      await quiet();
+      first.disconnect();
+      await quiet();
+
+      const again = await connected('c1');
+      const resumed = await request(again, 'join-map', { mapId: 'm1', sessionId: started.session.sessionId });
+      expect(resumed.session).toEqual({ sessionId: started.session.sessionId, resumed: true, lastSequence: 7 });
+    });
+
+    test('only the same user in the same map can resume a session', async () => {
+      const owner = await connected('c1');
+      const { session } = await request(owner, 'join-map', { mapId: 'm1' });
+
+      const other = await connected('c2');
+      const joined = await request(other, 'join-map', { mapId: 'm1', sessionId: session.sessionId });
+      expect(joined.session).toEqual(expect.objectContaining({ resumed: false }));
+      expect(joined.session.sessionId).not.toBe(session.sessionId);
+    });
+
+    test('a terminated session is told why and dropped', async () => {
+      const client = await connected('c1');
+      await request(client, 'join-map', { mapId: 'm1' });
+      const told = nextEvent(client, 'session:terminated');
+      const dropped = nextEvent(client, 'disconnect');
+
+      disconnectSession(client.id, 'Bye');
+      expect(await told).toEqual(expect.objectContaining({ reason: 'Bye' }));
+      await dropped;
+    });
+
+    test('a termination from another instance reaches the socket here', async () => {
+      const client = await join('c1');
+      const elsewhere = new InProcessBus('elsewhere', { hub });
+      await elsewhere.start();
+      const told = nextEvent(client, 'session:terminated');
+
+      elsewhere.publish('session', { socketId: client.id, reason: 'Bye' });
+
+      expect(await told).toEqual(expect.objectContaining({ reason: 'Bye' }));
+      await elsewhere.close();
+    });
+  });
+
+  describe('vector clocks', () => {
+    const move = (client, operationId, vectorClock, userId = 'user_c1') => request(client, 'node:move', {
+      nodeId: 'n1', position: { x: 1, y: 1 }, operationId, userId, vectorClock
+    });
+
+    test('merges the sender\'s clock into the map clock and hands the result back', async () => {
+      const author = await join('c1');
+      const peer = await join('c2');
+      const relayed = nextEvent(peer, 'node:move');
+
+      await move(peer, 'op1', { user_c2: 4 }, 'user_c2');
+      const reply = await move(author, 'op2', { user_c1: 1, user_c2: 3 });
+
+      expect(reply.vectorClock).toEqual({ user_c1: 1, user_c2: 4 });
+      expect(await relayed).toEqual(expect.objectContaining({
+        vectorClock: { user_c1: 1, user_c2: 3 }, dependencies: { user_c2: 3 }
+      }));
+    });
+
+    test('keeps only clock entries that are counters under safe keys', async () => {
+      const author = await join('c1');
+
+      await move(author, 'op1', { user_c1: 2, 'a.b': 1, $where: 1, user_c2: -1, c3: 1.5, c4: '2' });
+
+      expect(logged[0].vectorClock).toEqual({ user_c1: 2 });
+    });
+
+    test('holds an edit until the edit it depends on is applied', async () => {
+      const author = await join('c1');
+      const peer = await join('c2');
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      const held = move(author, 'op2', { user_c1: 1, user_c2: 1 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(logged).toEqual([]);
+
+      await move(peer, 'op1', { user_c2: 1 }, 'user_c2');
+      await held;
+
+      expect(logged.map(op => op.operationId)).toEqual(['op1', 'op2']);
+      logger.warn.mockRestore();
+    });
+
+    test('asks whoever made the missing edit to resend it', async () => {
+      const author = await join('c1');
+      const peer = await join('c2');
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const asked = nextEvent(peer, 'operation:resend');
+
+      const held = move(author, 'op2', { user_c1: 1, user_c2: 1 });
+      expect(await asked).toEqual({ mapId: 'm1', appliedThrough: 0 });
+
+      await move(peer, 'op1', { user_c2: 1 }, 'user_c2');
+      await held;
+      logger.warn.mockRestore();
+    });
+
+    test('handles a socket\'s edits in the order it sent them', async () => {
+      const author = await join('c1');
+      const peer = await join('c2');
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      const held = move(author, 'op2', { user_c1: 1, user_c2: 1 });
+      const next = move(author, 'op3', { user_c1: 2 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(logged).toEqual([]);
+
+      await move(peer, 'op1', { user_c2: 1 }, 'user_c2');
+      await Promise.all([held, next]);
+
+      expect(logged.map(op => op.operationId)).toEqual(['op1', 'op2', 'op3']);
+      logger.warn.mockRestore();
+    });
+
+    test('flags an edit concurrent with the last one on the same entity', async () => {
+      const author = await join('c1');
+      const peer = await join('c2');
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      await move(author, 'op1', { user_c1: 1 });
+      await move(author, 'op2', { user_c1: 2 });
+      await move(peer, 'op3', { user_c2: 1 }, 'user_c2');
+
+      expect(logged.map(op => op.hasConflict)).toEqual([false, false, true]);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      logger.warn.mockRestore();
+    });
+  });
+
+  test('a resent operation gets its original answer and is applied once', async () => {
+    const author = await join('c1');
+    const move = {
+      nodeId: 'n1', position: { x: 1, y: 1 }, operationId: 'op1', userId: 'user_c1', idempotencyKey: 'user_c1:op1'
+    };
+
+    const [first, resent] = await Promise.all([request(author, 'node:move', move), request(author, 'node:move', move)]);
+    const late = await request(author, 'node:move', move);
+
+    expect(first).toEqual(expect.objectContaining({ ok: true, serverSequence: 1 }));
+    expect(resent).toEqual(first);
+    expect(late).toEqual(first);
+    expect(logged).toHaveLength(1);
+  });
+
+  describe('resync', () => {
+    const move = (client, operationId) => request(client, 'node:move', {
+      nodeId: 'n1', position: { x: 1, y: 1 }, operationId, userId: 'user_c1'
+    });
+
+    test('logs every applied edit under its sequence number', async () => {
+      const author = await join('c1');
+      await move(author, 'op1');
+      await move(author, 'op2');
+
+      expect(logged).toEqual([
+        expect.objectContaining({ mapId: 'm1', type: 'NODE_MOVE', serverSequence: 1 }),
+        expect.objectContaining({ mapId: 'm1', type: 'NODE_MOVE', serverSequence: 2 })
+      ]);
+    });
+
+    test('sends only the operations missed since the given sequence', async () => {
+      const author = await join('c1');
+      await move(author, 'op1');
+      await move(author, 'op2');
+      await move(author, 'op3');
+      const delta = nextEvent(author, 'sync:delta');
+
+      author.emit('sync:request', { mapId: 'm1', sinceSequence: 1 });
+
+      const { serverSequence, operations } = await delta;
+      expect(serverSequence).toBe(3);
+      expect(operations.map(op => [op.event, op.data.operationId, op.data.serverSequence])).toEqual([
+        ['node:move', 'op2', 2],
+        ['node:move', 'op3', 3]
+      ]);
+    });
+
+    test('falls back to a snapshot when the log does not cover the gap', async () => {
+      const author = await join('c1');
+      await move(author, 'op1');
+      await move(author, 'op2');
+      logged.splice(0, 1);
+      const snapshot = nextEvent(author, 'sync:response');
+
+      author.emit('sync:request', { mapId: 'm1', sinceSequence: 0 });
+
+      expect(await snapshot).toEqual(expect.objectContaining({
+        serverSequence: 2,
+        nodes: [expect.objectContaining({ id: 'n1', label: 'Idea' })]
+      }));
+    });
+
+    test('falls back to a snapshot when the client is ahead of the server', async () => {
+      const author = await join('c1');
+      const snapshot = nextEvent(author, 'sync:response');
+
+      author.emit('sync:request', { mapId: 'm1', sinceSequence: 5 });
+
+      expect((await snapshot).serverSequence).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const vectorClock = require('../src/services/VectorClock');
+
+const clock = (entries) => vectorClock.fromObject(entries);
+
+describe('VectorClock', () => {
+  test('compare orders clocks by happened-before', () => {
+    expect(vectorClock.compare(clock({ a: 1 }), clock({ a: 2 }))).toBe('before');
+    expect(vectorClock.compare(clock({ a: 2, b: 1 }), clock({ a: 2 }))).toBe('after');
+    expect(vectorClock.compare(clock({ a: 1 }), clock({ a: 1 }))).toBe('equal');
+    expect(vectorClock.compare(clock({ a: 2, b: 0 }), clock({ a: 1, b: 1 }))).toBe('concurrent');
+  });
+
+  test('a missing entry counts as zero', () => {
+    expect(vectorClock.compare(clock({}), clock({ a: 0 }))).toBe('equal');
+    expect(vectorClock.compare(clock({}), clock({ a: 1 }))).toBe('before');
+  });
+
+  test('merge takes the maximum of every entry', () => {
+    const merged = vectorClock.merge(clock({ a: 3, b: 1 }), clock({ b: 2, c: 1 }));
+    expect(vectorClock.toObject(merged)).toEqual({ a: 3, b: 2, c: 1 });
+  });
+
+  test('merge leaves its inputs alone', () => {
+    const first = clock({ a: 1 });
+    vectorClock.merge(first, clock({ a: 5 }));
+    expect(vectorClock.toObject(first)).toEqual({ a: 1 });
+  });
+
+  test('increment advances one entry', () => {
+    const c = vectorClock.increment(clock({ a: 1 }), 'a');
+    vectorClock.increment(c, 'b');
+    expect(vectorClock.toObject(c)).toEqual({ a: 2, b: 1 });
+  });
+
+  test('an op is causally ready once the current clock covers it', () => {
+    expect(vectorClock.isCausallyReady(clock({ a: 1 }), clock({ a: 1, b: 2 }))).toBe(true);
+    expect(vectorClock.isCausallyReady(clock({ a: 2 }), clock({ a: 1, b: 2 }))).toBe(false);
+    expect(vectorClock.isCausallyReady(clock({}), clock({}))).toBe(true);
+  });
+
+  test('normalize drops entries that are not counters or not safe Mongo keys', () => {
+    expect(vectorClock.normalize({ a: 1, 'b.c': 2, $where: 3, d: -1, e: 1.5, f: '2', g: 0 })).toEqual({ a: 1, g: 0 });
+    expect(vectorClock.normalize(null)).toEqual({});
+    expect(vectorClock.normalize('clock')).toEqual({});
+  });
+});
@@ -0,0 +1,121 @@
+const Y = require('yjs');
+const serverConfig = require('../src/config/serverConfig');
+const { MongoDBPersistence } = require('../src/services/yjsPersistence');
+
+// Just enough of a Mongo collection for the persistence layer, in memory
+function collection() {
+  const rows = [];
+  let nextId = 0;
+  const matches = (row, filter) => Object.entries(filter).every(([key, value]) =>
+    value && value.$in ? value.$in.includes(row[key]) : row[key] === value
+  );
+  const apply = (row, { $set = {}, $inc = {} }) => {
+    Object.assign(row, $set);
+    for (const [key, delta] of Object.entries($inc)) row[key] = (row[key] || 0) + delta;
+  };
+  return {
+    rows,
+    findOne: async (filter) => rows.find(row => matches(row, filter)) || null,
+    find: (filter) => ({
+      sort: ({ seq }) => ({
+        toArray: async () => rows.filter(row => matches(row, filter)).sort((a, b) => (a.seq - b.seq) * seq)
+      })
+    }),
+    findOneAndUpdate: async (filter, update) => {
+      let row = rows.find(existing => matches(existing, filter));
+      if (!row) rows.push(row = { ...filter });
+      apply(row, update);
+      return { ...row };
+    },
+    insertOne: async (row) => { rows.push({ _id: `u${nextId++}`, ...row }); },
+    updateOne: async (filter, update) => { apply(rows.find(row => matches(row, filter)), update); },
+    deleteOne: async (filter) => {
+      const index = rows.findIndex(row => matches(row, filter));
+      if (index !== -1) rows.splice(index, 1);
+    },
+    deleteMany: async (filter) => {
+      for (let i = rows.length - 1; i >= 0; i--) if (matches(rows[i], filter)) rows.splice(i, 1);
+    }
+  };
+}
+
+// An update adding `text` to the doc's shared array
+const edit = (ydoc, text) => {
+  let update;
+  ydoc.once('update', (u) => { update = u; });
+  ydoc.getArray('items').push([text]);
+  return update;
+};
+
+const load = async (persistence, docName) => {
+  const ydoc = new Y.Doc();
+  Y.applyUpdate(ydoc, await persistence.getYDoc(docName));
+  return ydoc.getArray('items').toArray();
+};
+
+describe('MongoDBPersistence', () => {
+  const { compactAfterUpdates } = serverConfig.yjs;
+  let persistence;
+  let source;
+
+  beforeEach(() => {
+    serverConfig.yjs.compactAfterUpdates = 3;
+    persistence = new MongoDBPersistence();
+    persistence.connected = true;
+    persistence.documents = collection();
+    persistence.updates = collection();
+    source = new Y.Doc();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    serverConfig.yjs.compactAfterUpdates = compactAfterUpdates;
+    console.log.mockRestore();
+  });
+
+  test('a new doc has nothing stored', async () => {
+    expect(await persistence.getYDoc('m1')).toBeNull();
+  });
+
+  test('appends each update to the tail, in order, and loads them back', async () => {
+    await persistence.storeUpdate('m1', edit(source, 'a'));
+    await persistence.storeUpdate('m1', edit(source, 'b'));
+
+    expect(persistence.updates.rows.map(row => row.seq)).toEqual([1, 2]);
+    expect(await persistence.documents.findOne({ _id: 'm1' })).toEqual(expect.objectContaining({
+      seq: 2, pendingUpdates: 2
+    }));
+    expect(await load(persistence, 'm1')).toEqual(['a', 'b']);
+  });
+
+  test('folds the tail into the snapshot once it reaches the limit', async () => {
+    for (const text of ['a', 'b', 'c']) await persistence.storeUpdate('m1', edit(source, text));
+
+    const doc = await persistence.documents.findOne({ _id: 'm1' });
+    expect(persistence.updates.rows).toEqual([]);
+    expect(doc).toEqual(expect.objectContaining({ seq: 3, pendingUpdates: 0, pendingBytes: 0 }));
+    expect(await load(persistence, 'm1')).toEqual(['a', 'b', 'c']);
+
+    // Later updates start a new tail on top of the snapshot
+    await persistence.storeUpdate('m1', edit(source, 'd'));
+    expect(persistence.updates.rows.map(row => row.seq)).toEqual([4]);
+    expect(await load(persistence, 'm1')).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('compacting with an empty tail leaves the snapshot alone', async () => {
+    for (const text of ['a', 'b', 'c']) await persistence.storeUpdate('m1', edit(source, text));
+    const { state } = await persistence.documents.findOne({ _id: 'm1' });
+
+    await persistence.compact('m1');
+
+    expect((await persistence.documents.findOne({ _id: 'm1' })).state).toBe(state);
+  });
+
+  test('deleteDoc drops the snapshot and its tail', async () => {
+    await persistence.storeUpdate('m1', edit(source, 'a'));
+
+    await persistence.deleteDoc('m1');
+
+    expect(await persistence.getYDoc('m1')).toBeNull();
+  });
+});
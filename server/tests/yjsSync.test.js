@@ -0,0 +1,132 @@
+const { EventEmitter } = require('events');
+const Y = require('yjs');
+const MindMap = require('../src/models/Map');
+const Node = require('../src/models/Node');
+const Edge = require('../src/models/Edge');
+const merge = require('../src/services/merge');
+const { YjsSyncService } = require('../src/services/yjsSync');
+const { query, stubModel } = require('./helpers');
+
+jest.mock('../src/services/merge');
+
+// The graph as stored: n1 and n2 joined by e1, on a map synced through its doc
+let syncMode;
+let nodes;
+let edges;
+let deletedIds;
+stubModel(MindMap, {
+  findOne: () => query({ mapId: 'm1', syncMode })
+});
+stubModel(Node, {
+  find: () => query(nodes),
+  exists: async ({ nodeId }) => (deletedIds.includes(nodeId) ? { _id: nodeId } : null)
+});
+stubModel(Edge, {
+  find: () => query(edges),
+  exists: async ({ edgeId }) => (deletedIds.includes(edgeId) ? { _id: edgeId } : null)
+});
+
+const storedNode = (nodeId, content) => ({
+  nodeId, content, position: { x: 0, y: 0 }, style: { color: '#3b82f6', shape: 'circle' }
+});
+
+// A doc laid out as the client binds it: one Y.Map per node with its label
+// as a Y.Text, plain edges
+const docOf = (docNodes, docEdges) => {
+  const ydoc = new Y.Doc();
+  ydoc.transact(() => {
+    for (const node of docNodes) {
+      const yNode = new Y.Map();
+      for (const [field, value] of Object.entries(node)) {
+        yNode.set(field, field === 'label' ? new Y.Text(value) : value);
+      }
+      ydoc.getMap('nodes').set(node.id, yNode);
+    }
+    for (const edge of docEdges) ydoc.getMap('edges').set(edge.id, edge);
+  });
+  return ydoc;
+};
+
+const docNode = (id, label) => ({ id, label, position: { x: 0, y: 0 }, color: '#3b82f6', shape: 'circle' });
+
+// What writeBack handed to merge, as [type, entityId]
+const written = () => merge.mock.calls.map(([op]) => [op.type, op.entityId]);
+
+describe('YjsSyncService write-back', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new YjsSyncService(new EventEmitter());
+  });
+
+  afterAll(() => {
+    service.close();
+  });
+
+  beforeEach(() => {
+    syncMode = 'yjs';
+    nodes = [storedNode('n1', 'One'), storedNode('n2', 'Two')];
+    edges = [{ edgeId: 'e1', from: 'n1', to: 'n2' }];
+    deletedIds = [];
+    merge.mockReset();
+    merge.mockResolvedValue({ valid: true, serverSequence: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('writes only the fields the doc changed, through merge as the doc', async () => {
+    const ydoc = docOf([docNode('n1', 'Renamed'), docNode('n2', 'Two')], [{ id: 'e1', source: 'n1', target: 'n2' }]);
+
+    await service.writeBack('m1', ydoc);
+
+    expect(merge).toHaveBeenCalledTimes(1);
+    expect(merge).toHaveBeenCalledWith(expect.objectContaining({
+      mapId: 'm1',
+      type: 'NODE_UPDATE',
+      entityId: 'n1',
+      payload: { nodeId: 'n1', updates: { label: 'Renamed' }, userId: 'yjs' },
+      clientId: 'yjs',
+      ignoreSyncMode: true
+    }));
+  });
+
+  test('orders creates before the edges that need them and edge deletes before node deletes', async () => {
+    deletedIds = ['n3'];
+    const ydoc = docOf(
+      [docNode('n1', 'One'), docNode('n3', 'Back'), docNode('n4', 'New')],
+      [{ id: 'e2', source: 'n3', target: 'n4' }]
+    );
+
+    await service.writeBack('m1', ydoc);
+
+    expect(written()).toEqual([
+      ['NODE_RESTORE', 'n3'],
+      ['NODE_CREATE', 'n4'],
+      ['EDGE_DELETE', 'e1'],
+      ['EDGE_CREATE', 'e2'],
+      ['NODE_DELETE', 'n2']
+    ]);
+  });
+
+  test('skips an edge whose endpoint the doc no longer has', async () => {
+    const ydoc = docOf(
+      [docNode('n1', 'One'), docNode('n2', 'Two')],
+      [{ id: 'e1', source: 'n1', target: 'n2' }, { id: 'e2', source: 'n1', target: 'gone' }]
+    );
+
+    await service.writeBack('m1', ydoc);
+
+    expect(merge).not.toHaveBeenCalled();
+  });
+
+  test('writes nothing once the map is back on socket sync', async () => {
+    syncMode = 'socket';
+
+    await service.writeBack('m1', docOf([], []));
+
+    expect(merge).not.toHaveBeenCalled();
+  });
+});